@@ -1,7 +1,7 @@
 // App.jsx
 // Main application with code splitting, real-time updates, and optimized routing
 import { useState, useEffect, useCallback, Suspense, lazy } from 'react';
-import { BrowserRouter as Router, Routes, Route, useLocation } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, useLocation, useParams } from 'react-router-dom';
 import Sidebar from './components/Sidebar';
 import NotificationCenter from './components/NotificationCenter';
 import NotificationPermission from "./components/NotificationPermission";
@@ -9,6 +9,8 @@ import { ToastContainer } from "./components/Toast";
 import { ThemeProvider } from "./contexts/ThemeContext";
 import { RulebookProvider } from "./contexts/RulebookContext";
 import { SocketProvider } from "./contexts/SocketContext";
+import { BulkJobProvider } from "./contexts/BulkJobContext";
+import { OwnerProvider } from "./contexts/OwnerContext";
 import "./index.css";
 
 // Lazy load all pages for code splitting
@@ -18,12 +20,18 @@ const LeadDetail = lazy(() => import("./pages/LeadDetail"));
 const EmailQueue = lazy(() => import("./pages/EmailQueue"));
 const Analytics = lazy(() => import("./pages/Analytics"));
 const Upload = lazy(() => import("./pages/Upload"));
+const ImportHistory = lazy(() => import("./pages/ImportHistory"));
 const Settings = lazy(() => import("./pages/Settings"));
 const Schedule = lazy(() => import("./pages/Schedule"));
 const FailedLeads = lazy(() => import("./pages/FailedLeads"));
+const Duplicates = lazy(() => import("./pages/Duplicates"));
+const Tasks = lazy(() => import("./pages/Tasks"));
+const Accounts = lazy(() => import("./pages/Accounts"));
+const Pipeline = lazy(() => import("./pages/Pipeline"));
 const Templates = lazy(() => import("./pages/Templates"));
 const ConditionalEmails = lazy(() => import("./pages/ConditionalEmails"));
 const TerminalStates = lazy(() => import("./pages/TerminalStates"));
+const Suppression = lazy(() => import("./pages/Suppression"));
 
 // Loading fallback for lazy-loaded pages
 function PageLoader() {
@@ -41,6 +49,12 @@ function PageLoader() {
   );
 }
 
+// Keyed by the lead id so moving to another lead starts from fresh edit and modal state
+function LeadDetailRoute({ showToast }) {
+  const { id } = useParams();
+  return <LeadDetail key={id} showToast={showToast} />;
+}
+
 // Wrapper component to handle layout logic that needs Router context
 function AppContent() {
   const [isCollapsed, setIsCollapsed] = useState(false);
@@ -121,9 +135,25 @@ function AppContent() {
                   path="/failed-leads"
                   element={<FailedLeads showToast={showToast} />}
                 />
+                <Route
+                  path="/pipeline"
+                  element={<Pipeline showToast={showToast} />}
+                />
+                <Route
+                  path="/accounts"
+                  element={<Accounts showToast={showToast} />}
+                />
+                <Route
+                  path="/duplicates"
+                  element={<Duplicates showToast={showToast} />}
+                />
                 <Route
                   path="/leads/:id"
-                  element={<LeadDetail showToast={showToast} />}
+                  element={<LeadDetailRoute showToast={showToast} />}
+                />
+                <Route
+                  path="/tasks"
+                  element={<Tasks showToast={showToast} />}
                 />
                 <Route
                   path="/schedule"
@@ -149,10 +179,18 @@ function AppContent() {
                   path="/terminal-states"
                   element={<TerminalStates showToast={showToast} />}
                 />
+                <Route
+                  path="/suppression"
+                  element={<Suppression showToast={showToast} />}
+                />
                 <Route
                   path="/upload"
                   element={<Upload showToast={showToast} />}
                 />
+                <Route
+                  path="/imports"
+                  element={<ImportHistory showToast={showToast} />}
+                />
                 <Route
                   path="/settings"
                   element={<Settings showToast={showToast} />}
@@ -176,9 +214,13 @@ export default function App() {
     <ThemeProvider>
       <RulebookProvider>
         <SocketProvider>
-          <Router>
-            <AppContent />
-          </Router>
+          <BulkJobProvider>
+            <OwnerProvider>
+              <Router>
+                <AppContent />
+              </Router>
+            </OwnerProvider>
+          </BulkJobProvider>
         </SocketProvider>
       </RulebookProvider>
     </ThemeProvider>
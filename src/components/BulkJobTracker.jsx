@@ -0,0 +1,162 @@
+// components/BulkJobTracker.jsx
+// Floating progress cards for bulk lead jobs with failure report and undo
+import { useState, useEffect } from 'react';
+import { Loader2, CheckCircle, AlertCircle, XCircle, RotateCcw, X, ChevronDown, ChevronUp } from 'lucide-react';
+import { isJobFinished } from '../lib/bulkJobs';
+
+const ACTION_LABELS = {
+  delete: 'Delete leads',
+  freeze: 'Freeze leads',
+  unfreeze: 'Unfreeze leads',
+  tag: 'Tag leads',
+  assign: 'Assign owner',
+  sequence: 'Set sequence',
+  pause: 'Pause followups',
+  convert: 'Mark converted',
+  rollback: 'Roll back import',
+  undo: 'Undo',
+};
+
+function JobCard({ job, now, onUndo, onDismiss }) {
+  const [showFailures, setShowFailures] = useState(false);
+  const [undoing, setUndoing] = useState(false);
+
+  const finished = isJobFinished(job);
+  const total = job.total || 0;
+  const processed = job.processed || 0;
+  const percent = total ? Math.round((processed / total) * 100) : 0;
+  const failures = job.errors || [];
+  const undoSecondsLeft = job.undoUntil ? Math.max(0, Math.ceil((new Date(job.undoUntil) - now) / 1000)) : 0;
+  const canUndo = job.status === 'completed' && (job.succeeded || 0) > 0 && undoSecondsLeft > 0;
+
+  const color = job.status === 'failed' ? '#ef4444'
+    : job.status === 'undone' ? '#64748b'
+    : finished && job.failed > 0 ? '#f59e0b'
+    : finished ? '#22c55e' : '#a855f7';
+  const StatusIcon = !finished ? Loader2
+    : job.status === 'failed' ? XCircle
+    : job.failed > 0 ? AlertCircle : CheckCircle;
+
+  const handleUndo = async () => {
+    setUndoing(true);
+    try {
+      await onUndo(job);
+    } catch (error) {
+      console.error('[BulkJob] Undo failed:', error);
+    } finally {
+      setUndoing(false);
+    }
+  };
+
+  return (
+    <div style={{
+      background: 'var(--bg-card)',
+      border: '1px solid var(--border-color)',
+      borderLeft: `3px solid ${color}`,
+      borderRadius: '12px',
+      padding: '12px 14px',
+      boxShadow: '0 10px 40px rgba(0,0,0,0.3)'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+        <StatusIcon size={18} color={color} className={finished ? '' : 'animate-spin'} />
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ fontWeight: 600, fontSize: '0.875rem', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+            {job.label || ACTION_LABELS[job.action] || 'Bulk action'}
+          </div>
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+            {job.status === 'undone' ? 'Undone'
+              : job.status === 'failed' ? (job.error || 'Job failed')
+              : finished ? `${job.succeeded || 0} done${job.failed ? `, ${job.failed} failed` : ''}`
+              : `${processed} of ${total || '…'} leads`}
+          </div>
+        </div>
+        {finished && (
+          <button
+            onClick={() => onDismiss(job.id)}
+            style={{ background: 'none', border: 'none', padding: '2px', cursor: 'pointer', color: 'var(--text-muted)' }}
+            title="Dismiss"
+          >
+            <X size={16} />
+          </button>
+        )}
+      </div>
+
+      {!finished && (
+        <div style={{ height: '6px', background: 'var(--bg-hover)', borderRadius: '3px', marginTop: '10px', overflow: 'hidden' }}>
+          <div style={{ width: `${percent}%`, height: '100%', background: color, transition: 'width 0.3s ease' }} />
+        </div>
+      )}
+
+      {finished && (canUndo || failures.length > 0) && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '10px' }}>
+          {failures.length > 0 && (
+            <button
+              onClick={() => setShowFailures(prev => !prev)}
+              style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: '#f59e0b', fontSize: '0.8rem', display: 'flex', alignItems: 'center', gap: '4px' }}
+            >
+              {showFailures ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+              {showFailures ? 'Hide' : 'Show'} failures
+            </button>
+          )}
+          {canUndo && (
+            <button
+              onClick={handleUndo}
+              disabled={undoing}
+              style={{ marginLeft: 'auto', background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: 'var(--accent-primary)', fontSize: '0.8rem', display: 'flex', alignItems: 'center', gap: '4px' }}
+            >
+              <RotateCcw size={14} /> Undo ({undoSecondsLeft}s)
+            </button>
+          )}
+        </div>
+      )}
+
+      {showFailures && (
+        <div style={{ marginTop: '8px', maxHeight: '160px', overflowY: 'auto', fontSize: '0.75rem' }}>
+          {failures.map((failure, idx) => (
+            <div key={failure.leadId || idx} style={{ padding: '6px 0', borderTop: '1px solid var(--border-color)' }}>
+              <div style={{ fontWeight: 500 }}>{failure.email || failure.leadId}</div>
+              <div style={{ color: '#ef4444' }}>{failure.error}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function BulkJobTracker({ jobs, onUndo, onDismiss }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  // Tick once a second while an undo window is open so the countdown updates
+  const hasUndoWindow = jobs.some(job => job.undoUntil && new Date(job.undoUntil) > now);
+  useEffect(() => {
+    if (!hasUndoWindow) return;
+    const tick = () => setNow(Date.now());
+    const first = setTimeout(tick, 0);
+    const timer = setInterval(tick, 1000);
+    return () => {
+      clearTimeout(first);
+      clearInterval(timer);
+    };
+  }, [hasUndoWindow]);
+
+  if (jobs.length === 0) return null;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      bottom: '2rem',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      width: '340px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '10px',
+      zIndex: 999
+    }}>
+      {jobs.map(job => (
+        <JobCard key={job.id} job={job} now={now} onUndo={onUndo} onDismiss={onDismiss} />
+      ))}
+    </div>
+  );
+}
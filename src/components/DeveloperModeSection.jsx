@@ -24,7 +24,7 @@ export default function DeveloperModeSection({ showToast }) {
   const [jobs, setJobs] = useState([]);
   
   // Webhook Simulation State
-  const [webhookData, setWebhookData] = useState({ jobId: '', eventType: 'delivered' });
+  const [webhookData, setWebhookData] = useState({ jobId: '', eventType: 'delivered', replyText: '' });
   
   // Scheduling State
   const [scheduleData, setScheduleData] = useState({ jobId: '', leadId: '' });
@@ -44,7 +44,7 @@ export default function DeveloperModeSection({ showToast }) {
   ];
 
   const eventTypes = [
-    'delivered', 'opened', 'clicked', 'soft_bounce', 
+    'delivered', 'opened', 'clicked', 'replied', 'soft_bounce', 
     'hard_bounce', 'blocked', 'spam', 'invalid', 'deferred', 'error'
   ];
 
@@ -133,7 +133,11 @@ export default function DeveloperModeSection({ showToast }) {
     }
     const result = await callApi('webhook', 'post', '/dev/webhook/simulate', {
       jobId: parseInt(webhookData.jobId),
-      eventType: webhookData.eventType
+      eventType: webhookData.eventType,
+      // Replies arrive as inbound mail rather than a Brevo event - send a body to thread onto the lead
+      ...(webhookData.eventType === 'replied' && {
+        replyText: webhookData.replyText || 'Thanks, this sounds interesting. Can we talk next week?'
+      })
     });
     if (result?.success) {
       showToast?.(`✓ Simulated ${webhookData.eventType} for job ${webhookData.jobId}`, 'success');
@@ -402,6 +406,20 @@ export default function DeveloperModeSection({ showToast }) {
             </button>
           </div>
 
+          {webhookData.eventType === 'replied' && (
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={{ display: 'block', marginBottom: '6px', fontWeight: 500 }}>Reply Text</label>
+              <textarea
+                placeholder="Thanks, this sounds interesting. Can we talk next week?"
+                value={webhookData.replyText}
+                onChange={e => setWebhookData(prev => ({ ...prev, replyText: e.target.value }))}
+                className="settings-input"
+                rows={3}
+                style={{ width: '100%', resize: 'vertical' }}
+              />
+            </div>
+          )}
+
           <div style={{ display: 'flex', gap: '1rem', marginBottom: '1rem' }}>
             <button className="btn btn-secondary" onClick={() => loadJobs('sent')}>
               Load Sent Jobs
@@ -2,16 +2,19 @@
 // Reusable modal to preview emails with variables replaced before sending
 import { useState, useEffect } from 'react';
 import { X, Eye, Send, User, Building, Mail, MapPin, Globe } from 'lucide-react';
+import { useSettings } from '../hooks/useApi';
+import { resolveCustomFields, customFieldVariables } from '../lib/customFields';
 
 export default function EmailPreviewModal({ 
   isOpen, 
   onClose, 
   onConfirm,
   template,  // { subject, body }
-  lead,      // { name, email, company, city, country }
+  lead,      // { name, email, company, city, country, customFields }
   title = 'Preview Email'
 }) {
   const [activeTab, setActiveTab] = useState('preview');
+  const { data: settings } = useSettings();
   
   if (!isOpen) return null;
 
@@ -23,7 +26,8 @@ export default function EmailPreviewModal({
       '{{company}}': lead?.company || lead?.name || 'Company Name',
       '{{email}}': lead?.email || 'email@example.com',
       '{{city}}': lead?.city || 'City',
-      '{{country}}': lead?.country || 'Country'
+      '{{country}}': lead?.country || 'Country',
+      ...customFieldVariables(lead, resolveCustomFields(settings))
     };
     let result = text;
     for (const [key, value] of Object.entries(variables)) {
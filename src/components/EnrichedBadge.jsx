@@ -0,0 +1,21 @@
+// components/EnrichedBadge.jsx
+// Marks a lead field that was filled in by enrichment rather than typed or imported
+import { Sparkles } from 'lucide-react';
+import { providerLabel } from '../lib/enrichment';
+
+// meta: lead.enrichment.fields[field] - { provider, at }
+export default function EnrichedBadge({ meta }) {
+  if (!meta) return null;
+  return (
+    <span
+      title={`Enriched by ${providerLabel(meta.provider)}${meta.at ? ` on ${new Date(meta.at).toLocaleDateString()}` : ''}`}
+      style={{
+        display: 'inline-flex', alignItems: 'center', gap: '3px', marginLeft: '6px',
+        padding: '1px 6px', borderRadius: '999px', fontSize: '0.65rem', fontWeight: 500,
+        color: '#a855f7', background: 'rgba(168, 85, 247, 0.12)', verticalAlign: 'middle'
+      }}
+    >
+      <Sparkles size={10} /> Enriched
+    </span>
+  );
+}
@@ -0,0 +1,147 @@
+// components/LeadExportModal.jsx
+// Export dialog - pick columns and format, then export every lead in scope
+import { useState, useMemo } from 'react';
+import { Download, X } from 'lucide-react';
+import { useFollowups, useSettings } from '../hooks/useApi';
+import {
+  BASE_EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, ENGAGEMENT_GROUP, EXPORT_FORMATS,
+  buildStepColumns, buildCustomFieldColumns, fetchAllLeads, exportLeads
+} from '../lib/leadExport';
+import { resolveCustomFields } from '../lib/customFields';
+
+const STORAGE_KEY = 'leadflow-export-columns';
+
+// Remember the last column choice - the same export is run every week
+const loadSavedColumns = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || DEFAULT_EXPORT_COLUMNS;
+  } catch {
+    return DEFAULT_EXPORT_COLUMNS;
+  }
+};
+
+/**
+ * fetchPage(page, extraFilters) loads one page of the current filter.
+ * selectedIds narrows the export to checked rows when given.
+ */
+export default function LeadExportModal({ onClose, fetchPage, total, selectedIds = [], showToast }) {
+  const [columnIds, setColumnIds] = useState(loadSavedColumns);
+  const [format, setFormat] = useState('csv');
+  const [scope, setScope] = useState(selectedIds.length > 0 ? 'selected' : 'all');
+  const [progress, setProgress] = useState(null);
+
+  const { data: followupsData } = useFollowups();
+  const { data: settings } = useSettings();
+  const columns = useMemo(() => {
+    const followups = Array.isArray(followupsData) ? followupsData : followupsData?.followups || [];
+    const stepNames = [...followups].sort((a, b) => a.order - b.order).map(f => f.name);
+    return [
+      ...BASE_EXPORT_COLUMNS,
+      ...buildCustomFieldColumns(resolveCustomFields(settings)),
+      ...buildStepColumns(stepNames),
+    ];
+  }, [followupsData, settings]);
+
+  const groups = useMemo(() => [...new Set(columns.map(c => c.group))], [columns]);
+  const chosen = columns.filter(c => columnIds.includes(c.id));
+  const exportCount = scope === 'selected' ? selectedIds.length : total;
+
+  const toggleColumn = (id) => {
+    setColumnIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  const handleExport = async () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(columnIds));
+    setProgress({ loaded: 0, total: exportCount });
+    try {
+      const extra = {};
+      // Only ask the server for event history and schedules when a column needs them
+      if (chosen.some(c => c.group === ENGAGEMENT_GROUP)) extra.include = 'engagement';
+      if (scope === 'selected') extra.ids = selectedIds.join(',');
+
+      const leads = await fetchAllLeads(page => fetchPage(page, extra), setProgress);
+      await exportLeads(leads, chosen, format, `leads_export_${new Date().toISOString().split('T')[0]}`);
+      showToast?.(`Exported ${leads.length} leads to ${format.toUpperCase()}`, 'success');
+      onClose();
+    } catch (error) {
+      showToast?.('Export failed: ' + error.message, 'error');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed', inset: 0, zIndex: 1000,
+        display: 'flex', alignItems: 'center', justifyContent: 'center',
+        background: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(4px)'
+      }}
+      onClick={() => !progress && onClose()}
+    >
+      <div
+        style={{
+          background: 'var(--bg-card)', borderRadius: '16px',
+          padding: '24px', width: '560px', maxWidth: '90%', maxHeight: '85vh', overflowY: 'auto'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <h3 style={{ margin: 0 }}>Export Leads</h3>
+          <button onClick={onClose} disabled={!!progress} style={{ background: 'none', border: 'none', cursor: 'pointer' }}>
+            <X size={20} color="var(--text-secondary)" />
+          </button>
+        </div>
+
+        {/* Scope */}
+        <div style={{ display: 'flex', gap: '16px', marginBottom: '16px', fontSize: '0.9rem' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+            <input type="radio" checked={scope === 'all'} onChange={() => setScope('all')} />
+            All {total} leads matching current filters
+          </label>
+          {selectedIds.length > 0 && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+              <input type="radio" checked={scope === 'selected'} onChange={() => setScope('selected')} />
+              {selectedIds.length} selected
+            </label>
+          )}
+        </div>
+
+        {/* Columns */}
+        {groups.map(group => (
+          <div key={group} style={{ marginBottom: '16px' }}>
+            <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginBottom: '8px' }}>{group}</p>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(160px, 1fr))', gap: '6px' }}>
+              {columns.filter(c => c.group === group).map(column => (
+                <label key={column.id} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.85rem', cursor: 'pointer' }}>
+                  <input type="checkbox" checked={columnIds.includes(column.id)} onChange={() => toggleColumn(column.id)} />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {/* Format */}
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '20px' }}>
+          <span style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>Format</span>
+          <select value={format} onChange={(e) => setFormat(e.target.value)}>
+            {EXPORT_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+          </select>
+        </div>
+
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', alignItems: 'center' }}>
+          {progress && (
+            <span style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', marginRight: 'auto' }}>
+              Loading {progress.loaded} of {progress.total} leads…
+            </span>
+          )}
+          <button className="btn btn-secondary" onClick={onClose} disabled={!!progress}>Cancel</button>
+          <button className="btn btn-primary" onClick={handleExport} disabled={!!progress || chosen.length === 0 || exportCount === 0}>
+            <Download size={16} /> Export
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
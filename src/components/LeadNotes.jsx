@@ -0,0 +1,116 @@
+// components/LeadNotes.jsx
+// Notes thread on a lead - free-form context from whoever is working it
+import { useState } from 'react';
+import { MessageSquare, Send, Trash2 } from 'lucide-react';
+import { useLeadNotes, useAddLeadNote, useDeleteLeadNote } from '../hooks/useApi';
+import { useOwners } from '../contexts/OwnerContext';
+import { ownerInitials } from '../lib/owners';
+
+export default function LeadNotes({ leadId, showToast }) {
+  const { currentOwner } = useOwners();
+  const { data: notes = [], isLoading } = useLeadNotes(leadId);
+  const addNoteMutation = useAddLeadNote();
+  const deleteNoteMutation = useDeleteLeadNote();
+  const [body, setBody] = useState('');
+
+  const handleAdd = async () => {
+    if (!body.trim()) return;
+    try {
+      await addNoteMutation.mutateAsync({
+        leadId,
+        note: {
+          body: body.trim(),
+          authorId: currentOwner?.id || null,
+          authorName: currentOwner?.name || 'Admin',
+        },
+      });
+      setBody('');
+    } catch (error) {
+      showToast?.('Failed to add note: ' + error.message, 'error');
+    }
+  };
+
+  const handleDelete = async (noteId) => {
+    try {
+      await deleteNoteMutation.mutateAsync({ leadId, noteId });
+    } catch (error) {
+      showToast?.('Failed to delete note: ' + error.message, 'error');
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3 style={{ margin: '0 0 1rem', fontSize: '1.1rem', display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <MessageSquare size={18} /> Notes
+        {notes.length > 0 && (
+          <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)', fontWeight: 400 }}>({notes.length})</span>
+        )}
+      </h3>
+
+      <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+        <textarea
+          className="input-field"
+          rows={2}
+          placeholder="Add a note... (Ctrl+Enter to save)"
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) handleAdd();
+          }}
+          style={{ flex: 1, resize: 'vertical' }}
+        />
+        <button
+          className="btn btn-primary"
+          onClick={handleAdd}
+          disabled={!body.trim() || addNoteMutation.isPending}
+          style={{ alignSelf: 'flex-end' }}
+        >
+          <Send size={16} />
+        </button>
+      </div>
+
+      {isLoading ? (
+        <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>Loading notes...</p>
+      ) : notes.length === 0 ? (
+        <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>No notes yet.</p>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', maxHeight: '360px', overflowY: 'auto' }}>
+          {notes.map(note => (
+            <div key={note.id} style={{ display: 'flex', gap: '10px' }}>
+              <div style={{
+                width: '28px', height: '28px', borderRadius: '50%', flexShrink: 0,
+                background: 'rgba(124, 58, 237, 0.15)', color: 'var(--accent-primary)',
+                display: 'flex', alignItems: 'center', justifyContent: 'center',
+                fontSize: '0.7rem', fontWeight: 600
+              }}>
+                {ownerInitials(note.authorName)}
+              </div>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.8rem' }}>
+                  <span style={{ fontWeight: 600 }}>{note.authorName || 'Admin'}</span>
+                  <span style={{ color: 'var(--text-muted)' }}>
+                    {new Date(note.createdAt).toLocaleString()}
+                  </span>
+                  <button
+                    onClick={() => handleDelete(note.id)}
+                    disabled={deleteNoteMutation.isPending}
+                    title="Delete note"
+                    style={{
+                      marginLeft: 'auto', background: 'none', border: 'none',
+                      color: 'var(--text-muted)', cursor: 'pointer', padding: '2px', display: 'flex'
+                    }}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+                <p style={{ margin: '4px 0 0', fontSize: '0.9rem', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                  {note.body}
+                </p>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
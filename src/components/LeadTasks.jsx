@@ -0,0 +1,209 @@
+// components/LeadTasks.jsx
+// Tasks on a lead - due reminders are raised by the server as notifications and pushes
+import { useState } from 'react';
+import { ListChecks, Plus, Trash2, AlertCircle } from 'lucide-react';
+import { useTasks, useSaveTask, useDeleteTask } from '../hooks/useApi';
+import { useOwners } from '../contexts/OwnerContext';
+import { findOwner } from '../lib/owners';
+import { isTaskOverdue, formatDueLabel, dueQuickPicks, toDateTimeInputValue } from '../lib/tasks';
+
+const chipStyle = {
+  padding: '4px 10px', fontSize: '0.75rem', borderRadius: '999px',
+  border: '1px solid var(--border-color)', background: 'var(--bg-hover)',
+  color: 'var(--text-secondary)', cursor: 'pointer'
+};
+
+// steps: upcoming sequence emails [{ name, scheduledFor }] offered as "After ..." due dates
+export default function LeadTasks({ lead, steps, showToast }) {
+  const { team, currentOwner } = useOwners();
+  const { data: tasks = [], isLoading } = useTasks({ leadId: lead.id });
+  const saveTaskMutation = useSaveTask();
+  const deleteTaskMutation = useDeleteTask();
+
+  const [title, setTitle] = useState('');
+  const [dueAt, setDueAt] = useState('');
+  // null until picked - defaults to the lead's owner, then whoever is using this browser
+  const [assigneeId, setAssigneeId] = useState(null);
+  const [showDone, setShowDone] = useState(false);
+
+  const assignee = assigneeId ?? (lead.ownerId || currentOwner?.id || '');
+  const quickPicks = dueQuickPicks(steps);
+
+  const openTasks = tasks
+    .filter(t => t.status !== 'done')
+    .sort((a, b) => new Date(a.dueAt || 8.64e15) - new Date(b.dueAt || 8.64e15));
+  const doneTasks = tasks.filter(t => t.status === 'done');
+
+  const handleAdd = async () => {
+    if (!title.trim()) return;
+    if (!dueAt) {
+      showToast?.('Pick a due date for the task', 'error');
+      return;
+    }
+    try {
+      await saveTaskMutation.mutateAsync({
+        task: {
+          leadId: lead.id,
+          leadName: lead.name,
+          title: title.trim(),
+          dueAt: new Date(dueAt).toISOString(),
+          assigneeId: assignee || null,
+          status: 'open',
+        },
+      });
+      setTitle('');
+      setDueAt('');
+      showToast?.('Task added', 'success');
+    } catch (error) {
+      showToast?.('Failed to add task: ' + error.message, 'error');
+    }
+  };
+
+  const handleToggle = async (task) => {
+    const done = task.status !== 'done';
+    try {
+      await saveTaskMutation.mutateAsync({
+        id: task.id,
+        task: { status: done ? 'done' : 'open', completedAt: done ? new Date().toISOString() : null },
+      });
+    } catch (error) {
+      showToast?.('Failed to update task: ' + error.message, 'error');
+    }
+  };
+
+  const handleDelete = async (taskId) => {
+    try {
+      await deleteTaskMutation.mutateAsync(taskId);
+    } catch (error) {
+      showToast?.('Failed to delete task: ' + error.message, 'error');
+    }
+  };
+
+  const renderTask = (task) => {
+    const overdue = isTaskOverdue(task);
+    const owner = findOwner(team, task.assigneeId);
+    return (
+      <div
+        key={task.id}
+        style={{
+          display: 'flex', alignItems: 'flex-start', gap: '10px',
+          padding: '0.6rem 0.75rem', borderRadius: '6px',
+          background: overdue ? 'rgba(239, 68, 68, 0.08)' : 'var(--bg-hover)'
+        }}
+      >
+        <input
+          type="checkbox"
+          checked={task.status === 'done'}
+          onChange={() => handleToggle(task)}
+          disabled={saveTaskMutation.isPending}
+          style={{ marginTop: '3px', cursor: 'pointer' }}
+        />
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{
+            fontSize: '0.9rem', fontWeight: 500,
+            textDecoration: task.status === 'done' ? 'line-through' : 'none',
+            color: task.status === 'done' ? 'var(--text-muted)' : 'var(--text-primary)'
+          }}>
+            {task.title}
+          </div>
+          <div style={{ fontSize: '0.75rem', color: overdue ? '#ef4444' : 'var(--text-muted)', display: 'flex', alignItems: 'center', gap: '4px' }}>
+            {overdue && <AlertCircle size={12} />}
+            {task.dueAt && new Date(task.dueAt).toLocaleString()}
+            {task.status !== 'done' && ` · ${formatDueLabel(task.dueAt)}`}
+            {owner && ` · ${owner.name}`}
+          </div>
+        </div>
+        <button
+          onClick={() => handleDelete(task.id)}
+          disabled={deleteTaskMutation.isPending}
+          title="Delete task"
+          style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer', padding: '2px', display: 'flex' }}
+        >
+          <Trash2 size={14} />
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="card">
+      <h3 style={{ margin: '0 0 1rem', fontSize: '1.1rem', display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <ListChecks size={18} /> Tasks
+        {openTasks.length > 0 && (
+          <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)', fontWeight: 400 }}>({openTasks.length} open)</span>
+        )}
+      </h3>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginBottom: '1rem' }}>
+        <input
+          type="text"
+          className="input-field"
+          placeholder="e.g. Call after second followup"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+        />
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <input
+            type="datetime-local"
+            className="input-field"
+            value={dueAt}
+            onChange={(e) => setDueAt(e.target.value)}
+            style={{ flex: 1 }}
+          />
+          {team.length > 0 && (
+            <select
+              className="input-field"
+              value={assignee}
+              onChange={(e) => setAssigneeId(e.target.value)}
+              style={{ flex: 1 }}
+            >
+              <option value="">Unassigned</option>
+              {team.map(member => (
+                <option key={member.id} value={member.id}>{member.name}</option>
+              ))}
+            </select>
+          )}
+          <button
+            className="btn btn-primary"
+            onClick={handleAdd}
+            disabled={!title.trim() || saveTaskMutation.isPending}
+          >
+            <Plus size={16} />
+          </button>
+        </div>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+          {quickPicks.map(pick => (
+            <button
+              key={pick.label}
+              type="button"
+              onClick={() => setDueAt(toDateTimeInputValue(pick.dueAt))}
+              style={chipStyle}
+            >
+              {pick.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {isLoading ? (
+        <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>Loading tasks...</p>
+      ) : tasks.length === 0 ? (
+        <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>No tasks for this lead.</p>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+          {openTasks.map(renderTask)}
+          {doneTasks.length > 0 && (
+            <button
+              onClick={() => setShowDone(!showDone)}
+              style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer', fontSize: '0.8rem', textAlign: 'left', padding: '4px 0' }}
+            >
+              {showDone ? 'Hide' : 'Show'} {doneTasks.length} completed
+            </button>
+          )}
+          {showDone && doneTasks.map(renderTask)}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,13 +1,15 @@
 // components/NotificationCenter.jsx
 // Notification center with TanStack Query for real-time updates
 import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
-import { Bell, Check, Mail, AlertTriangle, User, Clock, X, CheckCircle, XCircle, Info } from 'lucide-react';
+import { Bell, Check, Mail, AlertTriangle, User, Clock, X, CheckCircle, XCircle, Info, ListChecks } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
 import gsap from 'gsap';
 import { useNotifications, useMarkNotificationRead } from '../hooks/useApi';
 
 export default function NotificationCenter() {
   const [isOpen, setIsOpen] = useState(false);
   const dropdownRef = useRef(null);
+  const navigate = useNavigate();
   
   // TanStack Query - auto-refreshes every 30s, cached
   const { data, isLoading } = useNotifications(1, 20);
@@ -43,6 +45,15 @@ export default function NotificationCenter() {
     markReadMutation.mutate(id);
   }, [markReadMutation]);
 
+  // Notifications with a link (e.g. a due task) open the page they point at
+  const handleClick = useCallback((notification) => {
+    if (!notification.read) handleMarkRead(notification.id);
+    if (notification.link) {
+      setIsOpen(false);
+      navigate(notification.link);
+    }
+  }, [handleMarkRead, navigate]);
+
   const handleMarkAllRead = useCallback((e) => {
     e.stopPropagation();
     markReadMutation.mutate(null); // null = mark all
@@ -70,6 +81,7 @@ export default function NotificationCenter() {
       case 'success': return <CheckCircle size={16} color="#22c55e" />;
       case 'error': return <XCircle size={16} color="#ef4444" />;
       case 'warning': return <AlertTriangle size={16} color="#eab308" />;
+      case 'task_due': return <ListChecks size={16} color="#f97316" />;
       default: return <Info size={16} color="#3b82f6" />;
     }
   }, []);
@@ -177,7 +189,7 @@ export default function NotificationCenter() {
               notifications.map((notification) => (
                 <div
                   key={notification.id}
-                  onClick={() => !notification.read && handleMarkRead(notification.id)}
+                  onClick={() => handleClick(notification)}
                   style={{
                     padding: '0.85rem 1rem',
                     borderBottom: '1px solid var(--border-color)',
@@ -185,7 +197,7 @@ export default function NotificationCenter() {
                     gap: '14px',
                     alignItems: 'flex-start',
                     background: notification.read ? 'transparent' : 'rgba(124, 58, 237, 0.04)',
-                    cursor: notification.read ? 'default' : 'pointer',
+                    cursor: notification.read && !notification.link ? 'default' : 'pointer',
                     transition: 'background 0.2s'
                   }}
                   onMouseEnter={e => !notification.read && (e.currentTarget.style.background = 'rgba(124, 58, 237, 0.08)')}
@@ -0,0 +1,28 @@
+// components/OwnerFilterSelect.jsx
+// Owner filter with a "My leads" shortcut for whoever picked their name in the sidebar
+import { useOwners } from '../contexts/OwnerContext';
+import { UNASSIGNED } from '../lib/owners';
+
+export default function OwnerFilterSelect({ value, onChange, className, style, mineLabel = 'My Leads' }) {
+  const { team, currentOwner } = useOwners();
+  if (team.length === 0) return null;
+
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={className}
+      style={{
+        ...(currentOwner && value === currentOwner.id ? { borderColor: 'var(--accent-primary)', color: 'var(--accent-primary)' } : {}),
+        ...style
+      }}
+    >
+      <option value="">All Owners</option>
+      {currentOwner && <option value={currentOwner.id}>{mineLabel}</option>}
+      <option value={UNASSIGNED}>Unassigned</option>
+      {team.filter(member => member.id !== currentOwner?.id).map(member => (
+        <option key={member.id} value={member.id}>{member.name}</option>
+      ))}
+    </select>
+  );
+}
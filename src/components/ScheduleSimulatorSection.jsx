@@ -0,0 +1,257 @@
+// components/ScheduleSimulatorSection.jsx - Preview a sample lead's future sends with every scheduling rule applied
+import { useState, useMemo } from 'react';
+import { CalendarClock, Calendar, Pause, Clock, TrendingUp, Zap, AlertTriangle, SkipForward, MessageSquare } from 'lucide-react';
+import { findSequence } from '../lib/sequences';
+import {
+  ENGAGEMENT_OPTIONS,
+  resolveScheduleRules,
+  simulationSteps,
+  simulateSchedule,
+  describeAdjustment,
+  formatZoned,
+  zonedParts,
+  zonedDate,
+  isValidTimezone,
+} from '../lib/scheduleSimulator';
+
+const RULE_ICONS = {
+  weekend: { icon: Calendar, color: '#22c55e' },
+  paused: { icon: Pause, color: '#f97316' },
+  business_hours: { icon: Clock, color: '#3b82f6' },
+  smart_send: { icon: TrendingUp, color: '#f97316' },
+  rate_limit: { icon: Zap, color: '#a855f7' },
+};
+
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const TIMEZONES = Intl.supportedValuesOf?.('timeZone') || [];
+
+const labelStyle = { fontSize: '0.8rem', color: 'var(--text-secondary)', display: 'block', marginBottom: '6px' };
+
+// datetime-local value for a moment, as wall-clock time in the timezone
+const toLocalInput = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+};
+
+const fromLocalInput = (value, timeZone) => {
+  const [date, time = '00:00'] = value.split('T');
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return zonedDate(timeZone, year, month, day, hour, minute);
+};
+
+/**
+ * Uses the Settings page's working copy, so unsaved rule changes show up straight away
+ */
+export default function ScheduleSimulatorSection({ settings, sequences, templates, pausedDates, weekendDays }) {
+  const [sequenceId, setSequenceId] = useState(sequences[0]?.id);
+  const [timeZone, setTimeZone] = useState(BROWSER_TIMEZONE);
+  const [fromStep, setFromStep] = useState(0);
+  const [since, setSince] = useState(() => toLocalInput(new Date(), BROWSER_TIMEZONE));
+  const [engagementId, setEngagementId] = useState('none');
+  const [repliesAfterStep, setRepliesAfterStep] = useState('');
+  const [queued, setQueued] = useState(0);
+
+  const sequence = findSequence(sequences, sequenceId);
+  const steps = simulationSteps(sequence, engagementId);
+  const validTimezone = isValidTimezone(timeZone);
+
+  const rules = useMemo(
+    () => resolveScheduleRules(settings, { pausedDates, weekendDays }),
+    [settings, pausedDates, weekendDays]
+  );
+
+  const results = useMemo(() => {
+    if (!validTimezone || !since) return [];
+    return simulateSchedule(sequence, rules, {
+      timeZone,
+      fromStep: Math.min(fromStep, Math.max(steps.length - 1, 0)),
+      since: fromLocalInput(since, timeZone),
+      engagementId,
+      repliesAfterStep: repliesAfterStep === '' ? null : Number(repliesAfterStep),
+      queued,
+    });
+  }, [sequence, steps.length, rules, timeZone, validTimezone, fromStep, since, engagementId, repliesAfterStep, queued]);
+
+  const templateName = (step) =>
+    templates.find(t => t.id === step.templateId)?.name || 'Default Template';
+
+  return (
+    <>
+      <div className="settings-section-header">
+        <div className="settings-section-icon" style={{ background: 'rgba(6, 182, 212, 0.1)' }}>
+          <CalendarClock size={24} color="#06b6d4" />
+        </div>
+        <div>
+          <h3 className="settings-section-title">Schedule Simulator</h3>
+        </div>
+      </div>
+      <p className="settings-section-desc">
+        See exactly when a sample lead's remaining emails would go out, with working days, paused
+        dates, business hours, smart send windows and the rate limit applied - and why each email
+        moved. Unsaved changes on the other Sending pages are included.
+      </p>
+
+      <div className="settings-group">
+        <div className="settings-group-title">Sample Lead</div>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem' }}>
+          <div>
+            <label style={labelStyle}>Sequence</label>
+            <select
+              className="settings-select"
+              style={{ width: '100%' }}
+              value={sequence.id}
+              onChange={(e) => { setSequenceId(e.target.value); setFromStep(0); }}
+            >
+              {sequences.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Timezone</label>
+            <input
+              className="input-field"
+              list="simulator-timezones"
+              value={timeZone}
+              onChange={(e) => setTimeZone(e.target.value.trim())}
+              style={{ borderColor: validTimezone ? undefined : '#ef4444' }}
+            />
+            <datalist id="simulator-timezones">
+              {TIMEZONES.map(tz => <option key={tz} value={tz} />)}
+            </datalist>
+          </div>
+          <div>
+            <label style={labelStyle}>Next email</label>
+            <select
+              className="settings-select"
+              style={{ width: '100%' }}
+              value={fromStep}
+              onChange={(e) => setFromStep(Number(e.target.value))}
+            >
+              {steps.map((step, index) => (
+                <option key={step.id || index} value={index}>{index + 1}. {step.name || 'Untitled'}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>{fromStep === 0 ? 'Lead added at' : 'Previous email sent at'} (lead's time)</label>
+            <input
+              type="datetime-local"
+              className="input-field"
+              value={since}
+              onChange={(e) => setSince(e.target.value)}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>Engagement</label>
+            <select
+              className="settings-select"
+              style={{ width: '100%' }}
+              value={engagementId}
+              onChange={(e) => setEngagementId(e.target.value)}
+            >
+              {ENGAGEMENT_OPTIONS.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Replies</label>
+            <select
+              className="settings-select"
+              style={{ width: '100%' }}
+              value={repliesAfterStep}
+              onChange={(e) => setRepliesAfterStep(e.target.value)}
+            >
+              <option value="">Never replies</option>
+              {steps.map((step, index) => (
+                <option key={step.id || index} value={index}>After "{step.name || 'Untitled'}"</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Emails queued ahead at each send</label>
+            <input
+              type="number"
+              className="input-field"
+              min={0}
+              value={queued}
+              onChange={(e) => setQueued(Math.max(0, parseInt(e.target.value) || 0))}
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="settings-group">
+        <div className="settings-group-title">Projected Schedule</div>
+        {!validTimezone ? (
+          <p style={{ color: '#ef4444', fontSize: '0.9rem', margin: 0 }}>"{timeZone}" isn't a timezone this browser knows.</p>
+        ) : !since ? (
+          <p style={{ color: 'var(--text-muted)', fontSize: '0.9rem', margin: 0 }}>Pick when the sample lead was added or last emailed.</p>
+        ) : results.length === 0 ? (
+          <p style={{ color: 'var(--text-muted)', fontSize: '0.9rem', margin: 0 }}>This sequence has no emails to send.</p>
+        ) : results.map(result => {
+          const { step, index, status, due, time, adjustments, notes, unresolved } = result;
+          return (
+            <div
+              key={`${step.id || step.name}-${index}`}
+              style={{
+                display: 'grid', gridTemplateColumns: '36px 1fr', gap: '1rem',
+                padding: '1rem', marginBottom: '0.75rem', borderRadius: '10px',
+                background: 'var(--bg-glass)', border: '1px solid var(--border-color)',
+                opacity: status === 'scheduled' ? 1 : 0.7,
+              }}
+            >
+              <div className="step-number">{index + 1}</div>
+              <div>
+                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem', flexWrap: 'wrap' }}>
+                  <div>
+                    <div style={{ fontWeight: 500 }}>{step.name || 'Untitled'}</div>
+                    <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>{templateName(step)}</div>
+                  </div>
+                  {status === 'scheduled' ? (
+                    <div style={{ textAlign: 'right' }}>
+                      <div style={{ fontWeight: 600 }}>{formatZoned(time, timeZone)}</div>
+                      {timeZone !== BROWSER_TIMEZONE && (
+                        <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                          {formatZoned(time, BROWSER_TIMEZONE)} your time
+                        </div>
+                      )}
+                    </div>
+                  ) : (
+                    <span style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                      {status === 'skipped' ? <SkipForward size={14} /> : <MessageSquare size={14} />}
+                      {status === 'skipped' ? 'Skipped' : 'Not sent'}
+                    </span>
+                  )}
+                </div>
+
+                {status === 'scheduled' && (
+                  <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', marginTop: '8px' }}>
+                    Due {formatZoned(due, timeZone)}
+                    {index > 0 && ` - ${step.delayDays || 0} day${Number(step.delayDays) === 1 ? '' : 's'} after the previous email`}
+                    {adjustments.length === 0 && ', no changes needed'}
+                  </div>
+                )}
+                {adjustments?.map((adjustment, i) => {
+                  const { icon: Icon, color } = RULE_ICONS[adjustment.rule];
+                  return (
+                    <div key={i} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.8rem', marginTop: '4px' }}>
+                      <Icon size={13} color={color} /> {describeAdjustment(adjustment, timeZone)}
+                    </div>
+                  );
+                })}
+                {notes?.map((note, i) => (
+                  <div key={i} style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginTop: '4px' }}>{note}</div>
+                ))}
+                {unresolved && (
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.8rem', color: '#ef4444', marginTop: '6px' }}>
+                    <AlertTriangle size={13} /> No time fits every rule - check that the smart send windows fall inside business hours
+                  </div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </>
+  );
+}
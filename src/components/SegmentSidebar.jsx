@@ -0,0 +1,164 @@
+// components/SegmentSidebar.jsx
+// Saved lead segments with live counts and per-segment bulk actions
+import { useState, useEffect } from 'react';
+import { Bookmark, Users, Plus, MoreVertical, Mail, Tag, ListOrdered, Snowflake, Trash2, X } from 'lucide-react';
+
+const menuItemStyle = {
+  display: 'flex', alignItems: 'center', gap: '10px',
+  width: '100%', padding: '10px 14px', border: 'none',
+  background: 'transparent', color: 'var(--text-primary)',
+  cursor: 'pointer', fontSize: '0.85rem', textAlign: 'left'
+};
+
+const SEGMENT_ACTIONS = [
+  { id: 'schedule', label: 'Schedule Emails', icon: Mail, color: '#a855f7' },
+  { id: 'tag', label: 'Add Tags', icon: Tag, color: '#f59e0b' },
+  { id: 'sequence', label: 'Set Sequence', icon: ListOrdered, color: '#22c55e' },
+  { id: 'freeze', label: 'Freeze All', icon: Snowflake, color: '#3b82f6' },
+  { id: 'delete', label: 'Delete Leads', icon: Trash2, color: '#ef4444', divider: true },
+  { id: 'remove', label: 'Remove Segment', icon: X, color: 'var(--text-secondary)' },
+];
+
+export default function SegmentSidebar({ segments, isLoading, activeSegmentId, canSave, onSelect, onSave, onAction }) {
+  const [menuOpenId, setMenuOpenId] = useState(null);
+  const [isNaming, setIsNaming] = useState(false);
+  const [name, setName] = useState('');
+
+  // Close the action menu when clicking outside
+  useEffect(() => {
+    const handleClickOutside = () => setMenuOpenId(null);
+    if (menuOpenId) {
+      document.addEventListener('click', handleClickOutside);
+      return () => document.removeEventListener('click', handleClickOutside);
+    }
+  }, [menuOpenId]);
+
+  const handleSave = async () => {
+    if (!name.trim()) return;
+    const saved = await onSave(name.trim());
+    if (saved) {
+      setName('');
+      setIsNaming(false);
+    }
+  };
+
+  const rowStyle = (active) => ({
+    display: 'flex', alignItems: 'center', gap: '8px',
+    padding: '8px 10px', borderRadius: '8px', cursor: 'pointer',
+    background: active ? 'rgba(168, 85, 247, 0.15)' : 'transparent',
+    color: active ? '#a855f7' : 'var(--text-primary)',
+    fontSize: '0.875rem'
+  });
+
+  return (
+    <div className="card" style={{ padding: '1rem', position: 'sticky', top: '1rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '0.75rem' }}>
+        <h3 style={{ margin: 0, fontSize: '0.95rem', display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <Bookmark size={16} color="#a855f7" /> Segments
+        </h3>
+        <button
+          onClick={() => setIsNaming(true)}
+          disabled={!canSave}
+          title={canSave ? 'Save current filters as a segment' : 'Apply some filters first'}
+          style={{
+            background: 'none', border: 'none', padding: '4px',
+            cursor: canSave ? 'pointer' : 'not-allowed',
+            color: canSave ? 'var(--accent-primary)' : 'var(--text-muted)'
+          }}
+        >
+          <Plus size={18} />
+        </button>
+      </div>
+
+      {isNaming && (
+        <div style={{ display: 'flex', gap: '6px', marginBottom: '0.75rem' }}>
+          <input
+            type="text"
+            placeholder="Segment name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleSave();
+              if (e.key === 'Escape') setIsNaming(false);
+            }}
+            style={{ flex: 1, minWidth: 0, fontSize: '0.85rem' }}
+            autoFocus
+          />
+          <button className="btn btn-primary btn-sm" onClick={handleSave} disabled={!name.trim()}>
+            Save
+          </button>
+        </div>
+      )}
+
+      <div style={rowStyle(!activeSegmentId)} onClick={() => onSelect(null)}>
+        <Users size={15} />
+        <span style={{ flex: 1 }}>All Leads</span>
+      </div>
+
+      {isLoading ? (
+        <div style={{ display: 'flex', justifyContent: 'center', padding: '1rem' }}>
+          <div className="loading-spinner" style={{ width: '20px', height: '20px' }}></div>
+        </div>
+      ) : segments.length === 0 ? (
+        <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)', margin: '0.75rem 0 0', lineHeight: 1.5 }}>
+          Filter the list and click + to save it as a segment.
+        </p>
+      ) : (
+        segments.map(segment => (
+          <div
+            key={segment.id}
+            style={{ ...rowStyle(segment.id === activeSegmentId), position: 'relative' }}
+            onClick={() => onSelect(segment)}
+          >
+            <Bookmark size={15} />
+            <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={segment.name}>
+              {segment.name}
+            </span>
+            <span style={{
+              fontSize: '0.75rem', fontWeight: 600, padding: '2px 8px', borderRadius: '10px',
+              background: 'var(--bg-hover)', color: 'var(--text-secondary)'
+            }}>
+              {segment.count ?? '–'}
+            </span>
+            <button
+              onClick={(e) => { e.stopPropagation(); setMenuOpenId(menuOpenId === segment.id ? null : segment.id); }}
+              style={{ background: 'none', border: 'none', padding: '2px', cursor: 'pointer', color: 'var(--text-muted)' }}
+              title="Segment actions"
+            >
+              <MoreVertical size={15} />
+            </button>
+
+            {menuOpenId === segment.id && (
+              <div
+                onClick={(e) => e.stopPropagation()}
+                style={{
+                  position: 'absolute', top: '100%', right: 0, marginTop: '4px',
+                  background: 'var(--bg-card)', border: '1px solid var(--border-color)',
+                  borderRadius: '12px', boxShadow: '0 10px 40px rgba(0,0,0,0.3)',
+                  minWidth: '180px', zIndex: 100, overflow: 'hidden'
+                }}
+              >
+                {SEGMENT_ACTIONS.map(({ id, label, icon, color, divider }) => {
+                  const Icon = icon;
+                  return (
+                    <div key={id}>
+                      {divider && <div style={{ height: '1px', background: 'var(--border-color)' }} />}
+                      <button
+                        onClick={() => { setMenuOpenId(null); onAction(segment, id); }}
+                        style={menuItemStyle}
+                        onMouseEnter={(e) => e.currentTarget.style.background = 'var(--bg-hover)'}
+                        onMouseLeave={(e) => e.currentTarget.style.background = 'transparent'}
+                      >
+                        <Icon size={15} color={color} /> {label}
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+// components/SequenceDiff.jsx - Changes between two sequence versions
+import { Plus, Minus, PenLine, ArrowUpDown, GitBranch } from 'lucide-react';
+import { conditionLabel } from '../lib/sequenceFlow';
+import { VARIANT_METRICS } from '../lib/abTests';
+
+const CHANGE_STYLES = {
+  added: { icon: Plus, color: '#22c55e', bg: 'rgba(34, 197, 94, 0.08)' },
+  removed: { icon: Minus, color: '#ef4444', bg: 'rgba(239, 68, 68, 0.08)' },
+  changed: { icon: PenLine, color: '#f59e0b', bg: 'rgba(245, 158, 11, 0.08)' },
+  moved: { icon: ArrowUpDown, color: '#3b82f6', bg: 'rgba(59, 130, 246, 0.08)' },
+  renamed: { icon: PenLine, color: '#a855f7', bg: 'rgba(168, 85, 247, 0.08)' },
+  flow: { icon: GitBranch, color: '#a855f7', bg: 'rgba(168, 85, 247, 0.08)' },
+};
+
+const FIELD_LABELS = {
+  name: 'Name', templateId: 'Template', delayDays: 'Delay', condition: 'Condition',
+  variants: 'A/B variants', variantTest: 'A/B test',
+};
+
+const templateName = (templateId, templates) =>
+  templates.find(t => t.id === templateId)?.name || (templateId ? 'Deleted template' : 'Default Template');
+
+const formatField = (field, value, templates) => {
+  if (field === 'templateId') return templateName(value, templates);
+  if (field === 'delayDays') return `${value} day${value === 1 ? '' : 's'}`;
+  if (field === 'condition') {
+    if (!value) return 'Always';
+    return `${conditionLabel(value.type)}${value.skipIfNotMet ? ', skip if not met' : ''}`;
+  }
+  if (field === 'variants') {
+    if (!value) return 'None';
+    return value.map(v => `${v.label}: ${templateName(v.templateId, templates)}${v.subject ? ` "${v.subject}"` : ''} ${v.weight}%`).join(', ');
+  }
+  if (field === 'variantTest') {
+    if (!value) return 'None';
+    const metric = VARIANT_METRICS.find(m => m.id === value.metric)?.label || 'Open rate';
+    if (value.winnerId) return `${metric}, winner promoted`;
+    return value.autoPromote ? `${metric}, auto-promote at ${value.minSample} per variant` : metric;
+  }
+  return value || '—';
+};
+
+const describe = (change) => {
+  switch (change.type) {
+    case 'added': return `Step ${change.index + 1} "${change.step.name}" added`;
+    case 'removed': return `Step ${change.index + 1} "${change.step.name}" removed`;
+    case 'changed': return `Step ${change.index + 1} "${change.step.name}" changed`;
+    case 'moved': return `"${change.step.name}" moved from step ${change.fromIndex + 1} to ${change.index + 1}`;
+    default: return change.message;
+  }
+};
+
+export default function SequenceDiff({ changes, templates = [] }) {
+  if (changes.length === 0) {
+    return <p style={{ fontSize: '0.85rem', color: 'var(--text-muted)', margin: 0 }}>No changes.</p>;
+  }
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+      {changes.map((change, i) => {
+        const { icon: Icon, color, bg } = CHANGE_STYLES[change.type];
+        return (
+          <div key={i} style={{ padding: '8px 12px', borderRadius: '8px', background: bg, borderLeft: `3px solid ${color}` }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.85rem' }}>
+              <Icon size={14} color={color} /> {describe(change)}
+            </div>
+            {change.fields?.map(({ field, from, to }) => (
+              <div key={field} style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', marginLeft: '22px', marginTop: '4px' }}>
+                {FIELD_LABELS[field]}:{' '}
+                <span style={{ textDecoration: 'line-through', color: '#f87171' }}>{formatField(field, from, templates)}</span>
+                {' → '}
+                <span style={{ color: '#4ade80' }}>{formatField(field, to, templates)}</span>
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
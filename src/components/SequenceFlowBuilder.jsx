@@ -0,0 +1,304 @@
+// components/SequenceFlowBuilder.jsx - Visual editor for a sequence's branching flow
+import { useState, useMemo } from 'react';
+import { X, Mail, Clock, LogOut, Trash2, LayoutGrid, AlertCircle, AlertTriangle, CheckCircle, Plus, Save } from 'lucide-react';
+import SequenceFlowCanvas from './SequenceFlowCanvas';
+import {
+  FLOW_NODE_TYPES,
+  FLOW_CONDITIONS,
+  NODE_HEIGHT,
+  createFlowNode,
+  createFlowEdge,
+  outgoingEdges,
+  layoutFlow,
+  flowFromFollowups,
+  flowNodeLabel,
+  validateFlow,
+} from '../lib/sequenceFlow';
+
+const labelStyle = { fontSize: '0.8rem', color: 'var(--text-secondary)', display: 'block', marginBottom: '6px' };
+
+const iconBtnStyle = (color, bg) => ({
+  background: bg, border: 'none', borderRadius: '8px', padding: '8px',
+  cursor: 'pointer', color, display: 'flex'
+});
+
+// Condition for a new connection: Always first, then the first outcome not yet handled
+const nextCondition = (flow, node) => {
+  if (node.type !== 'email') return 'always';
+  const used = outgoingEdges(flow, node.id).map(e => e.condition);
+  if (used.length === 0) return 'always';
+  return FLOW_CONDITIONS.find(c => c.id !== 'always' && !used.includes(c.id))?.id || 'if_opened';
+};
+
+/**
+ * sequence: { name, followups, flow } - starts from the saved flow, or from the linear steps.
+ * onSave(flow) is only offered once validateFlow finds no errors.
+ */
+export default function SequenceFlowBuilder({ sequence, templates, saving, onSave, onClose }) {
+  const [flow, setFlow] = useState(() => sequence.flow || flowFromFollowups(sequence.followups));
+  const [selectedId, setSelectedId] = useState(null);
+
+  const validation = useMemo(() => validateFlow(flow), [flow]);
+  const problemNodeIds = useMemo(
+    () => new Set(validation.errors.flatMap(e => e.nodeIds)),
+    [validation]
+  );
+  const selected = flow.nodes.find(n => n.id === selectedId) || null;
+
+  const updateNode = (id, changes) =>
+    setFlow(prev => ({ ...prev, nodes: prev.nodes.map(n => (n.id === id ? { ...n, ...changes } : n)) }));
+
+  const addNode = (type) => {
+    const bottom = Math.max(0, ...flow.nodes.map(n => n.y + NODE_HEIGHT));
+    const node = createFlowNode(type, { x: 40, y: bottom + 40 });
+    setFlow(prev => ({ ...prev, nodes: [...prev.nodes, node] }));
+    setSelectedId(node.id);
+  };
+
+  const deleteNode = (id) => {
+    setFlow(prev => ({
+      nodes: prev.nodes.filter(n => n.id !== id),
+      edges: prev.edges.filter(e => e.from !== id && e.to !== id),
+    }));
+    setSelectedId(null);
+  };
+
+  const connect = (fromId, toId) => {
+    setFlow(prev => {
+      const from = prev.nodes.find(n => n.id === fromId);
+      if (!from || from.type === 'exit') return prev;
+      // Start and wait nodes have a single way out - connecting again moves it
+      const edges = from.type === 'email' ? prev.edges : prev.edges.filter(e => e.from !== fromId);
+      if (edges.some(e => e.from === fromId && e.to === toId)) return prev;
+      return { ...prev, edges: [...edges, createFlowEdge(fromId, toId, nextCondition({ ...prev, edges }, from))] };
+    });
+  };
+
+  const updateEdge = (id, changes) =>
+    setFlow(prev => ({ ...prev, edges: prev.edges.map(e => (e.id === id ? { ...e, ...changes } : e)) }));
+
+  const removeEdge = (id) => setFlow(prev => ({ ...prev, edges: prev.edges.filter(e => e.id !== id) }));
+
+  const targets = flow.nodes.filter(n => n.type !== 'start' && n.id !== selectedId);
+  const selectedEdges = selected ? outgoingEdges(flow, selected.id) : [];
+
+  return (
+    <div
+      style={{
+        position: 'fixed', inset: 0, zIndex: 1000,
+        display: 'flex', alignItems: 'center', justifyContent: 'center',
+        background: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(4px)', padding: '20px'
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          background: 'var(--bg-card)', borderRadius: '16px', padding: '24px',
+          width: '1200px', maxWidth: '100%', maxHeight: '95vh', overflowY: 'auto'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <div>
+            <h3 style={{ margin: 0 }}>Flow Builder - {sequence.name}</h3>
+            <p style={{ margin: '4px 0 0', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+              Drag nodes to arrange them. Drag from a node's bottom dot onto another node to connect them.
+            </p>
+          </div>
+          <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer' }}>
+            <X size={20} color="var(--text-secondary)" />
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '12px' }}>
+          <button className="btn btn-secondary" onClick={() => addNode('email')} style={{ width: 'auto' }}>
+            <Mail size={16} color={FLOW_NODE_TYPES.email.color} /> Email
+          </button>
+          <button className="btn btn-secondary" onClick={() => addNode('wait')} style={{ width: 'auto' }}>
+            <Clock size={16} color={FLOW_NODE_TYPES.wait.color} /> Wait
+          </button>
+          <button className="btn btn-secondary" onClick={() => addNode('exit')} style={{ width: 'auto' }}>
+            <LogOut size={16} color={FLOW_NODE_TYPES.exit.color} /> Exit
+          </button>
+          <button className="btn btn-secondary" onClick={() => setFlow(prev => layoutFlow(prev))} style={{ width: 'auto', marginLeft: 'auto' }}>
+            <LayoutGrid size={16} /> Tidy Layout
+          </button>
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 1fr) 280px', gap: '16px', alignItems: 'start' }}>
+          <SequenceFlowCanvas
+            flow={flow}
+            selectedId={selectedId}
+            problemNodeIds={problemNodeIds}
+            onSelect={setSelectedId}
+            onMoveNode={(id, x, y) => updateNode(id, { x, y })}
+            onConnect={connect}
+          />
+
+          {/* Selected node */}
+          <div style={{ background: 'var(--bg-glass)', border: '1px solid var(--border-color)', borderRadius: '12px', padding: '16px' }}>
+            {!selected ? (
+              <p style={{ fontSize: '0.85rem', color: 'var(--text-muted)', margin: 0 }}>
+                Select a node to edit it and its connections.
+              </p>
+            ) : (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <span style={{ fontWeight: 600, color: FLOW_NODE_TYPES[selected.type].color }}>
+                    {FLOW_NODE_TYPES[selected.type].label}
+                  </span>
+                  {selected.type !== 'start' && (
+                    <button onClick={() => deleteNode(selected.id)} title="Delete node" style={iconBtnStyle('#ef4444', 'rgba(239, 68, 68, 0.1)')}>
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </div>
+
+                {selected.type === 'email' && (
+                  <>
+                    <div>
+                      <label style={labelStyle}>Step name</label>
+                      <input
+                        type="text"
+                        className="input-field"
+                        value={selected.name}
+                        placeholder="e.g. Case study followup"
+                        onChange={(e) => updateNode(selected.id, { name: e.target.value })}
+                      />
+                    </div>
+                    <div>
+                      <label style={labelStyle}>Template</label>
+                      <select
+                        value={selected.templateId || ''}
+                        onChange={(e) => updateNode(selected.id, { templateId: e.target.value })}
+                        className="settings-select"
+                        style={{ width: '100%', minWidth: 'unset' }}
+                      >
+                        <option value="">Default Template</option>
+                        {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                      </select>
+                    </div>
+                  </>
+                )}
+
+                {selected.type === 'wait' && (
+                  <div>
+                    <label style={labelStyle}>Wait (days)</label>
+                    <input
+                      type="number"
+                      min={1}
+                      className="input-field"
+                      value={selected.delayDays}
+                      onChange={(e) => updateNode(selected.id, { delayDays: parseInt(e.target.value) || 0 })}
+                    />
+                  </div>
+                )}
+
+                {selected.type === 'exit' && (
+                  <div>
+                    <label style={labelStyle}>Label</label>
+                    <input
+                      type="text"
+                      className="input-field"
+                      value={selected.label}
+                      onChange={(e) => updateNode(selected.id, { label: e.target.value })}
+                    />
+                  </div>
+                )}
+
+                {selected.type !== 'exit' && (
+                  <div>
+                    <label style={labelStyle}>
+                      {selected.type === 'email' ? 'Then, depending on this email' : 'Then'}
+                    </label>
+                    {selectedEdges.map(edge => (
+                      <div key={edge.id} style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '6px' }}>
+                        {selected.type === 'email' && (
+                          <select
+                            value={edge.condition}
+                            onChange={(e) => updateEdge(edge.id, { condition: e.target.value })}
+                            className="settings-select"
+                            style={{ minWidth: 'unset', flex: 1 }}
+                          >
+                            {FLOW_CONDITIONS.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+                          </select>
+                        )}
+                        <select
+                          value={edge.to}
+                          onChange={(e) => updateEdge(edge.id, { to: e.target.value })}
+                          className="settings-select"
+                          style={{ minWidth: 'unset', flex: 1 }}
+                        >
+                          {targets.map(n => <option key={n.id} value={n.id}>{flowNodeLabel(n)}</option>)}
+                        </select>
+                        <button onClick={() => removeEdge(edge.id)} title="Remove connection" style={iconBtnStyle('var(--text-secondary)', 'transparent')}>
+                          <X size={14} />
+                        </button>
+                      </div>
+                    ))}
+                    {targets.length > 0 && (selected.type === 'email' || selectedEdges.length === 0) && (
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => connect(selected.id, (targets.find(n => !selectedEdges.some(e => e.to === n.id)) || targets[0]).id)}
+                        style={{ width: '100%', fontSize: '0.8rem', padding: '6px' }}
+                      >
+                        <Plus size={14} /> Add connection
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Validation */}
+        <div style={{ marginTop: '16px', display: 'flex', flexDirection: 'column', gap: '6px' }}>
+          {validation.errors.map((problem, i) => (
+            <button
+              key={`e${i}`}
+              onClick={() => problem.nodeIds[0] && setSelectedId(problem.nodeIds[0])}
+              style={{
+                display: 'flex', alignItems: 'center', gap: '8px', textAlign: 'left',
+                padding: '8px 12px', borderRadius: '8px', border: 'none', cursor: 'pointer',
+                background: 'rgba(239, 68, 68, 0.1)', color: '#ef4444', fontSize: '0.85rem'
+              }}
+            >
+              <AlertCircle size={14} /> {problem.message}
+            </button>
+          ))}
+          {validation.warnings.map((problem, i) => (
+            <button
+              key={`w${i}`}
+              onClick={() => problem.nodeIds[0] && setSelectedId(problem.nodeIds[0])}
+              style={{
+                display: 'flex', alignItems: 'center', gap: '8px', textAlign: 'left',
+                padding: '8px 12px', borderRadius: '8px', border: 'none', cursor: 'pointer',
+                background: 'rgba(245, 158, 11, 0.1)', color: '#f59e0b', fontSize: '0.85rem'
+              }}
+            >
+              <AlertTriangle size={14} /> {problem.message}
+            </button>
+          ))}
+          {validation.errors.length === 0 && validation.warnings.length === 0 && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.85rem', color: '#22c55e' }}>
+              <CheckCircle size={14} /> Every step is reachable and the flow always ends
+            </div>
+          )}
+        </div>
+
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', marginTop: '16px' }}>
+          <button className="btn btn-secondary" onClick={onClose}>Cancel</button>
+          <button
+            className="btn btn-primary"
+            onClick={() => onSave(flow)}
+            disabled={saving || validation.errors.length > 0}
+            title={validation.errors.length > 0 ? 'Fix the errors above to save' : undefined}
+          >
+            <Save size={16} /> {saving ? 'Saving...' : 'Save Flow'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
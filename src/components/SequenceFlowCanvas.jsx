@@ -0,0 +1,253 @@
+// components/SequenceFlowCanvas.jsx - Drawn flow graph for the sequence builder
+// Drag a node to move it, drag from its bottom port onto another node to connect them.
+import { useRef, useEffect, useState } from 'react';
+import { useTheme } from '../contexts/ThemeContext';
+import { FLOW_NODE_TYPES, NODE_WIDTH, NODE_HEIGHT, conditionLabel, flowNodeLabel } from '../lib/sequenceFlow';
+
+const PORT_RADIUS = 6;
+const MIN_HEIGHT = 460;
+
+const outputPort = (node) => ({ x: node.x + NODE_WIDTH / 2, y: node.y + NODE_HEIGHT });
+const inputPort = (node) => ({ x: node.x + NODE_WIDTH / 2, y: node.y });
+
+const hitNode = (nodes, x, y) =>
+  [...nodes].reverse().find(n => x >= n.x && x <= n.x + NODE_WIDTH && y >= n.y && y <= n.y + NODE_HEIGHT);
+
+const hitPort = (nodes, x, y) =>
+  [...nodes].reverse().find(n => {
+    if (n.type === 'exit') return false;
+    const port = outputPort(n);
+    return Math.hypot(x - port.x, y - port.y) <= PORT_RADIUS + 4;
+  });
+
+// Point on the cubic bezier used for edges, t in 0..1
+const bezierPoint = (a, c1, c2, b, t) => {
+  const mt = 1 - t;
+  return {
+    x: mt * mt * mt * a.x + 3 * mt * mt * t * c1.x + 3 * mt * t * t * c2.x + t * t * t * b.x,
+    y: mt * mt * mt * a.y + 3 * mt * mt * t * c1.y + 3 * mt * t * t * c2.y + t * t * t * b.y,
+  };
+};
+
+export default function SequenceFlowCanvas({ flow, selectedId, problemNodeIds, onSelect, onMoveNode, onConnect }) {
+  const canvasRef = useRef(null);
+  const containerRef = useRef(null);
+  const dragRef = useRef(null); // { mode: 'move' | 'connect', nodeId, offsetX, offsetY }
+  const [pointer, setPointer] = useState(null); // cursor while connecting
+  const [containerWidth, setContainerWidth] = useState(800);
+  const { theme } = useTheme();
+
+  const isDark = theme === 'dark';
+  const textColor = isDark ? '#e2e8f0' : '#1e293b';
+  const mutedColor = isDark ? '#64748b' : '#94a3b8';
+  const edgeColor = isDark ? '#475569' : '#cbd5e1';
+
+  const width = Math.max(containerWidth, ...flow.nodes.map(n => n.x + NODE_WIDTH + 40));
+  const height = Math.max(MIN_HEIGHT, ...flow.nodes.map(n => n.y + NODE_HEIGHT + 60));
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const measure = () => setContainerWidth(container.clientWidth);
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, []);
+
+  // Redraw whenever the graph, selection or connection drag changes
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+    ctx.clearRect(0, 0, width, height);
+
+    const byId = Object.fromEntries(flow.nodes.map(n => [n.id, n]));
+
+    // Edges
+    flow.edges.forEach(edge => {
+      const from = byId[edge.from];
+      const to = byId[edge.to];
+      if (!from || !to) return;
+      const a = outputPort(from);
+      const b = inputPort(to);
+      const bend = Math.max(40, Math.abs(b.y - a.y) / 2);
+      const c1 = { x: a.x, y: a.y + bend };
+      const c2 = { x: b.x, y: b.y - bend };
+      const highlighted = edge.from === selectedId || edge.to === selectedId;
+
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.bezierCurveTo(c1.x, c1.y, c2.x, c2.y, b.x, b.y);
+      ctx.strokeStyle = highlighted ? FLOW_NODE_TYPES[from.type].color : edgeColor;
+      ctx.lineWidth = highlighted ? 2.5 : 2;
+      ctx.stroke();
+
+      // Arrow head
+      ctx.beginPath();
+      ctx.moveTo(b.x, b.y);
+      ctx.lineTo(b.x - 5, b.y - 9);
+      ctx.lineTo(b.x + 5, b.y - 9);
+      ctx.closePath();
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.fill();
+
+      if (edge.condition !== 'always') {
+        const mid = bezierPoint(a, c1, c2, b, 0.5);
+        const text = conditionLabel(edge.condition);
+        ctx.font = '600 11px Inter, system-ui, sans-serif';
+        const textWidth = ctx.measureText(text).width;
+        ctx.beginPath();
+        ctx.roundRect(mid.x - textWidth / 2 - 8, mid.y - 10, textWidth + 16, 20, 10);
+        ctx.fillStyle = isDark ? '#1e1b2e' : '#f5f3ff';
+        ctx.fill();
+        ctx.strokeStyle = '#a855f7';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        ctx.fillStyle = '#a855f7';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, mid.x, mid.y + 1);
+      }
+    });
+
+    // Connection being dragged
+    const drag = dragRef.current;
+    if (drag?.mode === 'connect' && pointer && byId[drag.nodeId]) {
+      const a = outputPort(byId[drag.nodeId]);
+      ctx.beginPath();
+      ctx.setLineDash([6, 4]);
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(pointer.x, pointer.y);
+      ctx.strokeStyle = FLOW_NODE_TYPES[byId[drag.nodeId].type].color;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    // Nodes
+    flow.nodes.forEach(node => {
+      const { color } = FLOW_NODE_TYPES[node.type];
+      const isSelected = node.id === selectedId;
+      const hasProblem = problemNodeIds?.has(node.id);
+
+      ctx.beginPath();
+      ctx.roundRect(node.x, node.y, NODE_WIDTH, NODE_HEIGHT, 10);
+      ctx.fillStyle = isDark ? '#12121a' : '#ffffff';
+      ctx.fill();
+      ctx.fillStyle = color + '1f';
+      ctx.fill();
+      ctx.strokeStyle = hasProblem ? '#ef4444' : color;
+      ctx.lineWidth = isSelected ? 3 : 1.5;
+      if (isSelected) {
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 14;
+      }
+      ctx.stroke();
+      ctx.shadowBlur = 0;
+
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'alphabetic';
+      ctx.fillStyle = hasProblem ? '#ef4444' : color;
+      ctx.font = '600 10px Inter, system-ui, sans-serif';
+      ctx.fillText(FLOW_NODE_TYPES[node.type].label.toUpperCase(), node.x + 12, node.y + 18);
+
+      ctx.fillStyle = textColor;
+      ctx.font = '500 13px Inter, system-ui, sans-serif';
+      let label = flowNodeLabel(node);
+      while (label.length > 3 && ctx.measureText(label).width > NODE_WIDTH - 24) label = label.slice(0, -2);
+      if (label !== flowNodeLabel(node)) label = label.trimEnd() + '…';
+      ctx.fillText(label, node.x + 12, node.y + 38);
+
+      if (node.type !== 'exit') {
+        const port = outputPort(node);
+        ctx.beginPath();
+        ctx.arc(port.x, port.y, PORT_RADIUS, 0, Math.PI * 2);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.strokeStyle = isDark ? '#0a0a12' : '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+    });
+
+    if (flow.nodes.length === 0) {
+      ctx.fillStyle = mutedColor;
+      ctx.font = '14px Inter, system-ui, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText('Add a node to start', width / 2, height / 2);
+    }
+  }, [flow, selectedId, problemNodeIds, pointer, width, height, isDark, textColor, mutedColor, edgeColor]);
+
+  const toCanvas = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const handleMouseDown = (e) => {
+    const { x, y } = toCanvas(e);
+    const port = hitPort(flow.nodes, x, y);
+    if (port) {
+      dragRef.current = { mode: 'connect', nodeId: port.id };
+      setPointer({ x, y });
+      return;
+    }
+    const node = hitNode(flow.nodes, x, y);
+    onSelect(node?.id || null);
+    if (node) dragRef.current = { mode: 'move', nodeId: node.id, offsetX: x - node.x, offsetY: y - node.y };
+  };
+
+  const handleMouseMove = (e) => {
+    const { x, y } = toCanvas(e);
+    const drag = dragRef.current;
+    if (drag?.mode === 'move') {
+      onMoveNode(drag.nodeId, Math.max(0, Math.round(x - drag.offsetX)), Math.max(0, Math.round(y - drag.offsetY)));
+    } else if (drag?.mode === 'connect') {
+      setPointer({ x, y });
+    }
+    canvasRef.current.style.cursor = hitPort(flow.nodes, x, y)
+      ? 'crosshair'
+      : hitNode(flow.nodes, x, y) ? (drag?.mode === 'move' ? 'grabbing' : 'grab') : 'default';
+  };
+
+  const handleMouseUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (drag?.mode !== 'connect') return;
+    setPointer(null);
+    const { x, y } = toCanvas(e);
+    const target = hitNode(flow.nodes, x, y);
+    if (target && target.id !== drag.nodeId && target.type !== 'start') onConnect(drag.nodeId, target.id);
+  };
+
+  const handleMouseLeave = () => {
+    dragRef.current = null;
+    setPointer(null);
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      style={{
+        width: '100%',
+        overflow: 'auto',
+        maxHeight: '60vh',
+        borderRadius: '16px',
+        border: '1px solid var(--border-color)',
+        background: isDark ? 'linear-gradient(145deg, #0a0a12, #12121a)' : 'linear-gradient(145deg, #f8fafc, #f1f5f9)'
+      }}
+    >
+      <canvas
+        ref={canvasRef}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={handleMouseLeave}
+        style={{ width: `${width}px`, height: `${height}px`, display: 'block' }}
+      />
+    </div>
+  );
+}
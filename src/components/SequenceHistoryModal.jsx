@@ -0,0 +1,75 @@
+// components/SequenceHistoryModal.jsx - Published versions of a sequence, each diffed against the one before
+import { useState } from 'react';
+import { X, ChevronRight } from 'lucide-react';
+import SequenceDiff from './SequenceDiff';
+import { MIGRATION_STRATEGIES, diffSnapshots } from '../lib/sequenceVersions';
+
+export default function SequenceHistoryModal({ sequence, versions, templates, onClose }) {
+  const sorted = [...versions].sort((a, b) => b.version - a.version);
+  const [expanded, setExpanded] = useState(sorted[0]?.version ?? null);
+
+  return (
+    <div
+      style={{
+        position: 'fixed', inset: 0, zIndex: 1000,
+        display: 'flex', alignItems: 'center', justifyContent: 'center',
+        background: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(4px)', padding: '20px'
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          background: 'var(--bg-card)', borderRadius: '16px', padding: '24px',
+          width: '640px', maxWidth: '100%', maxHeight: '90vh', overflowY: 'auto'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <h3 style={{ margin: 0 }}>{sequence.name} - Version History</h3>
+          <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer' }}>
+            <X size={20} color="var(--text-secondary)" />
+          </button>
+        </div>
+
+        {sorted.length === 0 && (
+          <p style={{ color: 'var(--text-muted)', fontSize: '0.9rem' }}>No versions published yet.</p>
+        )}
+
+        {sorted.map((version, index) => {
+          const previous = sorted[index + 1];
+          const isOpen = expanded === version.version;
+          const migration = MIGRATION_STRATEGIES.find(m => m.id === version.migration);
+          return (
+            <div key={version.version} style={{ borderBottom: '1px solid var(--border-color)', padding: '10px 0' }}>
+              <button
+                onClick={() => setExpanded(isOpen ? null : version.version)}
+                style={{
+                  display: 'flex', alignItems: 'center', gap: '10px', width: '100%',
+                  background: 'none', border: 'none', cursor: 'pointer', color: 'var(--text-primary)', textAlign: 'left'
+                }}
+              >
+                <ChevronRight size={16} style={{ transform: isOpen ? 'rotate(90deg)' : 'none', transition: 'transform 0.2s' }} />
+                <span style={{ fontWeight: 600 }}>v{version.version}</span>
+                {index === 0 && <span className="status-badge" style={{ fontSize: '0.7rem' }}>Latest</span>}
+                <span style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', marginLeft: 'auto' }}>
+                  {version.publishedAt ? new Date(version.publishedAt).toLocaleString() : ''}
+                </span>
+              </button>
+              {isOpen && (
+                <div style={{ marginTop: '10px', marginLeft: '26px' }}>
+                  {version.note && <p style={{ fontSize: '0.85rem', margin: '0 0 8px' }}>{version.note}</p>}
+                  {migration && previous && (
+                    <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)', margin: '0 0 8px' }}>
+                      In-flight leads: {migration.label.toLowerCase()}
+                    </p>
+                  )}
+                  <SequenceDiff changes={diffSnapshots(previous?.snapshot || null, version.snapshot)} templates={templates} />
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+// components/SequencePublishModal.jsx - Publish a sequence's working copy as a new version
+import { useState, useMemo } from 'react';
+import { X, Upload, ArrowRight } from 'lucide-react';
+import SequenceDiff from './SequenceDiff';
+import {
+  MIGRATION_STRATEGIES,
+  sequenceSnapshot,
+  diffSnapshots,
+  equivalentStepMap,
+  latestVersion,
+} from '../lib/sequenceVersions';
+
+/**
+ * onPublish({ snapshot, migration, stepMap, note }) - stepMap only for the "move" migration
+ */
+export default function SequencePublishModal({ sequence, versions, inFlight, templates, publishing, onPublish, onClose }) {
+  const [migration, setMigration] = useState('stay');
+  const [note, setNote] = useState('');
+
+  const latest = latestVersion(versions);
+  const snapshot = useMemo(() => sequenceSnapshot(sequence), [sequence]);
+  const changes = useMemo(() => diffSnapshots(latest?.snapshot || null, snapshot), [latest, snapshot]);
+  const stepMap = useMemo(
+    () => (latest ? equivalentStepMap(latest.snapshot, snapshot) : {}),
+    [latest, snapshot]
+  );
+  const nextVersion = (latest?.version || 0) + 1;
+
+  return (
+    <div
+      style={{
+        position: 'fixed', inset: 0, zIndex: 1000,
+        display: 'flex', alignItems: 'center', justifyContent: 'center',
+        background: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(4px)', padding: '20px'
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          background: 'var(--bg-card)', borderRadius: '16px', padding: '24px',
+          width: '640px', maxWidth: '100%', maxHeight: '90vh', overflowY: 'auto'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <h3 style={{ margin: 0 }}>Publish {sequence.name} v{nextVersion}</h3>
+          <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer' }}>
+            <X size={20} color="var(--text-secondary)" />
+          </button>
+        </div>
+
+        <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginBottom: '8px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>
+          {latest ? `Changes since v${latest.version}` : 'First version'}
+        </div>
+        <SequenceDiff changes={changes} templates={templates} />
+
+        <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', margin: '20px 0 8px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>
+          Leads already in this sequence{inFlight != null ? ` (${inFlight})` : ''}
+        </div>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          {MIGRATION_STRATEGIES.map(strategy => (
+            <label
+              key={strategy.id}
+              style={{
+                display: 'flex', gap: '10px', alignItems: 'flex-start', cursor: 'pointer',
+                padding: '10px 12px', borderRadius: '10px',
+                border: `1px solid ${migration === strategy.id ? 'var(--accent-color)' : 'var(--border-color)'}`,
+                background: migration === strategy.id ? 'var(--bg-glass)' : 'transparent'
+              }}
+            >
+              <input
+                type="radio"
+                name="migration"
+                checked={migration === strategy.id}
+                onChange={() => setMigration(strategy.id)}
+                style={{ marginTop: '3px' }}
+              />
+              <div>
+                <div style={{ fontSize: '0.9rem', fontWeight: 500 }}>{strategy.label}</div>
+                <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>{strategy.description}</div>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        {migration === 'move' && Object.keys(stepMap).length > 0 && (
+          <div style={{ marginTop: '12px', padding: '12px', borderRadius: '10px', background: 'var(--bg-glass)', fontSize: '0.85rem' }}>
+            {Object.entries(stepMap).map(([from, to]) => (
+              <div key={from} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '2px 0' }}>
+                <span>{from}</span>
+                <ArrowRight size={12} color="var(--text-muted)" />
+                <span style={{ color: to ? 'var(--text-primary)' : 'var(--text-muted)' }}>
+                  {to || 'Finishes the sequence'}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <label style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', display: 'block', margin: '20px 0 6px' }}>
+          Note (optional)
+        </label>
+        <input
+          type="text"
+          className="input-field"
+          placeholder="What changed and why"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+        />
+
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', marginTop: '20px' }}>
+          <button className="btn btn-secondary" onClick={onClose}>Cancel</button>
+          <button
+            className="btn btn-primary"
+            disabled={publishing || (latest && changes.length === 0)}
+            onClick={() => onPublish({
+              snapshot,
+              migration,
+              stepMap: migration === 'move' ? stepMap : undefined,
+              note: note.trim() || undefined,
+            })}
+          >
+            <Upload size={16} /> {publishing ? 'Publishing...' : `Publish v${nextVersion}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,21 +1,28 @@
 // components/Sidebar.jsx
 import { useEffect, useRef, useState } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { LayoutDashboard, Users, Mail, BarChart3, Upload, Settings, Zap, ChevronLeft, ChevronRight, Calendar, ShieldAlert, Code, Moon, Sun, AlertTriangle, Skull } from 'lucide-react';
+import { LayoutDashboard, Users, Mail, BarChart3, Upload, Settings, Zap, ChevronLeft, ChevronRight, Calendar, ShieldAlert, Code, Moon, Sun, AlertTriangle, Skull, History, Copy, UserCircle, ListChecks, Building2, Ban, SquareKanban } from 'lucide-react';
 import gsap from 'gsap';
 import { useTheme } from '../contexts/ThemeContext';
+import { useOwners } from '../contexts/OwnerContext';
 
 const navItems = [
   { id: '/', label: 'Dashboard', icon: LayoutDashboard },
   { id: '/leads', label: 'Leads', icon: Users },
+  { id: '/pipeline', label: 'Pipeline', icon: SquareKanban },
+  { id: '/accounts', label: 'Accounts', icon: Building2 },
+  { id: '/duplicates', label: 'Duplicates', icon: Copy },
   { id: '/failed-leads', label: 'Failed Outreach', icon: ShieldAlert },
   { id: '/terminal-states', label: 'Terminal States', icon: Skull },
+  { id: '/suppression', label: 'Suppression List', icon: Ban },
+  { id: '/tasks', label: 'Tasks', icon: ListChecks },
   { id: '/schedule', label: 'Calendar', icon: Calendar },
   { id: '/emails', label: 'Email Queue', icon: Mail },
   { id: '/analytics', label: 'Analytics', icon: BarChart3 },
   { id: '/templates', label: 'Templates', icon: Code },
   { id: '/conditional-emails', label: 'Conditional Emails', icon: Zap },
   { id: '/upload', label: 'Upload Leads', icon: Upload },
+  { id: '/imports', label: 'Import History', icon: History },
 ];
 
 
@@ -25,6 +32,7 @@ export default function Sidebar({ isCollapsed, setIsCollapsed }) {
   const logoRef = useRef(null);
   const navRef = useRef(null);
   const { theme, toggleTheme } = useTheme();
+  const { team, currentOwner, setCurrentOwnerId } = useOwners();
 
   // (Removed local theme state logic)
 
@@ -102,6 +110,31 @@ export default function Sidebar({ isCollapsed, setIsCollapsed }) {
           borderTop: "1px solid var(--border-color)",
         }}
       >
+        {/* Current Owner - what "My leads" filters use */}
+        {team.length > 0 && (
+          <div
+            className={`nav-item ${isCollapsed ? "tooltip" : ""}`}
+            data-tooltip={currentOwner ? currentOwner.name : "Who are you?"}
+            style={{ marginBottom: "0.5rem", cursor: "default" }}
+          >
+            <UserCircle size={20} color={currentOwner ? "var(--accent-primary)" : undefined} />
+            <span style={{ flex: 1, minWidth: 0 }}>
+              <select
+                value={currentOwner?.id || ""}
+                onChange={(e) => setCurrentOwnerId(e.target.value)}
+                style={{ width: "100%" }}
+              >
+                <option value="">Who are you?</option>
+                {team.map((member) => (
+                  <option key={member.id} value={member.id}>
+                    {member.name}
+                  </option>
+                ))}
+              </select>
+            </span>
+          </div>
+        )}
+
         {/* Theme Toggle */}
         <button
           onClick={toggleTheme}
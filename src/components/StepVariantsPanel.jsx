@@ -0,0 +1,181 @@
+// components/StepVariantsPanel.jsx - A/B test setup for one sequence step: variants, split and promotion
+import { Plus, Trash2, Trophy, Split } from 'lucide-react';
+import {
+  VARIANT_METRICS,
+  MAX_VARIANTS,
+  variantTestSettings,
+  splitEvenly,
+  splitTotal,
+  addVariant,
+  updateVariant,
+  removeVariant,
+  promotedVariant,
+  endVariantTest,
+  variantName,
+} from '../lib/abTests';
+
+const labelStyle = { fontSize: '0.8rem', color: 'var(--text-secondary)', display: 'block', marginBottom: '6px' };
+
+/**
+ * onChange(changes) - step changes to save, as for any other followup edit
+ */
+export default function StepVariantsPanel({ step, templates, onChange }) {
+  const variants = step.variants || [];
+  const test = variantTestSettings(step);
+  const winner = promotedVariant(step);
+  const total = splitTotal(variants);
+
+  const updateTest = (changes) => onChange({ variantTest: { ...test, ...changes } });
+
+  return (
+    <div
+      style={{
+        background: 'rgba(6, 182, 212, 0.05)',
+        border: '1px solid rgba(6, 182, 212, 0.2)',
+        borderTop: 'none',
+        borderRadius: '0 0 10px 10px',
+        padding: '1rem 1.5rem',
+      }}
+    >
+      {winner && (
+        <div style={{
+          display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px',
+          padding: '8px 12px', borderRadius: '6px', background: 'rgba(34, 197, 94, 0.1)',
+          fontSize: '0.8rem', color: '#22c55e'
+        }}>
+          <Trophy size={14} />
+          {variantName(winner)} was promoted{test.promotedAt ? ` on ${new Date(test.promotedAt).toLocaleDateString()}` : ''} and now goes to every lead
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: '60px 1fr 1fr 90px 36px', gap: '10px', alignItems: 'center' }}>
+        <span style={labelStyle}>Variant</span>
+        <span style={labelStyle}>Template</span>
+        <span style={labelStyle}>Subject (optional)</span>
+        <span style={labelStyle}>Traffic</span>
+        <span></span>
+        {variants.map((variant, index) => (
+          <div key={variant.id} style={{ display: 'contents' }}>
+            <span style={{ fontWeight: 600, color: variant.id === winner?.id ? '#22c55e' : 'var(--text-primary)' }}>
+              {variant.label}
+              {index === 0 && (
+                <span style={{ display: 'block', fontSize: '0.7rem', fontWeight: 400, color: 'var(--text-muted)' }}>control</span>
+              )}
+            </span>
+            <select
+              value={variant.templateId || ''}
+              onChange={(e) => onChange(updateVariant(variants, variant.id, { templateId: e.target.value }))}
+              className="settings-select"
+              style={{ minWidth: 'unset', width: '100%' }}
+            >
+              <option value="">Default Template</option>
+              {templates.map((t) => (
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              className="input-field"
+              value={variant.subject || ''}
+              placeholder="Template's subject"
+              onChange={(e) => onChange(updateVariant(variants, variant.id, { subject: e.target.value }))}
+            />
+            <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+              <input
+                type="number"
+                className="input-field"
+                min={0}
+                max={100}
+                value={variant.weight ?? 0}
+                onChange={(e) => onChange(updateVariant(variants, variant.id, {
+                  weight: Math.max(0, Math.min(100, parseInt(e.target.value) || 0)),
+                }))}
+                style={{ width: '64px' }}
+                disabled={!!winner}
+              />
+              <span style={{ color: 'var(--text-muted)' }}>%</span>
+            </div>
+            <button
+              onClick={() => onChange(removeVariant(variants, variant.id))}
+              disabled={variants.length <= 2 || !!winner}
+              title={variants.length <= 2 ? 'A test needs at least two variants' : 'Remove variant'}
+              style={{
+                background: 'rgba(239, 68, 68, 0.1)', border: 'none', borderRadius: '8px', padding: '8px',
+                cursor: variants.length <= 2 || winner ? 'not-allowed' : 'pointer', color: '#ef4444',
+                display: 'flex', opacity: variants.length <= 2 || winner ? 0.4 : 1
+              }}
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {total !== 100 && (
+        <div style={{ fontSize: '0.8rem', color: '#f59e0b', marginTop: '8px' }}>
+          Traffic adds up to {total}% - leads are shared out in proportion to it.
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', marginTop: '12px', flexWrap: 'wrap' }}>
+        {!winner && variants.length < MAX_VARIANTS && (
+          <button className="btn btn-secondary" onClick={() => onChange(addVariant(variants))}>
+            <Plus size={14} /> Add Variant
+          </button>
+        )}
+        {!winner && (
+          <button className="btn btn-secondary" onClick={() => onChange(splitEvenly(variants))}>
+            <Split size={14} /> Even Split
+          </button>
+        )}
+        <button
+          className="btn btn-secondary"
+          onClick={() => onChange(endVariantTest(step))}
+          title={`The step keeps ${variantName(winner || variants[0])}'s template`}
+        >
+          End Test
+        </button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '1rem', marginTop: '1rem', paddingTop: '1rem', borderTop: '1px solid var(--border-color)' }}>
+        <div>
+          <label style={labelStyle}>Winner is picked on</label>
+          <select
+            value={test.metric}
+            onChange={(e) => updateTest({ metric: e.target.value })}
+            className="settings-select"
+            style={{ width: '100%' }}
+          >
+            {VARIANT_METRICS.map(m => (
+              <option key={m.id} value={m.id}>{m.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label style={labelStyle}>Sample per variant</label>
+          <input
+            type="number"
+            className="input-field"
+            min={10}
+            value={test.minSample}
+            onChange={(e) => updateTest({ minSample: parseInt(e.target.value) || 0 })}
+          />
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px', paddingTop: '20px' }}>
+          <button
+            className={`toggle-btn ${test.autoPromote ? 'on' : 'off'}`}
+            onClick={() => updateTest({ autoPromote: !test.autoPromote })}
+            disabled={!!winner}
+            style={{ opacity: winner ? 0.5 : 1 }}
+          />
+          <div>
+            <div style={{ fontSize: '0.85rem', fontWeight: 500 }}>Auto-promote winner</div>
+            <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+              Once every variant has the sample and one wins significantly
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
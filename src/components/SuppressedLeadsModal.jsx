@@ -0,0 +1,60 @@
+// components/SuppressedLeadsModal.jsx
+// Leads the server skipped when scheduling because they are on the suppression list
+import { useNavigate } from 'react-router-dom';
+import { Ban, X } from 'lucide-react';
+
+// suppressed: [{ leadId, email, reason }]
+export default function SuppressedLeadsModal({ title, suppressed, onClose }) {
+  const navigate = useNavigate();
+
+  return (
+    <div
+      style={{
+        position: 'fixed', inset: 0, zIndex: 1000,
+        display: 'flex', alignItems: 'center', justifyContent: 'center',
+        background: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(4px)'
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          background: 'var(--bg-card)', borderRadius: '16px',
+          padding: '24px', width: '480px', maxWidth: '90%'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+          <h3 style={{ margin: 0, display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <Ban size={18} color="#dc2626" /> {title}
+          </h3>
+          <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer' }}>
+            <X size={20} color="var(--text-secondary)" />
+          </button>
+        </div>
+        <p style={{ margin: '0 0 16px', color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+          {suppressed.length} {suppressed.length === 1 ? 'lead was' : 'leads were'} not scheduled because
+          {suppressed.length === 1 ? ' it is' : ' they are'} on the suppression list.
+        </p>
+        <div style={{ maxHeight: '300px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '6px', marginBottom: '16px' }}>
+          {suppressed.map((lead, idx) => (
+            <div
+              key={lead.leadId || idx}
+              onClick={() => lead.leadId && navigate(`/leads/${lead.leadId}`)}
+              style={{
+                padding: '8px 12px', borderRadius: '8px', background: 'var(--bg-hover)',
+                cursor: lead.leadId ? 'pointer' : 'default'
+              }}
+            >
+              <div style={{ fontSize: '0.9rem', fontWeight: 500 }}>{lead.email}</div>
+              <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>{lead.reason || 'Suppressed'}</div>
+            </div>
+          ))}
+        </div>
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+          <button className="btn btn-secondary" onClick={() => navigate('/suppression')}>View List</button>
+          <button className="btn btn-primary" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
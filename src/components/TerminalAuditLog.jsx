@@ -0,0 +1,75 @@
+// components/TerminalAuditLog.jsx
+// Audit trail of a lead's terminal-state transitions - who moved it, when and why
+import { History, ArrowRight } from 'lucide-react';
+import { useTerminalAudit } from '../hooks/useApi';
+
+const STATE_COLORS = {
+  dead: '#4b5563',
+  unsubscribed: '#9333ea',
+  complaint: '#dc2626',
+  active: '#22c55e',
+};
+
+const stateLabel = (state) => (state ? state.charAt(0).toUpperCase() + state.slice(1) : 'Active');
+
+function StateBadge({ state }) {
+  const color = STATE_COLORS[state || 'active'] || 'var(--text-secondary)';
+  return (
+    <span style={{
+      padding: '2px 8px', borderRadius: '999px', fontSize: '0.75rem', fontWeight: 500,
+      color, background: `${color}20`
+    }}>
+      {stateLabel(state)}
+    </span>
+  );
+}
+
+// asCard: render as a LeadDetail card, hidden when the lead has never been in a terminal state
+export default function TerminalAuditLog({ leadId, asCard = false }) {
+  const { data: entries = [], isLoading } = useTerminalAudit(leadId);
+
+  if (asCard && entries.length === 0) return null;
+
+  const list = isLoading ? (
+    <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', margin: 0 }}>Loading history...</p>
+  ) : entries.length === 0 ? (
+    <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', margin: 0 }}>No transitions recorded.</p>
+  ) : (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+      {entries.map((entry, idx) => (
+        <div
+          key={entry.id || idx}
+          style={{ padding: '0.6rem 0.75rem', borderRadius: '6px', background: 'var(--bg-hover)' }}
+        >
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap' }}>
+            <StateBadge state={entry.fromState} />
+            <ArrowRight size={12} color="var(--text-muted)" />
+            <StateBadge state={entry.toState} />
+            {entry.restartFrom && (
+              <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                restarted from {entry.restartFrom === 'resume' ? 'where it stopped' : entry.restartFrom}
+              </span>
+            )}
+          </div>
+          {entry.reason && (
+            <div style={{ fontSize: '0.85rem', color: 'var(--text-primary)', marginTop: '4px' }}>{entry.reason}</div>
+          )}
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '4px' }}>
+            {entry.actor || 'System'} · {entry.createdAt ? new Date(entry.createdAt).toLocaleString() : '—'}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
+  if (!asCard) return list;
+
+  return (
+    <div className="card">
+      <h3 style={{ margin: '0 0 1rem', fontSize: '1.1rem', display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <History size={18} /> Terminal State History
+      </h3>
+      {list}
+    </div>
+  );
+}
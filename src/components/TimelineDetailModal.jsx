@@ -1,6 +1,7 @@
 import React from 'react';
 import { X, Play, Pause, FastForward, RotateCcw, Trash2, CalendarClock, Mail, Edit3, XCircle } from 'lucide-react';
 import { useRulebook } from '../contexts/RulebookContext';
+import { variantName } from '../lib/abTests';
 
 const TimelineDetailModal = ({ item, onClose, onAction, getStatusColor, getEventIcon }) => {
   if (!item) return null;
@@ -66,6 +67,15 @@ const TimelineDetailModal = ({ item, onClose, onAction, getStatusColor, getEvent
                         {item.sentAt ? new Date(item.sentAt).toLocaleString() : '-'}
                     </div>
                 </div>
+                {item.variant && (
+                   <div className="detail-group">
+                       <label style={{ display:'block', fontSize:'0.85rem', color:'var(--text-secondary)', marginBottom:'4px' }}>A/B Variant</label>
+                       <div style={{ fontSize:'1rem' }}>
+                           {variantName(item.variant)}
+                           {item.variant.subject && <span style={{ fontSize:'0.85rem', color:'var(--text-secondary)' }}> - "{item.variant.subject}"</span>}
+                       </div>
+                   </div>
+                )}
                 {/* Manual Mail Details */}
                 {category === 'manual' && rawData.title && (
                    <div style={{ gridColumn: 'span 2' }}>
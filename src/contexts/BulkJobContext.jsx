@@ -0,0 +1,179 @@
+// contexts/BulkJobContext.jsx
+// Tracks server-side bulk lead jobs (delete, freeze, tag...) across pages
+// Progress arrives over the socket; polling is only a fallback while disconnected
+
+import React, { createContext, useContext, useEffect, useState, useRef, useCallback } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { queryKeys } from '../lib/queryClient';
+import { useSocket } from './SocketContext';
+import { startBulkJob, getBulkJob, undoBulkJob } from '../services/api';
+import { isJobFinished, unwrapJob } from '../lib/bulkJobs';
+import BulkJobTracker from '../components/BulkJobTracker';
+
+const BulkJobContext = createContext(null);
+
+const STORAGE_KEY = 'leadflow-bulk-jobs';
+const POLL_INTERVAL = 5000;
+
+const loadTrackedIds = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+export function BulkJobProvider({ children }) {
+  const queryClient = useQueryClient();
+  const { socket, isConnected } = useSocket();
+  const [jobs, setJobs] = useState([]);
+  // Per-job callbacks for pages that keep their own (non-query) lead lists
+  const finishCallbacks = useRef(new Map());
+  // Socket events can beat the startBulkJob response; while a submit is in flight they
+  // are held here by job id and applied once the job is added
+  const pendingSubmits = useRef(0);
+  const earlyUpdates = useRef(new Map());
+
+  const holdEarlyUpdate = useCallback((update) => {
+    if (pendingSubmits.current === 0) return;
+    const id = update.id || update.jobId;
+    earlyUpdates.current.set(id, { ...earlyUpdates.current.get(id), ...update });
+  }, []);
+
+  const mergeJob = useCallback((update) => {
+    const id = update.id || update.jobId;
+    setJobs(prev => prev.map(job => (job.id === id ? { ...job, ...update, id } : job)));
+  }, []);
+
+  const refreshLeadData = useCallback(() => {
+    queryClient.invalidateQueries({ queryKey: queryKeys.leads.all() });
+    queryClient.invalidateQueries({ queryKey: queryKeys.tags.all() });
+    queryClient.invalidateQueries({ queryKey: queryKeys.emailJobs.all() });
+    queryClient.invalidateQueries({ queryKey: queryKeys.dashboard.all() });
+    queryClient.invalidateQueries({ queryKey: queryKeys.accounts.all() });
+    queryClient.invalidateQueries({ queryKey: queryKeys.pipeline.all() });
+  }, [queryClient]);
+
+  const finishJob = useCallback((update) => {
+    const id = update.id || update.jobId;
+    mergeJob(update);
+    refreshLeadData();
+    finishCallbacks.current.get(id)?.(update);
+    finishCallbacks.current.delete(id);
+  }, [mergeJob, refreshLeadData]);
+
+  // Re-attach to jobs that were running when the tab was closed
+  useEffect(() => {
+    const ids = loadTrackedIds();
+    if (ids.length === 0) return;
+    Promise.allSettled(ids.map(id => getBulkJob(id))).then(results => {
+      setJobs(results.filter(r => r.status === 'fulfilled').map(r => unwrapJob(r.value)));
+    });
+  }, []);
+
+  // Only unfinished jobs need to survive a reload
+  useEffect(() => {
+    const running = jobs.filter(job => !isJobFinished(job)).map(job => job.id);
+    if (running.length > 0) localStorage.setItem(STORAGE_KEY, JSON.stringify(running));
+    else localStorage.removeItem(STORAGE_KEY);
+  }, [jobs]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleProgress = (data) => {
+      holdEarlyUpdate(data);
+      mergeJob(data);
+    };
+    const handleCompleted = (data) => {
+      holdEarlyUpdate(data);
+      finishJob(data);
+    };
+
+    socket.on('bulkJob:progress', handleProgress);
+    socket.on('bulkJob:completed', handleCompleted);
+    return () => {
+      socket.off('bulkJob:progress', handleProgress);
+      socket.off('bulkJob:completed', handleCompleted);
+    };
+  }, [socket, mergeJob, finishJob, holdEarlyUpdate]);
+
+  // Poll running jobs while the socket is down so progress doesn't stall
+  const hasRunningJobs = jobs.some(job => !isJobFinished(job));
+  useEffect(() => {
+    if (isConnected || !hasRunningJobs) return;
+    const timer = setInterval(() => {
+      jobs.filter(job => !isJobFinished(job)).forEach(job => {
+        getBulkJob(job.id)
+          .then(response => {
+            const latest = unwrapJob(response);
+            if (isJobFinished(latest)) finishJob(latest);
+            else mergeJob(latest);
+          })
+          .catch(error => console.warn('[BulkJob] Poll failed:', error.message));
+      });
+    }, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [isConnected, hasRunningJobs, jobs, mergeJob, finishJob]);
+
+  /**
+   * Submit a bulk action as a single server-side job.
+   * target is { leadIds }, { filter } or { segmentId }; label is shown in the tracker.
+   * onFinished runs once the job completes or fails.
+   */
+  const submitBulkJob = useCallback(async ({ action, target, params, label, onFinished }) => {
+    pendingSubmits.current++;
+    let job;
+    try {
+      job = unwrapJob(await startBulkJob(action, target, params));
+    } finally {
+      pendingSubmits.current--;
+    }
+
+    const early = earlyUpdates.current.get(job.id);
+    if (pendingSubmits.current === 0) earlyUpdates.current.clear();
+    else earlyUpdates.current.delete(job.id);
+
+    if (onFinished) finishCallbacks.current.set(job.id, onFinished);
+    setJobs(prev => [{ action, processed: 0, succeeded: 0, failed: 0, ...job, ...early, id: job.id, label }, ...prev]);
+    if (early && isJobFinished(early)) finishJob({ ...early, id: job.id });
+    return job;
+  }, [finishJob]);
+
+  const undoJob = useCallback(async (job) => {
+    const undo = unwrapJob(await undoBulkJob(job.id));
+    mergeJob({ id: job.id, undoUntil: null, undoJobId: undo?.id });
+    if (undo?.id) {
+      setJobs(prev => [{ action: 'undo', processed: 0, succeeded: 0, failed: 0, ...undo, label: `Undo: ${job.label || job.action}` }, ...prev]);
+    }
+  }, [mergeJob]);
+
+  const dismissJob = useCallback((id) => {
+    setJobs(prev => prev.filter(job => job.id !== id));
+  }, []);
+
+  const value = {
+    jobs,
+    submitBulkJob,
+    undoJob,
+    dismissJob,
+  };
+
+  return (
+    <BulkJobContext.Provider value={value}>
+      {children}
+      <BulkJobTracker jobs={jobs} onUndo={undoJob} onDismiss={dismissJob} />
+    </BulkJobContext.Provider>
+  );
+}
+
+// Hook to submit and follow bulk jobs
+export function useBulkJobs() {
+  const context = useContext(BulkJobContext);
+  if (!context) {
+    throw new Error('useBulkJobs must be used within a BulkJobProvider');
+  }
+  return context;
+}
+
+export default BulkJobContext;
@@ -0,0 +1,39 @@
+// contexts/OwnerContext.jsx
+// Team members who can own leads, and which of them is using this browser
+import { createContext, useContext, useState, useEffect, useMemo } from 'react';
+import { useSettings } from '../hooks/useApi';
+import { resolveTeam, findOwner } from '../lib/owners';
+import { registerTokenWithBackend } from '../lib/firebase';
+
+const OwnerContext = createContext();
+
+export function OwnerProvider({ children }) {
+  const { data: settings } = useSettings();
+  const team = useMemo(() => resolveTeam(settings), [settings]);
+  const [currentOwnerId, setCurrentOwnerId] = useState(
+    () => localStorage.getItem('leadflow-current-owner') || ''
+  );
+
+  useEffect(() => {
+    const changed = (localStorage.getItem('leadflow-current-owner') || '') !== currentOwnerId;
+    if (currentOwnerId) localStorage.setItem('leadflow-current-owner', currentOwnerId);
+    else localStorage.removeItem('leadflow-current-owner');
+
+    // Move this browser's push token to the new owner so task reminders follow them
+    const token = localStorage.getItem('fcm_token');
+    if (changed && token) registerTokenWithBackend(token);
+  }, [currentOwnerId]);
+
+  // A removed team member falls back to "nobody" rather than a dangling id
+  const currentOwner = findOwner(team, currentOwnerId);
+
+  return (
+    <OwnerContext.Provider value={{ team, currentOwner, setCurrentOwnerId }}>
+      {children}
+    </OwnerContext.Provider>
+  );
+}
+
+export function useOwners() {
+  return useContext(OwnerContext);
+}
@@ -72,6 +72,15 @@ export function SocketProvider({ children }) {
       queryClient.invalidateQueries({ queryKey: queryKeys.dashboard.all });
     });
 
+    // Inbound reply - the server sets the lead to 'replied' and pauses its followups
+    socketInstance.on('lead:replied', (data) => {
+      console.log('[Socket] Lead replied:', data.leadId);
+      queryClient.invalidateQueries({ queryKey: queryKeys.leads.detail(data.leadId) });
+      queryClient.invalidateQueries({ queryKey: queryKeys.leads.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.emailJobs.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard.all() });
+    });
+
     // Email job updates
     socketInstance.on('emailJob:updated', (data) => {
       console.log('[Socket] Email job updated:', data.jobId, data.status);
@@ -112,6 +121,12 @@ export function SocketProvider({ children }) {
       queryClient.invalidateQueries({ queryKey: queryKeys.notifications.all });
     });
 
+    // Task reminders - the server has already raised the notification
+    socketInstance.on('task:due', () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.tasks.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.notifications.all() });
+    });
+
     // Schedule updates
     socketInstance.on('schedule:updated', () => {
       console.log('[Socket] Schedule updated');
@@ -134,11 +149,13 @@ export function SocketProvider({ children }) {
       socketInstance.off('lead:updated');
       socketInstance.off('lead:created');
       socketInstance.off('lead:deleted');
+      socketInstance.off('lead:replied');
       socketInstance.off('emailJob:updated');
       socketInstance.off('emailJob:created');
       socketInstance.off('emailJob:sent');
       socketInstance.off('analytics:updated');
       socketInstance.off('notification:new');
+      socketInstance.off('task:due');
       socketInstance.off('schedule:updated');
       socketInstance.off('settings:updated');
       socketInstance.disconnect();
@@ -2,9 +2,13 @@
 // Custom React Query hooks for all API operations
 // Provides caching, deduplication, and optimistic updates
 
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useQueries, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
 import { queryKeys, cacheConfig } from '../lib/queryClient';
 import * as api from '../services/api';
+import { fetchAllLeads } from '../lib/leadExport';
+import { findDuplicateGroups, MAX_DUPLICATE_SCAN } from '../lib/leadDuplicates';
+import { ACCOUNT_LEADS_LIMIT } from '../lib/accounts';
+import { PIPELINE_PAGE_SIZE } from '../lib/pipeline';
 
 // ============================================
 // DASHBOARD & ANALYTICS HOOKS
@@ -39,10 +43,10 @@ export function useHierarchicalAnalytics(period) {
 // LEADS HOOKS
 // ============================================
 
-export function useLeads(page = 1, limit = 50, status, tags, sortBy) {
+export function useLeads(page = 1, limit = 50, status, tags, sortBy, filters) {
   return useQuery({
-    queryKey: queryKeys.leads.list({ page, limit, status, tags, sortBy }),
-    queryFn: () => api.getLeads(page, limit, status, tags, sortBy),
+    queryKey: queryKeys.leads.list({ page, limit, status, tags, sortBy, filters }),
+    queryFn: () => api.getLeads(page, limit, status, tags, sortBy, filters),
     ...cacheConfig.standard,
     placeholderData: (previousData) => previousData, // Keep previous data while fetching
   });
@@ -66,6 +70,165 @@ export function useLeadSlots(id) {
   });
 }
 
+// Scans every lead, so results are kept longer and refreshed on demand
+// Scans at most MAX_DUPLICATE_SCAN leads; scanned < total means the groups are partial
+export function useLeadDuplicates() {
+  return useQuery({
+    queryKey: queryKeys.duplicates.all(),
+    queryFn: async () => {
+      let total = 0;
+      const leads = await fetchAllLeads(
+        page => api.getLeads(page, 200, undefined, undefined, 'createdAt'),
+        progress => { total = progress.total; },
+        MAX_DUPLICATE_SCAN
+      );
+      return { ...findDuplicateGroups(leads), scanned: leads.length, total };
+    },
+    ...cacheConfig.static,
+  });
+}
+
+export function useAccounts() {
+  return useQuery({
+    queryKey: queryKeys.accounts.all(),
+    queryFn: async () => {
+      const data = await api.getAccounts();
+      return (data.accounts || []).map(account => ({
+        ...account,
+        stats: { ...account.stats, lastActivity: account.stats?.lastActivity ? new Date(account.stats.lastActivity) : null },
+      }));
+    },
+    ...cacheConfig.standard,
+  });
+}
+
+// An account's contacts, loaded when the account is opened
+export function useAccountLeads(key) {
+  return useQuery({
+    queryKey: queryKeys.accounts.leads(key),
+    queryFn: () => api.getLeads(1, ACCOUNT_LEADS_LIMIT, undefined, undefined, undefined, { account: key }),
+    enabled: !!key,
+    ...cacheConfig.standard,
+  });
+}
+
+// The first leads of each pipeline column, most recently moved first.
+// limits: { [stageId]: leads to load } for columns showing more than a page
+export function usePipelineColumns(stages, filters = {}, limits = {}) {
+  return useQueries({
+    queries: stages.map(stage => {
+      const limit = limits[stage.id] || PIPELINE_PAGE_SIZE;
+      return {
+        queryKey: queryKeys.pipeline.column(stage.id, filters, limit),
+        queryFn: () => api.getLeads(1, limit, undefined, undefined, 'stageChangedAt', { ...filters, stage: stage.id }),
+        placeholderData: keepPreviousData,
+        ...cacheConfig.standard,
+      };
+    }),
+  });
+}
+
+// One column's data with a moved lead taken out of it, or put on top when it's the lead's new column
+const moveInColumn = (data, columnStageId, lead, stageId) => {
+  const had = data.leads.some(l => l.id === lead.id);
+  const leads = data.leads.filter(l => l.id !== lead.id);
+  const total = data.pagination?.total ?? data.leads.length;
+  if (columnStageId === stageId) {
+    return { ...data, leads: [lead, ...leads], pagination: { ...data.pagination, total: total + 1 } };
+  }
+  return had ? { ...data, leads, pagination: { ...data.pagination, total: total - 1 } } : data;
+};
+
+// Move a lead to a pipeline stage and run the stage's sequence action, unfreezing it first
+// when it leaves Lost. The actions run first, so a failed one leaves the lead in its old stage.
+export function useMoveLeadStage() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: async ({ lead, stage, unfreeze }) => {
+      if (unfreeze) await api.unfreezeLead(lead.id);
+      if (stage.onEnter === 'convert') await api.convertLead(lead.id);
+      else if (stage.onEnter === 'pause') await api.pauseFollowups(lead.id);
+      else if (stage.onEnter === 'freeze') await api.freezeLead(lead.id, -1);
+      await api.updateLead(lead.id, { stage: stage.id, stageChangedAt: new Date().toISOString() });
+    },
+    onMutate: async ({ lead, stage }) => {
+      await queryClient.cancelQueries({ queryKey: queryKeys.pipeline.all() });
+      
+      const previousData = queryClient.getQueriesData({ queryKey: queryKeys.pipeline.all() });
+      
+      // Optimistically move the card
+      const moved = { ...lead, stage: stage.id, stageChangedAt: new Date().toISOString() };
+      previousData.forEach(([queryKey, data]) => {
+        if (data?.leads) queryClient.setQueryData(queryKey, moveInColumn(data, queryKey[2], moved, stage.id));
+      });
+      
+      return { previousData };
+    },
+    onError: (err, vars, context) => {
+      context?.previousData?.forEach(([queryKey, data]) => {
+        queryClient.setQueryData(queryKey, data);
+      });
+    },
+    onSettled: (_, __, { lead }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.pipeline.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.leads.detail(lead.id) });
+      queryClient.invalidateQueries({ queryKey: queryKeys.accounts.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard.all() });
+    },
+  });
+}
+
+export function useMergeLeads() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ id, duplicateIds, fields }) => api.mergeLeads(id, duplicateIds, fields),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.duplicates.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.leads.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.emailJobs.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.tags.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard.all() });
+    },
+  });
+}
+
+export function useSegments() {
+  return useQuery({
+    queryKey: queryKeys.leads.segments(),
+    queryFn: async () => {
+      const response = await api.getSegments();
+      return Array.isArray(response) ? response : response.segments || [];
+    },
+    ...cacheConfig.realtime,
+    refetchInterval: 60 * 1000, // Keep sidebar counts live
+  });
+}
+
+export function useSaveSegment() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ id, segment }) => 
+      id ? api.updateSegment(id, segment) : api.createSegment(segment),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.leads.segments() });
+    },
+  });
+}
+
+export function useDeleteSegment() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: (id) => api.deleteSegment(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.leads.segments() });
+    },
+  });
+}
+
 // Lead Mutations
 export function useDeleteLead() {
   const queryClient = useQueryClient();
@@ -299,6 +462,45 @@ export function useUpdateSettings() {
   });
 }
 
+export function useSequenceVersions(sequenceId) {
+  return useQuery({
+    queryKey: queryKeys.settings.sequenceVersions(sequenceId),
+    queryFn: () => api.getSequenceVersions(sequenceId),
+    select: (data) => ({
+      versions: Array.isArray(data) ? data : data?.versions || [],
+      inFlight: data?.inFlight ?? null,
+    }),
+    ...cacheConfig.standard,
+    enabled: !!sequenceId,
+  });
+}
+
+export function usePublishSequenceVersion() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ sequenceId, ...version }) => api.publishSequenceVersion(sequenceId, version),
+    onSuccess: (_, { sequenceId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.settings.sequenceVersions(sequenceId) });
+      // Moved and restarted leads get new schedules
+      queryClient.invalidateQueries({ queryKey: queryKeys.leads.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.emailJobs.all() });
+    },
+  });
+}
+
+export function usePromoteStepVariant() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ sequenceId, stepId, variantId }) => api.promoteStepVariant(sequenceId, stepId, variantId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.settings.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.analytics.variants() });
+    },
+  });
+}
+
 export function useFollowups() {
   return useQuery({
     queryKey: queryKeys.settings.followups(),
@@ -418,6 +620,140 @@ export function useMarkNotificationRead() {
   });
 }
 
+// ============================================
+// NOTES & TASKS HOOKS
+// ============================================
+
+export function useLeadNotes(leadId) {
+  return useQuery({
+    queryKey: queryKeys.leads.notes(leadId),
+    queryFn: async () => {
+      const response = await api.getLeadNotes(leadId);
+      return Array.isArray(response) ? response : response.notes || [];
+    },
+    enabled: !!leadId,
+    ...cacheConfig.standard,
+  });
+}
+
+// Terminal-state transitions (died, unsubscribed, resurrected...) for one lead, newest first
+export function useTerminalAudit(leadId) {
+  return useQuery({
+    queryKey: queryKeys.leads.terminalAudit(leadId),
+    queryFn: async () => {
+      const response = await api.getTerminalAudit(leadId);
+      return Array.isArray(response) ? response : response.entries || [];
+    },
+    enabled: !!leadId,
+    ...cacheConfig.standard,
+  });
+}
+
+export function useAddLeadNote() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ leadId, note }) => api.addLeadNote(leadId, note),
+    onSuccess: (_, { leadId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.leads.notes(leadId) });
+    },
+  });
+}
+
+export function useDeleteLeadNote() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ leadId, noteId }) => api.deleteLeadNote(leadId, noteId),
+    onSuccess: (_, { leadId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.leads.notes(leadId) });
+    },
+  });
+}
+
+export function useTasks(filters = {}, options = {}) {
+  return useQuery({
+    queryKey: queryKeys.tasks.list(filters),
+    queryFn: async () => {
+      const response = await api.getTasks(filters);
+      return Array.isArray(response) ? response : response.tasks || [];
+    },
+    ...cacheConfig.realtime,
+    refetchInterval: 60 * 1000, // Tasks become overdue while the page is open
+    ...options,
+  });
+}
+
+export function useSaveTask() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ id, task }) => 
+      id ? api.updateTask(id, task) : api.createTask(task),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.tasks.all() });
+    },
+  });
+}
+
+export function useDeleteTask() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: (id) => api.deleteTask(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.tasks.all() });
+    },
+  });
+}
+
+// ============================================
+// SUPPRESSION HOOKS
+// ============================================
+
+export function useSuppressions() {
+  return useQuery({
+    queryKey: queryKeys.suppressions.all(),
+    queryFn: async () => {
+      const response = await api.getSuppressions();
+      return Array.isArray(response) ? response : response.suppressions || [];
+    },
+    ...cacheConfig.standard,
+  });
+}
+
+export function usePreviewSuppressions() {
+  return useMutation({
+    mutationFn: (entries) => api.previewSuppressions(entries),
+  });
+}
+
+export function useAddSuppressions() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: (entries) => api.addSuppressions(entries),
+    onSuccess: () => {
+      // Matching leads have their pending emails cancelled
+      queryClient.invalidateQueries({ queryKey: queryKeys.suppressions.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.leads.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.emailJobs.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard.all() });
+    },
+  });
+}
+
+export function useDeleteSuppression() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: (id) => api.deleteSuppression(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.suppressions.all() });
+    },
+  });
+}
+
 // ============================================
 // TAGS HOOKS
 // ============================================
@@ -465,6 +801,50 @@ export function useUploadLeads() {
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: queryKeys.leads.all });
       queryClient.invalidateQueries({ queryKey: queryKeys.dashboard.all });
+      queryClient.invalidateQueries({ queryKey: queryKeys.imports.all() });
+    },
+  });
+}
+
+export function useImportBatches(page = 1, limit = 20) {
+  return useQuery({
+    queryKey: queryKeys.imports.list({ page, limit }),
+    queryFn: () => api.getImportBatches(page, limit),
+    ...cacheConfig.standard,
+    placeholderData: (previousData) => previousData,
+  });
+}
+
+export function useImportProfiles() {
+  return useQuery({
+    queryKey: queryKeys.imports.profiles(),
+    queryFn: async () => {
+      const response = await api.getImportProfiles();
+      return Array.isArray(response) ? response : response.profiles || [];
+    },
+    ...cacheConfig.static,
+  });
+}
+
+export function useSaveImportProfile() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ id, profile }) => 
+      id ? api.updateImportProfile(id, profile) : api.createImportProfile(profile),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.imports.profiles() });
+    },
+  });
+}
+
+export function useDeleteImportProfile() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: (id) => api.deleteImportProfile(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.imports.profiles() });
     },
   });
 }
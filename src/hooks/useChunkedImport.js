@@ -0,0 +1,150 @@
+// src/hooks/useChunkedImport.js
+// Chunked, resumable lead import with per-chunk status and automatic retries
+
+import { useState, useEffect, useCallback } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { queryKeys } from '../lib/queryClient';
+import { startImport, uploadImportChunk, completeImport } from '../services/api';
+import { loadImportSession, saveImportSession, clearImportSession } from '../lib/importSession';
+
+// Rows per request - keeps each chunk well under the API timeout
+export const CHUNK_SIZE = 500;
+const MAX_CHUNK_ATTEMPTS = 3;
+const RETRY_DELAY = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const splitIntoChunks = (leads) => {
+  const chunks = [];
+  for (let i = 0; i < leads.length; i += CHUNK_SIZE) {
+    const chunkLeads = leads.slice(i, i + CHUNK_SIZE);
+    chunks.push({ index: chunks.length, firstRow: i + 1, rowCount: chunkLeads.length, leads: chunkLeads, status: 'pending' });
+  }
+  return chunks;
+};
+
+// Sum per-chunk results into the same shape uploadLeads returns
+const summarizeChunks = (chunks) => {
+  const total = (key) => chunks.reduce((sum, c) => sum + (c.result?.[key] || 0), 0);
+  return {
+    import: {
+      success: total('success'),
+      duplicates: total('duplicates'),
+      failed: total('failed'),
+      errors: chunks.flatMap(c => c.result?.errors || []),
+      suppressed: chunks.flatMap(c => c.result?.suppressed || []),
+    },
+    scheduling: { scheduled: total('scheduled') },
+  };
+};
+
+export function useChunkedImport() {
+  const queryClient = useQueryClient();
+  const [session, setSession] = useState(null);
+
+  // Pick up an import that was interrupted by a reload or closed tab
+  useEffect(() => {
+    loadImportSession().then(saved => {
+      if (saved) setSession({ ...saved, state: 'interrupted' });
+    });
+  }, []);
+
+  const run = useCallback(async (initial) => {
+    const current = {
+      ...initial,
+      state: 'uploading',
+      error: null,
+      chunks: initial.chunks.map(c => (c.status === 'done' ? c : { ...c, status: 'pending', error: null })),
+    };
+    const publish = () => setSession({ ...current, chunks: [...current.chunks] });
+    publish();
+
+    for (const chunk of current.chunks) {
+      if (chunk.status === 'done') continue;
+
+      chunk.status = 'uploading';
+      publish();
+
+      for (let attempt = 1; attempt <= MAX_CHUNK_ATTEMPTS; attempt++) {
+        try {
+          chunk.result = await uploadImportChunk(current.importId, chunk.index, chunk.leads);
+          chunk.status = 'done';
+          chunk.error = null;
+          // Uploaded rows no longer need to be kept for a resume
+          chunk.leads = [];
+          break;
+        } catch (error) {
+          chunk.error = error.response?.data?.error || error.message;
+          if (attempt < MAX_CHUNK_ATTEMPTS) {
+            await sleep(RETRY_DELAY * 2 ** (attempt - 1));
+          } else {
+            chunk.status = 'failed';
+          }
+        }
+      }
+
+      publish();
+      await saveImportSession({ ...current, state: undefined });
+    }
+
+    if (current.chunks.some(c => c.status === 'failed')) {
+      current.state = 'failed';
+      publish();
+      return null;
+    }
+
+    try {
+      const final = await completeImport(current.importId);
+      await clearImportSession();
+      setSession(null);
+      return final?.import ? final : summarizeChunks(current.chunks);
+    } catch (error) {
+      current.state = 'failed';
+      current.error = error.response?.data?.error || error.message;
+      publish();
+      return null;
+    } finally {
+      queryClient.invalidateQueries({ queryKey: queryKeys.leads.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.imports.all() });
+    }
+  }, [queryClient]);
+
+  /**
+   * Start a new chunked import. Resolves with the import summary,
+   * or null when some chunks still need a retry.
+   * report is kept with the session as-is, so a resumed import can report like the original run.
+   */
+  const start = useCallback(async (leads, fileName, report = {}) => {
+    const chunks = splitIntoChunks(leads);
+    const { importId } = await startImport(fileName, leads.length, chunks.length);
+    if (!importId) throw new Error('The server did not return an import id');
+
+    const newSession = { importId, fileName, totalRows: leads.length, chunks, report, createdAt: new Date().toISOString() };
+    await saveImportSession(newSession);
+    return run(newSession);
+  }, [run]);
+
+  // Resume an interrupted import or retry its failed chunks
+  const resume = useCallback(() => (session ? run(session) : Promise.resolve(null)), [session, run]);
+
+  const discard = useCallback(async () => {
+    await clearImportSession();
+    setSession(null);
+  }, []);
+
+  const rowsDone = session?.chunks.filter(c => c.status === 'done').reduce((sum, c) => sum + c.rowCount, 0) || 0;
+
+  return {
+    session,
+    isRunning: session?.state === 'uploading',
+    progress: {
+      rowsDone,
+      totalRows: session?.totalRows || 0,
+      percent: session?.totalRows ? Math.round((rowsDone / session.totalRows) * 100) : 0,
+    },
+    start,
+    resume,
+    discard,
+  };
+}
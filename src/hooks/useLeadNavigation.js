@@ -0,0 +1,65 @@
+// src/hooks/useLeadNavigation.js
+// Next / previous lead within the list LeadDetail was opened from
+
+import { useState, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
+import { queryKeys, cacheConfig } from '../lib/queryClient';
+import { getLeads } from '../services/api';
+import {
+  loadLeadListContext,
+  saveLeadListContext,
+  leadListPosition,
+  withLeadListPage,
+} from '../lib/leadNavigation';
+
+export function useLeadNavigation(leadId) {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [context, setContext] = useState(loadLeadListContext);
+  const [loadingPage, setLoadingPage] = useState(false);
+  const position = leadListPosition(context, leadId);
+
+  // Load the page before or after the loaded ones, with the same query the list used
+  const loadPage = useCallback(async (page) => {
+    const { limit, status, tags, sortBy, filters } = context.query;
+    const data = await queryClient.fetchQuery({
+      queryKey: queryKeys.leads.list({ page, limit, status, tags, sortBy, filters }),
+      queryFn: () => getLeads(page, limit, status, tags, sortBy, filters),
+      ...cacheConfig.standard,
+    });
+    const ids = (data?.leads || []).map(lead => String(lead.id));
+    const next = withLeadListPage(context, page, ids, data?.pagination);
+    saveLeadListContext(next);
+    setContext(next);
+    return ids;
+  }, [context, queryClient]);
+
+  const go = useCallback(async (offset) => {
+    if (!position || loadingPage) return;
+    let targetId = offset > 0 ? position.nextId : position.prevId;
+    if (!targetId && (offset > 0 ? position.hasNextPage : position.hasPrevPage)) {
+      try {
+        setLoadingPage(true);
+        const ids = await loadPage(offset > 0 ? context.lastPage + 1 : context.firstPage - 1);
+        targetId = offset > 0 ? ids[0] : ids[ids.length - 1];
+      } catch (error) {
+        console.error('[LeadNavigation] Failed to load page:', error);
+      } finally {
+        setLoadingPage(false);
+      }
+    }
+    if (targetId) navigate(`/leads/${targetId}`);
+  }, [position, loadingPage, loadPage, context, navigate]);
+
+  return {
+    position,
+    loadingPage,
+    hasPrev: !!position && (!!position.prevId || position.hasPrevPage),
+    hasNext: !!position && (!!position.nextId || position.hasNextPage),
+    goPrev: () => go(-1),
+    goNext: () => go(1),
+    // The filtered list to go back to, when the lead was opened from one
+    returnTo: position ? context.returnTo : null,
+  };
+}
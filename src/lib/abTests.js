@@ -0,0 +1,164 @@
+// src/lib/abTests.js
+// A/B tests on sequence steps. A step with two or more variants (step.variants) sends each
+// lead one of them, picked by traffic split (variant.weight, summing to 100). The first
+// variant is the control. step.templateId follows the variant most leads get, so anything
+// that only knows about one template per step still sees a sensible one.
+
+export const VARIANT_METRICS = [
+  { id: 'open', label: 'Open rate' },
+  { id: 'click', label: 'Click rate' },
+];
+
+export const DEFAULT_MIN_SAMPLE = 100;
+export const SIGNIFICANT_CONFIDENCE = 0.95;
+
+const VARIANT_LABELS = 'ABCDEFGH';
+export const MAX_VARIANTS = VARIANT_LABELS.length;
+
+const newId = () => `var_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export const hasVariants = (step) => (step?.variants?.length || 0) >= 2;
+
+export const variantTestSettings = (step) => ({
+  metric: 'open',
+  autoPromote: false,
+  minSample: DEFAULT_MIN_SAMPLE,
+  ...step?.variantTest,
+});
+
+// Weights summing to 100, any remainder going to the control
+const evenSplit = (variants) => {
+  const share = Math.floor(100 / variants.length);
+  return variants.map((v, i) => ({ ...v, weight: share + (i === 0 ? 100 - share * variants.length : 0) }));
+};
+
+export const splitTotal = (variants = []) => variants.reduce((sum, v) => sum + (Number(v.weight) || 0), 0);
+
+// Step changes for a variant list, with step.templateId on the biggest share (the control on a tie)
+const withVariants = (variants) => ({
+  variants,
+  templateId: variants.reduce((main, v) => ((v.weight || 0) > (main.weight || 0) ? v : main), variants[0])?.templateId || '',
+});
+
+/**
+ * Step changes that turn a single-template step into an A/B test: the current template
+ * becomes variant A and an empty variant B is added, split 50/50
+ */
+export const startVariantTest = (step) => ({
+  ...withVariants(evenSplit([
+    { id: newId(), label: 'A', templateId: step.templateId || '', subject: '' },
+    { id: newId(), label: 'B', templateId: '', subject: '' },
+  ])),
+  variantTest: variantTestSettings(step),
+});
+
+// Labels stay with a variant for good since sent emails and analytics refer to them
+const nextLabel = (variants) => VARIANT_LABELS.split('').find(l => !variants.some(v => v.label === l));
+
+export const splitEvenly = (variants) => withVariants(evenSplit(variants));
+
+export const addVariant = (variants) =>
+  withVariants(evenSplit([...variants, { id: newId(), label: nextLabel(variants), templateId: '', subject: '' }]));
+
+export const updateVariant = (variants, variantId, changes) =>
+  withVariants(variants.map(v => (v.id === variantId ? { ...v, ...changes } : v)));
+
+export const removeVariant = (variants, variantId) => withVariants(evenSplit(variants.filter(v => v.id !== variantId)));
+
+/**
+ * Step changes that send every lead the winning variant from now on. The variants stay on
+ * the step so their results and the sent emails' labels keep making sense.
+ */
+export const promoteVariant = (step, variantId) => ({
+  ...withVariants(step.variants.map(v => ({ ...v, weight: v.id === variantId ? 100 : 0 }))),
+  variantTest: { ...variantTestSettings(step), winnerId: variantId, promotedAt: new Date().toISOString() },
+});
+
+export const promotedVariant = (step) =>
+  (step?.variantTest?.winnerId && step.variants?.find(v => v.id === step.variantTest.winnerId)) || null;
+
+/**
+ * Step changes that end the test, leaving the step on the promoted variant's template (or the
+ * control's). Subject overrides only exist on variants, so the template's own subject returns.
+ */
+export const endVariantTest = (step) => ({
+  templateId: (promotedVariant(step) || step.variants?.[0])?.templateId || '',
+  variants: null,
+  variantTest: null,
+});
+
+export const variantName = (variant) => (variant?.label ? `Variant ${variant.label}` : 'Variant');
+
+/**
+ * The variant a lead was sent for a step, from its email job (metadata.variantId) or schedule
+ * entry (variantId). Falls back to the label stored alongside when the variant is gone.
+ */
+export const sentVariant = (record, step) => {
+  const variantId = record?.metadata?.variantId || record?.variantId;
+  if (!variantId) return null;
+  return step?.variants?.find(v => v.id === variantId)
+    || { id: variantId, label: record.metadata?.variantLabel || record.variantLabel };
+};
+
+const metricCount = (row, metric) => (metric === 'click' ? row.clicked : row.opened) || 0;
+
+export const variantRate = (row, metric) => (row.delivered ? metricCount(row, metric) / row.delivered : 0);
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation)
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Confidence (0-1) that two variants really differ on the metric - two-sided two-proportion z-test
+ */
+export function significance(a, b, metric) {
+  const n1 = a.delivered || 0;
+  const n2 = b.delivered || 0;
+  if (!n1 || !n2) return 0;
+  const pooled = (metricCount(a, metric) + metricCount(b, metric)) / (n1 + n2);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  if (!se) return 0;
+  const z = (variantRate(a, metric) - variantRate(b, metric)) / se;
+  return 2 * normalCdf(Math.abs(z)) - 1;
+}
+
+/**
+ * Results of a step's test. rows are { variantId, delivered, opened, clicked } per variant.
+ * Returns { rows (with rate, lift over the control, confidence vs the control), leader,
+ * winner (the leader, once it beats every other variant significantly), ready (the winner
+ * can be promoted: every variant has reached the sample threshold) }
+ */
+export function compareVariants(rows, test) {
+  const { metric, minSample } = test;
+  const control = rows[0];
+  const results = rows.map((row, index) => {
+    const rate = variantRate(row, metric);
+    const controlRate = control ? variantRate(control, metric) : 0;
+    return {
+      ...row,
+      openRate: variantRate(row, 'open'),
+      clickRate: variantRate(row, 'click'),
+      rate,
+      lift: index > 0 && controlRate ? (rate - controlRate) / controlRate : null,
+      confidence: index > 0 ? significance(row, control, metric) : null,
+    };
+  });
+  const leader = results.reduce((best, row) => (!best || row.rate > best.rate ? row : best), null);
+  const winner = leader && results.length >= 2 && results.every(row =>
+    row === leader || significance(leader, row, metric) >= SIGNIFICANT_CONFIDENCE)
+    ? leader
+    : null;
+  const ready = !!winner && results.every(row => (row.delivered || 0) >= minSample);
+  return { rows: results, leader, winner, ready };
+}
+
+export const confidenceLabel = (confidence) => {
+  if (confidence == null) return 'Control';
+  if (confidence >= SIGNIFICANT_CONFIDENCE) return 'Significant';
+  if (confidence >= 0.8) return 'Trending';
+  return 'Not significant';
+};
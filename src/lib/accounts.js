@@ -0,0 +1,31 @@
+// src/lib/accounts.js
+// Accounts - leads grouped by company email domain, or by company name for free-mail addresses.
+// The server does the grouping and the roll-up (getAccounts); a free-mail lead joins the domain
+// account its company name already belongs to.
+
+// Lead statuses where the sequence has stopped for good
+const ENDED_STATUSES = [
+  'converted', 'replied', 'frozen', 'dead', 'unsubscribed', 'complaint',
+  'hard_bounce', 'blocked', 'spam', 'invalid', 'failed', 'completed',
+];
+
+export const DEFAULT_ACCOUNT_RULES = {
+  // Stop emailing the rest of an account once one contact converts / replies.
+  // Enforced by the server, using the same accounts getAccounts returns
+  stopOnConvert: false,
+  stopOnReply: false,
+};
+
+export const resolveAccountRules = (settings) => ({ ...DEFAULT_ACCOUNT_RULES, ...settings?.accountRules });
+
+// Contacts shown when an account is opened
+export const ACCOUNT_LEADS_LIMIT = 100;
+
+// Lead status may be "<email type>:<status>"
+const rawStatus = (lead) => String(lead.status || '').split(':').pop();
+
+/**
+ * Whether a lead still has followups going out
+ */
+export const hasActiveSequence = (lead) =>
+  !lead.followupsPaused && !!lead.status && !ENDED_STATUSES.includes(rawStatus(lead));
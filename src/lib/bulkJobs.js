@@ -0,0 +1,10 @@
+// src/lib/bulkJobs.js
+// Shared helpers for server-side bulk lead jobs
+
+const FINISHED_STATUSES = ['completed', 'failed', 'undone'];
+
+/** Whether a bulk job has stopped making progress */
+export const isJobFinished = (job) => FINISHED_STATUSES.includes(job.status);
+
+/** Job responses may wrap the job or return it directly */
+export const unwrapJob = (response) => response?.job || response;
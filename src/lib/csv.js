@@ -0,0 +1,29 @@
+// src/lib/csv.js
+// CSV serialization and browser download helpers
+
+const escapeCsvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+/**
+ * Serialize a header row and data rows (arrays of cells) into CSV text
+ */
+export function toCsv(headers, rows) {
+  return [
+    headers.map(escapeCsvCell).join(','),
+    ...rows.map(row => row.map(escapeCsvCell).join(',')),
+  ].join('\n');
+}
+
+/**
+ * Trigger a browser download for in-memory content
+ */
+export function downloadFile(content, fileName, type = 'text/csv;charset=utf-8;') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', fileName);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,98 @@
+// src/lib/customFields.js
+// Custom lead fields - definitions from settings, value coercion and template variables
+
+// Prefix for custom fields in import mappings, filter params and export column ids
+export const CUSTOM_FIELD_PREFIX = 'cf.';
+
+export const CUSTOM_FIELD_TYPES = [
+  { id: 'text', label: 'Text' },
+  { id: 'number', label: 'Number' },
+  { id: 'date', label: 'Date' },
+  { id: 'picklist', label: 'Picklist' },
+];
+
+// Types filtered by a min..max range instead of a single value
+export const RANGE_FIELD_TYPES = ['number', 'date'];
+
+// Built-in lead fields and template variables a custom field key can't shadow
+export const RESERVED_FIELD_KEYS = [
+  'id', 'name', 'email', 'company', 'country', 'city', 'timezone', 'tags',
+  'status', 'score', 'createdAt', 'customFields',
+];
+
+/**
+ * Custom field definitions from settings: [{ key, label, type, options, showInTable }]
+ */
+export const resolveCustomFields = (settings) =>
+  Array.isArray(settings?.customFields) ? settings.customFields : [];
+
+/**
+ * Template-variable-safe key for a field label, e.g. "Deal Size" -> "deal_size"
+ */
+export const fieldKeyFromLabel = (label) =>
+  String(label || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+/**
+ * Check a list of definitions before saving. Returns an error message or null.
+ */
+export function validateCustomFields(fields) {
+  const seen = new Set();
+  for (const field of fields) {
+    if (!field.label?.trim()) return 'Every custom field needs a label';
+    if (!field.key) return `"${field.label}" needs at least one letter or digit in its label`;
+    if (RESERVED_FIELD_KEYS.includes(field.key)) return `"${field.key}" is a built-in lead field`;
+    if (seen.has(field.key)) return `More than one field uses the key "${field.key}"`;
+    if (field.type === 'picklist' && !field.options?.some(Boolean)) return `Picklist "${field.label}" needs at least one option`;
+    seen.add(field.key);
+  }
+  return null;
+}
+
+/**
+ * Convert a raw (imported or typed) value to the field's type.
+ * Returns undefined when the value doesn't fit, so it is left out.
+ */
+export function coerceCustomFieldValue(field, raw) {
+  const value = String(raw ?? '').trim();
+  if (!value) return undefined;
+
+  switch (field.type) {
+    case 'number': {
+      const number = Number(value.replace(/[,\s]/g, ''));
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case 'date': {
+      if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+      const date = new Date(value);
+      if (isNaN(date)) return undefined;
+      const pad = (n) => String(n).padStart(2, '0');
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    case 'picklist':
+      // Match options case-insensitively but store the option's own spelling
+      return (field.options || []).find(o => o.toLowerCase() === value.toLowerCase());
+    default:
+      return value;
+  }
+}
+
+/**
+ * Display value for a lead's custom field
+ */
+export function formatCustomFieldValue(field, value) {
+  if (value === undefined || value === null || value === '') return '';
+  // Dates are stored as YYYY-MM-DD; read them as local days, not UTC midnight
+  if (field.type === 'date') return new Date(`${value}T00:00:00`).toLocaleDateString();
+  if (field.type === 'number') return Number(value).toLocaleString();
+  return String(value);
+}
+
+/**
+ * {{key}} -> value pairs for a lead's custom fields, with a placeholder for empty ones
+ */
+export function customFieldVariables(lead, fields) {
+  return Object.fromEntries(fields.map(field => [
+    `{{${field.key}}}`,
+    formatCustomFieldValue(field, lead?.customFields?.[field.key]) || field.label,
+  ]));
+}
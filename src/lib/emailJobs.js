@@ -0,0 +1,5 @@
+// src/lib/emailJobs.js
+// Email job status helpers shared across pages
+
+// Job statuses that still have a send pending and must be cancelled before a lead goes away
+export const ACTIVE_JOB_STATUSES = ['pending', 'scheduled', 'queued', 'rescheduled', 'paused'];
@@ -0,0 +1,120 @@
+// src/lib/enrichment.js
+// Lead enrichment - providers fill in missing lead fields, and the lead keeps a record
+// of which fields were enriched and by whom
+
+import { localProvider, stubProvider } from './enrichmentProviders';
+
+// Lead fields providers may set
+export const ENRICHABLE_FIELDS = ['name', 'company', 'country', 'city', 'timezone'];
+
+export const DEFAULT_ENRICHMENT = {
+  onImport: true,
+  // Provider ids in priority order - the first to return a field wins
+  providers: ['local'],
+};
+
+export const resolveEnrichment = (settings) => ({ ...DEFAULT_ENRICHMENT, ...settings?.enrichment });
+
+const providers = new Map();
+
+/**
+ * Add a provider: { id, label, description, normalizes?, enrich(lead) => Promise<{ [field]: value }> }.
+ * enrich sees the lead as enriched so far and returns values for any ENRICHABLE_FIELDS;
+ * empty values are ignored. normalizes lists fields whose existing value it may rewrite.
+ * External enrichers call the server from enrich and register the same way.
+ */
+export function registerEnrichmentProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+export const getEnrichmentProviders = () => [...providers.values()];
+
+export const providerLabel = (id) => providers.get(id)?.label || id;
+
+registerEnrichmentProvider(localProvider);
+// Fake data is only offered in development builds, so production settings can't turn it on
+if (import.meta.env.DEV) registerEnrichmentProvider(stubProvider);
+
+/**
+ * Run the providers over one lead. Empty fields are filled, fields an earlier run enriched
+ * are refreshed, and values someone typed in are left alone unless the provider only
+ * normalizes them. A provider that throws is skipped.
+ * Returns { changes: { [field]: value }, fields: { [field]: { provider, previous } } }
+ */
+export async function enrichLead(lead, providerIds = DEFAULT_ENRICHMENT.providers) {
+  const previouslyEnriched = lead.enrichment?.fields || {};
+  const current = { ...lead };
+  const changes = {};
+  const fields = {};
+
+  for (const id of providerIds) {
+    const provider = providers.get(id);
+    if (!provider) continue;
+    let values;
+    try {
+      values = (await provider.enrich(current)) || {};
+    } catch (error) {
+      console.error(`Enrichment provider "${id}" failed:`, error);
+      continue;
+    }
+
+    Object.entries(values).forEach(([field, value]) => {
+      if (!ENRICHABLE_FIELDS.includes(field) || value == null || value === '' || fields[field]) return;
+      const existing = current[field];
+      if (existing === value) return;
+      const replaceable = !existing || previouslyEnriched[field] || provider.normalizes?.includes(field);
+      if (!replaceable) return;
+      changes[field] = value;
+      fields[field] = { provider: id, previous: existing ?? null };
+      current[field] = value;
+    });
+  }
+
+  return { changes, fields };
+}
+
+/**
+ * The update to save for an enrichment result: the new values plus lead.enrichment,
+ * { enrichedAt, fields: { [field]: { provider, at } } }
+ */
+export function enrichmentUpdate(lead, result, at = new Date().toISOString()) {
+  const enrichedFields = Object.fromEntries(
+    Object.entries(result.fields).map(([field, meta]) => [field, { provider: meta.provider, at }])
+  );
+  return {
+    ...result.changes,
+    enrichment: {
+      enrichedAt: at,
+      fields: { ...lead.enrichment?.fields, ...enrichedFields },
+    },
+  };
+}
+
+/**
+ * Enrich a batch of leads (on import). Returns the leads with enrichment applied
+ * and how many of them changed.
+ */
+export async function enrichLeads(leads, providerIds) {
+  let enrichedCount = 0;
+  const enriched = [];
+  for (const lead of leads) {
+    const result = await enrichLead(lead, providerIds);
+    if (Object.keys(result.changes).length > 0) {
+      enrichedCount++;
+      enriched.push({ ...lead, ...enrichmentUpdate(lead, result) });
+    } else {
+      enriched.push(lead);
+    }
+  }
+  return { leads: enriched, enrichedCount };
+}
+
+/**
+ * lead.enrichment without the given fields - for when someone edits them by hand
+ */
+export function forgetEnrichedFields(enrichment, fieldNames) {
+  if (!enrichment?.fields) return enrichment;
+  const fields = { ...enrichment.fields };
+  fieldNames.forEach(field => delete fields[field]);
+  return { ...enrichment, fields };
+}
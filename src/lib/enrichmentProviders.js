@@ -0,0 +1,221 @@
+// src/lib/enrichmentProviders.js
+// Built-in enrichment providers - local rules that need no network, and a stub for testing
+
+import { FREE_MAIL_DOMAINS, emailDomain } from './leadDuplicates';
+
+// Country-code TLDs -> country and the timezone most of its businesses use.
+// Vanity TLDs (.io, .ai, .co, .me...) say nothing about location and are left out
+const TLD_LOCATIONS = {
+  uk: { country: 'GB', timezone: 'Europe/London' },
+  ie: { country: 'IE', timezone: 'Europe/Dublin' },
+  de: { country: 'DE', timezone: 'Europe/Berlin' },
+  fr: { country: 'FR', timezone: 'Europe/Paris' },
+  es: { country: 'ES', timezone: 'Europe/Madrid' },
+  pt: { country: 'PT', timezone: 'Europe/Lisbon' },
+  it: { country: 'IT', timezone: 'Europe/Rome' },
+  nl: { country: 'NL', timezone: 'Europe/Amsterdam' },
+  be: { country: 'BE', timezone: 'Europe/Brussels' },
+  ch: { country: 'CH', timezone: 'Europe/Zurich' },
+  at: { country: 'AT', timezone: 'Europe/Vienna' },
+  se: { country: 'SE', timezone: 'Europe/Stockholm' },
+  no: { country: 'NO', timezone: 'Europe/Oslo' },
+  dk: { country: 'DK', timezone: 'Europe/Copenhagen' },
+  fi: { country: 'FI', timezone: 'Europe/Helsinki' },
+  pl: { country: 'PL', timezone: 'Europe/Warsaw' },
+  cz: { country: 'CZ', timezone: 'Europe/Prague' },
+  gr: { country: 'GR', timezone: 'Europe/Athens' },
+  tr: { country: 'TR', timezone: 'Europe/Istanbul' },
+  il: { country: 'IL', timezone: 'Asia/Jerusalem' },
+  ae: { country: 'AE', timezone: 'Asia/Dubai' },
+  in: { country: 'IN', timezone: 'Asia/Kolkata' },
+  sg: { country: 'SG', timezone: 'Asia/Singapore' },
+  hk: { country: 'HK', timezone: 'Asia/Hong_Kong' },
+  cn: { country: 'CN', timezone: 'Asia/Shanghai' },
+  jp: { country: 'JP', timezone: 'Asia/Tokyo' },
+  kr: { country: 'KR', timezone: 'Asia/Seoul' },
+  au: { country: 'AU', timezone: 'Australia/Sydney' },
+  nz: { country: 'NZ', timezone: 'Pacific/Auckland' },
+  za: { country: 'ZA', timezone: 'Africa/Johannesburg' },
+  ng: { country: 'NG', timezone: 'Africa/Lagos' },
+  ke: { country: 'KE', timezone: 'Africa/Nairobi' },
+  eg: { country: 'EG', timezone: 'Africa/Cairo' },
+  br: { country: 'BR', timezone: 'America/Sao_Paulo' },
+  mx: { country: 'MX', timezone: 'America/Mexico_City' },
+  ar: { country: 'AR', timezone: 'America/Argentina/Buenos_Aires' },
+  cl: { country: 'CL', timezone: 'America/Santiago' },
+  ca: { country: 'CA', timezone: 'America/Toronto' },
+};
+
+// Cities pin down the timezone in countries that span several
+const CITY_LOCATIONS = {
+  'new york': { country: 'US', timezone: 'America/New_York' },
+  'boston': { country: 'US', timezone: 'America/New_York' },
+  'washington': { country: 'US', timezone: 'America/New_York' },
+  'atlanta': { country: 'US', timezone: 'America/New_York' },
+  'miami': { country: 'US', timezone: 'America/New_York' },
+  'chicago': { country: 'US', timezone: 'America/Chicago' },
+  'austin': { country: 'US', timezone: 'America/Chicago' },
+  'dallas': { country: 'US', timezone: 'America/Chicago' },
+  'houston': { country: 'US', timezone: 'America/Chicago' },
+  'denver': { country: 'US', timezone: 'America/Denver' },
+  'phoenix': { country: 'US', timezone: 'America/Phoenix' },
+  'seattle': { country: 'US', timezone: 'America/Los_Angeles' },
+  'san francisco': { country: 'US', timezone: 'America/Los_Angeles' },
+  'los angeles': { country: 'US', timezone: 'America/Los_Angeles' },
+  'san diego': { country: 'US', timezone: 'America/Los_Angeles' },
+  'toronto': { country: 'CA', timezone: 'America/Toronto' },
+  'montreal': { country: 'CA', timezone: 'America/Toronto' },
+  'vancouver': { country: 'CA', timezone: 'America/Vancouver' },
+  'mexico city': { country: 'MX', timezone: 'America/Mexico_City' },
+  'sao paulo': { country: 'BR', timezone: 'America/Sao_Paulo' },
+  'london': { country: 'GB', timezone: 'Europe/London' },
+  'manchester': { country: 'GB', timezone: 'Europe/London' },
+  'dublin': { country: 'IE', timezone: 'Europe/Dublin' },
+  'paris': { country: 'FR', timezone: 'Europe/Paris' },
+  'berlin': { country: 'DE', timezone: 'Europe/Berlin' },
+  'munich': { country: 'DE', timezone: 'Europe/Berlin' },
+  'hamburg': { country: 'DE', timezone: 'Europe/Berlin' },
+  'madrid': { country: 'ES', timezone: 'Europe/Madrid' },
+  'barcelona': { country: 'ES', timezone: 'Europe/Madrid' },
+  'lisbon': { country: 'PT', timezone: 'Europe/Lisbon' },
+  'rome': { country: 'IT', timezone: 'Europe/Rome' },
+  'milan': { country: 'IT', timezone: 'Europe/Rome' },
+  'amsterdam': { country: 'NL', timezone: 'Europe/Amsterdam' },
+  'brussels': { country: 'BE', timezone: 'Europe/Brussels' },
+  'zurich': { country: 'CH', timezone: 'Europe/Zurich' },
+  'vienna': { country: 'AT', timezone: 'Europe/Vienna' },
+  'stockholm': { country: 'SE', timezone: 'Europe/Stockholm' },
+  'copenhagen': { country: 'DK', timezone: 'Europe/Copenhagen' },
+  'warsaw': { country: 'PL', timezone: 'Europe/Warsaw' },
+  'tel aviv': { country: 'IL', timezone: 'Asia/Jerusalem' },
+  'dubai': { country: 'AE', timezone: 'Asia/Dubai' },
+  'bangalore': { country: 'IN', timezone: 'Asia/Kolkata' },
+  'bengaluru': { country: 'IN', timezone: 'Asia/Kolkata' },
+  'mumbai': { country: 'IN', timezone: 'Asia/Kolkata' },
+  'delhi': { country: 'IN', timezone: 'Asia/Kolkata' },
+  'singapore': { country: 'SG', timezone: 'Asia/Singapore' },
+  'tokyo': { country: 'JP', timezone: 'Asia/Tokyo' },
+  'sydney': { country: 'AU', timezone: 'Australia/Sydney' },
+  'melbourne': { country: 'AU', timezone: 'Australia/Melbourne' },
+  'perth': { country: 'AU', timezone: 'Australia/Perth' },
+  'auckland': { country: 'NZ', timezone: 'Pacific/Auckland' },
+  'cape town': { country: 'ZA', timezone: 'Africa/Johannesburg' },
+  'lagos': { country: 'NG', timezone: 'Africa/Lagos' },
+  'nairobi': { country: 'KE', timezone: 'Africa/Nairobi' },
+};
+
+// Country names people type instead of the 2-letter code
+const COUNTRY_NAMES = {
+  'united states': 'US', 'usa': 'US', 'america': 'US',
+  'united kingdom': 'GB', 'uk': 'GB', 'england': 'GB', 'great britain': 'GB',
+  'germany': 'DE', 'deutschland': 'DE', 'france': 'FR', 'spain': 'ES', 'italy': 'IT',
+  'netherlands': 'NL', 'holland': 'NL', 'ireland': 'IE', 'canada': 'CA', 'australia': 'AU',
+  'india': 'IN', 'japan': 'JP', 'brazil': 'BR', 'mexico': 'MX', 'switzerland': 'CH',
+  'sweden': 'SE', 'singapore': 'SG', 'new zealand': 'NZ', 'south africa': 'ZA',
+};
+
+// Second-level suffixes that sit between the company and the country TLD (acme.co.uk)
+const SECOND_LEVEL_SUFFIXES = new Set(['co', 'com', 'org', 'net', 'ac', 'gov', 'ltd', 'plc']);
+
+const titleCaseWord = (word) =>
+  word
+    .split(/([-'])/)
+    .map(part => (part === '-' || part === "'" ? part : part.charAt(0).toUpperCase() + part.slice(1)))
+    .join('')
+    .replace(/^Mc([a-z])/, (_, c) => `Mc${c.toUpperCase()}`);
+
+/**
+ * Tidy a person's name: trims, collapses spaces, turns "DOE, JANE" into "Jane Doe"
+ * and fixes all-lower / all-upper casing. Mixed-case names are trusted as typed.
+ */
+export function normalizeName(name) {
+  let value = String(name || '').trim().replace(/\s+/g, ' ');
+  if (!value) return '';
+  const comma = value.match(/^([^,]+),\s*([^,]+)$/);
+  if (comma) value = `${comma[2]} ${comma[1]}`;
+  if (value !== value.toLowerCase() && value !== value.toUpperCase()) return value;
+  return value.toLowerCase().split(' ').map(titleCaseWord).join(' ');
+}
+
+/**
+ * A name from a "first.last@" style address, or '' when the local part doesn't look like one
+ */
+export function nameFromEmail(email) {
+  const local = String(email || '').split('@')[0];
+  const parts = local.split(/[._]/).filter(Boolean);
+  if (parts.length < 2 || parts.length > 3 || parts.some(p => !/^[a-z]{2,}$/i.test(p))) return '';
+  return normalizeName(parts.join(' '));
+}
+
+/**
+ * "acme-widgets.co.uk" -> "Acme Widgets". Free-mail domains have no company.
+ */
+export function companyFromDomain(domain) {
+  if (!domain || FREE_MAIL_DOMAINS.has(domain)) return '';
+  const labels = domain.split('.');
+  if (labels.length < 2) return '';
+  labels.pop();
+  if (labels.length > 1 && SECOND_LEVEL_SUFFIXES.has(labels[labels.length - 1])) labels.pop();
+  const label = labels[labels.length - 1];
+  if (!label) return '';
+  // Two-letter names are initialisms (hp.com, ge.com)
+  if (label.length <= 2) return label.toUpperCase();
+  return label.split(/[-_]/).filter(Boolean).map(titleCaseWord).join(' ');
+}
+
+const normalizeCountry = (country) => {
+  const value = String(country || '').trim();
+  if (!value) return '';
+  if (/^[a-z]{2}$/i.test(value)) return value.toUpperCase() === 'UK' ? 'GB' : value.toUpperCase();
+  return COUNTRY_NAMES[value.toLowerCase()] || value;
+};
+
+const tldLocation = (domain) => TLD_LOCATIONS[String(domain || '').split('.').pop()];
+
+const countryTimezone = (country) =>
+  Object.values(TLD_LOCATIONS).find(location => location.country === country)?.timezone;
+
+/**
+ * Local rules: company from the email domain, country and timezone from the city or the
+ * domain's country TLD, and tidied names. Runs in the browser with no network calls.
+ */
+export const localProvider = {
+  id: 'local',
+  label: 'Local rules',
+  description: 'Company from email domain, country and timezone from city or domain TLD, tidied names',
+  // Existing values of these fields may be rewritten in a normalized form
+  normalizes: ['name', 'country'],
+  enrich: async (lead) => {
+    const domain = emailDomain(lead.email);
+    const city = CITY_LOCATIONS[String(lead.city || '').trim().toLowerCase()];
+    // An existing country is only ever normalized, never replaced
+    const country = lead.country
+      ? normalizeCountry(lead.country)
+      : city?.country || tldLocation(domain)?.country;
+    return {
+      name: lead.name ? normalizeName(lead.name) : nameFromEmail(lead.email),
+      company: companyFromDomain(domain),
+      country,
+      // A city is more precise than the country's main timezone
+      timezone: (city && city.country === country ? city.timezone : null) || countryTimezone(country),
+    };
+  },
+};
+
+/**
+ * Fixed fake data after a short delay, for trying the enrichment flow without a real provider
+ */
+export const stubProvider = {
+  id: 'stub',
+  label: 'Stub (testing)',
+  description: 'Fills empty fields with fixed sample values - never use on real data',
+  enrich: async () => {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    return {
+      company: 'Stub Industries',
+      city: 'Springfield',
+      country: 'US',
+      timezone: 'America/Chicago',
+    };
+  },
+};
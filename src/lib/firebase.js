@@ -57,14 +57,20 @@ export async function getFCMToken() {
 }
 
 /**
- * Register token with backend
+ * Register token with backend, tagged with the team member using this browser
+ * so their task reminders are pushed here
  */
 export async function registerTokenWithBackend(token) {
   try {
     const response = await fetch(`${API_URL}/notifications/device-tokens`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ userId: 'admin', token, platform: 'web' })
+      body: JSON.stringify({
+        userId: 'admin',
+        ownerId: localStorage.getItem('leadflow-current-owner') || null,
+        token,
+        platform: 'web'
+      })
     });
     const data = await response.json();
     return data.success;
@@ -98,7 +104,7 @@ export function setupForegroundHandler() {
     const body = payload.notification?.body || 'New notification';
     const type = payload.data?.type || 'info';
 
-    const icons = { achievement: '🏆', success: '✅', error: '❌', warning: '⚠️', info: '📧' };
+    const icons = { achievement: '🏆', success: '✅', error: '❌', warning: '⚠️', info: '📧', task_due: '⏰' };
     
     if (type === 'error') {
       toast.error(`${title}: ${body}`, { icon: icons[type] });
@@ -0,0 +1,61 @@
+// src/lib/importSession.js
+// IndexedDB persistence for in-progress chunked imports so they survive a reload
+
+const DB_NAME = 'leadflow-imports';
+const STORE_NAME = 'sessions';
+const SESSION_KEY = 'current';
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withStore = async (mode, action) => {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = action(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * Load the interrupted import session, if any
+ */
+export async function loadImportSession() {
+  try {
+    return (await withStore('readonly', store => store.get(SESSION_KEY))) || null;
+  } catch (error) {
+    console.warn('[Import] Could not read saved session:', error);
+    return null;
+  }
+}
+
+/**
+ * Persist the current import session (chunks, statuses and totals)
+ */
+export async function saveImportSession(session) {
+  try {
+    await withStore('readwrite', store => store.put(session, SESSION_KEY));
+  } catch (error) {
+    console.warn('[Import] Could not save session:', error);
+  }
+}
+
+/**
+ * Remove the saved import session once it completes or is discarded
+ */
+export async function clearImportSession() {
+  try {
+    await withStore('readwrite', store => store.delete(SESSION_KEY));
+  } catch (error) {
+    console.warn('[Import] Could not clear session:', error);
+  }
+}
@@ -0,0 +1,150 @@
+// src/lib/leadDuplicates.js
+// Likely-duplicate detection: normalized email, same domain + similar name, same company + similar name
+
+import { normalizeEmail } from './leadImport';
+
+// Shared mailbox providers - a shared domain says nothing about the person
+export const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'outlook.com', 'hotmail.com', 'live.com',
+  'icloud.com', 'me.com', 'aol.com', 'gmx.de', 'gmx.net', 'web.de', 'proton.me', 'protonmail.com',
+]);
+
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+// Similar names are compared pairwise, so a bigger domain or company bucket is left out
+// (exact email matches still count there)
+export const MAX_NAME_BUCKET = 250;
+
+// Leads loaded for one scan, newest first
+export const MAX_DUPLICATE_SCAN = 10000;
+
+export const MATCH_REASONS = {
+  email: 'Same email',
+  domainName: 'Same domain, similar name',
+  companyName: 'Same company, similar name',
+};
+
+/**
+ * Email key ignoring case and "+tag" suffixes
+ */
+export const emailKey = (email) => {
+  const [local = '', domain = ''] = normalizeEmail(email).split('@');
+  return domain ? `${local.split('+')[0]}@${domain}` : local;
+};
+
+export const emailDomain = (email) => normalizeEmail(email).split('@')[1] || '';
+
+// Lowercase, strip accents and punctuation, sort tokens so "Doe, John" matches "John Doe"
+const normalizeName = (name) =>
+  String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+
+export const normalizeCompany = (company) =>
+  String(company || '')
+    .toLowerCase()
+    .replace(/\b(inc|llc|ltd|gmbh|ag|corp|co|sa|bv)\b\.?/g, '')
+    .replace(/[^a-z0-9]/g, '');
+
+const levenshtein = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Name similarity between 0 and 1 (1 = identical after normalization)
+ */
+export function nameSimilarity(a, b) {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  return 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+}
+
+const bucketBy = (leads, keyFn) => {
+  const buckets = new Map();
+  leads.forEach((lead, idx) => {
+    const key = keyFn(lead);
+    if (!key) return;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(idx);
+  });
+  return [...buckets.values()].filter(indexes => indexes.length > 1);
+};
+
+/**
+ * Group leads that are likely the same person.
+ * Returns { groups: [{ key, leads, reasons }] with the largest groups first,
+ * skippedBuckets: domains/companies too big for name matching }
+ */
+export function findDuplicateGroups(leads) {
+  // Union-find over lead indexes
+  const parent = leads.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const links = [];
+  const link = (a, b, reason) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent[rootB] = rootA;
+    links.push([a, reason]);
+  };
+
+  bucketBy(leads, l => emailKey(l.email)).forEach(indexes => {
+    indexes.slice(1).forEach(idx => link(indexes[0], idx, 'email'));
+  });
+
+  const skippedBuckets = [];
+  const linkSimilarNames = (indexes, reason) => {
+    if (indexes.length > MAX_NAME_BUCKET) {
+      skippedBuckets.push({ reason, size: indexes.length });
+      return;
+    }
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const a = indexes[i];
+        const b = indexes[j];
+        if (find(a) === find(b)) continue;
+        if (nameSimilarity(leads[a].name, leads[b].name) >= NAME_SIMILARITY_THRESHOLD) link(a, b, reason);
+      }
+    }
+  };
+
+  bucketBy(leads, l => {
+    const domain = emailDomain(l.email);
+    return domain && !FREE_MAIL_DOMAINS.has(domain) ? domain : '';
+  }).forEach(indexes => linkSimilarNames(indexes, 'domainName'));
+
+  bucketBy(leads, l => normalizeCompany(l.company)).forEach(indexes => linkSimilarNames(indexes, 'companyName'));
+
+  const groups = new Map();
+  leads.forEach((lead, idx) => {
+    const root = find(idx);
+    if (!groups.has(root)) groups.set(root, { indexes: [], reasons: new Set() });
+    groups.get(root).indexes.push(idx);
+  });
+  links.forEach(([idx, reason]) => groups.get(find(idx)).reasons.add(reason));
+
+  const duplicateGroups = [...groups.values()]
+    .filter(group => group.indexes.length > 1)
+    .map(group => ({
+      key: group.indexes.map(idx => leads[idx].id).sort().join('|'),
+      leads: group.indexes.map(idx => leads[idx]),
+      reasons: [...group.reasons],
+    }))
+    .sort((a, b) => b.leads.length - a.leads.length);
+  return { groups: duplicateGroups, skippedBuckets };
+}
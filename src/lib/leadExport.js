@@ -0,0 +1,135 @@
+// src/lib/leadExport.js
+// Lead export - column definitions, engagement derivation and CSV/XLSX/JSON output
+
+import { toCsv, downloadFile } from './csv';
+import { CUSTOM_FIELD_PREFIX } from './customFields';
+
+export const INITIAL_STEP = 'Initial Email';
+
+const countEvents = (lead, events) =>
+  (lead.eventHistory || []).filter(e => events.includes(e.event)).length;
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : '');
+
+// Latest event timestamp, falling back to the server's own field when history isn't included
+const lastActivity = (lead) => {
+  const latest = (lead.eventHistory || []).reduce(
+    (max, e) => (e.timestamp && new Date(e.timestamp) > max ? new Date(e.timestamp) : max),
+    new Date(0)
+  );
+  return latest.getTime() > 0 ? latest.toISOString() : formatDate(lead.lastActivityAt);
+};
+
+// Schedule followups may arrive as a JSON string (same normalization as LeadDetail)
+const scheduleFollowups = (lead) => {
+  const followups = lead.emailSchedule?.followups;
+  if (Array.isArray(followups)) return followups;
+  if (typeof followups === 'string') {
+    try {
+      return JSON.parse(followups);
+    } catch {
+      return [];
+    }
+  }
+  return [];
+};
+
+const stepStatus = (lead, stepName) => {
+  if (stepName === INITIAL_STEP) {
+    const schedule = lead.emailSchedule || {};
+    return schedule.initialEmail?.status || schedule.initialStatus || '';
+  }
+  return scheduleFollowups(lead).find(f => f.name === stepName)?.status || '';
+};
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'xlsx', label: 'Excel (XLSX)' },
+  { id: 'json', label: 'JSON' },
+];
+
+// Columns that need eventHistory / emailSchedule in the list response
+export const ENGAGEMENT_GROUP = 'Engagement';
+
+export const BASE_EXPORT_COLUMNS = [
+  { id: 'name', label: 'Name', group: 'Lead', value: l => l.name || '' },
+  { id: 'email', label: 'Email', group: 'Lead', value: l => l.email || '' },
+  { id: 'company', label: 'Company', group: 'Lead', value: l => l.company || '' },
+  { id: 'status', label: 'Status', group: 'Lead', value: l => l.status || '' },
+  { id: 'country', label: 'Country', group: 'Lead', value: l => l.country || '' },
+  { id: 'city', label: 'City', group: 'Lead', value: l => l.city || '' },
+  { id: 'timezone', label: 'Timezone', group: 'Lead', value: l => l.timezone || '' },
+  { id: 'createdAt', label: 'Created', group: 'Lead', value: l => formatDate(l.createdAt) },
+  { id: 'score', label: 'Score', group: 'Lead', value: l => l.score || 0 },
+  { id: 'tags', label: 'Tags', group: 'Lead', value: l => (l.tags || []).join(', ') },
+  { id: 'opens', label: 'Opens', group: ENGAGEMENT_GROUP, value: l => countEvents(l, ['opened', 'unique_opened']) },
+  { id: 'clicks', label: 'Clicks', group: ENGAGEMENT_GROUP, value: l => countEvents(l, ['clicked']) },
+  { id: 'lastActivity', label: 'Last Activity', group: ENGAGEMENT_GROUP, value: lastActivity },
+];
+
+// The original seven columns the old "Export to CSV" produced
+export const DEFAULT_EXPORT_COLUMNS = ['name', 'email', 'company', 'status', 'country', 'timezone', 'createdAt'];
+
+/**
+ * One status column per sequence step, e.g. "First Followup Status"
+ */
+export function buildStepColumns(stepNames) {
+  return [INITIAL_STEP, ...stepNames.filter(name => name !== INITIAL_STEP)].map(name => ({
+    id: `step:${name}`,
+    label: `${name} Status`,
+    group: ENGAGEMENT_GROUP,
+    value: l => stepStatus(l, name),
+  }));
+}
+
+/**
+ * One column per custom field defined in Settings
+ */
+export function buildCustomFieldColumns(customFields) {
+  return customFields.map(field => ({
+    id: `${CUSTOM_FIELD_PREFIX}${field.key}`,
+    label: field.label,
+    group: 'Custom Fields',
+    value: l => l.customFields?.[field.key] ?? '',
+  }));
+}
+
+/**
+ * Page through getLeads until every lead matching the filter is loaded,
+ * or at least maxLeads when given
+ */
+export async function fetchAllLeads(fetchPage, onProgress, maxLeads = Infinity) {
+  const leads = [];
+  for (let page = 1; ; page++) {
+    const data = await fetchPage(page);
+    leads.push(...(data.leads || []));
+    const pages = data.pagination?.pages || 1;
+    onProgress?.({ loaded: leads.length, total: data.pagination?.total || leads.length });
+    if (page >= pages || leads.length >= maxLeads) break;
+  }
+  return leads;
+}
+
+/**
+ * Write leads to a file in the chosen format and start the download
+ */
+export async function exportLeads(leads, columns, format, baseName) {
+  if (format === 'json') {
+    const records = leads.map(lead => Object.fromEntries(columns.map(c => [c.label, c.value(lead)])));
+    downloadFile(JSON.stringify(records, null, 2), `${baseName}.json`, 'application/json');
+    return;
+  }
+
+  const headers = columns.map(c => c.label);
+  const rows = leads.map(lead => columns.map(c => c.value(lead)));
+
+  if (format === 'xlsx') {
+    const { default: writeExcelFile } = await import('write-excel-file/universal');
+    const cells = rows.map(row => row.map(value => (value == null || value === '' ? null : value)));
+    const blob = await writeExcelFile([headers, ...cells], { sheet: 'Leads' }).toBlob();
+    downloadFile(blob, `${baseName}.xlsx`);
+    return;
+  }
+
+  downloadFile(toCsv(headers, rows), `${baseName}.csv`);
+}
@@ -0,0 +1,123 @@
+// src/lib/leadFilters.js
+// Lead list filters - URL encoding for shareable views and API params
+
+import { CUSTOM_FIELD_PREFIX } from './customFields';
+
+// URL param name for each filter key
+const URL_KEYS = {
+  search: 'q',
+  status: 'status',
+  tags: 'tags',
+  country: 'country',
+  timezone: 'tz',
+  scoreMin: 'scoreMin',
+  scoreMax: 'scoreMax',
+  createdFrom: 'from',
+  createdTo: 'to',
+  hasOpened: 'opened',
+  hasClicked: 'clicked',
+  ownerId: 'owner',
+};
+
+export const EMPTY_LEAD_FILTERS = {
+  search: '',
+  status: '',
+  tags: [],
+  country: '',
+  timezone: '',
+  scoreMin: '',
+  scoreMax: '',
+  createdFrom: '',
+  createdTo: '',
+  hasOpened: '',
+  hasClicked: '',
+  // Team member id, or 'unassigned'
+  ownerId: '',
+  // Custom field key -> value ("min..max" for number and date fields)
+  custom: {},
+};
+
+const isEmpty = (value) => (Array.isArray(value) ? value.length === 0 : value === '' || value == null);
+
+// Non-empty custom field filters as [key, value] pairs
+const customEntries = (custom) => Object.entries(custom || {}).filter(([, value]) => !isEmpty(value) && value !== '..');
+
+/**
+ * Split a "min..max" range filter into its two ends (either may be empty)
+ */
+export const splitRange = (value) => {
+  const [min = '', max = ''] = String(value || '').split('..');
+  return [min, max];
+};
+
+export const joinRange = (min, max) => (min || max ? `${min}..${max}` : '');
+
+// Custom field filters go in the URL and API params as cf.<key>
+const readCustomParams = (entries) => Object.fromEntries(
+  entries
+    .filter(([param, value]) => param.startsWith(CUSTOM_FIELD_PREFIX) && !isEmpty(value))
+    .map(([param, value]) => [param.slice(CUSTOM_FIELD_PREFIX.length), String(value)])
+);
+
+/**
+ * Read lead filters from URL search params
+ */
+export function parseLeadFilters(searchParams) {
+  const filters = { ...EMPTY_LEAD_FILTERS };
+  Object.entries(URL_KEYS).forEach(([key, param]) => {
+    const value = searchParams.get(param);
+    if (value == null) return;
+    filters[key] = key === 'tags' ? value.split(',').filter(Boolean) : value;
+  });
+  filters.custom = readCustomParams([...searchParams.entries()]);
+  return filters;
+}
+
+/**
+ * Write lead filters into URL search params, keeping unrelated params
+ */
+export function writeLeadFilters(searchParams, filters) {
+  const next = new URLSearchParams(searchParams);
+  Object.entries(URL_KEYS).forEach(([key, param]) => {
+    const value = filters[key];
+    if (isEmpty(value)) next.delete(param);
+    else next.set(param, Array.isArray(value) ? value.join(',') : value);
+  });
+  [...next.keys()].filter(param => param.startsWith(CUSTOM_FIELD_PREFIX)).forEach(param => next.delete(param));
+  customEntries(filters.custom).forEach(([key, value]) => next.set(`${CUSTOM_FIELD_PREFIX}${key}`, value));
+  return next;
+}
+
+/**
+ * Convert filters into query params for getLeads, dropping empty values
+ */
+export function toLeadQueryParams(filters = {}) {
+  const params = {};
+  Object.entries(filters).forEach(([key, value]) => {
+    if (key === 'custom' || isEmpty(value)) return;
+    params[key] = Array.isArray(value) ? value.join(',') : value;
+  });
+  customEntries(filters.custom).forEach(([key, value]) => {
+    params[`${CUSTOM_FIELD_PREFIX}${key}`] = value;
+  });
+  return params;
+}
+
+// Number of builder filters in use (search, status and owner have their own controls)
+export const countActiveFilters = (filters) =>
+  Object.entries(filters).filter(([key, value]) => !['search', 'status', 'ownerId', 'custom'].includes(key) && !isEmpty(value)).length +
+  customEntries(filters.custom).length;
+
+/**
+ * Rebuild filters from saved query params (e.g. a segment definition)
+ */
+export function fromLeadQueryParams(params = {}) {
+  const filters = { ...EMPTY_LEAD_FILTERS };
+  Object.keys(EMPTY_LEAD_FILTERS).forEach((key) => {
+    const value = params[key];
+    if (key === 'custom' || isEmpty(value)) return;
+    filters[key] = key === 'tags' ? String(value).split(',').filter(Boolean) : String(value);
+  });
+  filters.custom = readCustomParams(Object.entries(params));
+  return filters;
+}
@@ -0,0 +1,222 @@
+// src/lib/leadImport.js
+// Client-side parsing, column mapping and validation for lead imports
+
+import { CUSTOM_FIELD_PREFIX, coerceCustomFieldValue } from './customFields';
+
+// Lead fields a spreadsheet column can be mapped to
+export const LEAD_FIELDS = [
+  { key: 'name', label: 'Name', aliases: ['name', 'full name', 'fullname', 'contact name', 'contact', 'first name', 'last name', 'firstname', 'lastname'] },
+  { key: 'email', label: 'Email', required: true, aliases: ['email', 'e mail', 'email address', 'work email', 'business email', 'mail'] },
+  { key: 'company', label: 'Company', aliases: ['company', 'company name', 'organization', 'organisation', 'account', 'account name', 'employer'] },
+  { key: 'country', label: 'Country', aliases: ['country', 'country code', 'nation'] },
+  { key: 'city', label: 'City', aliases: ['city', 'town', 'location'] },
+  { key: 'timezone', label: 'Timezone', aliases: ['timezone', 'time zone', 'tz'] },
+  { key: 'tags', label: 'Tags', aliases: ['tags', 'tag', 'labels', 'label', 'segment'] },
+];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// Fields whose values are joined when several columns map to them
+const JOINED_FIELDS = { name: ' ' };
+
+export const normalizeHeader = (header) =>
+  String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+export const isValidEmail = (email) => EMAIL_REGEX.test(String(email || '').trim());
+
+/**
+ * Mapping targets for custom field definitions, matched by label or key
+ */
+export const customImportFields = (customFields = []) =>
+  customFields.map(field => ({
+    key: `${CUSTOM_FIELD_PREFIX}${field.key}`,
+    label: field.label,
+    aliases: [...new Set([normalizeHeader(field.label), normalizeHeader(field.key)])],
+  }));
+
+// CSV is read as text so values keep their original formatting
+async function readCsvRows(file) {
+  const { default: Papa } = await import('papaparse');
+  return Papa.parse(await file.text(), { skipEmptyLines: false }).data;
+}
+
+// XLSX cells come typed; dates become YYYY-MM-DD (with the time when there is one)
+const xlsxCellText = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.slice(0, 16).replace('T', ' ');
+  }
+  return String(value);
+};
+
+async function readXlsxRows(file) {
+  const { readSheet } = await import('read-excel-file/universal');
+  const rows = await readSheet(file);
+  return rows.map(cells => cells.map(xlsxCellText));
+}
+
+/**
+ * Parse a CSV or XLSX file into headers and row objects keyed by header.
+ * rowNumbers[i] is rows[i]'s row in the file (1-based), counted before blank rows are dropped.
+ */
+export async function parseLeadFile(file) {
+  const isCsv = file.name.toLowerCase().endsWith('.csv');
+  const numbered = (isCsv ? await readCsvRows(file) : await readXlsxRows(file))
+    .map((cells, idx) => ({ cells, rowNumber: idx + 1 }))
+    .filter(({ cells }) => cells.some(cell => String(cell ?? '').trim() !== ''));
+  if (numbered.length === 0) throw new Error('The file is empty');
+  const matrix = numbered.map(({ cells }) => cells);
+
+  // Blank and repeated headers get unique names so every column stays addressable
+  const seen = {};
+  const headers = matrix[0].map((cell, idx) => {
+    const base = String(cell).trim() || `Column ${idx + 1}`;
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] > 1 ? `${base} (${seen[base]})` : base;
+  });
+
+  const rows = matrix
+    .slice(1)
+    .map(cells => Object.fromEntries(
+      headers.map((header, idx) => [header, String(cells[idx] ?? '').trim()])
+    ));
+
+  return { headers, rows, rowNumbers: numbered.slice(1).map(({ rowNumber }) => rowNumber) };
+}
+
+/**
+ * Guess a header -> lead field mapping from known header aliases
+ */
+export function guessMapping(headers, fields = LEAD_FIELDS) {
+  const mapping = {};
+  const taken = new Set();
+
+  headers.forEach(header => {
+    const normalized = normalizeHeader(header);
+    const field = fields.find(f =>
+      f.aliases.includes(normalized) && (!taken.has(f.key) || JOINED_FIELDS[f.key] || f.key === 'tags')
+    );
+    mapping[header] = field?.key || '';
+    if (field) taken.add(field.key);
+  });
+
+  return mapping;
+}
+
+// Minimum share of a profile's mapped headers the file must contain to auto-select it
+const PROFILE_MATCH_THRESHOLD = 0.8;
+
+/**
+ * Find the saved mapping profile that best matches the file's headers
+ */
+export function detectProfile(profiles, headers) {
+  const fileHeaders = new Set(headers.map(normalizeHeader));
+  let best = null;
+
+  (profiles || []).forEach(profile => {
+    const profileHeaders = Object.keys(profile.mappings || {}).map(normalizeHeader);
+    if (profileHeaders.length === 0) return;
+
+    const matched = profileHeaders.filter(h => fileHeaders.has(h)).length;
+    const score = matched / profileHeaders.length;
+    if (score >= PROFILE_MATCH_THRESHOLD && (!best || score > best.score)) {
+      best = { profile, score };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Build a mapping for the file's headers from a saved profile.
+ * Headers the profile does not know fall back to alias guessing.
+ */
+export function mappingFromProfile(profile, headers, fields = LEAD_FIELDS) {
+  const profileMappings = Object.fromEntries(
+    Object.entries(profile.mappings || {}).map(([header, field]) => [normalizeHeader(header), field])
+  );
+  const guessed = guessMapping(headers, fields);
+
+  return Object.fromEntries(headers.map(header => {
+    const normalized = normalizeHeader(header);
+    return [header, normalized in profileMappings ? profileMappings[normalized] : guessed[header]];
+  }));
+}
+
+/**
+ * Build lead objects from parsed rows using a header -> field mapping.
+ * rowNumbers are the rows' positions in the file, from parseLeadFile.
+ * defaultTags are added to every lead; defaultTimezone fills empty timezones.
+ * Custom field values are converted to their field's type; values that don't fit are dropped.
+ */
+export function applyMapping(rows, mapping, { defaultTags = [], defaultTimezone = '', customFields = [], rowNumbers = [] } = {}) {
+  const customByKey = Object.fromEntries(customFields.map(f => [f.key, f]));
+
+  return rows.map((row, idx) => {
+    const lead = { tags: [...defaultTags] };
+
+    Object.entries(mapping).forEach(([header, field]) => {
+      const value = row[header];
+      if (!field || !value) return;
+
+      if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+        const definition = customByKey[field.slice(CUSTOM_FIELD_PREFIX.length)];
+        const coerced = definition && coerceCustomFieldValue(definition, value);
+        if (coerced !== undefined && lead.customFields?.[definition.key] === undefined) {
+          lead.customFields = { ...lead.customFields, [definition.key]: coerced };
+        }
+      } else if (field === 'tags') {
+        lead.tags.push(...value.split(/[,;|]/).map(t => t.trim()).filter(Boolean));
+      } else if (lead[field] && JOINED_FIELDS[field]) {
+        lead[field] = `${lead[field]}${JOINED_FIELDS[field]}${value}`;
+      } else if (!lead[field]) {
+        lead[field] = value;
+      }
+    });
+
+    if (lead.email) lead.email = lead.email.trim();
+    if (!lead.timezone && defaultTimezone) lead.timezone = defaultTimezone;
+    lead.tags = [...new Set(lead.tags)];
+
+    // Without rowNumbers, assume the header is row 1 and no rows were blank
+    return { rowNumber: rowNumbers[idx] ?? idx + 2, lead };
+  });
+}
+
+/**
+ * Flag missing/invalid emails, in-file duplicates and suppressed addresses.
+ * suppressionReason(email) returns why an address is blocked, or null
+ */
+export function validateLeads(mappedRows, { suppressionReason } = {}) {
+  const firstRowByEmail = new Map();
+  const summary = { total: mappedRows.length, valid: 0, invalid: 0, duplicates: 0, suppressed: 0 };
+
+  const rows = mappedRows.map(row => {
+    const issues = [];
+    const email = normalizeEmail(row.lead.email);
+
+    if (!email) {
+      issues.push({ type: 'invalid', message: 'Missing email' });
+    } else if (!isValidEmail(email)) {
+      issues.push({ type: 'invalid', message: `Invalid email "${row.lead.email}"` });
+    } else if (firstRowByEmail.has(email)) {
+      issues.push({ type: 'duplicate', message: `Duplicate of row ${firstRowByEmail.get(email)}` });
+    } else {
+      firstRowByEmail.set(email, row.rowNumber);
+      const reason = suppressionReason?.(email);
+      if (reason) issues.push({ type: 'suppressed', message: reason });
+    }
+
+    if (issues.some(i => i.type === 'invalid')) summary.invalid++;
+    else if (issues.some(i => i.type === 'suppressed')) summary.suppressed++;
+    else if (issues.some(i => i.type === 'duplicate')) summary.duplicates++;
+    else summary.valid++;
+
+    return { ...row, issues };
+  });
+
+  return { rows, summary };
+}
@@ -0,0 +1,62 @@
+// src/lib/leadNavigation.js
+// Remembers the lead list a lead was opened from, so LeadDetail can step through it.
+// Kept in sessionStorage: it survives a reload but stays per tab.
+
+const STORAGE_KEY = 'leadflow-lead-list';
+
+/**
+ * Save the list context when opening a lead from a list:
+ * { ids, query: { limit, status, tags, sortBy, filters }, firstPage, lastPage, pages, total, returnTo }
+ * ids are the loaded pages firstPage..lastPage in order; query is what getLeads was called with.
+ */
+export function saveLeadListContext(context) {
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(context));
+  } catch (error) {
+    console.warn('[LeadNavigation] Could not save list context:', error);
+  }
+}
+
+export function loadLeadListContext() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Where a lead sits in the saved list: { index, position, total, prevId, nextId,
+ * hasPrevPage, hasNextPage }, or null if the lead isn't in it.
+ * prevId / nextId are null at the edge of the loaded pages.
+ */
+export function leadListPosition(context, leadId) {
+  const ids = context?.ids || [];
+  const index = ids.indexOf(String(leadId));
+  if (index === -1) return null;
+  const pageSize = context.query?.limit || ids.length;
+  return {
+    index,
+    position: (context.firstPage - 1) * pageSize + index + 1,
+    total: context.total ?? ids.length,
+    prevId: ids[index - 1] ?? null,
+    nextId: ids[index + 1] ?? null,
+    hasPrevPage: context.firstPage > 1,
+    hasNextPage: context.lastPage < (context.pages || 1),
+  };
+}
+
+/**
+ * The context with another page of ids added before or after the loaded ones
+ */
+export function withLeadListPage(context, page, ids, pagination = {}) {
+  const before = page < context.firstPage;
+  return {
+    ...context,
+    ids: before ? [...ids, ...context.ids] : [...context.ids, ...ids],
+    firstPage: before ? page : context.firstPage,
+    lastPage: before ? context.lastPage : page,
+    pages: pagination.pages ?? context.pages,
+    total: pagination.total ?? context.total,
+  };
+}
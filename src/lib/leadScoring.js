@@ -0,0 +1,86 @@
+// src/lib/leadScoring.js
+// Lead scoring rules - defaults, tier bucketing and an explainable score breakdown
+
+// Scored event types and the eventHistory events that count as each
+export const SCORING_EVENTS = [
+  { key: 'open', label: 'Open', events: ['opened', 'unique_opened'] },
+  { key: 'click', label: 'Click', events: ['clicked'] },
+  { key: 'reply', label: 'Reply', events: ['replied'] },
+  { key: 'bounce', label: 'Bounce', events: ['soft_bounce', 'hard_bounce', 'bounced'] },
+  { key: 'unsubscribe', label: 'Unsubscribe', events: ['unsubscribed'] },
+];
+
+export const DEFAULT_SCORING = {
+  points: { open: 5, click: 10, reply: 25, bounce: -10, unsubscribe: -50 },
+  // Positive points lose half their value every halfLifeDays
+  decay: { enabled: true, halfLifeDays: 30 },
+  // Minimum score for each tier
+  tiers: { hot: 50, warm: 20, cold: 1 },
+};
+
+export const SCORE_TIERS = {
+  hot: { label: 'Hot', bg: 'rgba(239, 68, 68, 0.15)', text: '#ef4444', icon: '🔥' },
+  warm: { label: 'Warm', bg: 'rgba(249, 115, 22, 0.15)', text: '#f97316', icon: '⚡' },
+  cold: { label: 'Cold', bg: 'rgba(59, 130, 246, 0.1)', text: '#3b82f6', icon: '❄️' },
+  new: { label: 'New', bg: 'var(--bg-hover)', text: 'var(--text-muted)', icon: '•' },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Scoring config from settings, with defaults for anything not configured yet
+ */
+export function resolveScoring(settings) {
+  const scoring = settings?.scoring || {};
+  return {
+    points: { ...DEFAULT_SCORING.points, ...scoring.points },
+    decay: { ...DEFAULT_SCORING.decay, ...scoring.decay },
+    tiers: { ...DEFAULT_SCORING.tiers, ...scoring.tiers },
+  };
+}
+
+/**
+ * Tier key ('hot' | 'warm' | 'cold' | 'new') for a score
+ */
+export function getScoreTier(score, tiers = DEFAULT_SCORING.tiers) {
+  if (score >= tiers.hot) return 'hot';
+  if (score >= tiers.warm) return 'warm';
+  if (score >= tiers.cold) return 'cold';
+  return 'new';
+}
+
+/**
+ * Replay eventHistory through the scoring rules.
+ * Returns { items: [{ type, label, event, emailType, timestamp, basePoints, decayFactor, points }], total }
+ */
+export function explainScore(eventHistory = [], scoring = DEFAULT_SCORING, now = Date.now()) {
+  const items = [];
+
+  eventHistory.forEach(entry => {
+    const type = SCORING_EVENTS.find(t => t.events.includes(entry.event));
+    if (!type) return;
+    const basePoints = scoring.points[type.key] || 0;
+    if (basePoints === 0) return;
+
+    // Penalties don't decay - a bounce stays relevant
+    const ageDays = Math.max(0, (now - new Date(entry.timestamp)) / DAY_MS);
+    const decayFactor = scoring.decay.enabled && basePoints > 0 && scoring.decay.halfLifeDays > 0
+      ? 0.5 ** (ageDays / scoring.decay.halfLifeDays)
+      : 1;
+
+    items.push({
+      type: type.key,
+      label: type.label,
+      event: entry.event,
+      emailType: entry.emailType,
+      timestamp: entry.timestamp,
+      basePoints,
+      decayFactor,
+      points: Math.round(basePoints * decayFactor * 10) / 10,
+    });
+  });
+
+  items.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const total = Math.max(0, Math.round(items.reduce((sum, item) => sum + item.points, 0)));
+  return { items, total };
+}
@@ -0,0 +1,34 @@
+// src/lib/owners.js
+// Lead owners - team members from settings, display helpers and round-robin assignment
+
+// ownerId filter value for leads nobody owns yet
+export const UNASSIGNED = 'unassigned';
+
+/**
+ * Team members from settings: [{ id, name, email }]
+ */
+export const resolveTeam = (settings) =>
+  Array.isArray(settings?.team) ? settings.team : [];
+
+export const findOwner = (team, ownerId) => team.find(m => m.id === ownerId) || null;
+
+export const ownerInitials = (name) =>
+  String(name || '?')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('');
+
+/**
+ * Give each lead the next owner in rotation, starting at ownerIds[start].
+ * Returns the assigned leads and the index the next import should start from.
+ */
+export function assignRoundRobin(leads, ownerIds, start = 0) {
+  if (ownerIds.length === 0) return { leads, next: start };
+  const offset = start % ownerIds.length;
+  return {
+    leads: leads.map((lead, idx) => ({ ...lead, ownerId: ownerIds[(offset + idx) % ownerIds.length] })),
+    next: (offset + leads.length) % ownerIds.length,
+  };
+}
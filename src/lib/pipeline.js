@@ -0,0 +1,62 @@
+// src/lib/pipeline.js
+// Lifecycle pipeline - stages a lead moves through, shown as a kanban board.
+// The server places each lead (getLeads' stage filter): converted and unreachable leads in
+// Converted / Lost, then the stage it was last moved to on the board, otherwise by status and
+// engagement - replied, engaged (opened or clicked), in sequence, new.
+
+// onEnter: what happens to the sequence when a lead is dragged into the stage
+export const STAGE_ACTIONS = [
+  { id: 'none', label: 'Nothing' },
+  { id: 'pause', label: 'Pause followups' },
+  { id: 'freeze', label: 'Freeze indefinitely' },
+  { id: 'convert', label: 'Mark as converted' },
+];
+
+export const DEFAULT_PIPELINE_STAGES = [
+  { id: 'new', label: 'New', color: '#64748b', onEnter: 'none' },
+  { id: 'in_sequence', label: 'In sequence', color: '#3b82f6', onEnter: 'none' },
+  { id: 'engaged', label: 'Engaged', color: '#f59e0b', onEnter: 'none' },
+  { id: 'replied', label: 'Replied', color: '#10b981', onEnter: 'pause' },
+  { id: 'meeting', label: 'Meeting booked', color: '#8b5cf6', onEnter: 'pause' },
+  { id: 'converted', label: 'Converted', color: '#22c55e', onEnter: 'convert' },
+  { id: 'lost', label: 'Lost', color: '#ef4444', onEnter: 'freeze' },
+];
+
+// Cards loaded per column, and per "Show more"
+export const PIPELINE_PAGE_SIZE = 50;
+
+// Statuses that mean the lead can't be reached any more
+const LOST_STATUSES = ['dead', 'unsubscribed', 'complaint', 'hard_bounce', 'blocked', 'spam', 'invalid'];
+
+/**
+ * Stages with the label, color, action and visibility overrides saved in settings.pipelineStages.
+ * The order is fixed - it is the lifecycle.
+ */
+export const resolvePipelineStages = (settings) => {
+  const overrides = settings?.pipelineStages || [];
+  return DEFAULT_PIPELINE_STAGES.map(stage => ({
+    hidden: false,
+    ...stage,
+    ...overrides.find(o => o.id === stage.id),
+  }));
+};
+
+// Lead status may be "<email type>:<status>"
+const rawStatus = (lead) => String(lead.status || '').split(':').pop();
+
+/**
+ * Why a lead can't be moved off its column, or null. Converted and unreachable leads are
+ * placed by their status, so any other stage saved for them wouldn't show.
+ */
+export function stageLock(lead) {
+  const status = rawStatus(lead);
+  if (status === 'converted') return 'Converted leads stay in Converted';
+  if (LOST_STATUSES.includes(status)) return `This lead is ${status.replace(/_/g, ' ')} and can't be emailed, so it stays in Lost`;
+  return null;
+}
+
+/**
+ * Whether moving a lead out of a freezing stage (Lost) should unfreeze it again
+ */
+export const unfreezesOnMove = (lead, fromStage, toStage) =>
+  fromStage?.onEnter === 'freeze' && rawStatus(lead) === 'frozen' && toStage.onEnter !== 'freeze';
@@ -45,6 +45,38 @@ export const queryKeys = {
     list: (filters) => ['leads', 'list', filters],
     detail: (id) => ['leads', 'detail', id],
     slots: (id) => ['leads', 'slots', id],
+    // Nested under leads so any lead change refreshes segment counts
+    segments: () => ['leads', 'segments'],
+    notes: (id) => ['leads', 'notes', id],
+    terminalAudit: (id) => ['leads', 'terminalAudit', id],
+  },
+  
+  // Tasks - outside leads so the Tasks page isn't refetched on every lead change
+  tasks: {
+    all: () => ['tasks'],
+    list: (filters) => ['tasks', 'list', filters],
+  },
+  
+  // Duplicate groups - kept outside leads so routine lead updates don't trigger a full rescan
+  duplicates: {
+    all: () => ['duplicates'],
+  },
+  
+  // Account roll-ups - aggregated by the server over every lead, so also kept outside leads
+  accounts: {
+    all: () => ['accounts'],
+    leads: (key) => ['accounts', 'leads', key],
+  },
+  
+  // Pipeline board - a page of leads per stage column, kept outside leads like accounts
+  pipeline: {
+    all: () => ['pipeline'],
+    column: (stageId, filters, limit) => ['pipeline', 'column', stageId, filters, limit],
+  },
+  
+  // Suppression list - blocked emails and domains
+  suppressions: {
+    all: () => ['suppressions'],
   },
   
   // Email Jobs
@@ -68,6 +100,13 @@ export const queryKeys = {
     hierarchy: (period) => ['dashboard', 'hierarchy', period],
   },
   
+  // Analytics page
+  analytics: {
+    all: () => ['analytics'],
+    variants: () => ['analytics', 'variants'],
+    variantResults: (params) => ['analytics', 'variants', params],
+  },
+  
   // Templates
   templates: {
     all: () => ['templates'],
@@ -79,6 +118,7 @@ export const queryKeys = {
     all: () => ['settings'],
     general: () => ['settings', 'general'],
     followups: () => ['settings', 'followups'],
+    sequenceVersions: (sequenceId) => ['settings', 'sequenceVersions', sequenceId],
     rulebook: () => ['settings', 'rulebook'],
     templates: () => ['settings', 'templates'],
     pausedDates: () => ['settings', 'pausedDates'],
@@ -91,6 +131,14 @@ export const queryKeys = {
     unread: () => ['notifications', 'unread'],
   },
   
+  // Imports
+  imports: {
+    all: () => ['imports'],
+    list: (params) => ['imports', 'list', params],
+    detail: (id) => ['imports', 'detail', id],
+    profiles: () => ['imports', 'profiles'],
+  },
+  
   // Tags
   tags: {
     all: () => ['tags'],
@@ -0,0 +1,263 @@
+// src/lib/scheduleSimulator.js
+// Works out when each remaining email of a sequence goes out for a sample lead, applying the
+// same rules as the scheduler - working days, paused dates, business hours, smart send windows
+// and the rate limit - and records every time a rule moved an email, for explaining it.
+// All rules are evaluated in the lead's timezone.
+
+import { flowPath, conditionLabel } from './sequenceFlow';
+import { hasVariants } from './abTests';
+
+export const ENGAGEMENT_OPTIONS = [
+  { id: 'none', label: 'Never opens', opens: false, clicks: false },
+  { id: 'opens', label: 'Opens every email', opens: true, clicks: false },
+  { id: 'clicks', label: 'Opens and clicks every email', opens: true, clicks: true },
+];
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MAX_ADJUSTMENTS = 30;
+
+/**
+ * The scheduling rules from settings, with the same defaults the Settings page shows
+ */
+export function resolveScheduleRules(settings, { pausedDates = [], weekendDays = [0, 6] } = {}) {
+  const smart = settings?.smartSendTime || {};
+  return {
+    weekendDays,
+    pausedDates: pausedDates.map(date => String(date).slice(0, 10)),
+    businessHours: {
+      startHour: settings?.businessHours?.startHour ?? 8,
+      endHour: settings?.businessHours?.endHour ?? 22,
+    },
+    smartSend: {
+      enabled: smart.enabled !== false,
+      priority: smart.priority || 'morning',
+      morning: { startHour: smart.morningWindow?.startHour ?? 9, endHour: smart.morningWindow?.endHour ?? 11 },
+      afternoon: { startHour: smart.afternoonWindow?.startHour ?? 14, endHour: smart.afternoonWindow?.endHour ?? 16 },
+    },
+    rateLimit: {
+      emailsPerWindow: settings?.rateLimit?.emailsPerWindow ?? 2,
+      windowMinutes: settings?.rateLimit?.windowMinutes ?? 15,
+    },
+    pauseOnReply: settings?.replyHandling?.pauseFollowups !== false,
+  };
+}
+
+export const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return !!timeZone;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of a moment in a timezone
+ */
+export function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    year: +parts.year,
+    month: +parts.month,
+    day: +parts.day,
+    hour: +parts.hour,
+    minute: +parts.minute,
+    weekday: DAY_NAMES.indexOf(parts.weekday),
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+/**
+ * The moment a wall-clock time happens in a timezone. Days and hours may overflow
+ * (day 32, hour 25), as with Date.UTC.
+ */
+export function zonedDate(timeZone, year, month, day, hour = 0, minute = 0) {
+  const target = Date.UTC(year, month - 1, day, hour, minute);
+  let guess = target;
+  // Twice, so a guess that lands on the other side of a DST change gets corrected
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(guess), timeZone);
+    guess -= Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - target;
+  }
+  return new Date(guess);
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const hourLabel = (hour) => `${pad(hour)}:00`;
+const windowLabel = (w) => `${hourLabel(w.startHour)}-${hourLabel(w.endHour)}`;
+
+export const formatZoned = (date, timeZone, withDate = true) => {
+  const p = zonedParts(date, timeZone);
+  const time = `${pad(p.hour)}:${pad(p.minute)}`;
+  if (!withDate) return time;
+  const month = new Date(Date.UTC(p.year, p.month - 1, p.day)).toLocaleString('en-US', { month: 'short', timeZone: 'UTC' });
+  return `${DAY_NAMES[p.weekday]} ${p.day} ${month} ${time}`;
+};
+
+// Smart send: the first window, in order of preference, that hasn't ended yet that day
+const smartWindows = (smartSend) => {
+  const { morning, afternoon, priority } = smartSend;
+  if (priority === 'afternoon') return [afternoon, morning];
+  if (priority === 'balanced') return [morning, afternoon].sort((a, b) => a.startHour - b.startHour);
+  return [morning, afternoon];
+};
+
+/**
+ * The first time at or after `due` that every sending rule allows.
+ * Returns { time, adjustments: [{ rule, from, to, reason }], unresolved }
+ */
+export function fitToRules(due, rules, timeZone) {
+  const adjustments = [];
+  let time = due;
+  const move = (rule, to, reason) => {
+    const last = adjustments[adjustments.length - 1];
+    // Consecutive days skipped for the same reason read as one move
+    if (last && last.rule === rule && last.reason === reason) last.to = to;
+    else adjustments.push({ rule, from: time, to, reason });
+    time = to;
+  };
+
+  const { weekendDays, pausedDates, businessHours, smartSend } = rules;
+  for (let i = 0; i < MAX_ADJUSTMENTS; i++) {
+    const p = zonedParts(time, timeZone);
+    const nextDayStart = () => zonedDate(timeZone, p.year, p.month, p.day + 1, businessHours.startHour);
+
+    if (weekendDays.includes(p.weekday)) {
+      move('weekend', nextDayStart(), 'weekend');
+    } else if (pausedDates.includes(p.dateKey)) {
+      move('paused', nextDayStart(), 'paused date');
+    } else if (p.hour < businessHours.startHour) {
+      move('business_hours', zonedDate(timeZone, p.year, p.month, p.day, businessHours.startHour),
+        `before business hours, ${windowLabel(businessHours)}`);
+    } else if (p.hour >= businessHours.endHour) {
+      move('business_hours', nextDayStart(), `after business hours, ${windowLabel(businessHours)}`);
+    } else if (smartSend.enabled) {
+      const windows = smartWindows(smartSend);
+      const inWindow = windows.some(w => p.hour >= w.startHour && p.hour < w.endHour);
+      if (inWindow) return { time, adjustments, unresolved: false };
+      const today = windows.find(w => p.hour < w.endHour);
+      const target = today
+        ? zonedDate(timeZone, p.year, p.month, p.day, today.startHour)
+        : zonedDate(timeZone, p.year, p.month, p.day + 1, windows[0].startHour);
+      const window = today || windows[0];
+      move('smart_send', target, `smart send, ${window === smartSend.morning ? 'morning' : 'afternoon'} window ${windowLabel(window)}`);
+    } else {
+      return { time, adjustments, unresolved: false };
+    }
+  }
+  // Rules that can never all be met, e.g. smart send windows outside business hours
+  return { time, adjustments, unresolved: true };
+}
+
+/**
+ * The rate limit lets emailsPerWindow go out per window, so with `queued` emails ahead of
+ * this one it waits that many full windows
+ */
+export function rateLimitDelay(queued, rateLimit) {
+  const windows = Math.floor(Math.max(0, queued) / rateLimit.emailsPerWindow);
+  return windows * rateLimit.windowMinutes;
+}
+
+/**
+ * Human-readable line for one adjustment, e.g. "Moved from Sat 12 Oct to Mon 14 Oct (weekend)"
+ */
+export function describeAdjustment(adjustment, timeZone) {
+  const { from, to, reason } = adjustment;
+  const sameDay = zonedParts(from, timeZone).dateKey === zonedParts(to, timeZone).dateKey;
+  if (adjustment.rule === 'rate_limit') {
+    return `Delayed ${Math.round((to - from) / 60000)} min (${reason})`;
+  }
+  if (sameDay) return `Moved from ${formatZoned(from, timeZone, false)} to ${formatZoned(to, timeZone, false)} (${reason})`;
+  return `Moved from ${formatZoned(from, timeZone)} to ${formatZoned(to, timeZone)} (${reason})`;
+}
+
+const engagementFor = (engagementId) => ENGAGEMENT_OPTIONS.find(e => e.id === engagementId) || ENGAGEMENT_OPTIONS[0];
+
+// The emails the sample lead goes through - a flow's depend on how the lead engages
+export const simulationSteps = (sequence, engagementId) =>
+  (sequence.flow ? flowPath(sequence.flow, engagementFor(engagementId)) : sequence.followups);
+
+// A linear step's condition against the assumed engagement with the step it checks
+const conditionMet = (condition, checked, engagement) => {
+  const opened = !!checked && engagement.opens;
+  const clicked = !!checked && engagement.clicks;
+  if (condition.type === 'if_opened') return opened;
+  if (condition.type === 'if_not_opened') return !opened;
+  if (condition.type === 'if_clicked') return clicked;
+  if (condition.type === 'if_not_clicked') return !clicked;
+  return true;
+};
+
+/**
+ * Simulate a sample lead through a sequence.
+ * lead: { timeZone, fromStep (index of the next email), since (Date: when the last email was
+ * sent, or the lead was added when fromStep is 0), engagementId, repliesAfterStep (index or
+ * null), queued (emails ahead in the queue at each send) }
+ * Returns [{ step, index, status: 'scheduled' | 'skipped' | 'stopped', due, time,
+ * adjustments, notes, unresolved }]
+ */
+export function simulateSchedule(sequence, rules, lead) {
+  const { timeZone, fromStep = 0, since, engagementId = 'none', repliesAfterStep = null, queued = 0 } = lead;
+  const engagement = engagementFor(engagementId);
+  const steps = simulationSteps(sequence, engagementId);
+
+  const results = [];
+  let last = since;
+  let lastSent = null;
+  const sentNames = new Set();
+
+  for (let index = fromStep; index < steps.length; index++) {
+    const step = steps[index];
+    const notes = [];
+    if (step.via) notes.push(`Reached through the "${conditionLabel(step.via)}" branch`);
+    if (hasVariants(step)) notes.push(`A/B test - gets one of ${step.variants.length} variants`);
+
+    if (repliesAfterStep != null && index > repliesAfterStep && rules.pauseOnReply) {
+      results.push({ step, index, status: 'stopped', notes: ['Followups pause once the lead replies'], adjustments: [] });
+      break;
+    }
+
+    const condition = step.condition;
+    if (!sequence.flow && index > 0 && condition?.type && condition.type !== 'always') {
+      const checked = condition.checkStep && condition.checkStep !== 'previous'
+        ? sentNames.has(condition.checkStep)
+        : !!lastSent;
+      if (!conditionMet(condition, checked, engagement)) {
+        const label = `"${conditionLabel(condition.type)}" condition not met`;
+        if (condition.skipIfNotMet) {
+          results.push({ step, index, status: 'skipped', notes: [...notes, `Skipped - ${label}`], adjustments: [] });
+          continue;
+        }
+        notes.push(condition.alternativeTemplateId
+          ? `Sends the alternative template - ${label}`
+          : `Sends anyway - ${label}`);
+      }
+    }
+
+    const due = new Date(last.getTime() + (index === 0 ? 0 : (Number(step.delayDays) || 0) * 86400000));
+    let { time, adjustments, unresolved } = fitToRules(due, rules, timeZone);
+    const delay = rateLimitDelay(queued, rules.rateLimit);
+    if (delay) {
+      const limited = new Date(time.getTime() + delay * 60000);
+      adjustments = [...adjustments, {
+        rule: 'rate_limit',
+        from: time,
+        to: limited,
+        reason: `rate limit: ${rules.rateLimit.emailsPerWindow} emails per ${rules.rateLimit.windowMinutes} min, ${queued} queued ahead`,
+      }];
+      const refit = fitToRules(limited, rules, timeZone);
+      time = refit.time;
+      adjustments = [...adjustments, ...refit.adjustments];
+      unresolved = unresolved || refit.unresolved;
+    }
+
+    results.push({ step, index, status: 'scheduled', due, time, adjustments, notes, unresolved });
+    last = time;
+    lastSent = step;
+    sentNames.add(step.name);
+  }
+  return results;
+}
@@ -0,0 +1,393 @@
+// src/lib/sequenceFlow.js
+// Branching sequence flows - a graph of start, email, wait and exit nodes. Edges leaving an
+// email carry the condition checked against that email (opened, clicked, ...), so each
+// outcome can lead to a different next step. A sequence with a flow runs it instead of its
+// linear followups list.
+
+export const FLOW_NODE_TYPES = {
+  start: { label: 'Start', color: '#8b5cf6' },
+  email: { label: 'Email', color: '#3b82f6' },
+  wait: { label: 'Wait', color: '#f59e0b' },
+  exit: { label: 'Exit', color: '#ef4444' },
+};
+
+// Same condition ids as followup.condition.type. signal: the engagement the condition checks -
+// only conditions on the same signal rule each other out
+export const FLOW_CONDITIONS = [
+  { id: 'always', label: 'Always' },
+  { id: 'if_opened', label: 'Opened', opposite: 'if_not_opened', signal: 'open' },
+  { id: 'if_not_opened', label: 'Not opened', opposite: 'if_opened', signal: 'open' },
+  { id: 'if_clicked', label: 'Clicked', opposite: 'if_not_clicked', signal: 'click' },
+  { id: 'if_not_clicked', label: 'Not clicked', opposite: 'if_clicked', signal: 'click' },
+];
+
+export const conditionLabel = (id) => FLOW_CONDITIONS.find(c => c.id === id)?.label || id;
+
+// Canvas geometry, shared by the layout and the canvas
+export const NODE_WIDTH = 170;
+export const NODE_HEIGHT = 56;
+const COLUMN_GAP = 50;
+const ROW_GAP = 70;
+
+const newId = (prefix) => `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export function createFlowNode(type, position = { x: 40, y: 40 }) {
+  const node = { id: newId(type), type, ...position };
+  if (type === 'email') return { ...node, name: '', templateId: '' };
+  if (type === 'wait') return { ...node, delayDays: 3 };
+  if (type === 'exit') return { ...node, label: 'Exit' };
+  return node;
+}
+
+export const createFlowEdge = (from, to, condition = 'always') => ({ id: newId('edge'), from, to, condition });
+
+export const outgoingEdges = (flow, nodeId) => flow.edges.filter(e => e.from === nodeId);
+
+/**
+ * Place nodes in rows by their distance from the start node; nodes the start can't reach
+ * go on a last row so they stay visible.
+ */
+export function layoutFlow(flow) {
+  const start = flow.nodes.find(n => n.type === 'start');
+  const depth = {};
+  if (start) {
+    depth[start.id] = 0;
+    const queue = [start.id];
+    while (queue.length) {
+      const id = queue.shift();
+      outgoingEdges(flow, id).forEach(edge => {
+        if (depth[edge.to] === undefined) {
+          depth[edge.to] = depth[id] + 1;
+          queue.push(edge.to);
+        }
+      });
+    }
+  }
+  const maxDepth = Math.max(0, ...Object.values(depth));
+  const rows = {};
+  flow.nodes.forEach(node => {
+    const row = depth[node.id] ?? maxDepth + 1;
+    (rows[row] = rows[row] || []).push(node.id);
+  });
+  const positions = {};
+  Object.entries(rows).forEach(([row, ids]) => {
+    ids.forEach((id, index) => {
+      positions[id] = { x: 40 + index * (NODE_WIDTH + COLUMN_GAP), y: 30 + Number(row) * (NODE_HEIGHT + ROW_GAP) };
+    });
+  });
+  return { ...flow, nodes: flow.nodes.map(node => ({ ...node, ...positions[node.id] })) };
+}
+
+const sortedSteps = (followups) => [...followups].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+
+// Steps whose condition changes what a lead gets
+const branchesOn = (step) => {
+  const type = step?.condition?.type;
+  return !!type && type !== 'always' && (step.condition.skipIfNotMet || !!step.condition.alternativeTemplateId);
+};
+
+const conditionSignal = (id) => FLOW_CONDITIONS.find(c => c.id === id)?.signal;
+
+/**
+ * Why a followups list can't become a flow, or null when it can. Flow edges only check the
+ * email a lead just left, so steps that check an earlier step can't convert, and neither can a
+ * skip that lands on a step checking the other signal (that would need "not opened and clicked").
+ */
+export function followupsFlowIssue(followups = []) {
+  const steps = sortedSteps(followups);
+  for (const [index, step] of steps.entries()) {
+    if (index === 0 || !branchesOn(step)) continue;
+    const { type, checkStep, skipIfNotMet } = step.condition;
+    const name = step.name || `Step ${index + 1}`;
+    if (checkStep && checkStep !== 'previous') {
+      return `"${name}" checks "${checkStep}" instead of the previous step - flows can only branch on the email just sent`;
+    }
+    if (!skipIfNotMet) continue;
+    // Follow the skip for as long as later steps are decided by the same outcome
+    const outcome = FLOW_CONDITIONS.find(c => c.id === type)?.opposite;
+    for (let next = index + 1; next < steps.length && branchesOn(steps[next]); next++) {
+      const condition = steps[next].condition;
+      if (conditionSignal(condition.type) !== conditionSignal(outcome)) {
+        return `Skipping "${name}" leads straight to "${steps[next].name || `Step ${next + 1}`}", which checks a different condition - flows can't combine both`;
+      }
+      if (condition.type === outcome || !condition.skipIfNotMet) break;
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn a linear followups list into a flow: start → email → wait → email ... → exit.
+ * A step's condition becomes the edges from the previous email: with skipIfNotMet the
+ * opposite outcome goes wherever that outcome leads at the step after it, with an
+ * alternativeTemplateId it goes to a copy of the step sending that template. A step that
+ * sends anyway needs no branch. Check followupsFlowIssue first.
+ */
+export function flowFromFollowups(followups = []) {
+  const steps = sortedSteps(followups);
+  const start = createFlowNode('start');
+  const exit = createFlowNode('exit');
+  const nodes = [start];
+  const edges = [];
+
+  // An email node for a step, behind a wait node when it has a delay. Returns the node leads
+  // arrive at and the email they leave from.
+  const addStep = (step, index, name, templateId) => {
+    const email = { ...createFlowNode('email'), name, templateId: templateId || '' };
+    let entryId = email.id;
+    if (index > 0 && step.delayDays > 0) {
+      const wait = { ...createFlowNode('wait'), delayDays: step.delayDays };
+      nodes.push(wait);
+      edges.push(createFlowEdge(wait.id, email.id));
+      entryId = wait.id;
+    }
+    nodes.push(email);
+    return { entryId, emailId: email.id };
+  };
+
+  const branches = steps.map((step, index) => {
+    const name = step.name || `Step ${index + 1}`;
+    const main = addStep(step, index, name, step.templateId);
+    if (index === 0 || !branchesOn(step) || step.condition.skipIfNotMet) return { main };
+    const opposite = FLOW_CONDITIONS.find(c => c.id === step.condition.type)?.opposite;
+    const alternative = addStep(step, index, `${name} - ${conditionLabel(opposite).toLowerCase()}`,
+      step.condition.alternativeTemplateId);
+    return { main, alternative };
+  });
+  nodes.push(exit);
+
+  // Where a lead goes at step `index` when the email it left already had `outcome`
+  const targetFor = (index, outcome) => {
+    const step = steps[index];
+    const branch = branches[index];
+    if (!step) return exit.id;
+    if (!branchesOn(step) || step.condition.type === outcome) return branch.main.entryId;
+    return branch.alternative?.entryId || targetFor(index + 1, outcome);
+  };
+
+  // Connections from an email of the previous step into step `index`
+  const connectInto = (fromId, index) => {
+    const step = steps[index];
+    const branch = branches[index];
+    if (!step) {
+      edges.push(createFlowEdge(fromId, exit.id));
+      return;
+    }
+    if (!branchesOn(step)) {
+      edges.push(createFlowEdge(fromId, branch.main.entryId));
+      return;
+    }
+    const { type } = step.condition;
+    const opposite = FLOW_CONDITIONS.find(c => c.id === type)?.opposite;
+    edges.push(createFlowEdge(fromId, branch.main.entryId, type));
+    edges.push(createFlowEdge(fromId, branch.alternative?.entryId || targetFor(index + 1, opposite), opposite));
+  };
+
+  edges.push(createFlowEdge(start.id, branches[0]?.main.entryId || exit.id));
+  branches.forEach((branch, index) => {
+    connectInto(branch.main.emailId, index + 1);
+    if (branch.alternative) connectInto(branch.alternative.emailId, index + 1);
+  });
+
+  return layoutFlow({ nodes, edges });
+}
+
+// Outgoing edges a lead follows most often - no engagement - used for the linear preview
+const QUIET_PATH_ORDER = ['always', 'if_not_opened', 'if_not_clicked', 'if_opened', 'if_clicked'];
+
+/**
+ * The emails a lead who never engages receives, as followup-like steps
+ * ({ id, name, templateId, delayDays, order }) for timelines and step counts.
+ */
+export function flowMainPath(flow) {
+  const byId = Object.fromEntries(flow.nodes.map(n => [n.id, n]));
+  const steps = [];
+  const visited = new Set();
+  let node = flow.nodes.find(n => n.type === 'start');
+  let delayDays = 0;
+  while (node && !visited.has(node.id)) {
+    visited.add(node.id);
+    if (node.type === 'email') {
+      steps.push({ id: node.id, name: node.name, templateId: node.templateId, delayDays, order: steps.length });
+      delayDays = 0;
+    } else if (node.type === 'wait') {
+      delayDays += Number(node.delayDays) || 0;
+    }
+    const edges = outgoingEdges(flow, node.id);
+    const edge = QUIET_PATH_ORDER.map(c => edges.find(e => e.condition === c)).find(Boolean);
+    node = edge && byId[edge.to];
+  }
+  return steps;
+}
+
+const conditionHolds = (condition, engagement) => {
+  if (condition === 'if_opened') return engagement.opens;
+  if (condition === 'if_not_opened') return !engagement.opens;
+  if (condition === 'if_clicked') return engagement.clicks;
+  if (condition === 'if_not_clicked') return !engagement.clicks;
+  return true;
+};
+
+/**
+ * The emails a lead with the given engagement ({ opens, clicks }, the same for every email)
+ * receives. Like flowMainPath, plus via: the branch condition taken since the previous email.
+ */
+export function flowPath(flow, engagement) {
+  const byId = Object.fromEntries(flow.nodes.map(n => [n.id, n]));
+  const steps = [];
+  const visited = new Set();
+  let node = flow.nodes.find(n => n.type === 'start');
+  let delayDays = 0;
+  let via = null;
+  while (node && !visited.has(node.id)) {
+    visited.add(node.id);
+    if (node.type === 'email') {
+      steps.push({ id: node.id, name: node.name, templateId: node.templateId, delayDays, order: steps.length, via });
+      delayDays = 0;
+      via = null;
+    } else if (node.type === 'wait') {
+      delayDays += Number(node.delayDays) || 0;
+    }
+    const edge = outgoingEdges(flow, node.id).find(e => conditionHolds(e.condition, engagement));
+    if (edge && edge.condition !== 'always') via = edge.condition;
+    node = edge && byId[edge.to];
+  }
+  return steps;
+}
+
+// Every cycle as a list of node ids, found with a depth-first search
+function findCycles(flow) {
+  const cycles = [];
+  const state = {}; // undefined = unvisited, 1 = on the current path, 2 = done
+  const path = [];
+  const visit = (id) => {
+    state[id] = 1;
+    path.push(id);
+    outgoingEdges(flow, id).forEach(edge => {
+      if (state[edge.to] === 1) cycles.push(path.slice(path.indexOf(edge.to)));
+      else if (!state[edge.to]) visit(edge.to);
+    });
+    path.pop();
+    state[id] = 2;
+  };
+  flow.nodes.forEach(node => { if (!state[node.id]) visit(node.id); });
+  return cycles;
+}
+
+export const flowNodeLabel = (node) => {
+  if (!node) return '?';
+  if (node.type === 'email') return node.name || 'Untitled email';
+  if (node.type === 'wait') return `Wait ${node.delayDays} day${Number(node.delayDays) === 1 ? '' : 's'}`;
+  if (node.type === 'exit') return node.label || 'Exit';
+  return 'Start';
+};
+
+/**
+ * Check a flow before saving. Returns { errors, warnings }, each [{ message, nodeIds }];
+ * a flow with errors can't be saved. Loops are errors - the scheduler only moves forward,
+ * and a lead that never opens would go round forever.
+ */
+export function validateFlow(flow) {
+  const errors = [];
+  const warnings = [];
+  const byId = Object.fromEntries(flow.nodes.map(n => [n.id, n]));
+  const label = (id) => flowNodeLabel(byId[id]);
+
+  const starts = flow.nodes.filter(n => n.type === 'start');
+  if (starts.length !== 1) errors.push({ message: 'The flow needs exactly one Start node', nodeIds: starts.map(n => n.id) });
+
+  flow.edges.forEach(edge => {
+    if (!byId[edge.from] || !byId[edge.to]) errors.push({ message: 'A connection points at a deleted node', nodeIds: [] });
+  });
+
+  const emailNames = {};
+  flow.nodes.forEach(node => {
+    const edges = outgoingEdges(flow, node.id);
+    const conditions = edges.map(e => e.condition);
+
+    if (node.type === 'exit') {
+      if (edges.length) errors.push({ message: `"${label(node.id)}" is an exit and can't lead anywhere`, nodeIds: [node.id] });
+      return;
+    }
+    if (node.type === 'start' || node.type === 'wait') {
+      if (edges.length !== 1) {
+        errors.push({ message: `"${label(node.id)}" must connect to exactly one next step`, nodeIds: [node.id] });
+      } else if (conditions[0] !== 'always') {
+        errors.push({ message: `"${label(node.id)}" can only use an Always connection`, nodeIds: [node.id] });
+      }
+      if (node.type === 'wait' && !(Number(node.delayDays) >= 1)) {
+        errors.push({ message: 'Wait nodes need a delay of at least 1 day', nodeIds: [node.id] });
+      }
+      return;
+    }
+
+    // Email
+    const name = (node.name || '').trim();
+    if (!name) errors.push({ message: 'Every email needs a name', nodeIds: [node.id] });
+    else if (emailNames[name.toLowerCase()]) {
+      errors.push({ message: `Two emails are named "${name}"`, nodeIds: [emailNames[name.toLowerCase()], node.id] });
+    } else emailNames[name.toLowerCase()] = node.id;
+
+    if (edges.length === 0) {
+      errors.push({ message: `"${label(node.id)}" has no next step - connect it to an Exit`, nodeIds: [node.id] });
+      return;
+    }
+    if (new Set(conditions).size !== conditions.length) {
+      errors.push({ message: `"${label(node.id)}" has two connections with the same condition`, nodeIds: [node.id] });
+    }
+    if (conditions.includes('always') && conditions.length > 1) {
+      errors.push({ message: `"${label(node.id)}" mixes Always with other conditions`, nodeIds: [node.id] });
+    }
+    // Opened and clicked conditions overlap (a lead who clicked usually opened too), so a
+    // lead could match two connections
+    const signals = new Set(conditions.map(id => FLOW_CONDITIONS.find(c => c.id === id)?.signal).filter(Boolean));
+    if (signals.size > 1) {
+      errors.push({
+        message: `"${label(node.id)}" mixes opened and clicked conditions - a lead can match both, so branch on one of them`,
+        nodeIds: [node.id],
+      });
+    }
+    conditions.forEach(id => {
+      const opposite = FLOW_CONDITIONS.find(c => c.id === id)?.opposite;
+      if (opposite && !conditions.includes(opposite)) {
+        warnings.push({
+          message: `Leads whose "${label(node.id)}" is ${conditionLabel(opposite).toLowerCase()} leave the sequence there`,
+          nodeIds: [node.id],
+        });
+      }
+    });
+  });
+
+  // Unreachable nodes
+  if (starts.length === 1) {
+    const reached = new Set([starts[0].id]);
+    const queue = [starts[0].id];
+    while (queue.length) {
+      outgoingEdges(flow, queue.shift()).forEach(edge => {
+        if (!reached.has(edge.to)) {
+          reached.add(edge.to);
+          queue.push(edge.to);
+        }
+      });
+    }
+    const unreachable = flow.nodes.filter(n => !reached.has(n.id));
+    if (unreachable.length) {
+      errors.push({
+        message: `Unreachable from Start: ${unreachable.map(n => `"${label(n.id)}"`).join(', ')}`,
+        nodeIds: unreachable.map(n => n.id),
+      });
+    }
+    if (![...reached].some(id => byId[id]?.type === 'email')) {
+      errors.push({ message: 'The flow never sends an email', nodeIds: [] });
+    }
+  }
+
+  findCycles(flow).forEach(cycle => {
+    errors.push({
+      message: `Infinite loop: ${[...cycle, cycle[0]].map(id => `"${label(id)}"`).join(' → ')}`,
+      nodeIds: cycle,
+    });
+  });
+
+  return { errors, warnings };
+}
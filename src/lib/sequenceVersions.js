@@ -0,0 +1,141 @@
+// src/lib/sequenceVersions.js
+// Published sequence versions. Settings edits a working copy; publishing snapshots it as the
+// next version and leads stay pinned to the version they run (lead.sequenceVersion).
+
+import { flowMainPath } from './sequenceFlow';
+import { hasVariants } from './abTests';
+
+// What happens to leads part-way through the sequence when a new version is published
+export const MIGRATION_STRATEGIES = [
+  { id: 'stay', label: 'Keep them on their current version', description: 'Only leads that start the sequence from now on get the new version' },
+  { id: 'move', label: 'Move them to the equivalent step', description: 'Leads continue the new version from the step that matches the one they are on' },
+  { id: 'restart', label: 'Restart them on the new version', description: 'Leads start the new version again from its first step' },
+];
+
+const SNAPSHOT_STEP_FIELDS = ['name', 'templateId', 'delayDays', 'condition', 'variants', 'variantTest'];
+
+/**
+ * The parts of a sequence that make up a version: name, ordered steps and the flow
+ */
+export function sequenceSnapshot(sequence) {
+  return {
+    name: sequence.name,
+    followups: [...(sequence.followups || [])]
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+      .map(step => ({
+        id: step.id,
+        name: step.name || '',
+        templateId: step.templateId || '',
+        delayDays: Number(step.delayDays) || 0,
+        condition: step.condition?.type && step.condition.type !== 'always' ? step.condition : null,
+        variants: hasVariants(step)
+          ? step.variants.map(({ id, label, templateId, subject, weight }) => ({
+            id, label, templateId: templateId || '', subject: subject || '', weight: Number(weight) || 0,
+          }))
+          : null,
+        variantTest: hasVariants(step) ? step.variantTest || null : null,
+      })),
+    flow: sequence.flow ? { nodes: sequence.flow.nodes, edges: sequence.flow.edges } : null,
+  };
+}
+
+// The steps a version actually sends, whether it is linear or a flow
+export const snapshotSteps = (snapshot) => (snapshot?.flow ? flowMainPath(snapshot.flow) : snapshot?.followups || []);
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Match each new step to an old one - same id, otherwise same name
+const matchSteps = (previousSteps, nextSteps) => {
+  const used = new Set();
+  return nextSteps.map(step => {
+    const match = previousSteps.find(p => !used.has(p) && p.id && p.id === step.id)
+      || previousSteps.find(p => !used.has(p) && p.name.toLowerCase() === step.name.toLowerCase());
+    if (match) used.add(match);
+    return match || null;
+  });
+};
+
+// Node and edge layout changes don't matter, only what the flow does
+const flowShape = (flow) => flow && {
+  nodes: flow.nodes.map(node => {
+    const shape = { ...node };
+    delete shape.x;
+    delete shape.y;
+    return shape;
+  }),
+  edges: flow.edges.map(({ from, to, condition }) => ({ from, to, condition })),
+};
+
+/**
+ * Changes from one snapshot to the next, for showing as a diff:
+ * [{ type: 'renamed' | 'added' | 'removed' | 'changed' | 'moved' | 'flow', step?, fields?, message? }]
+ * previous may be null for the first version, which lists every step as added.
+ */
+export function diffSnapshots(previous, next) {
+  const changes = [];
+  if (previous && previous.name !== next.name) {
+    changes.push({ type: 'renamed', message: `Renamed from "${previous.name}" to "${next.name}"` });
+  }
+
+  const before = previous?.followups || [];
+  const after = next.followups;
+  const matches = matchSteps(before, after);
+
+  after.forEach((step, index) => {
+    const match = matches[index];
+    if (!match) {
+      changes.push({ type: 'added', step, index });
+      return;
+    }
+    const fields = SNAPSHOT_STEP_FIELDS
+      .filter(field => !sameValue(match[field], step[field]))
+      .map(field => ({ field, from: match[field], to: step[field] }));
+    if (fields.length) changes.push({ type: 'changed', step, index, fields });
+    const previousIndex = before.indexOf(match);
+    // Only report a move when the step changed place relative to the steps kept from before
+    const keptBefore = matches.slice(0, index).filter(Boolean).length;
+    const keptPreviously = before.slice(0, previousIndex).filter(p => matches.includes(p)).length;
+    if (keptBefore !== keptPreviously) changes.push({ type: 'moved', step, index, fromIndex: previousIndex });
+  });
+  before.filter(step => !matches.includes(step)).forEach(step => {
+    changes.push({ type: 'removed', step, index: before.indexOf(step) });
+  });
+
+  if (!sameValue(flowShape(previous?.flow), flowShape(next.flow))) {
+    const message = !next.flow
+      ? 'Branching flow removed - runs the step list'
+      : !previous?.flow
+        ? `Branching flow added (${next.flow.nodes.filter(n => n.type === 'email').length} emails)`
+        : 'Branching flow changed';
+    changes.push({ type: 'flow', message });
+  }
+  return changes;
+}
+
+/**
+ * Where leads on each step of the old version continue in the new one when moved:
+ * { [old step name]: new step name | null }. A removed step maps to the next old step
+ * that still exists; null means the lead has finished the new version.
+ */
+export function equivalentStepMap(previous, next) {
+  const before = snapshotSteps(previous);
+  const after = snapshotSteps(next);
+  const matches = matchSteps(before, after);
+  const map = {};
+  before.forEach((step, index) => {
+    const successor = before.slice(index).find(s => matches.includes(s));
+    map[step.name] = successor ? after[matches.indexOf(successor)].name : null;
+  });
+  return map;
+}
+
+export const latestVersion = (versions = []) =>
+  versions.reduce((latest, v) => (!latest || v.version > latest.version ? v : latest), null);
+
+/**
+ * Whether the working copy differs from the latest published version
+ */
+export const hasUnpublishedChanges = (sequence, versions) => {
+  const latest = latestVersion(versions);
+  return !latest || diffSnapshots(latest.snapshot, sequenceSnapshot(sequence)).length > 0;
+};
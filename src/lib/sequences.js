@@ -0,0 +1,99 @@
+// src/lib/sequences.js
+// Named email sequences. The original global followups list (/settings/followups) is the
+// Default sequence; any others live in settings.sequences and a lead picks one by sequenceId.
+// Any sequence may also have a branching flow (see sequenceFlow.js), which it runs instead.
+
+import { flowMainPath } from './sequenceFlow';
+
+export const DEFAULT_SEQUENCE_ID = 'default';
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
+
+/**
+ * Every sequence, Default first: [{ id, name, followups, flow, isDefault }].
+ * defaultFollowups overrides settings.followups when the caller loaded them separately.
+ */
+export function resolveSequences(settings, defaultFollowups = settings?.followups) {
+  const named = (settings?.sequences || []).map(sequence => ({
+    ...sequence,
+    followups: [...(sequence.followups || [])].sort(byOrder),
+    flow: sequence.flow || null,
+    isDefault: false,
+  }));
+  return [
+    {
+      id: DEFAULT_SEQUENCE_ID,
+      name: settings?.defaultSequenceName || 'Default',
+      followups: [...(defaultFollowups || [])].sort(byOrder),
+      flow: settings?.defaultSequenceFlow || null,
+      isDefault: true,
+    },
+    ...named,
+  ];
+}
+
+export const findSequence = (sequences, sequenceId) =>
+  sequences.find(s => s.id === (sequenceId || DEFAULT_SEQUENCE_ID)) || sequences[0];
+
+// A lead without a sequence, or whose sequence was deleted, runs the Default one
+export const leadSequence = (lead, sequences) => findSequence(sequences, lead?.sequenceId);
+
+/**
+ * The steps a lead goes through, as followups: the linear list, or the flow's path for a
+ * lead who never engages when the sequence has a flow
+ */
+export const sequenceSteps = (sequence) => (sequence.flow ? flowMainPath(sequence.flow) : sequence.followups);
+
+export const sequenceLabel = (sequence) => {
+  if (sequence.flow) return `${sequence.name} (branching flow)`;
+  const count = sequence.followups.length;
+  return `${sequence.name} (${count} step${count === 1 ? '' : 's'})`;
+};
+
+const newId = (prefix) => `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * A new named sequence, optionally copying another one's steps (with fresh step ids)
+ */
+export function createSequence(name, copyFrom) {
+  return {
+    id: newId('seq'),
+    name: name.trim(),
+    followups: (copyFrom?.followups || []).map((step, index) => ({
+      ...step,
+      id: newId('step'),
+      order: index,
+    })),
+  };
+}
+
+// The helpers below edit settings.sequences (named sequences only) and return the new list
+
+export const updateSequence = (sequences, sequenceId, changes) =>
+  sequences.map(s => (s.id === sequenceId ? { ...s, ...changes } : s));
+
+export const addSequenceStep = (sequences, sequenceId, step) =>
+  sequences.map(s => {
+    if (s.id !== sequenceId) return s;
+    const followups = s.followups || [];
+    return {
+      ...s,
+      // Like the Default sequence, the first step goes out immediately
+      followups: [...followups, { ...step, id: newId('step'), order: followups.length, delayDays: followups.length === 0 ? 0 : step.delayDays }],
+    };
+  });
+
+export const updateSequenceStep = (sequences, sequenceId, stepId, changes) =>
+  sequences.map(s => (s.id !== sequenceId ? s : {
+    ...s,
+    followups: s.followups.map(step => (step.id === stepId ? { ...step, ...changes } : step)),
+  }));
+
+export const removeSequenceStep = (sequences, sequenceId, stepId) =>
+  sequences.map(s => (s.id !== sequenceId ? s : {
+    ...s,
+    followups: s.followups
+      .filter(step => step.id !== stepId)
+      .sort(byOrder)
+      .map((step, index) => ({ ...step, order: index })),
+  }));
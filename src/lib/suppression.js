@@ -0,0 +1,102 @@
+// src/lib/suppression.js
+// Suppression list - blocked emails and domains, parsing and matching leads against them
+
+import { normalizeEmail, isValidEmail, normalizeHeader, parseLeadFile } from './leadImport';
+
+export const SUPPRESSION_TYPES = [
+  { id: 'email', label: 'Email' },
+  { id: 'domain', label: 'Domain' },
+];
+
+// Default reason for entries collected outside this tool
+export const EXTERNAL_OPT_OUT = 'External opt-out';
+
+const DOMAIN_REGEX = /^(?=.{1,253}$)([a-z0-9-]+\.)+[a-z]{2,}$/;
+
+// Columns a suppression file may keep its addresses in, in order of preference
+const VALUE_HEADERS = ['email', 'email address', 'e mail', 'domain', 'address', 'value'];
+
+/**
+ * Turn a typed or imported value into an entry: "jane@acme.com" is an email,
+ * "acme.com" or "@acme.com" a whole domain. Returns null for anything else.
+ */
+export function parseSuppressionValue(raw) {
+  const value = normalizeEmail(raw).replace(/^mailto:/, '');
+  if (!value) return null;
+  if (value.startsWith('@')) {
+    const domain = value.slice(1);
+    return DOMAIN_REGEX.test(domain) ? { type: 'domain', value: domain } : null;
+  }
+  if (value.includes('@')) return isValidEmail(value) ? { type: 'email', value } : null;
+  return DOMAIN_REGEX.test(value) ? { type: 'domain', value } : null;
+}
+
+/**
+ * Split pasted text (lines, commas, semicolons) into entries and the values that didn't parse
+ */
+export function parseSuppressionText(text) {
+  const entries = [];
+  const invalid = [];
+  const seen = new Set();
+  String(text || '').split(/[\n,;]+/).map(v => v.trim()).filter(Boolean).forEach(raw => {
+    const entry = parseSuppressionValue(raw);
+    if (!entry) invalid.push(raw);
+    else if (!seen.has(`${entry.type}:${entry.value}`)) {
+      seen.add(`${entry.type}:${entry.value}`);
+      entries.push(entry);
+    }
+  });
+  return { entries, invalid };
+}
+
+/**
+ * Read entries from a CSV/XLSX opt-out export. Uses the email/domain column when there
+ * is one, otherwise the first column.
+ */
+export async function parseSuppressionFile(file) {
+  const { headers, rows } = await parseLeadFile(file);
+  const column = VALUE_HEADERS
+    .map(alias => headers.find(h => normalizeHeader(h) === alias))
+    .find(Boolean) || headers[0];
+  // A file without a header row still counts its first line
+  const values = [
+    ...(parseSuppressionValue(column) ? [column] : []),
+    ...rows.map(row => row[column]),
+  ];
+  return parseSuppressionText(values.join('\n'));
+}
+
+/**
+ * Lookup structure for matching many emails against the list
+ */
+export function buildSuppressionIndex(entries = []) {
+  const emails = new Map();
+  const domains = new Map();
+  entries.forEach(entry => {
+    (entry.type === 'domain' ? domains : emails).set(entry.value, entry);
+  });
+  return { emails, domains, size: entries.length };
+}
+
+/**
+ * The entry blocking an email, if any. Domain entries also cover subdomains.
+ */
+export function findSuppression(email, index) {
+  if (!index?.size) return null;
+  const normalized = normalizeEmail(email);
+  if (index.emails.has(normalized)) return index.emails.get(normalized);
+  const parts = (normalized.split('@')[1] || '').split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    const entry = index.domains.get(parts.slice(i).join('.'));
+    if (entry) return entry;
+  }
+  return null;
+}
+
+/**
+ * Human-readable reason a lead was suppressed
+ */
+export function describeSuppression(entry) {
+  const what = entry.type === 'domain' ? `Blocked domain ${entry.value}` : 'Suppressed email';
+  return entry.reason ? `${what} (${entry.reason})` : what;
+}
@@ -0,0 +1,55 @@
+// src/lib/tasks.js
+// Lead tasks - due-date helpers shared by the lead page and the Tasks page
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Task shape: { id, leadId, leadName, title, dueAt, assigneeId, status: 'open' | 'done', completedAt, createdAt }
+ */
+export const isTaskOverdue = (task, now = Date.now()) =>
+  task.status !== 'done' && !!task.dueAt && new Date(task.dueAt) < now;
+
+/**
+ * Value for a datetime-local input in the browser's timezone
+ */
+export function toDateTimeInputValue(date) {
+  const d = new Date(date);
+  if (isNaN(d)) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * "in 3h" / "2d overdue" style label for a due date
+ */
+export function formatDueLabel(dueAt, now = Date.now()) {
+  if (!dueAt) return 'No due date';
+  const diff = new Date(dueAt) - now;
+  const hours = Math.round(Math.abs(diff) / HOUR_MS);
+  const span = hours < 1 ? '<1h' : hours < 48 ? `${hours}h` : `${Math.round(hours / 24)}d`;
+  return diff < 0 ? `${span} overdue` : `in ${span}`;
+}
+
+/**
+ * Due date shortcuts: tomorrow morning, and the day after each upcoming sequence step
+ * so a task like "call after second followup" lands once that email has gone out.
+ * steps: [{ name, scheduledFor }]
+ */
+export function dueQuickPicks(steps = [], now = new Date()) {
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  tomorrow.setHours(9, 0, 0, 0);
+
+  const picks = [{ label: 'Tomorrow 9:00', dueAt: tomorrow }];
+  steps
+    .filter(step => step.scheduledFor && new Date(step.scheduledFor) > now)
+    .sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor))
+    .slice(0, 3)
+    .forEach(step => {
+      picks.push({
+        label: `After ${step.name}`,
+        dueAt: new Date(new Date(step.scheduledFor).getTime() + 24 * HOUR_MS),
+      });
+    });
+  return picks;
+}
@@ -0,0 +1,334 @@
+// pages/Accounts.jsx
+// Leads rolled up by company - engagement per account and account-wide actions
+import { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Building2, RefreshCw, Search, ChevronDown, ChevronRight, Pause, Tag, Trophy, X, Eye } from 'lucide-react';
+import { useAccounts, useAccountLeads } from '../hooks/useApi';
+import { useBulkJobs } from '../contexts/BulkJobContext';
+import { hasActiveSequence, ACCOUNT_LEADS_LIMIT } from '../lib/accounts';
+import ConfirmModal from '../components/ConfirmModal';
+
+const SORT_OPTIONS = [
+  { id: 'contacts', label: 'Most contacts' },
+  { id: 'active', label: 'Most active sequences' },
+  { id: 'engagement', label: 'Most engaged' },
+  { id: 'recent', label: 'Recent activity' },
+];
+
+const sorters = {
+  contacts: (a, b) => b.stats.contacts - a.stats.contacts,
+  active: (a, b) => b.stats.active - a.stats.active,
+  engagement: (a, b) => (b.stats.replied * 3 + b.stats.clicked * 2 + b.stats.opened) - (a.stats.replied * 3 + a.stats.clicked * 2 + a.stats.opened),
+  recent: (a, b) => (b.stats.lastActivity || 0) - (a.stats.lastActivity || 0),
+};
+
+const actionBtnStyle = (color, bg) => ({
+  background: bg, border: 'none', borderRadius: '6px', padding: '6px 10px',
+  cursor: 'pointer', color, display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.8rem'
+});
+
+function StatPill({ value, total, label, color }) {
+  return (
+    <span style={{ fontSize: '0.8rem', color: value > 0 ? color : 'var(--text-muted)' }}>
+      <strong>{value}</strong>
+      {total !== undefined && <span style={{ color: 'var(--text-muted)' }}>/{total}</span>} {label}
+    </span>
+  );
+}
+
+function AccountContacts({ account }) {
+  const navigate = useNavigate();
+  const { data, isLoading } = useAccountLeads(account.key);
+  const leads = data?.leads || [];
+
+  if (isLoading) {
+    return (
+      <div style={{ display: 'flex', justifyContent: 'center', padding: '1.5rem', borderTop: '1px solid var(--border-color)' }}>
+        <div className="loading-spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="table-container" style={{ borderTop: '1px solid var(--border-color)' }}>
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th>Contact</th>
+            <th>Status</th>
+            <th>Sequence</th>
+            <th>Score</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {leads.map(lead => (
+            <tr key={lead.id}>
+              <td>
+                <div style={{ fontWeight: 500 }}>{lead.name}</div>
+                <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>{lead.email}</div>
+              </td>
+              <td>
+                <span className={`status-badge ${String(lead.status || '').split(':').pop()}`}>
+                  {String(lead.status || 'pending').replace(/_/g, ' ').replace(':', ': ')}
+                </span>
+              </td>
+              <td style={{ fontSize: '0.85rem', color: hasActiveSequence(lead) ? '#8b5cf6' : 'var(--text-muted)' }}>
+                {lead.followupsPaused ? 'Paused' : hasActiveSequence(lead) ? 'Active' : 'Stopped'}
+              </td>
+              <td>{lead.score || 0}</td>
+              <td>
+                <button
+                  onClick={() => navigate(`/leads/${lead.id}`)}
+                  style={actionBtnStyle('#3b82f6', 'rgba(59, 130, 246, 0.1)')}
+                  title="View Details"
+                >
+                  <Eye size={14} />
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {account.stats.contacts > leads.length && (
+        <div style={{ padding: '10px 1.25rem', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+          Showing the first {ACCOUNT_LEADS_LIMIT} of {account.stats.contacts} contacts. Account actions apply to all of them.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function Accounts({ showToast }) {
+  const { data: accounts = [], isLoading, isFetching, refetch } = useAccounts();
+  const { submitBulkJob } = useBulkJobs();
+
+  const [search, setSearch] = useState('');
+  const [sortBy, setSortBy] = useState('contacts');
+  const [minContacts, setMinContacts] = useState(2);
+  const [expandedKey, setExpandedKey] = useState(null);
+  const [tagAccount, setTagAccount] = useState(null);
+  const [tagInput, setTagInput] = useState('');
+  const [confirmModal, setConfirmModal] = useState({ isOpen: false });
+
+  const visibleAccounts = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return accounts
+      .filter(account => account.stats.contacts >= minContacts)
+      .filter(account => !term ||
+        account.name.toLowerCase().includes(term) ||
+        account.domain?.includes(term))
+      .sort(sorters[sortBy]);
+  }, [accounts, search, sortBy, minContacts]);
+
+  const runAccountJob = async (action, account, label, params) => {
+    try {
+      await submitBulkJob({ action, target: { filter: { account: account.key } }, params, label });
+      return true;
+    } catch (error) {
+      showToast?.(`Failed to start "${label}": ` + error.message, 'error');
+      return false;
+    }
+  };
+
+  const handlePauseAll = (account) => {
+    setConfirmModal({
+      isOpen: true,
+      title: `Pause ${account.name}`,
+      message: `Pause followups for all ${account.stats.contacts} contacts at ${account.name}? ${account.stats.active} currently have an active sequence.`,
+      confirmText: 'Pause All',
+      variant: 'warning',
+      onConfirm: () => runAccountJob('pause', account, `Pause ${account.name}`),
+    });
+  };
+
+  const handleMarkConverted = (account) => {
+    setConfirmModal({
+      isOpen: true,
+      title: `Mark ${account.name} Converted`,
+      message: `Mark all ${account.stats.contacts} contacts at ${account.name} as converted? Their remaining emails are cancelled.`,
+      confirmText: 'Mark Converted',
+      variant: 'info',
+      onConfirm: () => runAccountJob('convert', account, `Convert ${account.name}`),
+    });
+  };
+
+  const handleTagAll = async () => {
+    const tags = tagInput.split(',').map(t => t.trim()).filter(Boolean);
+    if (tags.length === 0) return;
+    if (await runAccountJob('tag', tagAccount, `Tag ${tagAccount.name} with ${tags.join(', ')}`, { tags })) {
+      setTagAccount(null);
+      setTagInput('');
+    }
+  };
+
+  return (
+    <div>
+      <div className="header">
+        <h2 style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <Building2 size={26} color="#06b6d4" />
+          Accounts
+        </h2>
+        <div className="header-actions">
+          <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+            {visibleAccounts.length} accounts
+          </span>
+          <button className="btn btn-secondary" onClick={() => refetch()} disabled={isFetching}>
+            <RefreshCw size={18} className={isFetching ? 'animate-spin' : ''} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="card" style={{ marginBottom: '1.5rem' }}>
+        <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', flexWrap: 'wrap' }}>
+          <div style={{ position: 'relative', flex: 1, minWidth: '220px' }}>
+            <Search size={16} style={{ position: 'absolute', left: '12px', top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }} />
+            <input
+              type="text"
+              className="input-field"
+              placeholder="Search company or domain..."
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              style={{ paddingLeft: '36px', width: '100%' }}
+            />
+          </div>
+          <select value={minContacts} onChange={(e) => setMinContacts(parseInt(e.target.value))}>
+            <option value={1}>All accounts</option>
+            <option value={2}>2+ contacts</option>
+            <option value={5}>5+ contacts</option>
+          </select>
+          <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+            {SORT_OPTIONS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="card" style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '1rem', padding: '3rem' }}>
+          <div className="loading-spinner"></div>
+          <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>Grouping leads by company…</span>
+        </div>
+      ) : visibleAccounts.length === 0 ? (
+        <div className="card" style={{ textAlign: 'center', padding: '3rem', color: 'var(--text-secondary)' }}>
+          <div style={{ marginBottom: '1rem', opacity: 0.5 }}><Building2 size={48} /></div>
+          <h3>No accounts found</h3>
+          <p style={{ fontSize: '0.9rem' }}>Accounts are built from company email domains and the company field.</p>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+          {visibleAccounts.map(account => {
+            const expanded = expandedKey === account.key;
+            return (
+              <div key={account.key} className="card" style={{ padding: 0, overflow: 'hidden' }}>
+                <div
+                  onClick={() => setExpandedKey(expanded ? null : account.key)}
+                  style={{ display: 'flex', alignItems: 'center', gap: '1rem', padding: '1rem 1.25rem', cursor: 'pointer', flexWrap: 'wrap' }}
+                >
+                  {expanded ? <ChevronDown size={18} /> : <ChevronRight size={18} />}
+                  <div style={{ flex: 1, minWidth: '180px' }}>
+                    <div style={{ fontWeight: 600 }}>{account.name}</div>
+                    <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                      {account.domain || 'Company name match'} · {account.stats.contacts} contacts
+                      {account.stats.lastActivity && ` · last activity ${account.stats.lastActivity.toLocaleDateString()}`}
+                    </div>
+                  </div>
+                  <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+                    <StatPill value={account.stats.active} label="active" color="#8b5cf6" />
+                    <StatPill value={account.stats.opened} total={account.stats.contacts} label="opened" color="#3b82f6" />
+                    <StatPill value={account.stats.clicked} total={account.stats.contacts} label="clicked" color="#a855f7" />
+                    <StatPill value={account.stats.replied} total={account.stats.contacts} label="replied" color="#10b981" />
+                    <StatPill value={account.stats.converted} total={account.stats.contacts} label="converted" color="#eab308" />
+                  </div>
+                  <div style={{ display: 'flex', gap: '6px' }} onClick={(e) => e.stopPropagation()}>
+                    <button
+                      onClick={() => handlePauseAll(account)}
+                      disabled={account.stats.active === 0}
+                      style={{ ...actionBtnStyle('#f59e0b', 'rgba(245, 158, 11, 0.1)'), opacity: account.stats.active === 0 ? 0.5 : 1 }}
+                      title="Pause followups for every contact"
+                    >
+                      <Pause size={14} /> Pause All
+                    </button>
+                    <button
+                      onClick={() => setTagAccount(account)}
+                      style={actionBtnStyle('#f59e0b', 'rgba(245, 158, 11, 0.1)')}
+                      title="Tag every contact"
+                    >
+                      <Tag size={14} /> Tag All
+                    </button>
+                    <button
+                      onClick={() => handleMarkConverted(account)}
+                      disabled={account.stats.converted === account.stats.contacts}
+                      style={{ ...actionBtnStyle('#eab308', 'rgba(234, 179, 8, 0.1)'), opacity: account.stats.converted === account.stats.contacts ? 0.5 : 1 }}
+                      title="Mark every contact converted"
+                    >
+                      <Trophy size={14} /> Converted
+                    </button>
+                  </div>
+                </div>
+
+                {expanded && <AccountContacts account={account} />}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {tagAccount && (
+        <div
+          style={{
+            position: 'fixed', inset: 0, zIndex: 1000,
+            display: 'flex', alignItems: 'center', justifyContent: 'center',
+            background: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(4px)'
+          }}
+          onClick={() => setTagAccount(null)}
+        >
+          <div
+            style={{
+              background: 'var(--bg-card)', borderRadius: '16px',
+              padding: '24px', width: '400px', maxWidth: '90%'
+            }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+              <h3 style={{ margin: 0 }}>Tag {tagAccount.stats.contacts} Contacts at {tagAccount.name}</h3>
+              <button onClick={() => setTagAccount(null)} style={{ background: 'none', border: 'none', cursor: 'pointer' }}>
+                <X size={20} color="var(--text-secondary)" />
+              </button>
+            </div>
+            <input
+              type="text"
+              placeholder="Enter tags (comma separated)..."
+              value={tagInput}
+              onChange={(e) => setTagInput(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleTagAll()}
+              style={{
+                width: '100%', padding: '12px', borderRadius: '8px',
+                border: '1px solid var(--border-color)', background: 'var(--bg-glass)',
+                color: 'var(--text-primary)', fontSize: '0.95rem', marginBottom: '16px'
+              }}
+              autoFocus
+            />
+            <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+              <button className="btn btn-secondary" onClick={() => setTagAccount(null)}>Cancel</button>
+              <button className="btn btn-primary" onClick={handleTagAll} disabled={!tagInput.trim()}>
+                <Tag size={16} /> Add Tags
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={confirmModal.isOpen}
+        onClose={() => setConfirmModal({ isOpen: false })}
+        onConfirm={confirmModal.onConfirm}
+        title={confirmModal.title}
+        message={confirmModal.message}
+        confirmText={confirmModal.confirmText}
+        variant={confirmModal.variant}
+      />
+    </div>
+  );
+}
@@ -6,7 +6,7 @@ import {
   AlertTriangle, Clock, MousePointer, Mail, ShieldAlert, BarChart3, Binary,
   Zap, Target, Award, ArrowUpRight, ArrowDownRight, Sparkles, Filter,
   Download, Maximize2, ChevronDown, Activity, PieChart as PieIcon,
-  Layers, GitBranch, Info
+  Layers, GitBranch, Info, Users, Reply, FlaskConical, Trophy
 } from 'lucide-react';
 import { 
   LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, 
@@ -15,11 +15,22 @@ import {
 } from 'recharts';
 import gsap from 'gsap';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
-import { cacheConfig } from '../lib/queryClient';
+import { cacheConfig, queryKeys } from '../lib/queryClient';
 import DateRangeSelector from '../components/DateRangeSelector';
 import HierarchyCanvas from '../components/HierarchyCanvas';
-import { getAnalyticsSummary, syncAnalytics, getAnalyticsBreakdown, getHierarchicalAnalytics } from '../services/api';
+import {
+  getAnalyticsSummary, syncAnalytics, getAnalyticsBreakdown, getHierarchicalAnalytics, getOwnerAnalytics,
+  getVariantAnalytics, getSettings, getTemplates
+} from '../services/api';
+import { usePromoteStepVariant } from '../hooks/useApi';
 import { useTheme } from '../contexts/ThemeContext';
+import { useOwners } from '../contexts/OwnerContext';
+import { findOwner } from '../lib/owners';
+import { resolveSequences } from '../lib/sequences';
+import {
+  VARIANT_METRICS, hasVariants, variantTestSettings, compareVariants, confidenceLabel,
+  promotedVariant, variantName, SIGNIFICANT_CONFIDENCE
+} from '../lib/abTests';
 import './Analytics.css';
 
 const COLORS = {
@@ -36,6 +47,7 @@ const COLORS = {
 
 export default function Analytics({ showToast }) {
   const { theme } = useTheme();
+  const { team, currentOwner } = useOwners();
   const queryClient = useQueryClient();
   const [syncing, setSyncing] = useState(false);
   const [dateRange, setDateRange] = useState("7d");
@@ -88,6 +100,78 @@ export default function Analytics({ showToast }) {
     ...cacheConfig.standard,
   });
 
+  const { data: ownerData, isLoading: ownersLoading } = useQuery({
+    queryKey: ["analytics", "owners", queryParams],
+    queryFn: () => getOwnerAnalytics(queryParams.startDate, queryParams.endDate, queryParams.period),
+    ...cacheConfig.standard,
+    enabled: activeTab === "owners",
+  });
+
+  // One row per owner with rates; leads of removed members keep their id but lose the name
+  const ownerRows = useMemo(() => (ownerData?.owners || []).map(row => {
+    const owner = findOwner(team, row.ownerId);
+    const rate = (n) => (row.sent ? Math.round((n / row.sent) * 1000) / 10 : 0);
+    return {
+      ...row,
+      name: owner?.name || (row.ownerId ? 'Former member' : 'Unassigned'),
+      isMe: !!owner && owner.id === currentOwner?.id,
+      openRate: rate(row.opened || 0),
+      clickRate: rate(row.clicked || 0),
+      replyRate: rate(row.replied || 0),
+    };
+  }).sort((a, b) => (b.leads || 0) - (a.leads || 0)), [ownerData, team, currentOwner]);
+
+  const { data: variantData, isLoading: variantsLoading } = useQuery({
+    queryKey: queryKeys.analytics.variantResults(queryParams),
+    queryFn: () => getVariantAnalytics(queryParams.startDate, queryParams.endDate, queryParams.period),
+    ...cacheConfig.standard,
+    enabled: activeTab === "abtests",
+  });
+
+  // Tests are defined on sequence steps; the endpoint only has the counts
+  const { data: settings } = useQuery({
+    queryKey: queryKeys.settings.all(),
+    queryFn: getSettings,
+    ...cacheConfig.config,
+    enabled: activeTab === "abtests",
+  });
+
+  const { data: templates = [] } = useQuery({
+    queryKey: queryKeys.templates.all(),
+    queryFn: getTemplates,
+    ...cacheConfig.static,
+    enabled: activeTab === "abtests",
+  });
+
+  const promoteMutation = usePromoteStepVariant();
+
+  // One entry per A/B tested step, variants in the step's order (control first)
+  const variantTests = useMemo(() => {
+    if (!settings) return [];
+    return resolveSequences(settings).flatMap(sequence => sequence.followups
+      .filter(hasVariants)
+      .map(step => {
+        const counts = (variantData?.steps || []).find(s => s.sequenceId === sequence.id && s.stepId === step.id);
+        const rows = step.variants.map(variant => ({
+          delivered: 0, opened: 0, clicked: 0,
+          ...counts?.variants?.find(v => v.variantId === variant.id),
+          variantId: variant.id,
+          variant,
+        }));
+        const test = variantTestSettings(step);
+        return { sequence, step, test, promoted: promotedVariant(step), ...compareVariants(rows, test) };
+      }));
+  }, [settings, variantData]);
+
+  const handlePromote = async ({ sequence, step }, variant) => {
+    try {
+      await promoteMutation.mutateAsync({ sequenceId: sequence.id, stepId: step.id, variantId: variant.id });
+      showToast?.(`${variantName(variant)} now goes to every lead on "${step.name}"`, 'success');
+    } catch (error) {
+      showToast?.('Failed to promote: ' + error.message, 'error');
+    }
+  };
+
   const loading = summaryLoading;
 
   // Refresh handler
@@ -124,7 +208,13 @@ export default function Analytics({ showToast }) {
   // Memoized data
   const summary = useMemo(() => analytics?.summary || {}, [analytics]);
   const bd = useMemo(() => breakdown?.breakdown || {}, [breakdown]);
-  const rates = useMemo(() => breakdown?.rates || {}, [breakdown]);
+  const rates = useMemo(() => {
+    const r = breakdown?.rates || {};
+    const b = breakdown?.breakdown || {};
+    // Older servers don't send replyRate yet
+    const replyRate = r.replyRate ?? (b.sent > 0 ? parseFloat((((b.replied || 0) / b.sent) * 100).toFixed(1)) : 0);
+    return { ...r, replyRate };
+  }, [breakdown]);
   
   const fd = useMemo(() => breakdown?.failedData || {
     total: 0, hardBounce: 0, blocked: 0, spam: 0, error: 0, invalid: 0
@@ -159,12 +249,13 @@ export default function Analytics({ showToast }) {
       const delivered = d.emailsDelivered || 0;
       const opened = d.emailsOpened || 0;
       const clicked = d.emailsClicked || 0;
+      const replied = d.emailsReplied || 0;
       const bounced = d.emailsBounced || 0;
 
       return {
         date: dateLabel,
         fullDate: d.date,
-        sent, delivered, opened, clicked, bounced,
+        sent, delivered, opened, clicked, replied, bounced,
         openRate: sent > 0 ? parseFloat(((opened / sent) * 100).toFixed(1)) : 0,
         clickRate: sent > 0 ? parseFloat(((clicked / sent) * 100).toFixed(1)) : 0,
       };
@@ -216,6 +307,10 @@ export default function Analytics({ showToast }) {
       items.push({ type: 'info', icon: '📬', text: `${pd.total} emails pending. System is actively processing your queue.` });
     }
     
+    if (rates.replyRate >= 5) {
+      items.push({ type: 'success', icon: '💬', text: `${rates.replyRate}% of sent emails got a reply. Your sequence is starting conversations.` });
+    }
+    
     if (bd.clicked > 0 && bd.opened > 0) {
       const ctr = ((bd.clicked / bd.opened) * 100).toFixed(1);
       if (parseFloat(ctr) > 10) {
@@ -232,6 +327,7 @@ export default function Analytics({ showToast }) {
     { name: "Delivered", value: bd.delivered || 0, fill: COLORS.green },
     { name: "Opened", value: bd.opened || 0, fill: COLORS.blue },
     { name: "Clicked", value: bd.clicked || 0, fill: COLORS.yellow },
+    { name: "Replied", value: bd.replied || 0, fill: COLORS.green },
   ], [bd]);
 
   const pieData = useMemo(() => [
@@ -336,8 +432,192 @@ export default function Analytics({ showToast }) {
           <GitBranch size={18} />
           <span>Flow Hierarchy</span>
         </button>
+        <button
+          className={`tab-btn ${activeTab === "owners" ? "active" : ""}`}
+          onClick={() => setActiveTab("owners")}
+        >
+          <Users size={18} />
+          <span>By Owner</span>
+        </button>
+        <button
+          className={`tab-btn ${activeTab === "abtests" ? "active" : ""}`}
+          onClick={() => setActiveTab("abtests")}
+        >
+          <FlaskConical size={18} />
+          <span>A/B Tests</span>
+        </button>
       </nav>
 
+      {/* A/B Tests Tab */}
+      {activeTab === "abtests" && (
+        <div className="card abtests-card animate-in">
+          <div className="card-header">
+            <h3><FlaskConical size={20} /> A/B Tests</h3>
+          </div>
+          {variantsLoading || !settings ? (
+            <div style={{ display: 'flex', justifyContent: 'center', padding: '3rem' }}>
+              <div className="loading-spinner"></div>
+            </div>
+          ) : variantTests.length === 0 ? (
+            <p style={{ color: 'var(--text-secondary)', textAlign: 'center', padding: '2rem' }}>
+              No A/B tests yet. Add template variants to a step in Settings → Email Sequences.
+            </p>
+          ) : variantTests.map(result => {
+            const { sequence, step, test, promoted, rows, winner, ready } = result;
+            const metric = VARIANT_METRICS.find(m => m.id === test.metric);
+            return (
+              <div key={`${sequence.id}-${step.id}`} style={{ marginBottom: '1.5rem' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '1rem', flexWrap: 'wrap' }}>
+                  <h4 style={{ margin: 0 }}>
+                    {step.name}
+                    <span style={{ color: 'var(--text-muted)', fontWeight: 400, fontSize: '0.85rem' }}> · {sequence.name}</span>
+                  </h4>
+                  <span style={{ fontSize: '0.8rem', color: promoted || ready ? COLORS.green : 'var(--text-secondary)' }}>
+                    {promoted
+                      ? `${variantName(promoted)} promoted`
+                      : ready
+                        ? `${variantName(winner.variant)} wins on ${metric.label.toLowerCase()}`
+                        : winner
+                          ? `${variantName(winner.variant)} leads - waiting for ${test.minSample} delivered per variant`
+                          : `No significant winner on ${metric.label.toLowerCase()} yet`}
+                    {!promoted && test.autoPromote && ' · auto-promote on'}
+                  </span>
+                </div>
+                <div className="table-container" style={{ marginTop: '0.75rem' }}>
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>Variant</th>
+                        <th>Template</th>
+                        <th>Traffic</th>
+                        <th>Delivered</th>
+                        <th>Open Rate</th>
+                        <th>Click Rate</th>
+                        <th>Lift</th>
+                        <th>Significance</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map(row => {
+                        const isWinner = row.variant.id === (promoted || winner?.variant)?.id;
+                        return (
+                          <tr key={row.variantId}>
+                            <td style={{ fontWeight: 500 }}>
+                              {isWinner && <Trophy size={14} color={COLORS.yellow} style={{ marginRight: '6px', verticalAlign: '-2px' }} />}
+                              {variantName(row.variant)}
+                            </td>
+                            <td>
+                              {templates.find(t => t.id === row.variant.templateId)?.name || 'Default Template'}
+                              {row.variant.subject && (
+                                <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>"{row.variant.subject}"</div>
+                              )}
+                            </td>
+                            <td>{row.variant.weight ?? 0}%</td>
+                            <td>{row.delivered}</td>
+                            <td>{Math.round(row.openRate * 1000) / 10}%</td>
+                            <td>{Math.round(row.clickRate * 1000) / 10}%</td>
+                            <td style={{ color: row.lift > 0 ? COLORS.green : row.lift < 0 ? COLORS.red : 'inherit' }}>
+                              {row.lift == null ? '—' : `${row.lift > 0 ? '+' : ''}${Math.round(row.lift * 1000) / 10}%`}
+                            </td>
+                            <td>
+                              <span style={{
+                                color: row.confidence == null
+                                  ? 'var(--text-muted)'
+                                  : row.confidence >= SIGNIFICANT_CONFIDENCE ? COLORS.green : row.confidence >= 0.8 ? COLORS.yellow : 'var(--text-secondary)'
+                              }}>
+                                {confidenceLabel(row.confidence)}
+                                {row.confidence != null && ` (${Math.round(row.confidence * 100)}%)`}
+                              </span>
+                            </td>
+                            <td>
+                              {!promoted && winner?.variant.id === row.variant.id && (
+                                <button
+                                  className="btn btn-primary"
+                                  style={{ padding: '4px 10px', fontSize: '0.8rem' }}
+                                  disabled={promoteMutation.isPending}
+                                  onClick={() => handlePromote(result, row.variant)}
+                                >
+                                  Promote
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Owners Tab */}
+      {activeTab === "owners" && (
+        <div className="card owners-card animate-in">
+          <div className="card-header">
+            <h3><Users size={20} /> Performance by Owner</h3>
+          </div>
+          {ownersLoading ? (
+            <div style={{ display: 'flex', justifyContent: 'center', padding: '3rem' }}>
+              <div className="loading-spinner"></div>
+            </div>
+          ) : ownerRows.length === 0 ? (
+            <p style={{ color: 'var(--text-secondary)', textAlign: 'center', padding: '2rem' }}>
+              {team.length === 0 ? 'Add team members in Settings → Team & Owners to see per-owner numbers.' : 'No activity in this period.'}
+            </p>
+          ) : (
+            <>
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={ownerRows}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={chartStyles.gridStroke} />
+                  <XAxis dataKey="name" stroke={chartStyles.stroke} fontSize={12} />
+                  <YAxis stroke={chartStyles.stroke} fontSize={12} />
+                  <Tooltip content={<CustomTooltip />} />
+                  <Legend />
+                  <Bar dataKey="sent" fill={COLORS.purple} name="Sent" radius={[4, 4, 0, 0]} />
+                  <Bar dataKey="opened" fill={COLORS.blue} name="Opened" radius={[4, 4, 0, 0]} />
+                  <Bar dataKey="replied" fill={COLORS.green} name="Replied" radius={[4, 4, 0, 0]} />
+                </BarChart>
+              </ResponsiveContainer>
+              <div className="table-container" style={{ marginTop: '1rem' }}>
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Owner</th>
+                      <th>Leads</th>
+                      <th>Sent</th>
+                      <th>Open Rate</th>
+                      <th>Click Rate</th>
+                      <th>Reply Rate</th>
+                      <th>Converted</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {ownerRows.map(row => (
+                      <tr key={row.ownerId || 'unassigned'}>
+                        <td style={{ fontWeight: 500 }}>
+                          {row.name}
+                          {row.isMe && <span style={{ color: 'var(--text-muted)', fontWeight: 400 }}> (you)</span>}
+                        </td>
+                        <td>{row.leads || 0}</td>
+                        <td>{row.sent || 0}</td>
+                        <td>{row.openRate}%</td>
+                        <td>{row.clickRate}%</td>
+                        <td>{row.replyRate}%</td>
+                        <td>{row.converted || 0}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
       {/* Hierarchy Tab */}
       {activeTab === "hierarchy" && hierarchy && (
         <div className="card hierarchy-card animate-in">
@@ -402,6 +682,17 @@ export default function Analytics({ showToast }) {
               </div>
             </div>
 
+            <div className="rate-card replies">
+              <div className="rate-icon"><Reply size={24} /></div>
+              <div className="rate-content">
+                <span className="rate-value">{rates.replyRate || 0}%</span>
+                <span className="rate-label">Reply Rate</span>
+              </div>
+              <div className={`rate-trend ${(rates.replyRate || 0) >= 2 ? 'up' : 'neutral'}`}>
+                {(rates.replyRate || 0) >= 2 ? <ArrowUpRight size={16} /> : <Activity size={16} />}
+              </div>
+            </div>
+
             <div className="rate-card bounces">
               <div className="rate-icon"><AlertTriangle size={24} /></div>
               <div className="rate-content">
@@ -452,6 +743,7 @@ export default function Analytics({ showToast }) {
                   <span><strong style={{color:'#22c55e'}}>{bd.delivered || 0}</strong> delivered</span>
                   <span><strong style={{color:'#3b82f6'}}>{bd.opened || 0}</strong> opened</span>
                   <span><strong style={{color:'#a855f7'}}>{bd.clicked || 0}</strong> clicked</span>
+                  <span><strong style={{color:'#10b981'}}>{bd.replied || 0}</strong> replied</span>
                 </div>
               </div>
 
@@ -550,6 +842,7 @@ export default function Analytics({ showToast }) {
                     <Area type="monotone" dataKey="sent" stroke={COLORS.purple} fillOpacity={1} fill="url(#colorSent)" name="Sent" strokeWidth={2} />
                     <Area type="monotone" dataKey="opened" stroke={COLORS.blue} fillOpacity={1} fill="url(#colorOpened)" name="Opened" strokeWidth={2} />
                     <Line type="monotone" dataKey="clicked" stroke={COLORS.yellow} strokeWidth={2} dot={false} name="Clicked" />
+                    <Line type="monotone" dataKey="replied" stroke={COLORS.green} strokeWidth={2} dot={false} name="Replied" />
                   </AreaChart>
                 </ResponsiveContainer>
               </div>
@@ -625,6 +918,14 @@ export default function Analytics({ showToast }) {
                           : 0}%
                       </span>
                     </div>
+                    <div className="funnel-conversion">
+                      <span className="conversion-label">Sent → Reply Rate</span>
+                      <span className="conversion-value" style={{ color: COLORS.green }}>
+                        {funnelData[4].value && funnelData[0].value
+                          ? ((funnelData[4].value / funnelData[0].value) * 100).toFixed(2)
+                          : 0}%
+                      </span>
+                    </div>
                   </div>
                 </div>
               </div>
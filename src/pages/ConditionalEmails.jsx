@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { 
   Zap, Plus, Edit2, Trash2, ToggleLeft, ToggleRight, 
-  Clock, Mail, MousePointer, Eye, AlertTriangle, Check, X, RefreshCw
+  Clock, Mail, MousePointer, Eye, AlertTriangle, Check, X, RefreshCw, Reply
 } from 'lucide-react';
 import { API_BASE_URL } from '../services/api';
 
@@ -67,14 +67,16 @@ const eventIcons = {
   opened: <Eye size={16} />,
   clicked: <MousePointer size={16} />,
   delivered: <Mail size={16} />,
-  bounced: <AlertTriangle size={16} />
+  bounced: <AlertTriangle size={16} />,
+  replied: <Reply size={16} />
 };
 
 const eventColors = {
   opened: '#3b82f6',
   clicked: '#22c55e',
   delivered: '#8b5cf6',
-  bounced: '#ef4444'
+  bounced: '#ef4444',
+  replied: '#10b981'
 };
 
 export default function ConditionalEmails({ showToast }) {
@@ -0,0 +1,316 @@
+// pages/Duplicates.jsx
+// Likely-duplicate lead groups with side-by-side comparison and merge
+import { useState, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Copy, RefreshCw, Eye, GitMerge, Crown, Mail, Activity, AlertTriangle } from 'lucide-react';
+import { useLead, useLeadDuplicates, useMergeLeads } from '../hooks/useApi';
+import { MATCH_REASONS, MAX_NAME_BUCKET } from '../lib/leadDuplicates';
+import { ACTIVE_JOB_STATUSES } from '../lib/emailJobs';
+import ConfirmModal from '../components/ConfirmModal';
+
+const MERGE_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'company', label: 'Company' },
+  { key: 'country', label: 'Country' },
+  { key: 'city', label: 'City' },
+  { key: 'timezone', label: 'Timezone' },
+];
+
+const HISTORY_LIMIT = 8;
+
+// The oldest lead usually carries the real sequence history, so it survives by default
+const pickDefaultPrimary = (leads) =>
+  [...leads].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
+
+// Prefer the primary's value, otherwise the first lead that has one
+const defaultFieldChoices = (leads, primaryId) => Object.fromEntries(
+  MERGE_FIELDS.map(({ key }) => {
+    const primary = leads.find(l => l.id === primaryId);
+    const source = primary?.[key] ? primary : leads.find(l => l[key]) || primary;
+    return [key, source?.id];
+  })
+);
+
+function LeadColumn({ lead, isPrimary, fieldChoices, groupKey, onChoosePrimary, onChooseField }) {
+  const navigate = useNavigate();
+  const { data, isLoading } = useLead(lead.id);
+  const emailJobs = data?.emailJobs || [];
+  const history = [...(data?.lead?.eventHistory || [])]
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, HISTORY_LIMIT);
+
+  return (
+    <div className="card" style={{
+      padding: '1rem',
+      border: isPrimary ? '2px solid #a855f7' : '1px solid var(--border-color)',
+      minWidth: 0
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer', fontWeight: 600, fontSize: '0.9rem', flex: 1 }}>
+          <input type="radio" name={`${groupKey}-primary`} checked={isPrimary} onChange={onChoosePrimary} />
+          {isPrimary ? <><Crown size={14} color="#a855f7" /> Surviving lead</> : 'Merge into survivor'}
+        </label>
+        <button
+          onClick={() => navigate(`/leads/${lead.id}`)}
+          style={{ background: 'rgba(59, 130, 246, 0.1)', border: 'none', borderRadius: '6px', padding: '6px 8px', cursor: 'pointer', color: '#3b82f6' }}
+          title="View Details"
+        >
+          <Eye size={14} />
+        </button>
+      </div>
+
+      {/* Field values - pick which lead each surviving value comes from */}
+      {MERGE_FIELDS.map(({ key, label }) => (
+        <label
+          key={key}
+          style={{
+            display: 'flex', alignItems: 'flex-start', gap: '8px', padding: '6px 8px', borderRadius: '6px',
+            background: fieldChoices[key] === lead.id ? 'rgba(168, 85, 247, 0.1)' : 'transparent',
+            cursor: lead[key] ? 'pointer' : 'default', fontSize: '0.85rem'
+          }}
+        >
+          <input
+            type="radio"
+            name={`${groupKey}-${key}`}
+            checked={fieldChoices[key] === lead.id}
+            onChange={() => onChooseField(key, lead.id)}
+            disabled={!lead[key]}
+          />
+          <div style={{ minWidth: 0 }}>
+            <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)' }}>{label}</div>
+            <div style={{ wordBreak: 'break-word' }}>{lead[key] || <span style={{ color: 'var(--text-muted)' }}>—</span>}</div>
+          </div>
+        </label>
+      ))}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', margin: '10px 0' }}>
+        {(lead.tags || []).map(tag => (
+          <span key={tag} style={{ padding: '2px 8px', borderRadius: '10px', fontSize: '0.7rem', background: 'rgba(245, 158, 11, 0.15)', color: '#f59e0b' }}>
+            {tag}
+          </span>
+        ))}
+      </div>
+
+      <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginBottom: '10px' }}>
+        Score {lead.score || 0} · <span className={`status-badge ${lead.status?.split(':').pop() || ''}`}>{lead.status || 'unknown'}</span>
+        <br />Created {lead.createdAt ? new Date(lead.createdAt).toLocaleDateString() : '—'}
+      </div>
+
+      {isLoading ? (
+        <div style={{ display: 'flex', justifyContent: 'center', padding: '1rem' }}>
+          <div className="loading-spinner" style={{ width: '20px', height: '20px' }}></div>
+        </div>
+      ) : (
+        <>
+          <p style={{ fontSize: '0.75rem', fontWeight: 600, margin: '0 0 6px', display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <Mail size={13} /> Email Jobs ({emailJobs.length})
+          </p>
+          {emailJobs.length === 0 && <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)', margin: '0 0 10px' }}>None</p>}
+          {emailJobs.map(job => (
+            <div key={job.id} style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', fontSize: '0.75rem', padding: '4px 0', borderBottom: '1px solid var(--border-color)' }}>
+              <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{job.type}</span>
+              <span style={{ color: ACTIVE_JOB_STATUSES.includes(job.status) ? '#f59e0b' : 'var(--text-secondary)' }}>{job.status}</span>
+            </div>
+          ))}
+
+          <p style={{ fontSize: '0.75rem', fontWeight: 600, margin: '12px 0 6px', display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <Activity size={13} /> Recent History
+          </p>
+          {history.length === 0 && <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)', margin: 0 }}>No events</p>}
+          {history.map((event, idx) => (
+            <div key={idx} style={{ fontSize: '0.75rem', padding: '4px 0', borderBottom: '1px solid var(--border-color)' }}>
+              <span style={{ fontWeight: 500 }}>{event.emailType ? `${event.emailType}: ` : ''}{event.event}</span>
+              <div style={{ color: 'var(--text-muted)' }}>{new Date(event.timestamp).toLocaleString()}</div>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+function DuplicateGroup({ group, showToast, onMerged }) {
+  const mergeMutation = useMergeLeads();
+  const [primaryId, setPrimaryId] = useState(() => pickDefaultPrimary(group.leads).id);
+  const [fieldChoices, setFieldChoices] = useState(() => defaultFieldChoices(group.leads, primaryId));
+  const [merging, setMerging] = useState(false);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+
+  const duplicates = group.leads.filter(l => l.id !== primaryId);
+  const combinedTags = useMemo(() => [...new Set(group.leads.flatMap(l => l.tags || []))], [group.leads]);
+
+  const choosePrimary = useCallback((id) => {
+    setPrimaryId(id);
+    setFieldChoices(defaultFieldChoices(group.leads, id));
+  }, [group.leads]);
+
+  const runMerge = useCallback(async () => {
+    setMerging(true);
+    try {
+      const fields = Object.fromEntries(
+        MERGE_FIELDS.map(({ key }) => [key, group.leads.find(l => l.id === fieldChoices[key])?.[key] ?? ''])
+      );
+      // The server cancels the merged leads' pending emails, so only the survivor's sequence keeps running
+      const result = await mergeMutation.mutateAsync({ id: primaryId, duplicateIds: duplicates.map(l => l.id), fields: { ...fields, tags: combinedTags } });
+      const cancelled = result?.cancelledJobs || 0;
+
+      showToast?.(`Merged ${duplicates.length + 1} leads${cancelled ? `, cancelled ${cancelled} redundant emails` : ''}`, 'success');
+      onMerged();
+    } catch (error) {
+      showToast?.('Merge failed: ' + (error.response?.data?.error || error.message), 'error');
+    } finally {
+      setMerging(false);
+    }
+  }, [duplicates, fieldChoices, group.leads, combinedTags, primaryId, mergeMutation, showToast, onMerged]);
+
+  return (
+    <div>
+      <div className="card" style={{ marginBottom: '1rem', display: 'flex', alignItems: 'center', gap: '1rem', flexWrap: 'wrap' }}>
+        <div style={{ flex: 1, minWidth: '200px' }}>
+          <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', marginBottom: '6px' }}>Combined tags</div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+            {combinedTags.length === 0 && <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>No tags</span>}
+            {combinedTags.map(tag => (
+              <span key={tag} style={{ padding: '2px 8px', borderRadius: '10px', fontSize: '0.75rem', background: 'rgba(245, 158, 11, 0.15)', color: '#f59e0b' }}>
+                {tag}
+              </span>
+            ))}
+          </div>
+        </div>
+        <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)', margin: 0, maxWidth: '320px' }}>
+          History from all leads is combined on the survivor. Pending emails of the merged leads are cancelled.
+        </p>
+        <button className="btn btn-primary" onClick={() => setConfirmOpen(true)} disabled={merging}>
+          <GitMerge size={18} />
+          {merging ? 'Merging…' : `Merge ${group.leads.length} Leads`}
+        </button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: `repeat(${Math.min(group.leads.length, 3)}, minmax(0, 1fr))`, gap: '1rem' }}>
+        {group.leads.map(lead => (
+          <LeadColumn
+            key={lead.id}
+            lead={lead}
+            groupKey={group.key}
+            isPrimary={lead.id === primaryId}
+            fieldChoices={fieldChoices}
+            onChoosePrimary={() => choosePrimary(lead.id)}
+            onChooseField={(key, id) => setFieldChoices(prev => ({ ...prev, [key]: id }))}
+          />
+        ))}
+      </div>
+
+      <ConfirmModal
+        isOpen={confirmOpen}
+        onClose={() => setConfirmOpen(false)}
+        onConfirm={runMerge}
+        title="Merge Leads"
+        message={`Merge ${duplicates.length} lead(s) into "${group.leads.find(l => l.id === primaryId)?.email}"? The merged leads are removed and their pending emails cancelled.`}
+        confirmText="Merge"
+        variant="warning"
+      />
+    </div>
+  );
+}
+
+export default function Duplicates({ showToast }) {
+  const { data, isLoading, isFetching, refetch } = useLeadDuplicates();
+  const groups = data?.groups || [];
+  const partial = data && (data.scanned < data.total || data.skippedBuckets.length > 0);
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  const selectedGroup = groups.find(g => g.key === selectedKey) || groups[0];
+  const duplicateCount = groups.reduce((sum, g) => sum + g.leads.length - 1, 0);
+
+  return (
+    <div>
+      <div className="header">
+        <h2 style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <Copy size={26} color="#a855f7" />
+          Duplicates
+        </h2>
+        <div className="header-actions">
+          <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+            {groups.length} groups · {duplicateCount} likely duplicates
+          </span>
+          <button className="btn btn-secondary" onClick={() => refetch()} disabled={isFetching}>
+            <RefreshCw size={18} className={isFetching ? 'animate-spin' : ''} />
+            Rescan
+          </button>
+        </div>
+      </div>
+
+      {partial && (
+        <div style={{
+          display: 'flex', alignItems: 'flex-start', gap: '10px', padding: '12px 16px', marginBottom: '1rem',
+          borderRadius: '10px', background: 'rgba(245, 158, 11, 0.1)', border: '1px solid rgba(245, 158, 11, 0.3)',
+          fontSize: '0.875rem', color: 'var(--text-secondary)'
+        }}>
+          <AlertTriangle size={18} color="#f59e0b" style={{ flexShrink: 0, marginTop: '1px' }} />
+          <div>
+            <strong style={{ color: '#f59e0b' }}>Partial results.</strong>
+            {data.scanned < data.total && ` Only the newest ${data.scanned} of ${data.total} leads were scanned.`}
+            {data.skippedBuckets.length > 0 && ` ${data.skippedBuckets.length} domain or company group${data.skippedBuckets.length > 1 ? 's have' : ' has'} more than ${MAX_NAME_BUCKET} leads and ${data.skippedBuckets.length > 1 ? 'were' : 'was'} only checked for matching emails, not similar names.`}
+          </div>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="card" style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '1rem', padding: '3rem' }}>
+          <div className="loading-spinner"></div>
+          <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>Scanning all leads…</span>
+        </div>
+      ) : groups.length === 0 ? (
+        <div className="card" style={{ textAlign: 'center', padding: '3rem', color: 'var(--text-secondary)' }}>
+          <div style={{ marginBottom: '1rem', opacity: 0.5 }}><Copy size={48} /></div>
+          <h3>No likely duplicates found</h3>
+        </div>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: '280px minmax(0, 1fr)', gap: '1.5rem', alignItems: 'start' }}>
+          <div className="card" style={{ padding: '0.5rem', maxHeight: '75vh', overflowY: 'auto' }}>
+            {groups.map(group => {
+              const active = group.key === selectedGroup?.key;
+              return (
+                <div
+                  key={group.key}
+                  onClick={() => setSelectedKey(group.key)}
+                  style={{
+                    padding: '10px 12px', borderRadius: '8px', cursor: 'pointer',
+                    background: active ? 'rgba(168, 85, 247, 0.15)' : 'transparent'
+                  }}
+                >
+                  <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                    <span style={{ fontWeight: 500, fontSize: '0.875rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {group.leads[0].name || group.leads[0].email}
+                    </span>
+                    <span style={{ fontSize: '0.75rem', fontWeight: 600, color: '#a855f7' }}>×{group.leads.length}</span>
+                  </div>
+                  <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {group.leads.map(l => l.email).join(', ')}
+                  </div>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '6px' }}>
+                    {group.reasons.map(reason => (
+                      <span key={reason} style={{ fontSize: '0.65rem', padding: '2px 6px', borderRadius: '6px', background: 'var(--bg-hover)', color: 'var(--text-secondary)' }}>
+                        {MATCH_REASONS[reason]}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {selectedGroup && (
+            <DuplicateGroup
+              key={selectedGroup.key}
+              group={selectedGroup}
+              showToast={showToast}
+              onMerged={() => setSelectedKey(null)}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
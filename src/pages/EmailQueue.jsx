@@ -24,6 +24,7 @@ import {
   getRateLimits,
 } from "../services/api";
 import ConfirmModal from "../components/ConfirmModal";
+import OwnerFilterSelect from "../components/OwnerFilterSelect";
 
 export default function EmailQueue({ showToast }) {
   const queryClient = useQueryClient();
@@ -31,6 +32,7 @@ export default function EmailQueue({ showToast }) {
   const [statusFilter, setStatusFilter] = useState("");
   const [queueTypeFilter, setQueueTypeFilter] = useState("all");
   const [activeTab, setActiveTab] = useState("active");
+  const [ownerFilter, setOwnerFilter] = useState("");
   const tableRef = useRef(null);
 
   const [confirmModal, setConfirmModal] = useState({
@@ -50,8 +52,8 @@ export default function EmailQueue({ showToast }) {
   });
 
   const { data: jobsData, isLoading, refetch } = useQuery({
-    queryKey: ['emailJobs', 'list', { page, statusFilter, activeTab }],
-    queryFn: () => getEmailJobs(page, 15, statusFilter || undefined, activeTab),
+    queryKey: ['emailJobs', 'list', { page, statusFilter, activeTab, ownerFilter }],
+    queryFn: () => getEmailJobs(page, 15, statusFilter || undefined, activeTab, undefined, undefined, ownerFilter),
     ...cacheConfig.realtime,
     refetchInterval: 30000,
     placeholderData: (previousData) => previousData,
@@ -294,6 +296,14 @@ export default function EmailQueue({ showToast }) {
             <option value="conditional">Conditional Mails</option>
           </select>
 
+          <OwnerFilterSelect
+            value={ownerFilter}
+            onChange={(ownerId) => {
+              setOwnerFilter(ownerId);
+              setPage(1);
+            }}
+          />
+
           <span style={{ color: "var(--text-secondary)", fontSize: "0.9rem", marginLeft: "auto" }}>
             {pagination.total} total jobs
           </span>
@@ -4,6 +4,7 @@ import { useNavigate } from 'react-router-dom';
 import { Search, Filter, ChevronLeft, ChevronRight, Trash2, RefreshCw, Eye, ShieldAlert } from 'lucide-react';
 import gsap from 'gsap';
 import { getLeads, deleteLead, retryLead } from '../services/api';
+import { useBulkJobs } from '../contexts/BulkJobContext';
 
 export default function FailedLeads({ showToast }) {
   const navigate = useNavigate();
@@ -11,10 +12,13 @@ export default function FailedLeads({ showToast }) {
   const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
   const [loading, setLoading] = useState(true);
   const [selectedLeads, setSelectedLeads] = useState([]);
+  // Status filter that "select all matching" was chosen for
+  const [allMatchingStatuses, setAllMatchingStatuses] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
   const [retrying, setRetrying] = useState(null);
   const tableRef = useRef(null);
+  const { submitBulkJob } = useBulkJobs();
 
   const statusFilters = [
     { key: 'all', label: 'All', statuses: 'hard_bounce,failed,blocked,spam' },
@@ -26,6 +30,14 @@ export default function FailedLeads({ showToast }) {
   ];
 
   const getActiveStatuses = () => statusFilters.find(f => f.key === statusFilter)?.statuses || statusFilters[0].statuses;
+  // The name/email filter only narrows the loaded page, so it can't be combined with the whole tab
+  const allMatching = !searchTerm && allMatchingStatuses === getActiveStatuses();
+  const selectionCount = allMatching ? pagination.total : selectedLeads.length;
+
+  const clearSelection = () => {
+    setSelectedLeads([]);
+    setAllMatchingStatuses(null);
+  };
 
   useEffect(() => {
     loadLeads();
@@ -66,17 +78,19 @@ export default function FailedLeads({ showToast }) {
     }
   };
 
+  // Runs as one server-side job; progress, failures and undo show in the job tracker
   const handleBulkDelete = async () => {
-    if (!confirm(`Are you sure you want to delete ${selectedLeads.length} leads?`)) return;
+    if (!confirm(`Are you sure you want to delete ${selectionCount} leads?`)) return;
     try {
-      for (const id of selectedLeads) {
-        await deleteLead(id);
-      }
-      showToast?.(`Deleted ${selectedLeads.length} leads`, 'success');
-      setSelectedLeads([]);
-      loadLeads();
+      await submitBulkJob({
+        action: 'delete',
+        target: allMatching ? { filter: { status: getActiveStatuses() } } : { leadIds: selectedLeads },
+        label: `Delete ${selectionCount} failed leads`,
+        onFinished: () => loadLeads()
+      });
+      clearSelection();
     } catch (error) {
-      showToast?.('Failed to delete some leads: ' + error.message, 'error');
+      showToast?.('Failed to start bulk delete: ' + error.message, 'error');
     }
   };
 
@@ -94,14 +108,19 @@ export default function FailedLeads({ showToast }) {
   };
 
   const toggleSelect = (id) => {
+    if (allMatching) {
+      setAllMatchingStatuses(null);
+      setSelectedLeads(leads.map(l => l.id).filter(x => x !== id));
+      return;
+    }
     setSelectedLeads(prev => 
       prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]
     );
   };
 
   const toggleSelectAll = () => {
-    if (selectedLeads.length === leads.length && leads.length > 0) {
-      setSelectedLeads([]);
+    if (allMatching || (selectedLeads.length === leads.length && leads.length > 0)) {
+      clearSelection();
     } else {
       setSelectedLeads(leads.map(l => l.id));
     }
@@ -133,14 +152,14 @@ export default function FailedLeads({ showToast }) {
             <RefreshCw size={18} />
             Refresh
           </button>
-          {selectedLeads.length > 0 && (
+          {selectionCount > 0 && (
             <button 
               className="btn btn-secondary" 
               onClick={handleBulkDelete}
               style={{ color: '#ef4444', border: '1px solid rgba(239, 68, 68, 0.3)' }}
             >
               <Trash2 size={18} />
-              Delete ({selectedLeads.length})
+              Delete ({selectionCount})
             </button>
           )}
         </div>
@@ -190,7 +209,10 @@ export default function FailedLeads({ showToast }) {
               type="text"
               placeholder="Filter by name or email..."
               value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
+              onChange={(e) => {
+                setSearchTerm(e.target.value);
+                setAllMatchingStatuses(null);
+              }}
               style={{
                 background: 'transparent',
                 border: 'none',
@@ -215,6 +237,31 @@ export default function FailedLeads({ showToast }) {
           </div>
         ) : (
           <>
+            {(allMatching || (leads.length > 0 && selectedLeads.length === leads.length && pagination.total > leads.length)) && (
+              <div style={{
+                display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px',
+                padding: '10px', marginBottom: '1rem', borderRadius: '10px',
+                background: 'rgba(168, 85, 247, 0.1)', fontSize: '0.875rem'
+              }}>
+                {allMatching ? (
+                  <>
+                    All {pagination.total} leads in this tab are selected.
+                    <button onClick={clearSelection} style={{ background: 'none', border: 'none', color: 'var(--accent-color)', cursor: 'pointer', fontWeight: 600 }}>
+                      Clear selection
+                    </button>
+                  </>
+                ) : searchTerm ? (
+                  <>All {leads.length} leads on this page are selected. Clear the name or email filter to select every lead in this tab.</>
+                ) : (
+                  <>
+                    All {leads.length} leads on this page are selected.
+                    <button onClick={() => setAllMatchingStatuses(getActiveStatuses())} style={{ background: 'none', border: 'none', color: 'var(--accent-color)', cursor: 'pointer', fontWeight: 600 }}>
+                      Select all {pagination.total} in this tab
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
             <div className="table-container">
               <table className="data-table">
                 <thead>
@@ -222,7 +269,7 @@ export default function FailedLeads({ showToast }) {
                     <th style={{ width: '40px' }}>
                       <input 
                         type="checkbox" 
-                        checked={selectedLeads.length === leads.length && leads.length > 0}
+                        checked={allMatching || (selectedLeads.length === leads.length && leads.length > 0)}
                         onChange={toggleSelectAll}
                       />
                     </th>
@@ -248,7 +295,7 @@ export default function FailedLeads({ showToast }) {
                         <td>
                           <input 
                             type="checkbox"
-                            checked={selectedLeads.includes(lead.id)}
+                            checked={allMatching || selectedLeads.includes(lead.id)}
                             onChange={(e) => {
                               e.stopPropagation();
                               toggleSelect(lead.id);
@@ -0,0 +1,284 @@
+// pages/ImportHistory.jsx
+// Past lead uploads with rejected-row downloads and batch rollback
+import { useState, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { History, RefreshCw, Download, RotateCcw, ChevronLeft, ChevronRight, FileSpreadsheet, Upload as UploadIcon } from 'lucide-react';
+import { useQueryClient } from '@tanstack/react-query';
+import { queryKeys } from '../lib/queryClient';
+import { useImportBatches } from '../hooks/useApi';
+import { useBulkJobs } from '../contexts/BulkJobContext';
+import { getImportBatch } from '../services/api';
+import { toCsv, downloadFile } from '../lib/csv';
+import ConfirmModal from '../components/ConfirmModal';
+
+const BATCH_STATUS = {
+  completed: { label: 'Completed', color: '#22c55e', bg: 'rgba(34, 197, 94, 0.15)' },
+  rolled_back: { label: 'Rolled Back', color: '#64748b', bg: 'rgba(100, 116, 139, 0.15)' },
+  partially_rolled_back: { label: 'Partially Rolled Back', color: '#f59e0b', bg: 'rgba(245, 158, 11, 0.15)' },
+};
+
+// Detail responses may wrap the batch or return it directly
+const unwrapBatch = (response) => response?.batch || response;
+
+export default function ImportHistory({ showToast }) {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [page, setPage] = useState(1);
+  const [downloadingId, setDownloadingId] = useState(null);
+  const { jobs, submitBulkJob } = useBulkJobs();
+  const [rollback, setRollback] = useState(null);
+  const [confirmModal, setConfirmModal] = useState({ isOpen: false, title: '', message: '', onConfirm: null, variant: 'danger' });
+
+  const { data, isLoading, refetch } = useImportBatches(page, 20);
+
+  const batches = useMemo(() => data?.batches || data?.imports || [], [data]);
+  const pagination = useMemo(() => data?.pagination || { page: 1, pages: 1, total: batches.length }, [data?.pagination, batches.length]);
+
+  const handleDownloadRejected = useCallback(async (batch) => {
+    setDownloadingId(batch.id);
+    try {
+      const detail = unwrapBatch(await getImportBatch(batch.id));
+      const rejected = detail?.rejectedRows || [];
+      if (rejected.length === 0) {
+        showToast?.('This import has no rejected rows', 'info');
+        return;
+      }
+
+      // Union of all columns seen across rejected rows, plus the reason
+      const columns = [...new Set(rejected.flatMap(r => Object.keys(r.row || {})))];
+      const csv = toCsv(
+        [...columns, 'Reason'],
+        rejected.map(r => [
+          ...columns.map(col => r.row?.[col]),
+          (r.errors || [r.reason]).filter(Boolean).join('; ')
+        ])
+      );
+      const baseName = (batch.fileName || 'import').replace(/\.(csv|xlsx)$/i, '');
+      downloadFile(csv, `${baseName}_rejected.csv`);
+      showToast?.(`Downloaded ${rejected.length} rejected rows`, 'success');
+    } catch (error) {
+      showToast?.('Failed to download rejected rows: ' + error.message, 'error');
+    } finally {
+      setDownloadingId(null);
+    }
+  }, [showToast]);
+
+  const rollbackJob = rollback && jobs.find(job => job.id === rollback.jobId);
+
+  // One server-side job deletes the batch's leads, cancels their scheduled emails and
+  // sets the batch status; progress shows here and in the job tracker
+  const runRollback = useCallback(async (batch) => {
+    setRollback({ batchId: batch.id });
+    try {
+      const job = await submitBulkJob({
+        action: 'rollback',
+        target: { importBatchId: batch.id },
+        label: `Roll back "${batch.fileName || 'Untitled import'}"`,
+        onFinished: (result) => {
+          setRollback(null);
+          queryClient.invalidateQueries({ queryKey: queryKeys.imports.all() });
+          queryClient.invalidateQueries({ queryKey: queryKeys.schedule.all() });
+          if (result.status === 'failed') {
+            showToast?.('Rollback failed' + (result.error ? ': ' + result.error : ''), 'error');
+          } else if (result.failed > 0) {
+            showToast?.(`Rolled back ${result.succeeded || 0} leads, ${result.failed} failed`, 'warning');
+          } else {
+            showToast?.(`Rolled back ${result.succeeded || 0} leads`, 'success');
+          }
+        }
+      });
+      // The job may already have finished and cleared the row
+      setRollback(prev => prev && { ...prev, jobId: job.id });
+    } catch (error) {
+      setRollback(null);
+      showToast?.('Failed to start rollback: ' + error.message, 'error');
+    }
+  }, [submitBulkJob, queryClient, showToast]);
+
+  const handleRollback = useCallback((batch) => {
+    setConfirmModal({
+      isOpen: true,
+      title: 'Roll Back Import',
+      message: `Delete the ${batch.success || 0} leads imported from "${batch.fileName}" and cancel their scheduled emails? This cannot be undone.`,
+      onConfirm: () => runRollback(batch),
+      variant: 'danger'
+    });
+  }, [runRollback]);
+
+  return (
+    <div>
+      <div className="header">
+        <h2 style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <History size={26} color="#a855f7" />
+          Import History
+        </h2>
+        <div className="header-actions">
+          <button className="btn btn-secondary" onClick={() => refetch()} disabled={isLoading}>
+            <RefreshCw size={18} className={isLoading ? 'animate-spin' : ''} />
+            Refresh
+          </button>
+          <button className="btn btn-primary" onClick={() => navigate('/upload')}>
+            <UploadIcon size={18} />
+            New Upload
+          </button>
+        </div>
+      </div>
+
+      <div className="card">
+        {isLoading ? (
+          <div style={{ display: 'flex', justifyContent: 'center', padding: '3rem' }}>
+            <div className="loading-spinner"></div>
+          </div>
+        ) : (
+          <>
+            <div className="table-container">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>File</th>
+                    <th>Uploaded</th>
+                    <th>Imported</th>
+                    <th>Duplicates</th>
+                    <th>Invalid</th>
+                    <th>Status</th>
+                    <th style={{ width: '120px' }}>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {batches.length === 0 ? (
+                    <tr>
+                      <td colSpan="7" style={{ textAlign: 'center', padding: '2rem', color: 'var(--text-muted)' }}>
+                        No imports yet
+                      </td>
+                    </tr>
+                  ) : (
+                    batches.map((batch) => {
+                      const status = BATCH_STATUS[batch.status] || BATCH_STATUS.completed;
+                      const isRollingBack = rollback?.batchId === batch.id;
+                      const isRolledBack = batch.status === 'rolled_back';
+
+                      return (
+                        <tr key={batch.id}>
+                          <td>
+                            <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                              <FileSpreadsheet size={18} color="#a855f7" />
+                              <span style={{ fontWeight: 500 }}>{batch.fileName || 'Untitled import'}</span>
+                            </div>
+                          </td>
+                          <td style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                            {new Date(batch.createdAt).toLocaleString()}
+                          </td>
+                          <td style={{ color: '#22c55e', fontWeight: 600 }}>{batch.success || 0}</td>
+                          <td style={{ color: '#f59e0b', fontWeight: 600 }}>{batch.duplicates || 0}</td>
+                          <td style={{ color: '#ef4444', fontWeight: 600 }}>{batch.invalid || 0}</td>
+                          <td>
+                            {isRollingBack ? (
+                              <span style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                                Rolling back {rollbackJob?.processed || 0}/{rollbackJob?.total || '…'}
+                              </span>
+                            ) : (
+                              <span style={{
+                                padding: '4px 10px',
+                                borderRadius: '8px',
+                                fontSize: '0.8rem',
+                                fontWeight: 500,
+                                whiteSpace: 'nowrap',
+                                background: status.bg,
+                                color: status.color
+                              }}>
+                                {status.label}
+                              </span>
+                            )}
+                          </td>
+                          <td>
+                            <div style={{ display: 'flex', gap: '8px' }}>
+                              <button
+                                onClick={() => handleDownloadRejected(batch)}
+                                disabled={downloadingId === batch.id || !((batch.duplicates || 0) + (batch.invalid || 0))}
+                                style={{
+                                  background: 'rgba(168, 85, 247, 0.1)',
+                                  border: 'none',
+                                  borderRadius: '6px',
+                                  padding: '6px 8px',
+                                  cursor: 'pointer',
+                                  color: '#a855f7'
+                                }}
+                                title="Download rejected rows"
+                              >
+                                <Download size={16} />
+                              </button>
+                              <button
+                                onClick={() => handleRollback(batch)}
+                                disabled={!!rollback || isRolledBack || !batch.success}
+                                style={{
+                                  background: 'rgba(239, 68, 68, 0.1)',
+                                  border: 'none',
+                                  borderRadius: '6px',
+                                  padding: '6px 8px',
+                                  cursor: 'pointer',
+                                  color: '#ef4444',
+                                  opacity: rollback || isRolledBack ? 0.5 : 1
+                                }}
+                                title="Roll back this import"
+                              >
+                                <RotateCcw size={16} />
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Pagination */}
+            {pagination.pages > 1 && (
+              <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                marginTop: '1.5rem',
+                paddingTop: '1rem',
+                borderTop: '1px solid var(--border-color)'
+              }}>
+                <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                  Page {pagination.page} of {pagination.pages}
+                </span>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                  <button
+                    className="btn btn-secondary"
+                    disabled={page <= 1}
+                    onClick={() => setPage(p => p - 1)}
+                    style={{ padding: '8px 12px' }}
+                  >
+                    <ChevronLeft size={18} />
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    disabled={page >= pagination.pages}
+                    onClick={() => setPage(p => p + 1)}
+                    style={{ padding: '8px 12px' }}
+                  >
+                    <ChevronRight size={18} />
+                  </button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <ConfirmModal
+        isOpen={confirmModal.isOpen}
+        onClose={() => setConfirmModal({ ...confirmModal, isOpen: false })}
+        onConfirm={confirmModal.onConfirm}
+        title={confirmModal.title}
+        message={confirmModal.message}
+        confirmText="Roll Back"
+        variant={confirmModal.variant}
+      />
+    </div>
+  );
+}
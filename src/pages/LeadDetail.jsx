@@ -28,6 +28,14 @@ import {
   FastForward,
   User,
   RefreshCw,
+  UserCheck,
+  Reply,
+  Sparkles,
+  Building2,
+  ChevronLeft,
+  ChevronRight,
+  Tag,
+  Keyboard,
 } from "lucide-react";
 import { useQuery, useQueryClient } from "@tanstack/react-query";
 import { queryKeys, cacheConfig } from "../lib/queryClient";
@@ -38,20 +46,23 @@ import {
   useUpdateLead,
   useCancelEmailJob,
   useRetryEmailJob,
+  useSettings,
+  useConvertLead,
+  usePauseFollowups,
+  useResumeFollowups,
+  useTags,
+  useAddTagsToLead,
+  useSequenceVersions,
 } from "../hooks/useApi";
+import { useLeadNavigation } from "../hooks/useLeadNavigation";
 import {
   getLead,
   deleteLead,
-  freezeLead,
-  unfreezeLead,
-  convertLead,
   updateLead,
   getAvailableSlots,
   scheduleManually,
   getTemplates,
   cancelEmailJob,
-  pauseFollowups,
-  resumeFollowups,
   skipFollowup,
   revertSkipFollowup,
   deleteFollowupFromLead,
@@ -65,6 +76,38 @@ import gsap from "gsap";
 import CalendarSlotPicker from "../components/CalendarSlotPicker";
 import TimelineDetailModal from "../components/TimelineDetailModal";
 import ConfirmModal from "../components/ConfirmModal";
+import LeadNotes from "../components/LeadNotes";
+import LeadTasks from "../components/LeadTasks";
+import TerminalAuditLog from "../components/TerminalAuditLog";
+import EnrichedBadge from "../components/EnrichedBadge";
+import {
+  ENRICHABLE_FIELDS,
+  resolveEnrichment,
+  enrichLead,
+  enrichmentUpdate,
+  forgetEnrichedFields,
+} from "../lib/enrichment";
+import {
+  resolveSequences,
+  leadSequence,
+  sequenceSteps,
+  sequenceLabel,
+  DEFAULT_SEQUENCE_ID,
+} from "../lib/sequences";
+import { latestVersion, snapshotSteps } from "../lib/sequenceVersions";
+import { sentVariant, variantName } from "../lib/abTests";
+import { useOwners } from "../contexts/OwnerContext";
+import {
+  resolveScoring,
+  explainScore,
+  getScoreTier,
+  SCORE_TIERS,
+} from "../lib/leadScoring";
+import {
+  resolveCustomFields,
+  coerceCustomFieldValue,
+  formatCustomFieldValue,
+} from "../lib/customFields";
 
 // Helper to normalize lead data from API
 const normalizeLeadData = (result) => {
@@ -127,10 +170,28 @@ export default function LeadDetail({ showToast }) {
     ...cacheConfig.static,
   });
 
-  const followupSettings = useMemo(
-    () => followupSettingsData || [],
-    [followupSettingsData],
+  // Scoring rules for the score breakdown card
+  const { data: settings } = useSettings();
+
+  // The timeline follows the lead's own sequence; the fetched followups are the Default one
+  const sequences = useMemo(
+    () => resolveSequences(settings, followupSettingsData),
+    [settings, followupSettingsData],
+  );
+  const sequence = leadSequence(rawData?.lead, sequences);
+
+  // Leads stay on the version they started; show that version's steps, not the latest edits
+  const { data: versionData } = useSequenceVersions(sequence.id);
+  const pinnedVersion = versionData?.versions.find(
+    (v) => v.version === rawData?.lead?.sequenceVersion,
   );
+  const newestVersion = latestVersion(versionData?.versions);
+  const followupSettings = pinnedVersion
+    ? snapshotSteps(pinnedVersion.snapshot)
+    : sequenceSteps(sequence);
+  const scoring = useMemo(() => resolveScoring(settings), [settings]);
+  const customFields = useMemo(() => resolveCustomFields(settings), [settings]);
+  const { team } = useOwners();
   const data = rawData;
 
   // Mutations
@@ -140,6 +201,16 @@ export default function LeadDetail({ showToast }) {
   const updateMutation = useUpdateLead();
   const cancelJobMutation = useCancelEmailJob();
   const retryJobMutation = useRetryEmailJob();
+  const convertMutation = useConvertLead();
+  const pauseMutation = usePauseFollowups();
+  const resumeMutation = useResumeFollowups();
+  const addTagsMutation = useAddTagsToLead();
+  const { data: tagsData } = useTags();
+
+  // Next / previous lead in the list this one was opened from
+  const leadNav = useLeadNavigation(id);
+  const [showTagModal, setShowTagModal] = useState(false);
+  const [tagInput, setTagInput] = useState("");
 
   const [showFreezeModal, setShowFreezeModal] = useState(false);
   const [freezeHours, setFreezeHours] = useState(24);
@@ -151,8 +222,10 @@ export default function LeadDetail({ showToast }) {
   const [editForm, setEditForm] = useState({
     name: "",
     email: "",
+    company: "",
     country: "",
     city: "",
+    customFields: {},
   });
 
   // Slot Picker State
@@ -232,7 +305,7 @@ export default function LeadDetail({ showToast }) {
   const handleFreeze = async (hours) => {
     try {
       setProcessingAction(true);
-      await freezeLead(id, hours);
+      await freezeMutation.mutateAsync({ id, hours });
       showToast?.(
         hours === -1
           ? "Lead frozen indefinitely"
@@ -240,7 +313,6 @@ export default function LeadDetail({ showToast }) {
         "success",
       );
       setShowFreezeModal(false);
-      loadLeadData();
     } catch (error) {
       showToast?.("Failed to freeze lead: " + error.message, "error");
     } finally {
@@ -251,9 +323,8 @@ export default function LeadDetail({ showToast }) {
   const handleUnfreeze = async () => {
     try {
       setProcessingAction(true);
-      await unfreezeLead(id);
+      await unfreezeMutation.mutateAsync(id);
       showToast?.("Lead unfrozen and sequence resumed", "success");
-      loadLeadData();
     } catch (error) {
       showToast?.("Failed to unfreeze lead: " + error.message, "error");
     } finally {
@@ -270,9 +341,8 @@ export default function LeadDetail({ showToast }) {
       onConfirm: async () => {
         try {
           setProcessingAction(true);
-          await convertLead(id);
+          await convertMutation.mutateAsync(id);
           showToast?.("Lead marked as converted", "success");
-          await loadLeadData();
         } catch (error) {
           showToast?.("Failed to convert lead", "error");
         } finally {
@@ -288,21 +358,74 @@ export default function LeadDetail({ showToast }) {
     setEditForm({
       name: data.lead.name,
       email: data.lead.email,
+      company: data.lead.company || "",
       country: data.lead.country,
       city: data.lead.city,
+      customFields: { ...data.lead.customFields },
     });
     setIsEditing(true);
   };
 
   const cancelEditing = () => {
     setIsEditing(false);
-    setEditForm({ name: "", email: "", country: "", city: "" });
+    setEditForm({ name: "", email: "", company: "", country: "", city: "", customFields: {} });
+  };
+
+  const setCustomFieldValue = (key, value) => {
+    setEditForm((prev) => ({
+      ...prev,
+      customFields: { ...prev.customFields, [key]: value },
+    }));
+  };
+
+  const handleOwnerChange = async (ownerId) => {
+    try {
+      await updateMutation.mutateAsync({ id, data: { ownerId: ownerId || null } });
+      const owner = team.find((m) => m.id === ownerId);
+      showToast?.(
+        owner ? `Assigned to ${owner.name}` : "Lead unassigned",
+        "success",
+      );
+    } catch (error) {
+      showToast?.("Failed to change owner: " + error.message, "error");
+    }
+  };
+
+  // The server reschedules the steps that haven't gone out yet from the new sequence
+  const handleSequenceChange = async (sequenceId) => {
+    try {
+      await updateMutation.mutateAsync({
+        id,
+        data: { sequenceId: sequenceId === DEFAULT_SEQUENCE_ID ? null : sequenceId },
+      });
+      const next = sequences.find((s) => s.id === sequenceId);
+      showToast?.(`Moved to the ${next?.name} sequence`, "success");
+    } catch (error) {
+      showToast?.("Failed to change sequence: " + error.message, "error");
+    }
   };
 
   const handleSaveEdit = async () => {
+    // Store custom values in their field's type; cleared fields are sent as null
+    const values = Object.fromEntries(
+      customFields.map((field) => [
+        field.key,
+        coerceCustomFieldValue(field, editForm.customFields[field.key]) ?? null,
+      ]),
+    );
+    // Fields edited by hand are no longer marked as enriched
+    const editedFields = ENRICHABLE_FIELDS.filter(
+      (field) => field in editForm && (editForm[field] || "") !== (data.lead[field] || ""),
+    );
     try {
       setProcessingAction(true);
-      await updateLead(id, editForm);
+      await updateLead(id, {
+        ...editForm,
+        customFields: { ...editForm.customFields, ...values },
+        ...(editedFields.length > 0 && data.lead.enrichment && {
+          enrichment: forgetEnrichedFields(data.lead.enrichment, editedFields),
+        }),
+      });
       showToast?.("Lead updated successfully", "success");
       setIsEditing(false);
       loadLeadData();
@@ -313,6 +436,26 @@ export default function LeadDetail({ showToast }) {
     }
   };
 
+  // Runs the providers chosen in Settings; only fields they change are saved
+  const handleEnrich = async () => {
+    try {
+      setProcessingAction(true);
+      const result = await enrichLead(data.lead, resolveEnrichment(settings).providers);
+      const fields = Object.keys(result.changes);
+      if (fields.length === 0) {
+        showToast?.("Nothing new to enrich", "info");
+        return;
+      }
+      await updateLead(id, enrichmentUpdate(data.lead, result));
+      showToast?.(`Enriched ${fields.join(", ")}`, "success");
+      loadLeadData();
+    } catch (error) {
+      showToast?.("Failed to enrich lead: " + error.message, "error");
+    } finally {
+      setProcessingAction(false);
+    }
+  };
+
   const loadTemplatesData = async () => {
     try {
       setLoadingTemplates(true);
@@ -431,9 +574,8 @@ export default function LeadDetail({ showToast }) {
   const handlePause = async () => {
     try {
       setProcessingAction(true);
-      await pauseFollowups(id);
+      await pauseMutation.mutateAsync(id);
       showToast?.("Followups paused", "success");
-      loadLeadData();
     } catch (error) {
       showToast?.("Failed to pause: " + error.message, "error");
     } finally {
@@ -444,7 +586,7 @@ export default function LeadDetail({ showToast }) {
   const handleResume = async () => {
     try {
       setProcessingAction(true);
-      const response = await resumeFollowups(id);
+      const response = await resumeMutation.mutateAsync(id);
       // Check if blocked by high-priority email
       if (response.blocked) {
         showToast?.(
@@ -454,7 +596,6 @@ export default function LeadDetail({ showToast }) {
       } else {
         showToast?.("Followups resumed", "success");
       }
-      loadLeadData();
     } catch (error) {
       showToast?.("Failed to resume: " + error.message, "error");
     } finally {
@@ -576,6 +717,86 @@ export default function LeadDetail({ showToast }) {
     });
   };
 
+  const handleAddTag = async (e) => {
+    e.preventDefault();
+    const tag = tagInput.trim();
+    if (!tag) return;
+    try {
+      setProcessingAction(true);
+      await addTagsMutation.mutateAsync({ leadId: id, tags: [tag] });
+      showToast?.(`Tagged "${tag}"`, "success");
+      setTagInput("");
+      setShowTagModal(false);
+    } catch (error) {
+      showToast?.("Failed to add tag: " + error.message, "error");
+    } finally {
+      setProcessingAction(false);
+    }
+  };
+
+  // Keyboard shortcuts: j/k step through the list, p/f/c/t act on this lead.
+  // Re-bound every render so the handlers see current state; ignored while
+  // typing or while a dialog is open.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.metaKey || e.ctrlKey || e.altKey) return;
+      const target = e.target;
+      if (
+        target.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)
+      ) {
+        return;
+      }
+      const dialogOpen =
+        isEditing ||
+        showFreezeModal ||
+        showSlotPicker ||
+        showTagModal ||
+        confirmModal.isOpen ||
+        cancelModal.isOpen ||
+        !!selectedTimelineItem;
+      if (dialogOpen || !data?.lead) return;
+
+      const current = data.lead;
+      const canAct =
+        current.status !== "converted" &&
+        current.status !== "dead" &&
+        current.terminalState !== "dead" &&
+        !processingAction;
+
+      switch (e.key) {
+        case "j":
+          leadNav.goNext();
+          break;
+        case "k":
+          leadNav.goPrev();
+          break;
+        case "p":
+          if (!canAct) return;
+          if (current.followupsPaused) handleResume();
+          else handlePause();
+          break;
+        case "f":
+          if (!canAct) return;
+          if (current.status === "frozen") handleUnfreeze();
+          else setShowFreezeModal(true);
+          break;
+        case "c":
+          if (!canAct) return;
+          handleConvert();
+          break;
+        case "t":
+          setShowTagModal(true);
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  });
+
   if (loading) {
     return (
       <div
@@ -596,6 +817,9 @@ export default function LeadDetail({ showToast }) {
   // Check if lead is dead - all actions should be disabled
   const isLeadDead = lead.status === "dead" || lead.terminalState === "dead";
 
+  const scoreBreakdown = explainScore(lead.eventHistory, scoring);
+  const scoreTier = SCORE_TIERS[getScoreTier(lead.score || 0, scoring.tiers)];
+
   const formatJobType = (type) => {
     if (!type) return "Unknown";
     if (type.toLowerCase().includes("initial")) return "Initial";
@@ -646,6 +870,8 @@ export default function LeadDetail({ showToast }) {
         return "#3b82f6";
       case "converted":
         return "#eab308";
+      case "replied":
+        return "#10b981";
       case "paused":
         return "#f59e0b";
       case "resumed":
@@ -689,6 +915,8 @@ export default function LeadDetail({ showToast }) {
         return <Snowflake size={16} />;
       case "converted":
         return <Trophy size={16} />;
+      case "replied":
+        return <Reply size={16} />;
       case "paused":
         return <Pause size={16} />;
       case "resumed":
@@ -724,6 +952,12 @@ export default function LeadDetail({ showToast }) {
         scheduledFor: lead.emailSchedule.initialEmail.scheduledFor,
         sentAt: lead.emailSchedule.initialEmail.sentAt,
         isProjected: false,
+        variant: sentVariant(
+          lead.emailSchedule.initialEmail,
+          (followupSettings || []).find((f) =>
+            f.name?.toLowerCase().includes("initial"),
+          ),
+        ),
         rawData: lead.emailSchedule.initialEmail,
       });
     }
@@ -834,6 +1068,7 @@ export default function LeadDetail({ showToast }) {
           sentAt: sentAt,
           isProjected: false,
           changedByUser: runData?.changedByUser || job?.metadata?.changedByUser,
+          variant: sentVariant(job, def) || sentVariant(runData, def),
           rawData: job || runData,
         });
       } else {
@@ -985,21 +1220,86 @@ export default function LeadDetail({ showToast }) {
 
   return (
     <div className="lead-detail-page">
-      {/* Back Button */}
-      <button
-        onClick={() => navigate("/leads")}
-        className="btn btn-secondary"
-        style={{ marginBottom: "1rem", width: "auto" }}
+      {/* Back Button + list navigation */}
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          gap: "12px",
+          flexWrap: "wrap",
+          marginBottom: "1rem",
+        }}
       >
-        <ArrowLeft size={18} /> Back to Leads
-      </button>
+        <button
+          onClick={() => navigate(leadNav.returnTo || "/leads")}
+          className="btn btn-secondary"
+          style={{ width: "auto" }}
+        >
+          <ArrowLeft size={18} /> Back to Leads
+        </button>
+
+        <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+          <span
+            title={
+              "Keyboard shortcuts\n" +
+              (leadNav.position ? "j / k: next / previous lead\n" : "") +
+              "p: pause or resume followups\nf: freeze or unfreeze\nc: convert\nt: add a tag"
+            }
+            style={{
+              display: "inline-flex",
+              alignItems: "center",
+              gap: "6px",
+              fontSize: "0.8rem",
+              color: "var(--text-muted)",
+              cursor: "help",
+            }}
+          >
+            <Keyboard size={14} /> Shortcuts
+          </span>
+          {leadNav.position && (
+            <>
+              <button
+                className="btn btn-secondary"
+                onClick={leadNav.goPrev}
+                disabled={!leadNav.hasPrev || leadNav.loadingPage || isEditing}
+                title={isEditing ? "Save or cancel the edit first" : "Previous lead (k)"}
+                style={{ width: "auto", padding: "6px 10px" }}
+              >
+                <ChevronLeft size={16} />
+              </button>
+              <span
+                style={{
+                  fontSize: "0.85rem",
+                  color: "var(--text-secondary)",
+                  whiteSpace: "nowrap",
+                }}
+              >
+                {leadNav.position.position} of {leadNav.position.total}
+              </span>
+              <button
+                className="btn btn-secondary"
+                onClick={leadNav.goNext}
+                disabled={!leadNav.hasNext || leadNav.loadingPage || isEditing}
+                title={isEditing ? "Save or cancel the edit first" : "Next lead (j)"}
+                style={{ width: "auto", padding: "6px 10px" }}
+              >
+                <ChevronRight size={16} />
+              </button>
+            </>
+          )}
+        </div>
+      </div>
 
       {/* Hero Header */}
       <div className="lead-hero-header">
         <div className="lead-hero-content">
           <div className="lead-hero-info">
             <div className="lead-name-badge">
-              <h1 className="lead-name">{lead.name}</h1>
+              <h1 className="lead-name">
+                {lead.name}
+                <EnrichedBadge meta={lead.enrichment?.fields?.name} />
+              </h1>
               <div className="lead-status-badge">
                 {getEventIcon(lead.status?.split(":")[1] || lead.status)}
                 <span>
@@ -1040,6 +1340,34 @@ export default function LeadDetail({ showToast }) {
                 <span>{lead.timezone}</span>
               </div>
             </div>
+            {lead.tags?.length > 0 && (
+              <div
+                style={{
+                  display: "flex",
+                  gap: "6px",
+                  flexWrap: "wrap",
+                  marginTop: "0.75rem",
+                }}
+              >
+                {lead.tags.map((tag) => (
+                  <span
+                    key={tag}
+                    style={{
+                      display: "inline-flex",
+                      alignItems: "center",
+                      gap: "4px",
+                      padding: "2px 8px",
+                      borderRadius: "999px",
+                      fontSize: "0.75rem",
+                      background: "rgba(59, 130, 246, 0.1)",
+                      color: "#3b82f6",
+                    }}
+                  >
+                    <Tag size={11} /> {tag}
+                  </span>
+                ))}
+              </div>
+            )}
             <div className="lead-score-display">
               <Trophy size={20} style={{ color: "var(--warning)" }} />
               <div>
@@ -1055,6 +1383,12 @@ export default function LeadDetail({ showToast }) {
                   Lead Score
                 </div>
               </div>
+              <span
+                className="status-badge"
+                style={{ background: scoreTier.bg, color: scoreTier.text }}
+              >
+                {scoreTier.icon} {scoreTier.label}
+              </span>
             </div>
           </div>
 
@@ -1079,16 +1413,35 @@ export default function LeadDetail({ showToast }) {
                   </button>
                 )}
 
+                <button
+                  className="btn btn-secondary"
+                  onClick={lead.followupsPaused ? handleResume : handlePause}
+                  disabled={processingAction || isLeadDead}
+                  title={lead.followupsPaused ? "Resume followups (p)" : "Pause followups (p)"}
+                >
+                  {lead.followupsPaused ? <Play size={18} /> : <Pause size={18} />}
+                  {lead.followupsPaused ? " Resume" : " Pause"}
+                </button>
+
                 <button
                   className="btn btn-success"
                   onClick={handleConvert}
                   disabled={processingAction || isLeadDead}
+                  title="Convert (c)"
                 >
                   <Trophy size={18} /> Convert
                 </button>
               </>
             )}
 
+            <button
+              className="btn btn-secondary"
+              onClick={() => setShowTagModal(true)}
+              title="Add tag (t)"
+            >
+              <Tag size={18} /> Tag
+            </button>
+
             <button className="btn btn-danger" onClick={handleDelete}>
               <Trash2 size={18} /> Delete
             </button>
@@ -1096,6 +1449,88 @@ export default function LeadDetail({ showToast }) {
         </div>
       </div>
 
+      {showTagModal && (
+        <div
+          style={{
+            position: "fixed",
+            inset: 0,
+            background: "rgba(0,0,0,0.7)",
+            backdropFilter: "blur(4px)",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            zIndex: 1000,
+            padding: "20px",
+          }}
+          onClick={() => setShowTagModal(false)}
+        >
+          <form
+            style={{
+              background: "var(--bg-card)",
+              border: "1px solid var(--border-color)",
+              borderRadius: "16px",
+              padding: "2rem",
+              width: "100%",
+              maxWidth: "400px",
+            }}
+            onClick={(e) => e.stopPropagation()}
+            onSubmit={handleAddTag}
+          >
+            <h3
+              style={{
+                marginBottom: "1rem",
+                display: "flex",
+                alignItems: "center",
+                gap: "10px",
+              }}
+            >
+              <Tag size={22} color="#3b82f6" />
+              Add Tag
+            </h3>
+            <input
+              type="text"
+              className="input-field"
+              autoFocus
+              list="lead-tag-suggestions"
+              placeholder="Tag name"
+              value={tagInput}
+              onChange={(e) => setTagInput(e.target.value)}
+              onKeyDown={(e) => e.key === "Escape" && setShowTagModal(false)}
+            />
+            <datalist id="lead-tag-suggestions">
+              {(tagsData?.tags || [])
+                .filter((tag) => !(lead.tags || []).includes(tag))
+                .map((tag) => (
+                  <option key={tag} value={tag} />
+                ))}
+            </datalist>
+            <div
+              style={{
+                display: "flex",
+                justifyContent: "flex-end",
+                gap: "10px",
+                marginTop: "1.5rem",
+              }}
+            >
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => setShowTagModal(false)}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={processingAction || !tagInput.trim()}
+              >
+                Add Tag
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
       {showFreezeModal && (
         <div
           style={{
@@ -1597,14 +2032,25 @@ export default function LeadDetail({ showToast }) {
             >
               <h3 style={{ margin: 0, fontSize: "1.1rem" }}>Lead Profile</h3>
               {!isEditing ? (
-                <button
-                  onClick={startEditing}
-                  className="action-btn"
-                  title="Edit Lead"
-                  style={{ color: "var(--text-secondary)" }}
-                >
-                  <Edit3 size={16} />
-                </button>
+                <div style={{ display: "flex", gap: "8px" }}>
+                  <button
+                    onClick={handleEnrich}
+                    className="action-btn"
+                    title="Enrich Lead"
+                    disabled={processingAction}
+                    style={{ color: "#a855f7" }}
+                  >
+                    <Sparkles size={16} />
+                  </button>
+                  <button
+                    onClick={startEditing}
+                    className="action-btn"
+                    title="Edit Lead"
+                    style={{ color: "var(--text-secondary)" }}
+                  >
+                    <Edit3 size={16} />
+                  </button>
+                </div>
               ) : (
                 <div style={{ display: "flex", gap: "8px" }}>
                   <button
@@ -1673,6 +2119,26 @@ export default function LeadDetail({ showToast }) {
                       }
                     />
                   </div>
+                  <div>
+                    <label
+                      style={{
+                        fontSize: "0.8rem",
+                        color: "var(--text-secondary)",
+                        display: "block",
+                        marginBottom: "4px",
+                      }}
+                    >
+                      Company
+                    </label>
+                    <input
+                      type="text"
+                      className="input-field"
+                      value={editForm.company}
+                      onChange={(e) =>
+                        setEditForm({ ...editForm, company: e.target.value })
+                      }
+                    />
+                  </div>
                   <div>
                     <label
                       style={{
@@ -1717,9 +2183,139 @@ export default function LeadDetail({ showToast }) {
                       }
                     />
                   </div>
+                  {customFields.map((field) => (
+                    <div key={field.key}>
+                      <label
+                        style={{
+                          fontSize: "0.8rem",
+                          color: "var(--text-secondary)",
+                          display: "block",
+                          marginBottom: "4px",
+                        }}
+                      >
+                        {field.label}
+                      </label>
+                      {field.type === "picklist" ? (
+                        <select
+                          className="input-field"
+                          value={editForm.customFields[field.key] ?? ""}
+                          onChange={(e) =>
+                            setCustomFieldValue(field.key, e.target.value)
+                          }
+                        >
+                          <option value="">—</option>
+                          {field.options.map((option) => (
+                            <option key={option} value={option}>
+                              {option}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <input
+                          type={field.type}
+                          className="input-field"
+                          value={editForm.customFields[field.key] ?? ""}
+                          onChange={(e) =>
+                            setCustomFieldValue(field.key, e.target.value)
+                          }
+                        />
+                      )}
+                    </div>
+                  ))}
                 </>
               ) : (
                 <>
+                  {team.length > 0 && (
+                    <div
+                      style={{
+                        display: "flex",
+                        alignItems: "center",
+                        gap: "10px",
+                      }}
+                    >
+                      <UserCheck size={18} color="var(--text-secondary)" />
+                      <div style={{ flex: 1 }}>
+                        <div
+                          style={{
+                            fontSize: "0.85rem",
+                            color: "var(--text-secondary)",
+                          }}
+                        >
+                          Owner
+                        </div>
+                        <select
+                          value={lead.ownerId || ""}
+                          onChange={(e) => handleOwnerChange(e.target.value)}
+                          disabled={updateMutation.isPending}
+                          style={{ width: "100%" }}
+                        >
+                          <option value="">Unassigned</option>
+                          {team.map((member) => (
+                            <option key={member.id} value={member.id}>
+                              {member.name}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                  )}
+
+                  {sequences.length > 1 && (
+                    <div
+                      style={{
+                        display: "flex",
+                        alignItems: "center",
+                        gap: "10px",
+                      }}
+                    >
+                      <Mail size={18} color="var(--text-secondary)" />
+                      <div style={{ flex: 1 }}>
+                        <div
+                          style={{
+                            fontSize: "0.85rem",
+                            color: "var(--text-secondary)",
+                          }}
+                        >
+                          Sequence
+                        </div>
+                        <select
+                          value={sequence.id}
+                          onChange={(e) => handleSequenceChange(e.target.value)}
+                          disabled={updateMutation.isPending || isLeadDead}
+                          style={{ width: "100%" }}
+                        >
+                          {sequences.map((s) => (
+                            <option key={s.id} value={s.id}>
+                              {sequenceLabel(s)}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                  )}
+
+                  <div
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      gap: "10px",
+                    }}
+                  >
+                    <Building2 size={18} color="var(--text-secondary)" />
+                    <div>
+                      <div
+                        style={{
+                          fontSize: "0.85rem",
+                          color: "var(--text-secondary)",
+                        }}
+                      >
+                        Company
+                        <EnrichedBadge meta={lead.enrichment?.fields?.company} />
+                      </div>
+                      <div>{lead.company || "—"}</div>
+                    </div>
+                  </div>
+
                   <div
                     style={{
                       display: "flex",
@@ -1736,6 +2332,12 @@ export default function LeadDetail({ showToast }) {
                         }}
                       >
                         Location
+                        <EnrichedBadge
+                          meta={
+                            lead.enrichment?.fields?.city ||
+                            lead.enrichment?.fields?.country
+                          }
+                        />
                       </div>
                       <div>
                         {lead.city}, {lead.country}
@@ -1759,6 +2361,7 @@ export default function LeadDetail({ showToast }) {
                         }}
                       >
                         Timezone
+                        <EnrichedBadge meta={lead.enrichment?.fields?.timezone} />
                       </div>
                       <div>{lead.timezone}</div>
                     </div>
@@ -1784,6 +2387,25 @@ export default function LeadDetail({ showToast }) {
                       <div>{new Date(lead.createdAt).toLocaleDateString()}</div>
                     </div>
                   </div>
+
+                  {customFields.map((field) => (
+                    <div key={field.key}>
+                      <div
+                        style={{
+                          fontSize: "0.85rem",
+                          color: "var(--text-secondary)",
+                        }}
+                      >
+                        {field.label}
+                      </div>
+                      <div>
+                        {formatCustomFieldValue(
+                          field,
+                          lead.customFields?.[field.key],
+                        ) || "—"}
+                      </div>
+                    </div>
+                  ))}
                 </>
               )}
             </div>
@@ -1821,6 +2443,9 @@ export default function LeadDetail({ showToast }) {
               const bouncedCount = history.filter((e) =>
                 ["soft_bounce", "hard_bounce"].includes(e.event),
               ).length;
+              const repliedCount = history.filter(
+                (e) => e.event === "replied",
+              ).length;
 
               return (
                 <div
@@ -1934,10 +2559,141 @@ export default function LeadDetail({ showToast }) {
                       Bounced
                     </div>
                   </div>
+                  <div
+                    style={{
+                      gridColumn: "1 / -1",
+                      background: repliedCount
+                        ? "rgba(16, 185, 129, 0.1)"
+                        : "var(--bg-hover)",
+                      padding: "1rem",
+                      borderRadius: "8px",
+                      textAlign: "center",
+                    }}
+                  >
+                    <div
+                      style={{
+                        fontSize: "1.5rem",
+                        fontWeight: 600,
+                        color: "#10b981",
+                      }}
+                    >
+                      {repliedCount}
+                    </div>
+                    <div
+                      style={{
+                        fontSize: "0.8rem",
+                        color: "var(--text-secondary)",
+                      }}
+                    >
+                      Replied
+                    </div>
+                  </div>
                 </div>
               );
             })()}
           </div>
+
+          {/* Score Breakdown - replays event history through the scoring rules */}
+          <div className="card">
+            <div
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                marginBottom: "1rem",
+              }}
+            >
+              <h3 style={{ margin: 0, fontSize: "1.1rem" }}>Score Breakdown</h3>
+              <span style={{ fontWeight: 600 }}>
+                {scoreBreakdown.total} pts
+              </span>
+            </div>
+            {scoreBreakdown.items.length === 0 ? (
+              <p style={{ color: "var(--text-secondary)", fontSize: "0.9rem" }}>
+                No scored engagement yet.
+              </p>
+            ) : (
+              <div
+                style={{
+                  display: "flex",
+                  flexDirection: "column",
+                  gap: "0.5rem",
+                  maxHeight: "280px",
+                  overflowY: "auto",
+                }}
+              >
+                {scoreBreakdown.items.map((item, idx) => (
+                  <div
+                    key={idx}
+                    style={{
+                      display: "flex",
+                      justifyContent: "space-between",
+                      alignItems: "center",
+                      fontSize: "0.85rem",
+                      padding: "0.5rem 0.75rem",
+                      background: "var(--bg-hover)",
+                      borderRadius: "6px",
+                    }}
+                  >
+                    <div>
+                      <div style={{ fontWeight: 500 }}>
+                        {item.label}
+                        {item.emailType && (
+                          <span style={{ color: "var(--text-secondary)" }}>
+                            {" "}
+                            · {item.emailType}
+                          </span>
+                        )}
+                      </div>
+                      <div
+                        style={{
+                          fontSize: "0.75rem",
+                          color: "var(--text-muted)",
+                        }}
+                      >
+                        {new Date(item.timestamp).toLocaleDateString()}
+                        {item.decayFactor < 1 &&
+                          ` · ${item.basePoints} × ${item.decayFactor.toFixed(2)} decay`}
+                      </div>
+                    </div>
+                    <span
+                      style={{
+                        fontWeight: 600,
+                        color: item.points < 0 ? "#ef4444" : "#22c55e",
+                      }}
+                    >
+                      {item.points > 0 ? "+" : ""}
+                      {item.points}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+            {scoreBreakdown.total !== (lead.score || 0) && (
+              <p
+                style={{
+                  marginTop: "0.75rem",
+                  fontSize: "0.75rem",
+                  color: "var(--text-muted)",
+                }}
+              >
+                Stored score is {lead.score || 0} - it catches up on the next
+                recalculation.
+              </p>
+            )}
+          </div>
+
+          <LeadTasks
+            lead={lead}
+            steps={timelineItems.filter((item) =>
+              ["pending", "queued", "scheduled", "rescheduled", "upcoming"].includes(item.status),
+            )}
+            showToast={showToast}
+          />
+
+          <LeadNotes leadId={lead.id} showToast={showToast} />
+
+          <TerminalAuditLog leadId={lead.id} asCard />
         </div>
 
         {/* Right Column: Timeline & Schedule */}
@@ -1955,6 +2711,30 @@ export default function LeadDetail({ showToast }) {
             >
               <h3 style={{ fontSize: "1.1rem", margin: 0 }}>
                 Sequence Progress
+                {(sequences.length > 1 || lead.sequenceVersion) && (
+                  <span
+                    style={{
+                      marginLeft: "8px",
+                      fontSize: "0.8rem",
+                      fontWeight: 400,
+                      color: "var(--text-secondary)",
+                    }}
+                    title={
+                      newestVersion && lead.sequenceVersion < newestVersion.version
+                        ? `v${newestVersion.version} is the latest version`
+                        : undefined
+                    }
+                  >
+                    {sequence.name}
+                    {lead.sequenceVersion ? ` · v${lead.sequenceVersion}` : ""}
+                    {newestVersion && lead.sequenceVersion < newestVersion.version && (
+                      <span style={{ color: "#f59e0b" }}>
+                        {" "}
+                        (latest v{newestVersion.version})
+                      </span>
+                    )}
+                  </span>
+                )}
               </h3>
               {lead &&
                 (() => {
@@ -2058,6 +2838,34 @@ export default function LeadDetail({ showToast }) {
                 })()}
             </div>
 
+            {/* A reply pauses the sequence server-side - say why it stopped */}
+            {lead.status === "replied" && (
+              <div
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "10px",
+                  padding: "0.75rem 1rem",
+                  borderRadius: "8px",
+                  background: "rgba(16, 185, 129, 0.1)",
+                  border: "1px solid rgba(16, 185, 129, 0.3)",
+                  color: "#10b981",
+                  fontSize: "0.9rem",
+                }}
+              >
+                <Reply size={18} />
+                <span>
+                  This lead replied
+                  {lead.repliedAt &&
+                    ` on ${new Date(lead.repliedAt).toLocaleString()}`}
+                  .{" "}
+                  {lead.followupsPaused
+                    ? "Followups are paused - resume the sequence if the conversation goes quiet."
+                    : "Followups are still running."}
+                </span>
+              </div>
+            )}
+
             {/* Unified Communication Journey */}
             {/* Unified Communication Journey */}
             <div
@@ -2188,6 +2996,18 @@ export default function LeadDetail({ showToast }) {
                     >
                       {item.name}
                     </h4>
+                    {item.variant && (
+                      <div
+                        style={{
+                          fontSize: "0.75rem",
+                          color: "#06b6d4",
+                          marginBottom: "4px",
+                        }}
+                        title="A/B test variant this lead was sent"
+                      >
+                        {variantName(item.variant)}
+                      </div>
+                    )}
 
                     {/* Status Pill */}
                     <div
@@ -2806,6 +3626,21 @@ export default function LeadDetail({ showToast }) {
                           </div>
                         )}
 
+                        {event.event === "replied" && event.details?.snippet && (
+                          <div
+                            style={{
+                              fontSize: "0.85rem",
+                              color: "var(--text-secondary)",
+                              marginTop: "6px",
+                              padding: "6px 10px",
+                              borderLeft: "3px solid #10b981",
+                              whiteSpace: "pre-wrap",
+                            }}
+                          >
+                            {event.details.snippet}
+                          </div>
+                        )}
+
                         {event.details?.reason && (
                           <div
                             style={{
@@ -1,45 +1,166 @@
 // pages/Leads.jsx
 // Leads management with TanStack Query for caching and mutations
 import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { Search, Filter, ChevronLeft, ChevronRight, Trash2, Mail, RefreshCw, Eye, Snowflake, Play, Download, MoreVertical, Tag, X, TrendingUp, Flame } from 'lucide-react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Search, Filter, ChevronLeft, ChevronRight, Trash2, Mail, RefreshCw, Eye, Snowflake, Play, Download, MoreVertical, Tag, X, TrendingUp, Flame, SlidersHorizontal, Link2, UserCheck, SquareKanban, ListOrdered } from 'lucide-react';
 import gsap from 'gsap';
-import { useLeads, useTags, useDeleteLead, useFreezeLead, useUnfreezeLead } from '../hooks/useApi';
-import { scheduleEmails, bulkAddTags } from '../services/api';
+import { useLeads, useTags, useSettings, useDeleteLead, useSegments, useSaveSegment, useDeleteSegment } from '../hooks/useApi';
+import { getLeads, scheduleEmails } from '../services/api';
+import { useBulkJobs } from '../contexts/BulkJobContext';
+import { useOwners } from '../contexts/OwnerContext';
 import ConfirmModal from '../components/ConfirmModal';
+import SegmentSidebar from '../components/SegmentSidebar';
+import LeadExportModal from '../components/LeadExportModal';
+import SuppressedLeadsModal from '../components/SuppressedLeadsModal';
+import OwnerFilterSelect from '../components/OwnerFilterSelect';
+import { resolveScoring, getScoreTier, SCORE_TIERS } from '../lib/leadScoring';
+import { EMPTY_LEAD_FILTERS, parseLeadFilters, writeLeadFilters, toLeadQueryParams, fromLeadQueryParams, countActiveFilters, splitRange, joinRange } from '../lib/leadFilters';
+import { resolveCustomFields, formatCustomFieldValue, RANGE_FIELD_TYPES } from '../lib/customFields';
+import { findOwner, ownerInitials } from '../lib/owners';
+import { saveLeadListContext } from '../lib/leadNavigation';
+import { resolveSequences, sequenceLabel, DEFAULT_SEQUENCE_ID } from '../lib/sequences';
+
+const TIMEZONES = Intl.supportedValuesOf?.('timeZone') || [];
 
 export default function Leads({ showToast }) {
   const navigate = useNavigate();
-  const [page, setPage] = useState(1);
-  const [statusFilter, setStatusFilter] = useState('');
-  const [tagFilter, setTagFilter] = useState('');
+  // Filters, sort and page live in the URL so a filtered view can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => parseLeadFilters(searchParams), [searchParams]);
+  const page = Number(searchParams.get('page')) || 1;
+  const sortBy = searchParams.get('sort') || 'createdAt';
+  const activeSegmentId = searchParams.get('segment');
+  const [searchInput, setSearchInput] = useState(filters.search);
+  // Search the input was last synced with, so back/forward and shared links refill the box
+  const [syncedSearch, setSyncedSearch] = useState(filters.search);
+  if (syncedSearch !== filters.search) {
+    setSyncedSearch(filters.search);
+    setSearchInput(filters.search);
+  }
+  const [showFilters, setShowFilters] = useState(false);
+  const [draftFilters, setDraftFilters] = useState(filters);
   const [selectedLeads, setSelectedLeads] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [sortBy, setSortBy] = useState('createdAt');
+  // Filter string that "select all matching" was chosen for; it lapses once filters change
+  const [allMatchingKey, setAllMatchingKey] = useState(null);
   const tableRef = useRef(null);
   const [confirmModal, setConfirmModal] = useState({ isOpen: false, title: '', message: '', onConfirm: null, variant: 'danger' });
   const [bulkMenuOpen, setBulkMenuOpen] = useState(false);
   const [showTagModal, setShowTagModal] = useState(false);
+  // Bulk tagging targets the selected rows, or a whole segment when set
+  const [tagSegment, setTagSegment] = useState(null);
   const [newTagInput, setNewTagInput] = useState('');
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showAssignModal, setShowAssignModal] = useState(false);
+  // { title, suppressed } - leads the last schedule run skipped
+  const [suppressedReport, setSuppressedReport] = useState(null);
+  const [assignOwnerId, setAssignOwnerId] = useState('');
+  // Set Sequence modal - { segment } for a segment, {} for the selection; null when closed
+  const [sequenceTarget, setSequenceTarget] = useState(null);
+  const [sequenceChoice, setSequenceChoice] = useState(DEFAULT_SEQUENCE_ID);
+
+  const updateParams = useCallback((update) => {
+    setSearchParams(prev => update(new URLSearchParams(prev)), { replace: true });
+  }, [setSearchParams]);
+
+  const setPage = useCallback((next) => {
+    updateParams(params => {
+      const value = typeof next === 'function' ? next(Number(params.get('page')) || 1) : next;
+      if (value > 1) params.set('page', value);
+      else params.delete('page');
+      return params;
+    });
+  }, [updateParams]);
+
+  const setSortBy = useCallback((value) => {
+    updateParams(params => {
+      if (value === 'createdAt') params.delete('sort');
+      else params.set('sort', value);
+      params.delete('page');
+      return params;
+    });
+  }, [updateParams]);
+
+  // Merge filter changes into the URL and go back to the first page.
+  // Editing filters by hand leaves the active segment.
+  const updateFilters = useCallback((changes) => {
+    updateParams(params => {
+      const next = writeLeadFilters(params, { ...parseLeadFilters(params), ...changes });
+      next.delete('page');
+      next.delete('segment');
+      return next;
+    });
+  }, [updateParams]);
+
+  // Debounce search so we query the server once typing pauses
+  useEffect(() => {
+    if (searchInput === filters.search) return;
+    const timer = setTimeout(() => updateFilters({ search: searchInput }), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput, filters.search, updateFilters]);
+
+  // Status and tags use getLeads' own params; everything else goes in as extra filters
+  const queryFilters = useMemo(
+    () => toLeadQueryParams({ ...filters, status: '', tags: [] }),
+    [filters]
+  );
+  const activeFilterCount = countActiveFilters(filters);
+  const isFiltered = activeFilterCount > 0 || !!filters.search || !!filters.status || !!filters.ownerId;
 
   // TanStack Query hooks - automatic caching and deduplication
   const { 
     data: leadsData, 
     isLoading, 
     refetch 
-  } = useLeads(page, 20, statusFilter || undefined, tagFilter || undefined, sortBy);
+  } = useLeads(page, 20, filters.status || undefined, filters.tags.join(',') || undefined, sortBy, queryFilters);
   
   const { data: tagsData } = useTags();
+  const { data: settings } = useSettings();
+  const scoreTiers = useMemo(() => resolveScoring(settings).tiers, [settings]);
+  const customFields = useMemo(() => resolveCustomFields(settings), [settings]);
+  const tableFields = customFields.filter(f => f.showInTable);
+  const sequences = useMemo(() => resolveSequences(settings), [settings]);
+  const { team, currentOwner } = useOwners();
   
   // Mutations
   const deleteMutation = useDeleteLead();
-  const freezeMutation = useFreezeLead();
-  const unfreezeMutation = useUnfreezeLead();
+  const { submitBulkJob } = useBulkJobs();
+
+  const { data: segments = [], isLoading: segmentsLoading } = useSegments();
+  const saveSegmentMutation = useSaveSegment();
+  const deleteSegmentMutation = useDeleteSegment();
 
   const leads = useMemo(() => leadsData?.leads || [], [leadsData?.leads]);
   const pagination = useMemo(() => leadsData?.pagination || { page: 1, pages: 1, total: 0 }, [leadsData?.pagination]);
   const availableTags = useMemo(() => tagsData?.tags || [], [tagsData?.tags]);
 
+  // Bulk actions run on the checked rows, or on every lead matching the filter
+  const filterKey = writeLeadFilters(new URLSearchParams(), filters).toString();
+  const allMatching = allMatchingKey === filterKey;
+  const selectionCount = allMatching ? pagination.total : selectedLeads.length;
+  const bulkTarget = useMemo(
+    () => (allMatching ? { filter: toLeadQueryParams(filters) } : { leadIds: selectedLeads }),
+    [allMatching, filters, selectedLeads]
+  );
+
+  // Remember this page of results so the lead view can step through them
+  const openLead = (leadId) => {
+    saveLeadListContext({
+      ids: leads.map(lead => String(lead.id)),
+      query: { limit: 20, status: filters.status || undefined, tags: filters.tags.join(',') || undefined, sortBy, filters: queryFilters },
+      firstPage: pagination.page || page,
+      lastPage: pagination.page || page,
+      pages: pagination.pages,
+      total: pagination.total,
+      returnTo: `/leads${searchParams.toString() ? `?${searchParams}` : ''}`,
+    });
+    navigate(`/leads/${leadId}`);
+  };
+
+  const clearSelection = useCallback(() => {
+    setSelectedLeads([]);
+    setAllMatchingKey(null);
+  }, []);
+
   // Animate table rows when data changes
   useEffect(() => {
     if (!isLoading && tableRef.current) {
@@ -61,15 +182,21 @@ export default function Leads({ showToast }) {
 
   const handleSchedule = useCallback(async () => {
     try {
-      const ids = selectedLeads.length > 0 ? selectedLeads : undefined;
-      const result = await scheduleEmails(ids);
-      showToast?.(`Scheduled ${result.results?.scheduled || 0} emails`, 'success');
-      setSelectedLeads([]);
+      const result = allMatching
+        ? await scheduleEmails(undefined, bulkTarget.filter)
+        : await scheduleEmails(selectedLeads.length > 0 ? selectedLeads : undefined);
+      const suppressed = result.results?.suppressed || [];
+      showToast?.(
+        `Scheduled ${result.results?.scheduled || 0} emails` + (suppressed.length ? `, ${suppressed.length} suppressed` : ''),
+        'success'
+      );
+      if (suppressed.length) setSuppressedReport({ title: 'Suppressed Leads', suppressed });
+      clearSelection();
       refetch();
     } catch (error) {
       showToast?.('Failed to schedule emails: ' + error.message, 'error');
     }
-  }, [selectedLeads, showToast, refetch]);
+  }, [allMatching, bulkTarget, selectedLeads, clearSelection, showToast, refetch]);
 
   const handleDelete = useCallback((id) => {
     setConfirmModal({
@@ -89,101 +216,51 @@ export default function Leads({ showToast }) {
     });
   }, [deleteMutation, showToast]);
 
+  // Submit one server-side job; the tracker reports progress, failures and undo
+  const runBulkJob = useCallback(async (action, target, label, params) => {
+    try {
+      await submitBulkJob({ action, target, params, label });
+      return true;
+    } catch (error) {
+      showToast?.(`Failed to start "${label}": ` + error.message, 'error');
+      return false;
+    }
+  }, [submitBulkJob, showToast]);
+
   const handleBulkDelete = useCallback(() => {
     setConfirmModal({
       isOpen: true,
       title: 'Delete Multiple Leads',
-      message: `Are you sure you want to delete ${selectedLeads.length} leads?`,
+      message: `Are you sure you want to delete ${selectionCount} leads? You can undo this for a short time after it finishes.`,
       onConfirm: async () => {
-        try {
-          for (const id of selectedLeads) {
-            await deleteMutation.mutateAsync(id);
-          }
-          showToast?.(`Deleted ${selectedLeads.length} leads`, 'success');
-          setSelectedLeads([]);
-        } catch (error) {
-          showToast?.('Failed to delete some leads: ' + error.message, 'error');
-        }
+        if (await runBulkJob('delete', bulkTarget, `Delete ${selectionCount} leads`)) clearSelection();
       },
       variant: 'danger'
     });
-  }, [selectedLeads, deleteMutation, showToast]);
+  }, [selectionCount, bulkTarget, runBulkJob, clearSelection]);
 
   const handleBulkFreeze = useCallback(() => {
     setConfirmModal({
       isOpen: true,
       title: 'Freeze Selected Leads',
-      message: `Freeze ${selectedLeads.length} leads? This will pause all email sequences for these leads.`,
+      message: `Freeze ${selectionCount} leads? This will pause all email sequences for these leads.`,
       onConfirm: async () => {
-        try {
-          let success = 0;
-          for (const id of selectedLeads) {
-            try {
-              await freezeMutation.mutateAsync({ id });
-              success++;
-            } catch (e) { /* continue */ }
-          }
-          showToast?.(`Frozen ${success} leads`, 'success');
-          setSelectedLeads([]);
-        } catch (error) {
-          showToast?.('Failed to freeze some leads: ' + error.message, 'error');
-        }
+        if (await runBulkJob('freeze', bulkTarget, `Freeze ${selectionCount} leads`)) clearSelection();
       },
       variant: 'warning'
     });
     setBulkMenuOpen(false);
-  }, [selectedLeads, freezeMutation, showToast]);
+  }, [selectionCount, bulkTarget, runBulkJob, clearSelection]);
 
   const handleBulkUnfreeze = useCallback(async () => {
-    try {
-      let success = 0;
-      for (const id of selectedLeads) {
-        try {
-          await unfreezeMutation.mutateAsync(id);
-          success++;
-        } catch (e) { /* continue */ }
-      }
-      showToast?.(`Unfrozen ${success} leads`, 'success');
-      setSelectedLeads([]);
-    } catch (error) {
-      showToast?.('Failed to unfreeze some leads: ' + error.message, 'error');
-    }
+    if (await runBulkJob('unfreeze', bulkTarget, `Unfreeze ${selectionCount} leads`)) clearSelection();
     setBulkMenuOpen(false);
-  }, [selectedLeads, unfreezeMutation, showToast]);
+  }, [selectionCount, bulkTarget, runBulkJob, clearSelection]);
 
-  const handleExportCSV = useCallback(() => {
-    const dataToExport = selectedLeads.length > 0 
-      ? leads.filter(l => selectedLeads.includes(l.id))
-      : leads;
-    
-    const headers = ['Name', 'Email', 'Company', 'Status', 'Country', 'Timezone', 'Created'];
-    const rows = dataToExport.map(l => [
-      l.name || '',
-      l.email || '',
-      l.company || '',
-      l.status || '',
-      l.country || '',
-      l.timezone || '',
-      l.createdAt ? new Date(l.createdAt).toLocaleDateString() : ''
-    ]);
-    
-    const csvContent = [
-      headers.join(','),
-      ...rows.map(r => r.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
-    ].join('\n');
-    
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.setAttribute('href', url);
-    link.setAttribute('download', `leads_export_${new Date().toISOString().split('T')[0]}.csv`);
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    showToast?.(`Exported ${dataToExport.length} leads to CSV`, 'success');
-    setBulkMenuOpen(false);
-  }, [leads, selectedLeads, showToast]);
+  // Pages through the current filter; extra narrows to selected ids or adds engagement data
+  const fetchExportPage = useCallback((exportPage, extra) => getLeads(
+    exportPage, 200, filters.status || undefined, filters.tags.join(',') || undefined, sortBy, { ...queryFilters, ...extra }
+  ), [filters.status, filters.tags, sortBy, queryFilters]);
 
   const handleBulkAddTags = useCallback(async () => {
     if (!newTagInput.trim()) return;
@@ -191,41 +268,203 @@ export default function Leads({ showToast }) {
     const tagsToAdd = newTagInput.split(',').map(t => t.trim()).filter(Boolean);
     if (tagsToAdd.length === 0) return;
     
-    try {
-      await bulkAddTags(selectedLeads, tagsToAdd);
-      showToast?.(`Added ${tagsToAdd.length} tag(s) to ${selectedLeads.length} leads`, 'success');
+    const target = tagSegment ? { segmentId: tagSegment.id } : bulkTarget;
+    const label = tagSegment
+      ? `Tag "${tagSegment.name}" with ${tagsToAdd.join(', ')}`
+      : `Tag ${selectionCount} leads with ${tagsToAdd.join(', ')}`;
+    if (await runBulkJob('tag', target, label, { tags: tagsToAdd })) {
+      if (!tagSegment) clearSelection();
       setNewTagInput('');
       setShowTagModal(false);
-      setSelectedLeads([]);
-      refetch();
+      setTagSegment(null);
+    }
+  }, [tagSegment, bulkTarget, selectionCount, newTagInput, runBulkJob, clearSelection]);
+
+  const handleBulkAssign = useCallback(async () => {
+    const owner = findOwner(team, assignOwnerId);
+    const label = owner
+      ? `Assign ${selectionCount} leads to ${owner.name}`
+      : `Unassign ${selectionCount} leads`;
+    if (await runBulkJob('assign', bulkTarget, label, { ownerId: owner?.id || null })) {
+      clearSelection();
+      setShowAssignModal(false);
+    }
+  }, [team, assignOwnerId, selectionCount, bulkTarget, runBulkJob, clearSelection]);
+
+  // Moves leads onto another sequence; the server reschedules their remaining steps
+  const handleSetSequence = useCallback(async () => {
+    const sequence = sequences.find(s => s.id === sequenceChoice) || sequences[0];
+    const segment = sequenceTarget?.segment;
+    const target = segment ? { segmentId: segment.id } : bulkTarget;
+    const label = segment
+      ? `Move "${segment.name}" to ${sequence.name}`
+      : `Move ${selectionCount} leads to ${sequence.name}`;
+    if (await runBulkJob('sequence', target, label, { sequenceId: sequence.isDefault ? null : sequence.id })) {
+      if (!segment) clearSelection();
+      setSequenceTarget(null);
+    }
+  }, [sequences, sequenceChoice, sequenceTarget, bulkTarget, selectionCount, runBulkJob, clearSelection]);
+
+  const openSequenceModal = useCallback((target) => {
+    setSequenceChoice(DEFAULT_SEQUENCE_ID);
+    setSequenceTarget(target);
+  }, []);
+
+  const closeTagModal = useCallback(() => {
+    setShowTagModal(false);
+    setTagSegment(null);
+  }, []);
+
+  // Load a segment's filters into the URL so the list shows its leads
+  const handleSelectSegment = useCallback((segment) => {
+    const segmentFilters = segment ? fromLeadQueryParams(segment.filters) : EMPTY_LEAD_FILTERS;
+    setSearchInput(segmentFilters.search);
+    clearSelection();
+    setShowFilters(false);
+    updateParams(params => {
+      const next = writeLeadFilters(params, segmentFilters);
+      next.delete('page');
+      if (segment) next.set('segment', segment.id);
+      else next.delete('segment');
+      return next;
+    });
+  }, [updateParams, clearSelection]);
+
+  const handleSaveSegment = useCallback(async (name) => {
+    try {
+      const saved = await saveSegmentMutation.mutateAsync({ segment: { name, filters: toLeadQueryParams(filters) } });
+      const segment = saved?.segment || saved;
+      showToast?.(`Saved segment "${name}"`, 'success');
+      if (segment?.id) updateParams(params => { params.set('segment', segment.id); return params; });
+      return true;
     } catch (error) {
-      showToast?.('Failed to add tags: ' + error.message, 'error');
+      showToast?.('Failed to save segment: ' + error.message, 'error');
+      return false;
     }
-  }, [selectedLeads, newTagInput, showToast, refetch]);
+  }, [filters, saveSegmentMutation, updateParams, showToast]);
+
+  const handleSegmentAction = useCallback((segment, action) => {
+    const count = segment.count ?? 'all';
+    switch (action) {
+      case 'schedule':
+        // The segment id plus its filters lets the server resolve the same leads
+        scheduleEmails(undefined, { segmentId: segment.id, ...segment.filters })
+          .then(result => {
+            const suppressed = result.results?.suppressed || [];
+            showToast?.(
+              `Scheduled ${result.results?.scheduled || 0} emails for "${segment.name}"` +
+                (suppressed.length ? `, ${suppressed.length} suppressed` : ''),
+              'success'
+            );
+            if (suppressed.length) setSuppressedReport({ title: `Suppressed in "${segment.name}"`, suppressed });
+            refetch();
+          })
+          .catch(error => showToast?.('Failed to schedule emails: ' + error.message, 'error'));
+        break;
+      case 'tag':
+        setTagSegment(segment);
+        setShowTagModal(true);
+        break;
+      case 'sequence':
+        openSequenceModal({ segment });
+        break;
+      case 'freeze':
+        setConfirmModal({
+          isOpen: true,
+          title: 'Freeze Segment',
+          message: `Freeze ${count} leads in "${segment.name}"? This will pause all email sequences for these leads.`,
+          onConfirm: () => runBulkJob('freeze', { segmentId: segment.id }, `Freeze "${segment.name}"`),
+          variant: 'warning'
+        });
+        break;
+      case 'delete':
+        setConfirmModal({
+          isOpen: true,
+          title: 'Delete Segment Leads',
+          message: `Delete ${count} leads in "${segment.name}" and all their email jobs? You can undo this for a short time after it finishes.`,
+          onConfirm: () => runBulkJob('delete', { segmentId: segment.id }, `Delete "${segment.name}"`),
+          variant: 'danger'
+        });
+        break;
+      case 'remove':
+        setConfirmModal({
+          isOpen: true,
+          title: 'Remove Segment',
+          message: `Remove the segment "${segment.name}"? Its leads are not affected.`,
+          onConfirm: async () => {
+            try {
+              await deleteSegmentMutation.mutateAsync(segment.id);
+              if (segment.id === activeSegmentId) {
+                updateParams(params => { params.delete('segment'); return params; });
+              }
+              showToast?.(`Removed segment "${segment.name}"`, 'success');
+            } catch (error) {
+              showToast?.('Failed to remove segment: ' + error.message, 'error');
+            }
+          },
+          variant: 'danger'
+        });
+        break;
+      default:
+        break;
+    }
+  }, [activeSegmentId, deleteSegmentMutation, runBulkJob, openSequenceModal, updateParams, refetch, showToast]);
 
   const toggleSelect = useCallback((id) => {
+    // Unticking a row while everything matching is selected keeps the rest of this page
+    if (allMatching) {
+      setAllMatchingKey(null);
+      setSelectedLeads(leads.map(l => l.id).filter(x => x !== id));
+      return;
+    }
     setSelectedLeads(prev => 
       prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]
     );
-  }, []);
+  }, [allMatching, leads]);
 
   const toggleSelectAll = useCallback(() => {
-    if (selectedLeads.length === leads.length) {
-      setSelectedLeads([]);
+    if (allMatching || selectedLeads.length === leads.length) {
+      clearSelection();
     } else {
       setSelectedLeads(leads.map(l => l.id));
     }
-  }, [selectedLeads.length, leads]);
-
-  // Memoized filtered leads for search
-  const filteredLeads = useMemo(() => {
-    return searchTerm 
-      ? leads.filter(l => 
-          l.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-          l.email.toLowerCase().includes(searchTerm.toLowerCase())
-        )
-      : leads;
-  }, [leads, searchTerm]);
+  }, [allMatching, selectedLeads.length, leads, clearSelection]);
+
+  const toggleFilterPanel = useCallback(() => {
+    setDraftFilters(filters);
+    setShowFilters(prev => !prev);
+  }, [filters]);
+
+  const handleApplyFilters = useCallback(() => {
+    updateFilters({ ...draftFilters, search: filters.search, status: filters.status, ownerId: filters.ownerId });
+    setShowFilters(false);
+  }, [draftFilters, filters.search, filters.status, filters.ownerId, updateFilters]);
+
+  const handleClearFilters = useCallback(() => {
+    setSearchInput('');
+    setDraftFilters(EMPTY_LEAD_FILTERS);
+    updateFilters(EMPTY_LEAD_FILTERS);
+  }, [updateFilters]);
+
+  const handleCopyLink = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      showToast?.('Link to this view copied', 'success');
+    } catch {
+      showToast?.('Could not copy link', 'error');
+    }
+  }, [showToast]);
+
+  const toggleDraftTag = useCallback((tag) => {
+    setDraftFilters(prev => ({
+      ...prev,
+      tags: prev.tags.includes(tag) ? prev.tags.filter(t => t !== tag) : [...prev.tags, tag]
+    }));
+  }, []);
+
+  const setDraftCustomFilter = useCallback((key, value) => {
+    setDraftFilters(prev => ({ ...prev, custom: { ...prev.custom, [key]: value } }));
+  }, []);
 
   // Memoized status formatter
   const formatStatus = useCallback((status) => {
@@ -256,6 +495,7 @@ export default function Leads({ showToast }) {
         'rescheduled': 'Rescheduled',
         'frozen': 'Frozen',
         'converted': 'Converted',
+        'replied': 'Replied',
         'failed': 'Failed',
         'blocked': 'Blocked',
         'deferred': 'Deferred',
@@ -276,19 +516,27 @@ export default function Leads({ showToast }) {
             <RefreshCw size={18} className={isLoading ? 'animate-spin' : ''} />
             Refresh
           </button>
-          {selectedLeads.length > 0 && (
+          <button className="btn btn-secondary" onClick={() => navigate('/pipeline')}>
+            <SquareKanban size={18} />
+            Pipeline
+          </button>
+          <button className="btn btn-secondary" onClick={() => setShowExportModal(true)} disabled={pagination.total === 0}>
+            <Download size={18} />
+            Export
+          </button>
+          {selectionCount > 0 && (
             <button 
               className="btn btn-secondary" 
               onClick={handleBulkDelete}
               style={{ color: '#ef4444' }}
             >
               <Trash2 size={18} />
-              Delete ({selectedLeads.length})
+              Delete ({selectionCount})
             </button>
           )}
           
           {/* Bulk Actions Dropdown */}
-          {selectedLeads.length > 0 && (
+          {selectionCount > 0 && (
             <div style={{ position: 'relative' }}>
               <button 
                 className="btn btn-secondary"
@@ -339,7 +587,7 @@ export default function Leads({ showToast }) {
                   </button>
                   <div style={{ height: '1px', background: 'var(--border-color)' }} />
                   <button 
-                    onClick={handleExportCSV}
+                    onClick={() => { setShowExportModal(true); setBulkMenuOpen(false); }}
                     style={{
                       display: 'flex', alignItems: 'center', gap: '10px',
                       width: '100%', padding: '12px 16px', border: 'none',
@@ -349,7 +597,7 @@ export default function Leads({ showToast }) {
                     onMouseEnter={(e) => e.target.style.background = 'var(--bg-hover)'}
                     onMouseLeave={(e) => e.target.style.background = 'transparent'}
                   >
-                    <Download size={16} color="#a855f7" /> Export to CSV
+                    <Download size={16} color="#a855f7" /> Export Selected
                   </button>
                   <button 
                     onClick={() => { setShowTagModal(true); setBulkMenuOpen(false); }}
@@ -364,6 +612,34 @@ export default function Leads({ showToast }) {
                   >
                     <Tag size={16} color="#f59e0b" /> Add Tags
                   </button>
+                  {team.length > 0 && (
+                    <button 
+                      onClick={() => { setAssignOwnerId(currentOwner?.id || team[0].id); setShowAssignModal(true); setBulkMenuOpen(false); }}
+                      style={{
+                        display: 'flex', alignItems: 'center', gap: '10px',
+                        width: '100%', padding: '12px 16px', border: 'none',
+                        background: 'transparent', color: 'var(--text-primary)',
+                        cursor: 'pointer', fontSize: '0.9rem', textAlign: 'left'
+                      }}
+                      onMouseEnter={(e) => e.target.style.background = 'var(--bg-hover)'}
+                      onMouseLeave={(e) => e.target.style.background = 'transparent'}
+                    >
+                      <UserCheck size={16} color="#3b82f6" /> Assign Owner
+                    </button>
+                  )}
+                  <button 
+                    onClick={() => { openSequenceModal({}); setBulkMenuOpen(false); }}
+                    style={{
+                      display: 'flex', alignItems: 'center', gap: '10px',
+                      width: '100%', padding: '12px 16px', border: 'none',
+                      background: 'transparent', color: 'var(--text-primary)',
+                      cursor: 'pointer', fontSize: '0.9rem', textAlign: 'left'
+                    }}
+                    onMouseEnter={(e) => e.target.style.background = 'var(--bg-hover)'}
+                    onMouseLeave={(e) => e.target.style.background = 'transparent'}
+                  >
+                    <ListOrdered size={16} color="#22c55e" /> Set Sequence
+                  </button>
                 </div>
               )}
             </div>
@@ -375,267 +651,521 @@ export default function Leads({ showToast }) {
             disabled={isLoading}
           >
             <Mail size={18} />
-            Schedule {selectedLeads.length > 0 && `(${selectedLeads.length})`}
+            Schedule {selectionCount > 0 && `(${selectionCount})`}
           </button>
         </div>
       </div>
 
-      {/* Search and Filters */}
-      <div className="card" style={{ marginBottom: '1.5rem' }}>
-        <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', flexWrap: 'wrap' }}>
-          <div style={{ 
-            display: 'flex', 
-            alignItems: 'center', 
-            gap: '10px',
-            background: 'var(--bg-glass)',
-            border: '1px solid var(--border-color)',
-            borderRadius: '10px',
-            padding: '0 14px',
-            flex: 1,
-            maxWidth: '300px'
-          }}>
-            <Search size={18} color="var(--text-muted)" />
-            <input
-              type="text"
-              placeholder="Search by name or email..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              style={{
-                background: 'transparent',
-                border: 'none',
-                outline: 'none',
-                color: 'var(--text-primary)',
-                padding: '10px 0',
-                fontSize: '0.9rem',
-                width: '100%'
-              }}
-            />
-          </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '240px minmax(0, 1fr)', gap: '1.5rem', alignItems: 'start' }}>
+        <SegmentSidebar
+          segments={segments}
+          isLoading={segmentsLoading}
+          activeSegmentId={activeSegmentId}
+          canSave={isFiltered}
+          onSelect={handleSelectSegment}
+          onSave={handleSaveSegment}
+          onAction={handleSegmentAction}
+        />
+
+        <div>
+          {/* Search and Filters */}
+          <div className="card" style={{ marginBottom: '1.5rem' }}>
+            <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', flexWrap: 'wrap' }}>
+              <div style={{ 
+                display: 'flex', 
+                alignItems: 'center', 
+                gap: '10px',
+                background: 'var(--bg-glass)',
+                border: '1px solid var(--border-color)',
+                borderRadius: '10px',
+                padding: '0 14px',
+                flex: 1,
+                maxWidth: '300px'
+              }}>
+                <Search size={18} color="var(--text-muted)" />
+                <input
+                  type="text"
+                  placeholder="Search all leads by name, email or company..."
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  style={{
+                    background: 'transparent',
+                    border: 'none',
+                    outline: 'none',
+                    color: 'var(--text-primary)',
+                    padding: '10px 0',
+                    fontSize: '0.9rem',
+                    width: '100%'
+                  }}
+                />
+              </div>
           
-          <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
-            <Filter size={18} color="var(--text-muted)" />
-            <select 
-              value={statusFilter}
-              onChange={(e) => {
-                setStatusFilter(e.target.value);
-                setPage(1);
-              }}
-            >
-              <option value="">All Status</option>
-              <option value="pending">Pending</option>
-              <option value="scheduled">Scheduled</option>
-              <option value="sent">Sent</option>
-              <option value="failed">Failed</option>
-            </select>
-          </div>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                <Filter size={18} color="var(--text-muted)" />
+                <select 
+                  value={filters.status}
+                  onChange={(e) => updateFilters({ status: e.target.value })}
+                >
+                  <option value="">All Status</option>
+                  <option value="pending">Pending</option>
+                  <option value="scheduled">Scheduled</option>
+                  <option value="sent">Sent</option>
+                  <option value="failed">Failed</option>
+                  <option value="frozen">Frozen</option>
+                  <option value="replied">Replied</option>
+                  <option value="converted">Converted</option>
+                </select>
+              </div>
+
+              <OwnerFilterSelect value={filters.ownerId} onChange={(ownerId) => updateFilters({ ownerId })} />
           
-          {/* Tag Filter */}
-          <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
-            <Tag size={18} color="var(--text-muted)" />
-            <select 
-              value={tagFilter}
-              onChange={(e) => {
-                setTagFilter(e.target.value);
-                setPage(1);
-              }}
-            >
-              <option value="">All Tags</option>
-              {availableTags.map(tag => (
-                <option key={tag} value={tag}>{tag}</option>
-              ))}
-            </select>
-          </div>
+              {/* Filter Builder Toggle */}
+              <button
+                className="btn btn-secondary"
+                onClick={toggleFilterPanel}
+                style={activeFilterCount > 0 ? { borderColor: 'var(--accent-primary)', color: 'var(--accent-primary)' } : undefined}
+              >
+                <SlidersHorizontal size={16} />
+                Filters{activeFilterCount > 0 && ` (${activeFilterCount})`}
+              </button>
           
-          {/* Sort Toggle */}
-          <div style={{ 
-            display: 'flex', 
-            background: 'var(--bg-glass)', 
-            borderRadius: '8px', 
-            padding: '4px',
-            border: '1px solid var(--border-color)'
-          }}>
-            <button
-              onClick={() => setSortBy('createdAt')}
-              style={{
-                padding: '6px 12px', border: 'none', borderRadius: '6px',
-                background: sortBy === 'createdAt' ? 'var(--accent-primary)' : 'transparent',
-                color: sortBy === 'createdAt' ? 'white' : 'var(--text-secondary)',
-                cursor: 'pointer', fontSize: '0.8rem', display: 'flex', alignItems: 'center', gap: '4px'
-              }}
-            >
-              Recent
-            </button>
-            <button
-              onClick={() => setSortBy('score')}
-              style={{
-                padding: '6px 12px', border: 'none', borderRadius: '6px',
-                background: sortBy === 'score' ? 'var(--accent-primary)' : 'transparent',
-                color: sortBy === 'score' ? 'white' : 'var(--text-secondary)',
-                cursor: 'pointer', fontSize: '0.8rem', display: 'flex', alignItems: 'center', gap: '4px'
-              }}
-            >
-              <Flame size={14} /> Hot Leads
-            </button>
-          </div>
+              {/* Sort Toggle */}
+              <div style={{ 
+                display: 'flex', 
+                background: 'var(--bg-glass)', 
+                borderRadius: '8px', 
+                padding: '4px',
+                border: '1px solid var(--border-color)'
+              }}>
+                <button
+                  onClick={() => setSortBy('createdAt')}
+                  style={{
+                    padding: '6px 12px', border: 'none', borderRadius: '6px',
+                    background: sortBy === 'createdAt' ? 'var(--accent-primary)' : 'transparent',
+                    color: sortBy === 'createdAt' ? 'white' : 'var(--text-secondary)',
+                    cursor: 'pointer', fontSize: '0.8rem', display: 'flex', alignItems: 'center', gap: '4px'
+                  }}
+                >
+                  Recent
+                </button>
+                <button
+                  onClick={() => setSortBy('score')}
+                  style={{
+                    padding: '6px 12px', border: 'none', borderRadius: '6px',
+                    background: sortBy === 'score' ? 'var(--accent-primary)' : 'transparent',
+                    color: sortBy === 'score' ? 'white' : 'var(--text-secondary)',
+                    cursor: 'pointer', fontSize: '0.8rem', display: 'flex', alignItems: 'center', gap: '4px'
+                  }}
+                >
+                  <Flame size={14} /> Hot Leads
+                </button>
+              </div>
           
-          <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', marginLeft: 'auto' }}>
-            {pagination.total} total leads
-          </span>
-        </div>
-      </div>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginLeft: 'auto' }}>
+                {isFiltered && (
+                  <>
+                    <button
+                      onClick={handleClearFilters}
+                      style={{ background: 'none', border: 'none', color: 'var(--text-secondary)', cursor: 'pointer', fontSize: '0.85rem' }}
+                    >
+                      Clear
+                    </button>
+                    <button
+                      onClick={handleCopyLink}
+                      title="Copy link to this filtered view"
+                      style={{ background: 'none', border: 'none', color: 'var(--accent-primary)', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.85rem' }}
+                    >
+                      <Link2 size={16} /> Share
+                    </button>
+                  </>
+                )}
+                <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                  {pagination.total} {isFiltered ? 'matching' : 'total'} leads
+                </span>
+              </div>
+            </div>
 
-      {/* Leads Table */}
-      <div className="card" ref={tableRef}>
-        {isLoading ? (
-          <div style={{ display: 'flex', justifyContent: 'center', padding: '3rem' }}>
-            <div className="loading-spinner"></div>
-          </div>
-        ) : (
-          <>
-            <div className="table-container">
-              <table className="data-table">
-                <thead>
-                  <tr>
-                    <th style={{ width: '40px' }}>
-                      <input 
-                        type="checkbox" 
-                        checked={selectedLeads.length === leads.length && leads.length > 0}
-                        onChange={toggleSelectAll}
+            {/* Filter Builder */}
+            {showFilters && (
+              <div style={{ marginTop: '1.25rem', paddingTop: '1.25rem', borderTop: '1px solid var(--border-color)' }}>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '1rem' }}>
+                  <label style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                    Country
+                    <input
+                      type="text"
+                      placeholder="e.g. DE"
+                      value={draftFilters.country}
+                      onChange={(e) => setDraftFilters(prev => ({ ...prev, country: e.target.value.toUpperCase() }))}
+                      style={{ width: '100%', marginTop: '6px' }}
+                    />
+                  </label>
+                  <label style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                    Timezone
+                    <input
+                      type="text"
+                      list="lead-filter-timezones"
+                      placeholder="e.g. Europe/Berlin"
+                      value={draftFilters.timezone}
+                      onChange={(e) => setDraftFilters(prev => ({ ...prev, timezone: e.target.value }))}
+                      style={{ width: '100%', marginTop: '6px' }}
+                    />
+                    <datalist id="lead-filter-timezones">
+                      {TIMEZONES.map(tz => <option key={tz} value={tz} />)}
+                    </datalist>
+                  </label>
+                  <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                    Score Range
+                    <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                      <input
+                        type="number"
+                        placeholder="Min"
+                        value={draftFilters.scoreMin}
+                        onChange={(e) => setDraftFilters(prev => ({ ...prev, scoreMin: e.target.value }))}
+                        style={{ width: '100%' }}
                       />
-                    </th>
-                    <th>Name</th>
-                    <th>Email</th>
-                    <th>Location</th>
-                    <th>Timezone</th>
-                    <th>Score</th>
-                    <th>Status</th>
-                    <th>Created</th>
-                    <th style={{ width: '100px' }}>Actions</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {filteredLeads.length === 0 ? (
-                    <tr>
-                      <td colSpan="9" style={{ textAlign: 'center', padding: '2rem', color: 'var(--text-muted)' }}>
-                        No leads found
-                      </td>
-                    </tr>
-                  ) : (
-                    filteredLeads.map((lead) => {
-                      const { display, badgeClass } = formatStatus(lead.status);
-                      const score = lead.score || 0;
-                      const tier = score >= 50 ? 'hot' : score >= 20 ? 'warm' : score >= 1 ? 'cold' : 'new';
-                      const colors = {
-                        hot: { bg: 'rgba(239, 68, 68, 0.15)', text: '#ef4444', icon: '🔥' },
-                        warm: { bg: 'rgba(249, 115, 22, 0.15)', text: '#f97316', icon: '⚡' },
-                        cold: { bg: 'rgba(59, 130, 246, 0.1)', text: '#3b82f6', icon: '❄️' },
-                        new: { bg: 'var(--bg-hover)', text: 'var(--text-muted)', icon: '•' }
-                      };
-                      const c = colors[tier];
-                      
+                      <input
+                        type="number"
+                        placeholder="Max"
+                        value={draftFilters.scoreMax}
+                        onChange={(e) => setDraftFilters(prev => ({ ...prev, scoreMax: e.target.value }))}
+                        style={{ width: '100%' }}
+                      />
+                    </div>
+                  </div>
+                  <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                    Created Between
+                    <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                      <input
+                        type="date"
+                        value={draftFilters.createdFrom}
+                        onChange={(e) => setDraftFilters(prev => ({ ...prev, createdFrom: e.target.value }))}
+                        style={{ width: '100%' }}
+                      />
+                      <input
+                        type="date"
+                        value={draftFilters.createdTo}
+                        onChange={(e) => setDraftFilters(prev => ({ ...prev, createdTo: e.target.value }))}
+                        style={{ width: '100%' }}
+                      />
+                    </div>
+                  </div>
+                  <label style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                    Opens
+                    <select
+                      value={draftFilters.hasOpened}
+                      onChange={(e) => setDraftFilters(prev => ({ ...prev, hasOpened: e.target.value }))}
+                      style={{ width: '100%', marginTop: '6px' }}
+                    >
+                      <option value="">Any</option>
+                      <option value="true">Has opened</option>
+                      <option value="false">Never opened</option>
+                    </select>
+                  </label>
+                  <label style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                    Clicks
+                    <select
+                      value={draftFilters.hasClicked}
+                      onChange={(e) => setDraftFilters(prev => ({ ...prev, hasClicked: e.target.value }))}
+                      style={{ width: '100%', marginTop: '6px' }}
+                    >
+                      <option value="">Any</option>
+                      <option value="true">Has clicked</option>
+                      <option value="false">Never clicked</option>
+                    </select>
+                  </label>
+                  {customFields.map(field => {
+                    const value = draftFilters.custom[field.key] || '';
+                    if (RANGE_FIELD_TYPES.includes(field.type)) {
+                      const [min, max] = splitRange(value);
                       return (
-                        <tr key={lead.id} className='cursor-pointer'>
-                          <td>
-                            <input 
-                              type="checkbox"
-                              checked={selectedLeads.includes(lead.id)}
-                              onChange={() => toggleSelect(lead.id)}
+                        <div key={field.key} style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                          {field.label}
+                          <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                            <input
+                              type={field.type}
+                              placeholder="Min"
+                              value={min}
+                              onChange={(e) => setDraftCustomFilter(field.key, joinRange(e.target.value, max))}
+                              style={{ width: '100%' }}
                             />
-                          </td>
-                          <td style={{ fontWeight: 500 }}>{lead.name}</td>
-                          <td style={{ color: 'var(--text-secondary)' }}>{lead.email}</td>
-                          <td>{lead.city}, {lead.country}</td>
-                          <td style={{ fontSize: '0.85rem', color: 'var(--text-muted)' }}>{lead.timezone}</td>
-                          <td>
-                            <div style={{ 
-                              display: 'inline-flex', alignItems: 'center', gap: '6px',
-                              background: c.bg, padding: '4px 10px', borderRadius: '8px'
-                            }}>
-                              <span style={{ fontSize: '12px' }}>{c.icon}</span>
-                              <span style={{ fontWeight: 600, color: c.text, fontSize: '0.85rem' }}>{score}</span>
-                            </div>
-                          </td>
-                          <td>
-                            <span className={`status-badge ${badgeClass}`} style={{ whiteSpace: 'nowrap' }}>{display}</span>
-                          </td>
-                          <td style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
-                            {new Date(lead.createdAt).toLocaleDateString()}
-                          </td>
-                          <td>
-                            <div style={{ display: 'flex', gap: '8px' }}>
-                              <button
-                                onClick={() => navigate(`/leads/${lead.id}`)}
-                                style={{
-                                  background: 'rgba(59, 130, 246, 0.1)',
-                                  border: 'none',
-                                  borderRadius: '6px',
-                                  padding: '6px 8px',
-                                  cursor: 'pointer',
-                                  color: '#3b82f6'
-                                }}
-                                title="View Details"
-                              >
-                                <Eye size={16} />
-                              </button>
-                              <button
-                                onClick={() => handleDelete(lead.id)}
-                                style={{
-                                  background: 'rgba(239, 68, 68, 0.1)',
-                                  border: 'none',
-                                  borderRadius: '6px',
-                                  padding: '6px 8px',
-                                  cursor: 'pointer',
-                                  color: '#ef4444'
-                                }}
-                                title="Delete"
-                              >
-                                <Trash2 size={16} />
-                              </button>
-                            </div>
-                          </td>
-                        </tr>
+                            <input
+                              type={field.type}
+                              placeholder="Max"
+                              value={max}
+                              onChange={(e) => setDraftCustomFilter(field.key, joinRange(min, e.target.value))}
+                              style={{ width: '100%' }}
+                            />
+                          </div>
+                        </div>
                       );
-                    })
-                  )}
-                </tbody>
-              </table>
-            </div>
+                    }
+                    return (
+                      <label key={field.key} style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                        {field.label}
+                        {field.type === 'picklist' ? (
+                          <select
+                            value={value}
+                            onChange={(e) => setDraftCustomFilter(field.key, e.target.value)}
+                            style={{ width: '100%', marginTop: '6px' }}
+                          >
+                            <option value="">Any</option>
+                            {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+                          </select>
+                        ) : (
+                          <input
+                            type="text"
+                            placeholder="Contains..."
+                            value={value}
+                            onChange={(e) => setDraftCustomFilter(field.key, e.target.value)}
+                            style={{ width: '100%', marginTop: '6px' }}
+                          />
+                        )}
+                      </label>
+                    );
+                  })}
+                </div>
 
-            {/* Pagination */}
-            {pagination.pages > 1 && (
-              <div style={{ 
-                display: 'flex', 
-                justifyContent: 'space-between', 
-                alignItems: 'center',
-                marginTop: '1.5rem',
-                paddingTop: '1rem',
-                borderTop: '1px solid var(--border-color)'
-              }}>
-                <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
-                  Page {pagination.page} of {pagination.pages}
-                </span>
-                <div style={{ display: 'flex', gap: '0.5rem' }}>
-                  <button 
-                    className="btn btn-secondary"
-                    disabled={page <= 1}
-                    onClick={() => setPage(p => p - 1)}
-                    style={{ padding: '8px 12px' }}
-                  >
-                    <ChevronLeft size={18} />
+                {/* Tags */}
+                <div style={{ marginTop: '1rem' }}>
+                  <p style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', marginBottom: '8px', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                    <Tag size={14} /> Tags {draftFilters.tags.length > 1 && '(leads with any selected tag)'}
+                  </p>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                    {availableTags.length === 0 && (
+                      <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>No tags yet</span>
+                    )}
+                    {availableTags.map(tag => {
+                      const selected = draftFilters.tags.includes(tag);
+                      return (
+                        <button
+                          key={tag}
+                          onClick={() => toggleDraftTag(tag)}
+                          style={{
+                            padding: '4px 10px', borderRadius: '12px', fontSize: '0.75rem', cursor: 'pointer',
+                            background: selected ? '#f59e0b' : 'rgba(245, 158, 11, 0.15)',
+                            color: selected ? 'white' : '#f59e0b',
+                            border: 'none'
+                          }}
+                        >
+                          {tag}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+
+                <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', marginTop: '1.25rem' }}>
+                  <button className="btn btn-secondary" onClick={() => setDraftFilters({ ...EMPTY_LEAD_FILTERS, search: filters.search, status: filters.status, ownerId: filters.ownerId })}>
+                    Reset
                   </button>
-                  <button 
-                    className="btn btn-secondary"
-                    disabled={page >= pagination.pages}
-                    onClick={() => setPage(p => p + 1)}
-                    style={{ padding: '8px 12px' }}
-                  >
-                    <ChevronRight size={18} />
+                  <button className="btn btn-primary" onClick={handleApplyFilters}>
+                    Apply Filters
                   </button>
                 </div>
               </div>
             )}
-          </>
-        )}
+          </div>
+
+          {/* Leads Table */}
+          <div className="card" ref={tableRef}>
+            {isLoading ? (
+              <div style={{ display: 'flex', justifyContent: 'center', padding: '3rem' }}>
+                <div className="loading-spinner"></div>
+              </div>
+            ) : (
+              <>
+                {/* Extend a full-page selection to every lead matching the filter */}
+                {(allMatching || (leads.length > 0 && selectedLeads.length === leads.length && pagination.total > leads.length)) && (
+                  <div style={{
+                    display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px',
+                    padding: '10px', marginBottom: '1rem', borderRadius: '10px',
+                    background: 'rgba(168, 85, 247, 0.1)', fontSize: '0.875rem'
+                  }}>
+                    {allMatching ? (
+                      <>
+                        All {pagination.total} leads matching this view are selected.
+                        <button onClick={clearSelection} style={{ background: 'none', border: 'none', color: 'var(--accent-primary)', cursor: 'pointer', fontWeight: 600 }}>
+                          Clear selection
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        All {leads.length} leads on this page are selected.
+                        <button onClick={() => setAllMatchingKey(filterKey)} style={{ background: 'none', border: 'none', color: 'var(--accent-primary)', cursor: 'pointer', fontWeight: 600 }}>
+                          Select all {pagination.total} matching leads
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+                <div className="table-container">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th style={{ width: '40px' }}>
+                          <input 
+                            type="checkbox" 
+                            checked={allMatching || (selectedLeads.length === leads.length && leads.length > 0)}
+                            onChange={toggleSelectAll}
+                          />
+                        </th>
+                        <th>Name</th>
+                        <th>Email</th>
+                        <th>Location</th>
+                        <th>Timezone</th>
+                        {team.length > 0 && <th>Owner</th>}
+                        {tableFields.map(field => <th key={field.key}>{field.label}</th>)}
+                        <th>Score</th>
+                        <th>Status</th>
+                        <th>Created</th>
+                        <th style={{ width: '100px' }}>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {leads.length === 0 ? (
+                        <tr>
+                          <td colSpan={9 + tableFields.length + (team.length > 0 ? 1 : 0)} style={{ textAlign: 'center', padding: '2rem', color: 'var(--text-muted)' }}>
+                            {isFiltered ? 'No leads match these filters' : 'No leads found'}
+                          </td>
+                        </tr>
+                      ) : (
+                        leads.map((lead) => {
+                          const { display, badgeClass } = formatStatus(lead.status);
+                          const score = lead.score || 0;
+                          const c = SCORE_TIERS[getScoreTier(score, scoreTiers)];
+                      
+                          return (
+                            <tr key={lead.id} className='cursor-pointer'>
+                              <td>
+                                <input 
+                                  type="checkbox"
+                                  checked={allMatching || selectedLeads.includes(lead.id)}
+                                  onChange={() => toggleSelect(lead.id)}
+                                />
+                              </td>
+                              <td style={{ fontWeight: 500 }}>{lead.name}</td>
+                              <td style={{ color: 'var(--text-secondary)' }}>{lead.email}</td>
+                              <td>{lead.city}, {lead.country}</td>
+                              <td style={{ fontSize: '0.85rem', color: 'var(--text-muted)' }}>{lead.timezone}</td>
+                              {team.length > 0 && (
+                                <td>
+                                  {(() => {
+                                    const owner = findOwner(team, lead.ownerId);
+                                    return owner ? (
+                                      <span
+                                        title={owner.name}
+                                        style={{
+                                          display: 'inline-flex', alignItems: 'center', justifyContent: 'center',
+                                          width: '28px', height: '28px', borderRadius: '50%', fontSize: '0.7rem', fontWeight: 600,
+                                          background: owner.id === currentOwner?.id ? 'var(--accent-primary)' : 'var(--bg-hover)',
+                                          color: owner.id === currentOwner?.id ? 'white' : 'var(--text-secondary)'
+                                        }}
+                                      >
+                                        {ownerInitials(owner.name)}
+                                      </span>
+                                    ) : (
+                                      <span style={{ color: 'var(--text-muted)' }}>—</span>
+                                    );
+                                  })()}
+                                </td>
+                              )}
+                              {tableFields.map(field => (
+                                <td key={field.key} style={{ fontSize: '0.85rem' }}>
+                                  {formatCustomFieldValue(field, lead.customFields?.[field.key])}
+                                </td>
+                              ))}
+                              <td>
+                                <div title={`${c.label} lead`} style={{ 
+                                  display: 'inline-flex', alignItems: 'center', gap: '6px',
+                                  background: c.bg, padding: '4px 10px', borderRadius: '8px'
+                                }}>
+                                  <span style={{ fontSize: '12px' }}>{c.icon}</span>
+                                  <span style={{ fontWeight: 600, color: c.text, fontSize: '0.85rem' }}>{score}</span>
+                                </div>
+                              </td>
+                              <td>
+                                <span className={`status-badge ${badgeClass}`} style={{ whiteSpace: 'nowrap' }}>{display}</span>
+                              </td>
+                              <td style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                                {new Date(lead.createdAt).toLocaleDateString()}
+                              </td>
+                              <td>
+                                <div style={{ display: 'flex', gap: '8px' }}>
+                                  <button
+                                    onClick={() => openLead(lead.id)}
+                                    style={{
+                                      background: 'rgba(59, 130, 246, 0.1)',
+                                      border: 'none',
+                                      borderRadius: '6px',
+                                      padding: '6px 8px',
+                                      cursor: 'pointer',
+                                      color: '#3b82f6'
+                                    }}
+                                    title="View Details"
+                                  >
+                                    <Eye size={16} />
+                                  </button>
+                                  <button
+                                    onClick={() => handleDelete(lead.id)}
+                                    style={{
+                                      background: 'rgba(239, 68, 68, 0.1)',
+                                      border: 'none',
+                                      borderRadius: '6px',
+                                      padding: '6px 8px',
+                                      cursor: 'pointer',
+                                      color: '#ef4444'
+                                    }}
+                                    title="Delete"
+                                  >
+                                    <Trash2 size={16} />
+                                  </button>
+                                </div>
+                              </td>
+                            </tr>
+                          );
+                        })
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+
+                {/* Pagination */}
+                {pagination.pages > 1 && (
+                  <div style={{ 
+                    display: 'flex', 
+                    justifyContent: 'space-between', 
+                    alignItems: 'center',
+                    marginTop: '1.5rem',
+                    paddingTop: '1rem',
+                    borderTop: '1px solid var(--border-color)'
+                  }}>
+                    <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                      Page {pagination.page} of {pagination.pages}
+                    </span>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <button 
+                        className="btn btn-secondary"
+                        disabled={page <= 1}
+                        onClick={() => setPage(p => p - 1)}
+                        style={{ padding: '8px 12px' }}
+                      >
+                        <ChevronLeft size={18} />
+                      </button>
+                      <button 
+                        className="btn btn-secondary"
+                        disabled={page >= pagination.pages}
+                        onClick={() => setPage(p => p + 1)}
+                        style={{ padding: '8px 12px' }}
+                      >
+                        <ChevronRight size={18} />
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
       </div>
 
       <ConfirmModal
@@ -647,6 +1177,24 @@ export default function Leads({ showToast }) {
         variant={confirmModal.variant}
       />
       
+      {suppressedReport && (
+        <SuppressedLeadsModal
+          title={suppressedReport.title}
+          suppressed={suppressedReport.suppressed}
+          onClose={() => setSuppressedReport(null)}
+        />
+      )}
+
+      {showExportModal && (
+        <LeadExportModal
+          onClose={() => setShowExportModal(false)}
+          fetchPage={fetchExportPage}
+          total={pagination.total}
+          selectedIds={allMatching ? [] : selectedLeads}
+          showToast={showToast}
+        />
+      )}
+      
       {/* Bulk Tag Modal */}
       {showTagModal && (
         <div 
@@ -655,7 +1203,7 @@ export default function Leads({ showToast }) {
             display: 'flex', alignItems: 'center', justifyContent: 'center',
             background: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(4px)'
           }}
-          onClick={() => setShowTagModal(false)}
+          onClick={closeTagModal}
         >
           <div 
             style={{
@@ -665,8 +1213,10 @@ export default function Leads({ showToast }) {
             onClick={(e) => e.stopPropagation()}
           >
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
-              <h3 style={{ margin: 0 }}>Add Tags to {selectedLeads.length} Lead(s)</h3>
-              <button onClick={() => setShowTagModal(false)} style={{ background: 'none', border: 'none', cursor: 'pointer' }}>
+              <h3 style={{ margin: 0 }}>
+                {tagSegment ? `Add Tags to "${tagSegment.name}"` : `Add Tags to ${selectionCount} Lead(s)`}
+              </h3>
+              <button onClick={closeTagModal} style={{ background: 'none', border: 'none', cursor: 'pointer' }}>
                 <X size={20} color="var(--text-secondary)" />
               </button>
             </div>
@@ -706,7 +1256,7 @@ export default function Leads({ showToast }) {
             )}
             
             <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
-              <button className="btn btn-secondary" onClick={() => setShowTagModal(false)}>Cancel</button>
+              <button className="btn btn-secondary" onClick={closeTagModal}>Cancel</button>
               <button className="btn btn-primary" onClick={handleBulkAddTags} disabled={!newTagInput.trim()}>
                 <Tag size={16} /> Add Tags
               </button>
@@ -714,6 +1264,93 @@ export default function Leads({ showToast }) {
           </div>
         </div>
       )}
+
+      {/* Bulk Assign Modal */}
+      {showAssignModal && (
+        <div 
+          style={{
+            position: 'fixed', inset: 0, zIndex: 1000,
+            display: 'flex', alignItems: 'center', justifyContent: 'center',
+            background: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(4px)'
+          }}
+          onClick={() => setShowAssignModal(false)}
+        >
+          <div 
+            style={{
+              background: 'var(--bg-card)', borderRadius: '16px',
+              padding: '24px', width: '400px', maxWidth: '90%'
+            }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+              <h3 style={{ margin: 0 }}>Assign {selectionCount} Leads</h3>
+              <button onClick={() => setShowAssignModal(false)} style={{ background: 'none', border: 'none', cursor: 'pointer' }}>
+                <X size={20} color="var(--text-secondary)" />
+              </button>
+            </div>
+            <select
+              value={assignOwnerId}
+              onChange={(e) => setAssignOwnerId(e.target.value)}
+              style={{ width: '100%', marginBottom: '16px' }}
+            >
+              {team.map(member => <option key={member.id} value={member.id}>{member.name}</option>)}
+              <option value="">Nobody (unassign)</option>
+            </select>
+            <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+              <button className="btn btn-secondary" onClick={() => setShowAssignModal(false)}>Cancel</button>
+              <button className="btn btn-primary" onClick={handleBulkAssign}>
+                <UserCheck size={16} /> Assign
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {sequenceTarget && (
+        <div 
+          style={{
+            position: 'fixed', inset: 0, zIndex: 1000,
+            display: 'flex', alignItems: 'center', justifyContent: 'center',
+            background: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(4px)'
+          }}
+          onClick={() => setSequenceTarget(null)}
+        >
+          <div 
+            style={{
+              background: 'var(--bg-card)', borderRadius: '16px',
+              padding: '24px', width: '400px', maxWidth: '90%'
+            }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+              <h3 style={{ margin: 0 }}>
+                Set Sequence for {sequenceTarget.segment ? `"${sequenceTarget.segment.name}"` : `${selectionCount} Leads`}
+              </h3>
+              <button onClick={() => setSequenceTarget(null)} style={{ background: 'none', border: 'none', cursor: 'pointer' }}>
+                <X size={20} color="var(--text-secondary)" />
+              </button>
+            </div>
+            <select
+              value={sequenceChoice}
+              onChange={(e) => setSequenceChoice(e.target.value)}
+              style={{ width: '100%', marginBottom: '8px' }}
+            >
+              {sequences.map(sequence => <option key={sequence.id} value={sequence.id}>{sequenceLabel(sequence)}</option>)}
+            </select>
+            <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginBottom: '16px' }}>
+              {sequences.length > 1
+                ? 'Remaining steps are rescheduled from the new sequence. Emails already sent are kept.'
+                : 'Only the default sequence exists - add more under Settings → Email Sequences.'}
+            </p>
+            <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+              <button className="btn btn-secondary" onClick={() => setSequenceTarget(null)}>Cancel</button>
+              <button className="btn btn-primary" onClick={handleSetSequence}>
+                <ListOrdered size={16} /> Set Sequence
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,401 @@
+// pages/Pipeline.jsx
+// Lifecycle pipeline - leads as cards in stage columns, drag to move them along
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { SquareKanban, RefreshCw, Search, Settings2, X, Save } from 'lucide-react';
+import { usePipelineColumns, useMoveLeadStage, useSettings, useUpdateSettings } from '../hooks/useApi';
+import { useOwners } from '../contexts/OwnerContext';
+import { findOwner, ownerInitials } from '../lib/owners';
+import { STAGE_ACTIONS, PIPELINE_PAGE_SIZE, resolvePipelineStages, stageLock, unfreezesOnMove } from '../lib/pipeline';
+import OwnerFilterSelect from '../components/OwnerFilterSelect';
+import ConfirmModal from '../components/ConfirmModal';
+
+const actionLabel = (id) => STAGE_ACTIONS.find(a => a.id === id)?.label || 'Nothing';
+
+export default function Pipeline({ showToast }) {
+  const navigate = useNavigate();
+  const { team, currentOwner } = useOwners();
+  const { data: settings } = useSettings();
+  const updateSettingsMutation = useUpdateSettings();
+  const moveMutation = useMoveLeadStage();
+
+  // null until changed - follows "My Leads" once this browser knows who is using it
+  const [ownerChoice, setOwnerChoice] = useState(null);
+  const ownerId = ownerChoice ?? currentOwner?.id ?? '';
+  const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  // { lead, stageId } - the card being dragged and the column it came from
+  const [draggedLead, setDraggedLead] = useState(null);
+  const [dropStageId, setDropStageId] = useState(null);
+  // Leads to load for columns that were asked to show more than a page
+  const [columnLimits, setColumnLimits] = useState({});
+  const [confirmModal, setConfirmModal] = useState({ isOpen: false });
+  // Draft of the stage config while the customize panel is open
+  const [stageDraft, setStageDraft] = useState(null);
+
+  // Search runs on the server once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const stages = useMemo(() => resolvePipelineStages(settings), [settings]);
+  const visibleStages = useMemo(() => stages.filter(stage => !stage.hidden), [stages]);
+
+  const filters = useMemo(() => ({
+    ...(ownerId && { ownerId }),
+    ...(debouncedSearch && { search: debouncedSearch }),
+  }), [ownerId, debouncedSearch]);
+  const columnQueries = usePipelineColumns(visibleStages, filters, columnLimits);
+  const isLoading = columnQueries.some(query => query.isLoading);
+  const isFetching = columnQueries.some(query => query.isFetching);
+  const refetch = () => columnQueries.forEach(query => query.refetch());
+
+  // Loaded cards and the full count per stage id
+  const columns = Object.fromEntries(visibleStages.map((stage, index) => {
+    const data = columnQueries[index]?.data;
+    const leads = data?.leads || [];
+    return [stage.id, { leads, total: data?.pagination?.total ?? leads.length }];
+  }));
+
+  const boardTotal = visibleStages.reduce((sum, stage) => sum + columns[stage.id].total, 0);
+
+  const moveLead = async (lead, stage, unfreeze) => {
+    try {
+      await moveMutation.mutateAsync({ lead, stage, unfreeze });
+      const actions = [unfreeze && 'unfrozen', stage.onEnter !== 'none' && actionLabel(stage.onEnter).toLowerCase()].filter(Boolean);
+      showToast?.(`${lead.name || lead.email} moved to ${stage.label}${actions.length ? ` - ${actions.join(', ')}` : ''}`, 'success');
+    } catch (error) {
+      showToast?.('Failed to move lead: ' + (error.response?.data?.error || error.message), 'error');
+    }
+  };
+
+  const handleDrop = (e, stage) => {
+    e.preventDefault();
+    setDropStageId(null);
+    const dragged = draggedLead;
+    setDraggedLead(null);
+    if (!dragged || dragged.stageId === stage.id) return;
+    const { lead } = dragged;
+    const lock = stageLock(lead);
+    if (lock) {
+      showToast?.(lock, 'warning');
+      return;
+    }
+    const unfreeze = unfreezesOnMove(lead, stages.find(s => s.id === dragged.stageId), stage);
+
+    // Converting, freezing and unfreezing change the sequence, so ask first
+    if (stage.onEnter === 'convert' || stage.onEnter === 'freeze' || unfreeze) {
+      setConfirmModal({
+        isOpen: true,
+        title: `Move to ${stage.label}`,
+        message: stage.onEnter === 'convert'
+          ? `Mark ${lead.name || lead.email} as converted? All future emails will be stopped.`
+          : stage.onEnter === 'freeze'
+            ? `Move ${lead.name || lead.email} to ${stage.label}? The lead is frozen until you unfreeze it.`
+            : `Move ${lead.name || lead.email} to ${stage.label}? The lead is unfrozen and its sequence resumes.`,
+        confirmText: 'Move',
+        variant: 'warning',
+        onConfirm: () => moveLead(lead, stage, unfreeze),
+      });
+      return;
+    }
+    moveLead(lead, stage);
+  };
+
+  const showMore = (stageId) => {
+    setColumnLimits(limits => ({ ...limits, [stageId]: (limits[stageId] || PIPELINE_PAGE_SIZE) + PIPELINE_PAGE_SIZE }));
+  };
+
+  const showFewer = (stageId) => {
+    setColumnLimits(limits => {
+      const next = { ...limits };
+      delete next[stageId];
+      return next;
+    });
+  };
+
+  const updateDraft = (stageId, updates) => {
+    setStageDraft(draft => draft.map(stage => stage.id === stageId ? { ...stage, ...updates } : stage));
+  };
+
+  const handleSaveStages = async () => {
+    try {
+      await updateSettingsMutation.mutateAsync({
+        pipelineStages: stageDraft.map(stage => ({
+          id: stage.id,
+          label: stage.label.trim() || stages.find(s => s.id === stage.id).label,
+          color: stage.color,
+          onEnter: stage.onEnter,
+          hidden: stage.hidden,
+        })),
+      });
+      setStageDraft(null);
+      showToast?.('Pipeline stages saved', 'success');
+    } catch (error) {
+      showToast?.('Failed to save stages: ' + error.message, 'error');
+    }
+  };
+
+  const renderCard = (lead, stageId) => {
+    const owner = findOwner(team, lead.ownerId);
+    const lock = stageLock(lead);
+    return (
+      <div
+        key={lead.id}
+        draggable={!lock}
+        title={lock || undefined}
+        onDragStart={(e) => {
+          e.dataTransfer.effectAllowed = 'move';
+          setDraggedLead({ lead, stageId });
+        }}
+        onDragEnd={() => { setDraggedLead(null); setDropStageId(null); }}
+        onClick={() => navigate(`/leads/${lead.id}`)}
+        style={{
+          padding: '10px 12px', borderRadius: '8px', background: 'var(--bg-card)',
+          border: '1px solid var(--border-color)', cursor: lock ? 'pointer' : 'grab',
+          opacity: draggedLead?.lead.id === lead.id ? 0.4 : 1
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '8px' }}>
+          <div style={{ minWidth: 0 }}>
+            <div style={{ fontWeight: 500, fontSize: '0.9rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {lead.name || lead.email}
+            </div>
+            <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {lead.company || lead.email}
+            </div>
+          </div>
+          {owner && (
+            <span
+              title={owner.name}
+              style={{
+                display: 'inline-flex', alignItems: 'center', justifyContent: 'center', flexShrink: 0,
+                width: '24px', height: '24px', borderRadius: '50%', fontSize: '0.65rem', fontWeight: 600,
+                background: owner.id === currentOwner?.id ? 'var(--accent-primary)' : 'var(--bg-hover)',
+                color: owner.id === currentOwner?.id ? 'white' : 'var(--text-secondary)'
+              }}
+            >
+              {ownerInitials(owner.name)}
+            </span>
+          )}
+        </div>
+        {lead.status && (
+          <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)', marginTop: '6px' }}>
+            {lead.followupsPaused ? 'Paused · ' : ''}{lead.status}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <div className="header">
+        <h2 style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <SquareKanban size={26} color="#8b5cf6" />
+          Pipeline
+        </h2>
+        <div className="header-actions">
+          <OwnerFilterSelect value={ownerId} onChange={setOwnerChoice} className="filter-select" />
+          <button className="btn btn-secondary" onClick={() => setStageDraft(stages)}>
+            <Settings2 size={18} />
+            Stages
+          </button>
+          <button className="btn btn-secondary" onClick={() => refetch()} disabled={isFetching}>
+            <RefreshCw size={18} className={isFetching ? 'animate-spin' : ''} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Pipeline at a glance */}
+      <div className="card" style={{ marginBottom: '1.5rem' }}>
+        <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', marginBottom: '1rem' }}>
+          <div style={{ position: 'relative', flex: 1, maxWidth: '320px' }}>
+            <Search
+              size={18}
+              style={{ position: 'absolute', left: '12px', top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }}
+            />
+            <input
+              type="text"
+              className="input-field"
+              placeholder="Search name, email or company..."
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              style={{ paddingLeft: '40px', width: '100%' }}
+            />
+          </div>
+          <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>{boardTotal} leads</span>
+        </div>
+        <div style={{ display: 'flex', height: '10px', borderRadius: '999px', overflow: 'hidden', background: 'var(--bg-hover)' }}>
+          {boardTotal > 0 && visibleStages.map(stage => (
+            <div
+              key={stage.id}
+              title={`${stage.label}: ${columns[stage.id].total}`}
+              style={{ width: `${(columns[stage.id].total / boardTotal) * 100}%`, background: stage.color }}
+            />
+          ))}
+        </div>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', marginTop: '0.75rem' }}>
+          {visibleStages.map(stage => (
+            <span key={stage.id} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+              <span style={{ width: '8px', height: '8px', borderRadius: '50%', background: stage.color }} />
+              {stage.label}
+              <strong style={{ color: 'var(--text-primary)' }}>{columns[stage.id].total}</strong>
+              {boardTotal > 0 && (
+                <span style={{ color: 'var(--text-muted)' }}>
+                  ({Math.round((columns[stage.id].total / boardTotal) * 100)}%)
+                </span>
+              )}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {/* Board */}
+      {isLoading ? (
+        <div style={{ display: 'flex', justifyContent: 'center', padding: '3rem' }}>
+          <div className="loading-spinner"></div>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', gap: '1rem', overflowX: 'auto', paddingBottom: '1rem', alignItems: 'flex-start' }}>
+          {visibleStages.map(stage => {
+            const { leads: stageLeads, total } = columns[stage.id];
+            const isDropTarget = draggedLead && dropStageId === stage.id && draggedLead.stageId !== stage.id;
+            return (
+              <div
+                key={stage.id}
+                onDragOver={(e) => {
+                  if (!draggedLead) return;
+                  e.preventDefault();
+                  setDropStageId(stage.id);
+                }}
+                onDragLeave={() => setDropStageId(id => (id === stage.id ? null : id))}
+                onDrop={(e) => handleDrop(e, stage)}
+                style={{
+                  flex: '0 0 260px', borderRadius: '12px', padding: '12px',
+                  background: isDropTarget ? `${stage.color}20` : 'var(--bg-glass)',
+                  border: isDropTarget ? `2px dashed ${stage.color}` : '1px solid var(--border-color)',
+                  borderTop: `3px solid ${stage.color}`,
+                  transition: 'background 0.2s'
+                }}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '4px' }}>
+                  <h4 style={{ margin: 0, fontSize: '0.95rem' }}>{stage.label}</h4>
+                  <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)', fontWeight: 600 }}>{total}</span>
+                </div>
+                {stage.onEnter !== 'none' && (
+                  <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)', marginBottom: '8px' }}>
+                    On drop: {actionLabel(stage.onEnter).toLowerCase()}
+                  </div>
+                )}
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginTop: '8px', minHeight: '60px' }}>
+                  {stageLeads.map(lead => renderCard(lead, stage.id))}
+                  {total > stageLeads.length && (
+                    <button
+                      onClick={() => showMore(stage.id)}
+                      style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer', fontSize: '0.8rem', padding: '4px 0' }}
+                    >
+                      Show more ({total - stageLeads.length} left)
+                    </button>
+                  )}
+                  {columnLimits[stage.id] && (
+                    <button
+                      onClick={() => showFewer(stage.id)}
+                      style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer', fontSize: '0.8rem', padding: '4px 0' }}
+                    >
+                      Show fewer
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Customize stages */}
+      {stageDraft && (
+        <div
+          style={{
+            position: 'fixed', inset: 0, zIndex: 1000,
+            display: 'flex', alignItems: 'center', justifyContent: 'center',
+            background: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(4px)'
+          }}
+          onClick={() => setStageDraft(null)}
+        >
+          <div
+            style={{
+              background: 'var(--bg-card)', borderRadius: '16px',
+              padding: '24px', width: '600px', maxWidth: '90%'
+            }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+              <h3 style={{ margin: 0 }}>Pipeline Stages</h3>
+              <button onClick={() => setStageDraft(null)} style={{ background: 'none', border: 'none', cursor: 'pointer' }}>
+                <X size={20} color="var(--text-secondary)" />
+              </button>
+            </div>
+            <p style={{ margin: '0 0 16px', color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+              Rename stages, pick what happens to the sequence when a lead is dropped in, or hide stages you don't use.
+            </p>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '16px' }}>
+              {stageDraft.map(stage => (
+                <div key={stage.id} style={{ display: 'flex', gap: '8px', alignItems: 'center', opacity: stage.hidden ? 0.5 : 1 }}>
+                  <input
+                    type="color"
+                    value={stage.color}
+                    onChange={(e) => updateDraft(stage.id, { color: e.target.value })}
+                    style={{ width: '36px', height: '36px', padding: 0, border: 'none', background: 'none', cursor: 'pointer' }}
+                  />
+                  <input
+                    type="text"
+                    className="input-field"
+                    value={stage.label}
+                    onChange={(e) => updateDraft(stage.id, { label: e.target.value })}
+                    style={{ flex: 1 }}
+                  />
+                  <select
+                    value={stage.onEnter}
+                    onChange={(e) => updateDraft(stage.id, { onEnter: e.target.value })}
+                    style={{ width: '170px' }}
+                  >
+                    {STAGE_ACTIONS.map(action => (
+                      <option key={action.id} value={action.id}>{action.label}</option>
+                    ))}
+                  </select>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.8rem', color: 'var(--text-secondary)', cursor: 'pointer' }}>
+                    <input
+                      type="checkbox"
+                      checked={!stage.hidden}
+                      onChange={(e) => updateDraft(stage.id, { hidden: !e.target.checked })}
+                    />
+                    Show
+                  </label>
+                </div>
+              ))}
+            </div>
+            <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+              <button className="btn btn-secondary" onClick={() => setStageDraft(null)}>Cancel</button>
+              <button className="btn btn-primary" onClick={handleSaveStages} disabled={updateSettingsMutation.isPending}>
+                <Save size={16} /> Save
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={confirmModal.isOpen}
+        onClose={() => setConfirmModal({ isOpen: false })}
+        onConfirm={confirmModal.onConfirm}
+        title={confirmModal.title}
+        message={confirmModal.message}
+        confirmText={confirmModal.confirmText}
+        variant={confirmModal.variant}
+      />
+    </div>
+  );
+}
@@ -26,6 +26,8 @@ import {
 import { toast } from "react-hot-toast";
 import gsap from "gsap";
 import api, { rescheduleEmailJob } from "../services/api";
+import OwnerFilterSelect from "../components/OwnerFilterSelect";
+import { UNASSIGNED } from "../lib/owners";
 import "./Schedule.css";
 
 // Status configurations
@@ -59,6 +61,7 @@ export default function Schedule() {
   const [draggedJob, setDraggedJob] = useState(null);
   const [viewMode, setViewMode] = useState("grid"); // grid | timeline
   const [filterStatus, setFilterStatus] = useState("all");
+  const [ownerFilter, setOwnerFilter] = useState("");
   const [showQuickPicker, setShowQuickPicker] = useState(false);
   const gridRef = useRef(null);
   const skipAnimationRef = useRef(false);
@@ -431,6 +434,12 @@ export default function Schedule() {
               <option value="sent">Sent Only</option>
               <option value="failed">Failed Only</option>
             </select>
+            <OwnerFilterSelect
+              value={ownerFilter}
+              onChange={setOwnerFilter}
+              className="filter-select"
+              style={{ marginLeft: "8px" }}
+            />
           </div>
           
           <div className="legend">
@@ -462,6 +471,9 @@ export default function Schedule() {
               const isFull = slot.used >= slot.max;
               const visibleJobs = slot.jobs?.filter((j) => {
                 if (["cancelled", "paused", "rescheduled", "skipped"].includes(j.status)) return false;
+                // Jobs carry their lead's ownerId
+                if (ownerFilter === UNASSIGNED && j.ownerId) return false;
+                if (ownerFilter && ownerFilter !== UNASSIGNED && j.ownerId !== ownerFilter) return false;
                 if (filterStatus === "all") return true;
                 if (filterStatus === "pending") return ["pending", "scheduled", "queued"].includes(j.status);
                 if (filterStatus === "sent") return ["sent", "delivered", "opened", "clicked"].includes(j.status);
@@ -28,12 +28,20 @@ import {
   Flame,
   FileText,
   Code,
+  Users,
+  Sparkles,
+  GitBranch,
+  History,
+  Upload,
+  FlaskConical,
+  CalendarClock,
 } from "lucide-react";
 import gsap from "gsap";
 import ReactQuill from "react-quill-new";
 import "react-quill-new/dist/quill.snow.css";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { queryKeys, cacheConfig } from "../lib/queryClient";
+import { useSequenceVersions, usePublishSequenceVersion } from "../hooks/useApi";
 import {
   getSettings,
   updateSettings,
@@ -55,7 +63,34 @@ import {
   resetRulebook,
   getDefaultRulebook,
 } from "../services/api";
+import { SCORING_EVENTS, SCORE_TIERS, resolveScoring } from "../lib/leadScoring";
+import {
+  CUSTOM_FIELD_TYPES,
+  resolveCustomFields,
+  fieldKeyFromLabel,
+  validateCustomFields,
+} from "../lib/customFields";
+import { resolveTeam } from "../lib/owners";
+import { resolveAccountRules } from "../lib/accounts";
+import { resolveEnrichment, getEnrichmentProviders } from "../lib/enrichment";
+import {
+  resolveSequences,
+  findSequence,
+  createSequence,
+  updateSequence,
+  addSequenceStep,
+  updateSequenceStep,
+  removeSequenceStep,
+} from "../lib/sequences";
 import ConfirmModal from "../components/ConfirmModal";
+import SequenceFlowBuilder from "../components/SequenceFlowBuilder";
+import { followupsFlowIssue } from "../lib/sequenceFlow";
+import SequencePublishModal from "../components/SequencePublishModal";
+import SequenceHistoryModal from "../components/SequenceHistoryModal";
+import StepVariantsPanel from "../components/StepVariantsPanel";
+import ScheduleSimulatorSection from "../components/ScheduleSimulatorSection";
+import { hasVariants, startVariantTest, promotedVariant, variantName } from "../lib/abTests";
+import { latestVersion, hasUnpublishedChanges } from "../lib/sequenceVersions";
 import RulebookSection from "../components/RulebookSection";
 import DeveloperModeSection from "../components/DeveloperModeSection";
 
@@ -65,6 +100,15 @@ export default function Settings({ showToast }) {
   const [editingTemplate, setEditingTemplate] = useState(null);
   const [saving, setSaving] = useState(false);
   const [newFollowup, setNewFollowup] = useState({ name: "", delayDays: 3 });
+  // Sequence being edited in the Email Sequences section
+  const [activeSequenceId, setActiveSequenceId] = useState(null);
+  const [newSequence, setNewSequence] = useState(null); // { name, copyFromId } while creating
+  const [expandedConditionsId, setExpandedConditionsId] = useState(null);
+  const [expandedVariantsId, setExpandedVariantsId] = useState(null);
+  const [showFlowBuilder, setShowFlowBuilder] = useState(false);
+  const [savingFlow, setSavingFlow] = useState(false);
+  const [showPublishModal, setShowPublishModal] = useState(false);
+  const [showVersionHistory, setShowVersionHistory] = useState(false);
   const [newPauseDate, setNewPauseDate] = useState("");
   const formRef = useRef(null);
 
@@ -124,12 +168,42 @@ export default function Settings({ showToast }) {
         icon: Mail,
         category: "Automation",
       },
+      {
+        id: "simulator",
+        label: "Schedule Simulator",
+        icon: CalendarClock,
+        category: "Automation",
+      },
       {
         id: "templates",
         label: "Email Templates",
         icon: Send,
         category: "Automation",
       },
+      {
+        id: "scoring",
+        label: "Lead Scoring",
+        icon: Flame,
+        category: "Automation",
+      },
+      {
+        id: "team",
+        label: "Team & Owners",
+        icon: Users,
+        category: "Leads",
+      },
+      {
+        id: "custom-fields",
+        label: "Custom Fields",
+        icon: Database,
+        category: "Leads",
+      },
+      {
+        id: "enrichment",
+        label: "Lead Enrichment",
+        icon: Sparkles,
+        category: "Leads",
+      },
       {
         id: "reports",
         label: "Weekly Reports",
@@ -250,6 +324,174 @@ export default function Settings({ showToast }) {
     }
   }, [localSettings?.businessHours, updateSettingsMutation, showToast]);
 
+  // Merge one scoring value into local settings, filling in defaults
+  const updateScoring = useCallback((group, key, value) => {
+    setLocalSettings((prev) => {
+      const scoring = resolveScoring(prev);
+      return {
+        ...prev,
+        scoring: { ...scoring, [group]: { ...scoring[group], [key]: value } },
+      };
+    });
+  }, []);
+
+  const handleSaveScoring = useCallback(async () => {
+    const scoring = resolveScoring(localSettings);
+    const { hot, warm, cold } = scoring.tiers;
+    if (!(hot > warm && warm > cold && cold >= 1)) {
+      showToast?.("Tier thresholds must be Hot > Warm > Cold ≥ 1", "error");
+      return;
+    }
+    setSaving(true);
+    try {
+      await updateSettingsMutation.mutateAsync({ scoring });
+      showToast?.("Scoring rules saved! Scores are recalculated shortly.", "success");
+    } catch (error) {
+      showToast?.("Failed to save: " + error.message, "error");
+    } finally {
+      setSaving(false);
+    }
+  }, [localSettings, updateSettingsMutation, showToast]);
+
+  // Replies pause the lead's followups unless this is switched off - saved on toggle
+  const pauseOnReply = localSettings?.replyHandling?.pauseFollowups !== false;
+  const handleTogglePauseOnReply = useCallback(async () => {
+    const replyHandling = { pauseFollowups: !pauseOnReply };
+    setLocalSettings((prev) => ({ ...prev, replyHandling }));
+    try {
+      await updateSettingsMutation.mutateAsync({ replyHandling });
+      showToast?.(
+        replyHandling.pauseFollowups
+          ? "Followups will pause when a lead replies"
+          : "Followups will keep running after replies",
+        "success",
+      );
+    } catch (error) {
+      setLocalSettings((prev) => ({ ...prev, replyHandling: { pauseFollowups: pauseOnReply } }));
+      showToast?.("Failed to save: " + error.message, "error");
+    }
+  }, [pauseOnReply, updateSettingsMutation, showToast]);
+
+  // Account rules stop the rest of a company's contacts - also saved on toggle
+  const accountRules = resolveAccountRules(localSettings);
+  const handleToggleAccountRule = useCallback(async (key) => {
+    const previous = accountRules;
+    const next = { ...accountRules, [key]: !accountRules[key] };
+    setLocalSettings((prev) => ({ ...prev, accountRules: next }));
+    try {
+      await updateSettingsMutation.mutateAsync({ accountRules: next });
+      showToast?.("Account rule saved", "success");
+    } catch (error) {
+      setLocalSettings((prev) => ({ ...prev, accountRules: previous }));
+      showToast?.("Failed to save: " + error.message, "error");
+    }
+  }, [accountRules, updateSettingsMutation, showToast]);
+
+  // Enrichment - which providers run, and whether imports are enriched. Saved on change
+  const enrichment = resolveEnrichment(localSettings);
+  const saveEnrichment = useCallback(async (next) => {
+    const previous = enrichment;
+    setLocalSettings((prev) => ({ ...prev, enrichment: next }));
+    try {
+      await updateSettingsMutation.mutateAsync({ enrichment: next });
+      showToast?.("Enrichment settings saved", "success");
+    } catch (error) {
+      setLocalSettings((prev) => ({ ...prev, enrichment: previous }));
+      showToast?.("Failed to save: " + error.message, "error");
+    }
+  }, [enrichment, updateSettingsMutation, showToast]);
+
+  const handleToggleEnrichmentProvider = (providerId) => {
+    const enabled = enrichment.providers.includes(providerId);
+    // Keep the registry's order so priority doesn't depend on click order
+    const providers = getEnrichmentProviders()
+      .map((p) => p.id)
+      .filter((id) => (id === providerId ? !enabled : enrichment.providers.includes(id)));
+    saveEnrichment({ ...enrichment, providers });
+  };
+
+  // Team members who can own leads
+  const team = resolveTeam(localSettings);
+  const setTeam = useCallback((update) => {
+    setLocalSettings((prev) => ({ ...prev, team: update(resolveTeam(prev)) }));
+  }, []);
+
+  const handleSaveTeam = useCallback(async () => {
+    const members = team.map((m) => ({
+      ...m,
+      name: (m.name || "").trim(),
+      email: (m.email || "").trim(),
+    }));
+    if (members.some((m) => !m.name)) {
+      showToast?.("Every team member needs a name", "error");
+      return;
+    }
+    setSaving(true);
+    try {
+      await updateSettingsMutation.mutateAsync({ team: members });
+      setLocalSettings((prev) => ({ ...prev, team: members }));
+      showToast?.("Team saved!", "success");
+    } catch (error) {
+      showToast?.("Failed to save: " + error.message, "error");
+    } finally {
+      setSaving(false);
+    }
+  }, [team, updateSettingsMutation, showToast]);
+
+  // Custom fields - keys are derived from the label until the field is saved,
+  // then stay fixed so existing lead values and template variables keep working
+  const customFields = resolveCustomFields(localSettings);
+  const setCustomFields = useCallback((update) => {
+    setLocalSettings((prev) => ({
+      ...prev,
+      customFields: update(resolveCustomFields(prev)),
+    }));
+  }, []);
+
+  const updateCustomField = useCallback(
+    (idx, changes) => {
+      setCustomFields((fields) =>
+        fields.map((field, i) => {
+          if (i !== idx) return field;
+          const next = { ...field, ...changes };
+          if (next.isNew && "label" in changes) {
+            next.key = fieldKeyFromLabel(changes.label);
+          }
+          return next;
+        }),
+      );
+    },
+    [setCustomFields],
+  );
+
+  const handleSaveCustomFields = useCallback(async () => {
+    const fields = customFields.map((field) => ({
+      key: field.key,
+      label: field.label.trim(),
+      type: field.type,
+      options:
+        field.type === "picklist"
+          ? (field.options || []).map((o) => o.trim()).filter(Boolean)
+          : [],
+      showInTable: !!field.showInTable,
+    }));
+    const error = validateCustomFields(fields);
+    if (error) {
+      showToast?.(error, "error");
+      return;
+    }
+    setSaving(true);
+    try {
+      await updateSettingsMutation.mutateAsync({ customFields: fields });
+      setLocalSettings((prev) => ({ ...prev, customFields: fields }));
+      showToast?.("Custom fields saved!", "success");
+    } catch (error) {
+      showToast?.("Failed to save: " + error.message, "error");
+    } finally {
+      setSaving(false);
+    }
+  }, [customFields, updateSettingsMutation, showToast]);
+
   const handleSaveReporting = useCallback(
     async (reportSettings) => {
       setSaving(true);
@@ -326,11 +568,161 @@ export default function Settings({ showToast }) {
     [queryClient, showToast],
   );
 
+  // --- Sequences ---
+  // The Default sequence goes through the followup endpoints; named ones are saved in settings.sequences
+  const sequences = useMemo(() => resolveSequences(localSettings), [localSettings]);
+  const activeSequence = findSequence(sequences, activeSequenceId);
+
+  // Edits change the working copy; leads only see them once published as a version
+  const { data: versionData } = useSequenceVersions(activeSequence.id);
+  const publishVersionMutation = usePublishSequenceVersion();
+  const sequenceVersions = versionData?.versions || [];
+  const publishedVersion = latestVersion(sequenceVersions);
+  const hasUnpublished = !!versionData && hasUnpublishedChanges(activeSequence, sequenceVersions);
+
+  const handlePublishVersion = async (version) => {
+    try {
+      const result = await publishVersionMutation.mutateAsync({
+        sequenceId: activeSequence.id,
+        ...version,
+      });
+      const number = result?.version?.version ?? (publishedVersion?.version || 0) + 1;
+      showToast?.(
+        `Published ${activeSequence.name} v${number}` +
+          (result?.migrated ? ` - ${result.migrated} in-flight leads updated` : ""),
+        "success",
+      );
+      setShowPublishModal(false);
+    } catch (error) {
+      showToast?.("Failed to publish: " + error.message, "error");
+    }
+  };
+
+  const saveSequences = useCallback(async (next, successMessage) => {
+    const previous = localSettings?.sequences;
+    setLocalSettings((prev) => ({ ...prev, sequences: next }));
+    try {
+      await updateSettingsMutation.mutateAsync({ sequences: next });
+      if (successMessage) showToast?.(successMessage, "success");
+      return true;
+    } catch (error) {
+      setLocalSettings((prev) => ({ ...prev, sequences: previous }));
+      showToast?.("Failed to save sequence: " + error.message, "error");
+      return false;
+    }
+  }, [localSettings?.sequences, updateSettingsMutation, showToast]);
+
+  const handleCreateSequence = async () => {
+    const name = newSequence?.name.trim();
+    if (!name) {
+      showToast?.("Please enter a sequence name", "warning");
+      return;
+    }
+    if (sequences.some((s) => s.name.toLowerCase() === name.toLowerCase())) {
+      showToast?.(`A sequence named "${name}" already exists`, "warning");
+      return;
+    }
+    const copyFrom = sequences.find((s) => s.id === newSequence.copyFromId);
+    const created = createSequence(name, copyFrom);
+    if (await saveSequences([...(localSettings?.sequences || []), created], `Sequence "${name}" created`)) {
+      setActiveSequenceId(created.id);
+      setNewSequence(null);
+    }
+  };
+
+  const handleRenameSequence = async (name) => {
+    const trimmed = name.trim();
+    if (!trimmed || trimmed === activeSequence.name) return;
+    if (activeSequence.isDefault) {
+      setLocalSettings((prev) => ({ ...prev, defaultSequenceName: trimmed }));
+      try {
+        await updateSettingsMutation.mutateAsync({ defaultSequenceName: trimmed });
+      } catch (error) {
+        setLocalSettings((prev) => ({ ...prev, defaultSequenceName: activeSequence.name }));
+        showToast?.("Failed to rename: " + error.message, "error");
+      }
+      return;
+    }
+    saveSequences(updateSequence(localSettings?.sequences || [], activeSequence.id, { name: trimmed }));
+  };
+
+  const handleDeleteSequence = () => {
+    const sequence = activeSequence;
+    setConfirmModal({
+      isOpen: true,
+      title: "Delete Sequence",
+      message: `Delete "${sequence.name}"? Leads on it will continue on the ${sequences[0].name} sequence.`,
+      onConfirm: async () => {
+        const next = (localSettings?.sequences || []).filter((s) => s.id !== sequence.id);
+        if (await saveSequences(next, `Sequence "${sequence.name}" deleted`)) {
+          setActiveSequenceId(null);
+        }
+      },
+      variant: "danger",
+    });
+  };
+
+  // flow null switches the sequence back to its linear steps
+  const saveSequenceFlow = async (flow, successMessage) => {
+    if (!activeSequence.isDefault) {
+      return saveSequences(
+        updateSequence(localSettings?.sequences || [], activeSequence.id, { flow }),
+        successMessage,
+      );
+    }
+    const previous = localSettings?.defaultSequenceFlow || null;
+    setLocalSettings((prev) => ({ ...prev, defaultSequenceFlow: flow }));
+    try {
+      await updateSettingsMutation.mutateAsync({ defaultSequenceFlow: flow });
+      showToast?.(successMessage, "success");
+      return true;
+    } catch (error) {
+      setLocalSettings((prev) => ({ ...prev, defaultSequenceFlow: previous }));
+      showToast?.("Failed to save flow: " + error.message, "error");
+      return false;
+    }
+  };
+
+  const handleSaveFlow = async (flow) => {
+    setSavingFlow(true);
+    if (await saveSequenceFlow(flow, `Flow saved for "${activeSequence.name}"`)) {
+      setShowFlowBuilder(false);
+    }
+    setSavingFlow(false);
+  };
+
+  // Steps the flow can't express are refused rather than converted into a different sequence
+  const handleOpenFlowBuilder = () => {
+    const issue = !activeSequence.flow && followupsFlowIssue(activeSequence.followups);
+    if (issue) {
+      showToast?.(`Can't convert to a flow: ${issue}`, "warning");
+      return;
+    }
+    setShowFlowBuilder(true);
+  };
+
+  const handleRemoveFlow = () => {
+    setConfirmModal({
+      isOpen: true,
+      title: "Use Simple Steps",
+      message: `Remove the branching flow from "${activeSequence.name}"? It will run its step list again.`,
+      onConfirm: () => saveSequenceFlow(null, "Switched back to simple steps"),
+      variant: "warning",
+    });
+  };
+
   const handleAddFollowup = useCallback(async () => {
     if (!newFollowup.name || !newFollowup.delayDays) {
       showToast?.("Please enter name and delay", "warning");
       return;
     }
+    if (!activeSequence.isDefault) {
+      const next = addSequenceStep(localSettings?.sequences || [], activeSequence.id, newFollowup);
+      if (await saveSequences(next, "Followup added!")) {
+        setNewFollowup({ name: "", delayDays: 3 });
+      }
+      return;
+    }
     try {
       const result = await addFollowup(newFollowup);
       setLocalSettings((prev) => ({ ...prev, followups: result.followups }));
@@ -340,10 +732,14 @@ export default function Settings({ showToast }) {
     } catch (error) {
       showToast?.("Failed: " + error.message, "error");
     }
-  }, [newFollowup, queryClient, showToast]);
+  }, [newFollowup, activeSequence, localSettings?.sequences, saveSequences, queryClient, showToast]);
 
   const handleUpdateFollowup = useCallback(
     async (id, updates) => {
+      if (!activeSequence.isDefault) {
+        saveSequences(updateSequenceStep(localSettings?.sequences || [], activeSequence.id, id, updates));
+        return;
+      }
       try {
         const result = await updateFollowup(id, updates);
         setLocalSettings((prev) => ({ ...prev, followups: result.followups }));
@@ -352,7 +748,7 @@ export default function Settings({ showToast }) {
         showToast?.("Failed: " + error.message, "error");
       }
     },
-    [queryClient, showToast],
+    [activeSequence, localSettings?.sequences, saveSequences, queryClient, showToast],
   );
 
   const handleDeleteFollowup = useCallback(
@@ -362,6 +758,13 @@ export default function Settings({ showToast }) {
         title: "Delete Followup",
         message: "Are you sure you want to delete this followup step?",
         onConfirm: async () => {
+          if (!activeSequence.isDefault) {
+            await saveSequences(
+              removeSequenceStep(localSettings?.sequences || [], activeSequence.id, id),
+              "Followup deleted",
+            );
+            return;
+          }
           try {
             const result = await deleteFollowup(id);
             setLocalSettings((prev) => ({
@@ -379,7 +782,7 @@ export default function Settings({ showToast }) {
         variant: "danger",
       });
     },
-    [queryClient, showToast],
+    [activeSequence, localSettings?.sequences, saveSequences, queryClient, showToast],
   );
 
   const handleSaveTemplate = useCallback(
@@ -1033,7 +1436,7 @@ export default function Settings({ showToast }) {
                 </div>
                 <select
                   className="settings-select"
-                  value={localSettings?.businessHours?.startHour || 8}
+                  value={localSettings?.businessHours?.startHour ?? 8}
                   onChange={(e) =>
                     setLocalSettings((prev) => ({
                       ...prev,
@@ -1061,7 +1464,7 @@ export default function Settings({ showToast }) {
                 </div>
                 <select
                   className="settings-select"
-                  value={localSettings?.businessHours?.endHour || 22}
+                  value={localSettings?.businessHours?.endHour ?? 22}
                   onChange={(e) =>
                     setLocalSettings((prev) => ({
                       ...prev,
@@ -1699,10 +2102,265 @@ export default function Settings({ showToast }) {
               </div>
             </div>
             <p className="settings-section-desc">
-              Configure your email automation sequence. Each step represents an
-              email in the followup chain.
+              Configure your email automation sequences. Each step represents an
+              email in the followup chain. Leads run the sequence they are
+              assigned at import, in bulk or from the lead page, and the{" "}
+              {sequences[0].name} sequence otherwise.
             </p>
 
+            <div className="settings-group">
+              <div className="settings-row">
+                <div>
+                  <div className="settings-row-label">
+                    Pause Followups on Reply
+                  </div>
+                  <div className="settings-row-desc">
+                    A reply marks the lead as Replied and pauses its remaining
+                    followups. Resume them from the lead page.
+                  </div>
+                </div>
+                <button
+                  className={`toggle-btn ${pauseOnReply ? "on" : "off"}`}
+                  onClick={handleTogglePauseOnReply}
+                />
+              </div>
+              <div className="settings-row">
+                <div>
+                  <div className="settings-row-label">
+                    Stop Account on Conversion
+                  </div>
+                  <div className="settings-row-desc">
+                    When one contact converts, stop emailing everyone else at
+                    the same company
+                  </div>
+                </div>
+                <button
+                  className={`toggle-btn ${accountRules.stopOnConvert ? "on" : "off"}`}
+                  onClick={() => handleToggleAccountRule("stopOnConvert")}
+                />
+              </div>
+              <div className="settings-row">
+                <div>
+                  <div className="settings-row-label">Stop Account on Reply</div>
+                  <div className="settings-row-desc">
+                    When one contact replies, pause followups for everyone else
+                    at the same company
+                  </div>
+                </div>
+                <button
+                  className={`toggle-btn ${accountRules.stopOnReply ? "on" : "off"}`}
+                  onClick={() => handleToggleAccountRule("stopOnReply")}
+                />
+              </div>
+            </div>
+
+            {/* Sequence picker */}
+            <div
+              style={{
+                display: "flex",
+                gap: "8px",
+                flexWrap: "wrap",
+                alignItems: "center",
+                margin: "1.5rem 0 1rem",
+              }}
+            >
+              {sequences.map((sequence) => (
+                <button
+                  key={sequence.id}
+                  className={`day-toggle ${sequence.id === activeSequence.id ? "active" : ""}`}
+                  onClick={() => {
+                    setActiveSequenceId(sequence.id);
+                    setExpandedConditionsId(null);
+                  }}
+                >
+                  {sequence.name}
+                  <span style={{ marginLeft: "6px", opacity: 0.7, fontSize: "0.8rem" }}>
+                    {sequence.followups.length}
+                  </span>
+                </button>
+              ))}
+              {!newSequence && (
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => setNewSequence({ name: "", copyFromId: "" })}
+                  style={{ width: "auto" }}
+                >
+                  <Plus size={16} /> New Sequence
+                </button>
+              )}
+            </div>
+
+            {newSequence && (
+              <div className="add-step-row" style={{ marginTop: 0, marginBottom: "1rem" }}>
+                <Plus size={20} color="#22c55e" />
+                <input
+                  type="text"
+                  autoFocus
+                  placeholder="Sequence name, e.g. SMB 3-step"
+                  value={newSequence.name}
+                  onChange={(e) =>
+                    setNewSequence((prev) => ({ ...prev, name: e.target.value }))
+                  }
+                  onKeyDown={(e) => e.key === "Enter" && handleCreateSequence()}
+                  style={{
+                    flex: 1,
+                    background: "transparent",
+                    border: "1px solid var(--border-color)",
+                    borderRadius: "8px",
+                    padding: "10px 14px",
+                    color: "var(--text-primary)",
+                  }}
+                />
+                <select
+                  value={newSequence.copyFromId}
+                  onChange={(e) =>
+                    setNewSequence((prev) => ({ ...prev, copyFromId: e.target.value }))
+                  }
+                  className="settings-select"
+                >
+                  <option value="">Start empty</option>
+                  {sequences.map((sequence) => (
+                    <option key={sequence.id} value={sequence.id}>
+                      Copy steps from {sequence.name}
+                    </option>
+                  ))}
+                </select>
+                <button className="btn btn-primary" onClick={handleCreateSequence}>
+                  Create
+                </button>
+                <button className="btn btn-secondary" onClick={() => setNewSequence(null)}>
+                  Cancel
+                </button>
+              </div>
+            )}
+
+            <div className="settings-group">
+              <div className="settings-row">
+                <div>
+                  <div className="settings-row-label">Sequence Name</div>
+                  <div className="settings-row-desc">
+                    {activeSequence.isDefault
+                      ? "Used by every lead that isn't assigned another sequence"
+                      : "Shown when assigning leads to this sequence"}
+                  </div>
+                </div>
+                <div style={{ display: "flex", gap: "8px", alignItems: "center" }}>
+                  <input
+                    key={activeSequence.id}
+                    type="text"
+                    className="settings-input"
+                    defaultValue={activeSequence.name}
+                    onBlur={(e) => handleRenameSequence(e.target.value)}
+                    onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                  />
+                  {!activeSequence.isDefault && (
+                    <button
+                      onClick={handleDeleteSequence}
+                      title="Delete Sequence"
+                      style={{
+                        background: "rgba(239, 68, 68, 0.1)",
+                        border: "none",
+                        borderRadius: "8px",
+                        padding: "8px",
+                        cursor: "pointer",
+                        color: "#ef4444",
+                        display: "flex",
+                      }}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </div>
+              </div>
+              <div className="settings-row">
+                <div>
+                  <div className="settings-row-label">
+                    Version
+                    {hasUnpublished && (
+                      <span
+                        className="status-badge"
+                        style={{
+                          marginLeft: "8px",
+                          fontSize: "0.7rem",
+                          background: "rgba(245, 158, 11, 0.15)",
+                          color: "#f59e0b",
+                        }}
+                      >
+                        Unpublished changes
+                      </span>
+                    )}
+                  </div>
+                  <div className="settings-row-desc">
+                    {!versionData
+                      ? "Loading versions..."
+                      : publishedVersion
+                        ? `v${publishedVersion.version} published ${new Date(publishedVersion.publishedAt).toLocaleDateString()}. ` +
+                          (hasUnpublished
+                            ? "Leads keep running it until you publish your edits."
+                            : "Your edits are all published.")
+                        : "Not published yet. Publish to start versioning this sequence."}
+                  </div>
+                </div>
+                <div style={{ display: "flex", gap: "8px" }}>
+                  {sequenceVersions.length > 0 && (
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => setShowVersionHistory(true)}
+                    >
+                      <History size={16} /> History
+                    </button>
+                  )}
+                  <button
+                    className="btn btn-primary"
+                    onClick={() => setShowPublishModal(true)}
+                    disabled={!hasUnpublished}
+                  >
+                    <Upload size={16} /> Publish v{(publishedVersion?.version || 0) + 1}
+                  </button>
+                </div>
+              </div>
+              <div className="settings-row">
+                <div>
+                  <div className="settings-row-label">Branching Flow</div>
+                  <div className="settings-row-desc">
+                    {activeSequence.flow
+                      ? "This sequence runs a flow where opens and clicks lead to different next steps"
+                      : "Send different followups depending on whether earlier emails were opened or clicked"}
+                  </div>
+                </div>
+                <div style={{ display: "flex", gap: "8px" }}>
+                  {activeSequence.flow && (
+                    <button className="btn btn-secondary" onClick={handleRemoveFlow}>
+                      Use Simple Steps
+                    </button>
+                  )}
+                  <button className="btn btn-primary" onClick={handleOpenFlowBuilder}>
+                    <GitBranch size={16} />{" "}
+                    {activeSequence.flow ? "Edit Flow" : "Open Flow Builder"}
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            {activeSequence.flow ? (
+              <div
+                style={{
+                  padding: "1rem 1.25rem",
+                  background: "var(--bg-glass)",
+                  border: "1px solid var(--border-color)",
+                  borderRadius: "10px",
+                  fontSize: "0.9rem",
+                  color: "var(--text-secondary)",
+                }}
+              >
+                {activeSequence.flow.nodes.filter((n) => n.type === "email").length}{" "}
+                emails across{" "}
+                {activeSequence.flow.edges.filter((e) => e.condition !== "always").length}{" "}
+                conditional branches. The step list below is kept for when you
+                switch back to simple steps.
+              </div>
+            ) : null}
+
             {/* Headers */}
             <div
               style={{
@@ -1725,18 +2383,18 @@ export default function Settings({ showToast }) {
               <span></span>
             </div>
 
-            {localSettings?.followups
-              ?.sort((a, b) => a.order - b.order)
-              .map((followup, index) => (
+            {activeSequence.followups.map((followup, index) => (
                 <div key={followup.id} style={{ marginBottom: "0.75rem" }}>
                   {/* Main Row */}
                   <div
                     className="sequence-step"
                     style={{
                       marginBottom: 0,
-                      borderRadius: followup._showConditions
-                        ? "10px 10px 0 0"
-                        : "10px",
+                      borderRadius:
+                        expandedConditionsId === followup.id ||
+                        expandedVariantsId === followup.id
+                          ? "10px 10px 0 0"
+                          : "10px",
                     }}
                   >
                     <GripVertical
@@ -1763,23 +2421,62 @@ export default function Settings({ showToast }) {
                         outline: "none",
                       }}
                     />
-                    <select
-                      value={followup.templateId || ""}
-                      onChange={(e) =>
-                        handleUpdateFollowup(followup.id, {
-                          templateId: e.target.value,
-                        })
-                      }
-                      className="settings-select"
-                      style={{ minWidth: "unset" }}
-                    >
-                      <option value="">Default Template</option>
-                      {templates.map((t) => (
-                        <option key={t.id} value={t.id}>
-                          {t.name}
-                        </option>
-                      ))}
-                    </select>
+                    {hasVariants(followup) ? (
+                      <button
+                        onClick={() => {
+                          setExpandedConditionsId(null);
+                          setExpandedVariantsId((prev) =>
+                            prev === followup.id ? null : followup.id,
+                          );
+                        }}
+                        className="btn btn-secondary"
+                        style={{ justifyContent: "center", color: "#06b6d4" }}
+                      >
+                        <FlaskConical size={16} />
+                        {promotedVariant(followup)
+                          ? `${variantName(promotedVariant(followup))} won`
+                          : `A/B test · ${followup.variants.length} variants`}
+                      </button>
+                    ) : (
+                      <div style={{ display: "flex", gap: "6px" }}>
+                        <select
+                          value={followup.templateId || ""}
+                          onChange={(e) =>
+                            handleUpdateFollowup(followup.id, {
+                              templateId: e.target.value,
+                            })
+                          }
+                          className="settings-select"
+                          style={{ minWidth: "unset", flex: 1 }}
+                        >
+                          <option value="">Default Template</option>
+                          {templates.map((t) => (
+                            <option key={t.id} value={t.id}>
+                              {t.name}
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => {
+                            handleUpdateFollowup(followup.id, startVariantTest(followup));
+                            setExpandedConditionsId(null);
+                            setExpandedVariantsId(followup.id);
+                          }}
+                          title="A/B test this step"
+                          style={{
+                            background: "rgba(6, 182, 212, 0.1)",
+                            border: "none",
+                            borderRadius: "8px",
+                            padding: "8px",
+                            cursor: "pointer",
+                            color: "#06b6d4",
+                            display: "flex",
+                          }}
+                        >
+                          <FlaskConical size={16} />
+                        </button>
+                      </div>
+                    )}
                     <select
                       value={followup.delayDays}
                       onChange={(e) =>
@@ -1812,19 +2509,10 @@ export default function Settings({ showToast }) {
                         <>
                           <button
                             onClick={() => {
-                              const updatedFollowups = settings.followups.map(
-                                (f) =>
-                                  f.id === followup.id
-                                    ? {
-                                        ...f,
-                                        _showConditions: !f._showConditions,
-                                      }
-                                    : f,
+                              setExpandedVariantsId(null);
+                              setExpandedConditionsId((prev) =>
+                                prev === followup.id ? null : followup.id,
                               );
-                              setLocalSettings((prev) => ({
-                                ...prev,
-                                followups: updatedFollowups,
-                              }));
                             }}
                             title="Configure Conditions"
                             style={{
@@ -1848,8 +2536,9 @@ export default function Settings({ showToast }) {
                             <ChevronRight
                               size={16}
                               style={{
-                                transform: followup._showConditions
-                                  ? "rotate(90deg)"
+                                transform:
+                                  expandedConditionsId === followup.id
+                                    ? "rotate(90deg)"
                                   : "rotate(0deg)",
                                 transition: "transform 0.2s",
                               }}
@@ -1874,8 +2563,20 @@ export default function Settings({ showToast }) {
                     </div>
                   </div>
 
+                  {/* A/B Test Panel */}
+                  {expandedVariantsId === followup.id &&
+                    hasVariants(followup) && (
+                      <StepVariantsPanel
+                        step={followup}
+                        templates={templates}
+                        onChange={(changes) =>
+                          handleUpdateFollowup(followup.id, changes)
+                        }
+                      />
+                    )}
+
                   {/* Condition Configuration Panel */}
-                  {index > 0 && followup._showConditions && (
+                  {index > 0 && expandedConditionsId === followup.id && (
                     <div
                       style={{
                         background: "rgba(139, 92, 246, 0.05)",
@@ -1957,8 +2658,8 @@ export default function Settings({ showToast }) {
                           }
                         >
                           <option value="previous">Previous Step</option>
-                          {localSettings?.followups
-                            ?.filter((f, i) => i < index)
+                          {activeSequence.followups
+                            .filter((f, i) => i < index)
                             .map((f) => (
                               <option key={f.name} value={f.name}>
                                 {f.name}
@@ -2116,6 +2817,38 @@ export default function Settings({ showToast }) {
                 <Plus size={16} /> Add Step
               </button>
             </div>
+
+            {showPublishModal && (
+              <SequencePublishModal
+                sequence={activeSequence}
+                versions={sequenceVersions}
+                inFlight={versionData?.inFlight}
+                templates={templates}
+                publishing={publishVersionMutation.isPending}
+                onPublish={handlePublishVersion}
+                onClose={() => setShowPublishModal(false)}
+              />
+            )}
+
+            {showVersionHistory && (
+              <SequenceHistoryModal
+                sequence={activeSequence}
+                versions={sequenceVersions}
+                templates={templates}
+                onClose={() => setShowVersionHistory(false)}
+              />
+            )}
+
+            {showFlowBuilder && (
+              <SequenceFlowBuilder
+                key={activeSequence.id}
+                sequence={activeSequence}
+                templates={templates}
+                saving={savingFlow}
+                onSave={handleSaveFlow}
+                onClose={() => setShowFlowBuilder(false)}
+              />
+            )}
           </>
         )}
 
@@ -2322,6 +3055,9 @@ export default function Settings({ showToast }) {
                     "{{email}}",
                     "{{city}}",
                     "{{country}}",
+                    ...customFields
+                      .filter((f) => !f.isNew)
+                      .map((f) => `{{${f.key}}}`),
                   ].map((v) => (
                     <button
                       key={v}
@@ -2429,6 +3165,475 @@ export default function Settings({ showToast }) {
           </>
         )}
 
+        {/* Lead Scoring */}
+        {activeSection === "scoring" && (() => {
+          const scoring = resolveScoring(localSettings);
+          return (
+            <>
+              <div className="settings-section-header">
+                <div
+                  className="settings-section-icon"
+                  style={{ background: "rgba(249, 115, 22, 0.1)" }}
+                >
+                  <Flame size={24} color="#f97316" />
+                </div>
+                <div>
+                  <h3 className="settings-section-title">Lead Scoring</h3>
+                </div>
+              </div>
+              <p className="settings-section-desc">
+                Decide how engagement turns into a lead score and where the
+                hot, warm and cold tiers start. Each lead's page shows how its
+                score was reached.
+              </p>
+
+              <div className="settings-group">
+                <div className="settings-group-title">Points per Event</div>
+                {SCORING_EVENTS.map((type) => (
+                  <div key={type.key} className="settings-row">
+                    <div>
+                      <div className="settings-row-label">{type.label}</div>
+                      <div className="settings-row-desc">
+                        Points added (or removed) for each {type.label.toLowerCase()}
+                      </div>
+                    </div>
+                    <input
+                      type="number"
+                      className="settings-input"
+                      style={{
+                        width: "100px",
+                        color:
+                          scoring.points[type.key] > 0
+                            ? "#22c55e"
+                            : scoring.points[type.key] < 0
+                              ? "#ef4444"
+                              : "inherit",
+                      }}
+                      value={scoring.points[type.key]}
+                      onChange={(e) =>
+                        updateScoring("points", type.key, parseInt(e.target.value) || 0)
+                      }
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div className="settings-group">
+                <div className="settings-group-title">Decay</div>
+                <div className="settings-row">
+                  <div>
+                    <div className="settings-row-label">Decay Over Time</div>
+                    <div className="settings-row-desc">
+                      Older engagement counts for less. Penalties never decay.
+                    </div>
+                  </div>
+                  <button
+                    className={`toggle-btn ${scoring.decay.enabled ? "on" : "off"}`}
+                    onClick={() =>
+                      updateScoring("decay", "enabled", !scoring.decay.enabled)
+                    }
+                  />
+                </div>
+                {scoring.decay.enabled && (
+                  <div className="settings-row">
+                    <div>
+                      <div className="settings-row-label">Half-Life</div>
+                      <div className="settings-row-desc">
+                        Points lose half their value after this long
+                      </div>
+                    </div>
+                    <select
+                      className="settings-select"
+                      value={scoring.decay.halfLifeDays}
+                      onChange={(e) =>
+                        updateScoring("decay", "halfLifeDays", parseInt(e.target.value))
+                      }
+                    >
+                      {[7, 14, 30, 60, 90, 180].map((n) => (
+                        <option key={n} value={n}>
+                          {n} days
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
+
+              <div className="settings-group">
+                <div className="settings-group-title">Tier Thresholds</div>
+                {["hot", "warm", "cold"].map((tier) => (
+                  <div key={tier} className="settings-row">
+                    <div>
+                      <div className="settings-row-label">
+                        {SCORE_TIERS[tier].icon} {SCORE_TIERS[tier].label}
+                      </div>
+                      <div className="settings-row-desc">
+                        Minimum score for a {SCORE_TIERS[tier].label.toLowerCase()} lead
+                      </div>
+                    </div>
+                    <input
+                      type="number"
+                      min="1"
+                      className="settings-input"
+                      style={{ width: "100px" }}
+                      value={scoring.tiers[tier]}
+                      onChange={(e) =>
+                        updateScoring("tiers", tier, parseInt(e.target.value) || 0)
+                      }
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <button
+                className="btn btn-primary"
+                onClick={handleSaveScoring}
+                disabled={saving}
+              >
+                <Save size={16} /> {saving ? "Saving..." : "Save Changes"}
+              </button>
+            </>
+          );
+        })()}
+
+        {/* Team & Owners */}
+        {activeSection === "team" && (
+          <>
+            <div className="settings-section-header">
+              <div
+                className="settings-section-icon"
+                style={{ background: "rgba(59, 130, 246, 0.1)" }}
+              >
+                <Users size={24} color="#3b82f6" />
+              </div>
+              <div>
+                <h3 className="settings-section-title">Team & Owners</h3>
+              </div>
+            </div>
+            <p className="settings-section-desc">
+              People who can own leads. Each person picks their name at the
+              bottom of the sidebar to use the "My leads" filters.
+            </p>
+
+            <div className="settings-group">
+              <div className="settings-group-title">Team Members</div>
+              {team.length === 0 && (
+                <p
+                  style={{
+                    color: "var(--text-muted)",
+                    fontSize: "0.85rem",
+                    padding: "0.5rem 0",
+                  }}
+                >
+                  No team members yet.
+                </p>
+              )}
+              {team.map((member) => (
+                <div
+                  key={member.id}
+                  className="settings-row"
+                  style={{ gap: "10px" }}
+                >
+                  <input
+                    type="text"
+                    className="settings-input"
+                    placeholder="Name"
+                    value={member.name}
+                    onChange={(e) =>
+                      setTeam((members) =>
+                        members.map((m) =>
+                          m.id === member.id
+                            ? { ...m, name: e.target.value }
+                            : m,
+                        ),
+                      )
+                    }
+                    style={{ flex: 1 }}
+                  />
+                  <input
+                    type="email"
+                    className="settings-input"
+                    placeholder="Email (optional)"
+                    value={member.email || ""}
+                    onChange={(e) =>
+                      setTeam((members) =>
+                        members.map((m) =>
+                          m.id === member.id
+                            ? { ...m, email: e.target.value }
+                            : m,
+                        ),
+                      )
+                    }
+                    style={{ flex: 1 }}
+                  />
+                  <button
+                    onClick={() =>
+                      setTeam((members) =>
+                        members.filter((m) => m.id !== member.id),
+                      )
+                    }
+                    title="Remove member"
+                    style={{
+                      background: "rgba(239, 68, 68, 0.1)",
+                      border: "none",
+                      borderRadius: "8px",
+                      padding: "8px",
+                      cursor: "pointer",
+                      color: "#ef4444",
+                      display: "flex",
+                    }}
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
+              <button
+                className="btn btn-secondary"
+                style={{ marginTop: "12px" }}
+                onClick={() =>
+                  setTeam((members) => [
+                    ...members,
+                    { id: crypto.randomUUID(), name: "", email: "" },
+                  ])
+                }
+              >
+                <Plus size={16} /> Add Member
+              </button>
+            </div>
+
+            <button
+              className="btn btn-primary"
+              onClick={handleSaveTeam}
+              disabled={saving}
+            >
+              <Save size={16} /> {saving ? "Saving..." : "Save Changes"}
+            </button>
+          </>
+        )}
+
+        {/* Lead Enrichment */}
+        {activeSection === "enrichment" && (
+          <>
+            <div className="settings-section-header">
+              <div
+                className="settings-section-icon"
+                style={{ background: "rgba(168, 85, 247, 0.1)" }}
+              >
+                <Sparkles size={24} color="#a855f7" />
+              </div>
+              <div>
+                <h3 className="settings-section-title">Lead Enrichment</h3>
+              </div>
+            </div>
+            <p className="settings-section-desc">
+              Fill in company, country and timezone and tidy up names. Only
+              empty fields are filled - values someone typed in are kept.
+              Run it on a single lead from its profile.
+            </p>
+
+            <div className="settings-group">
+              <div className="settings-group-title">Imports</div>
+              <div className="settings-row">
+                <div>
+                  <div className="settings-row-label">Enrich on Import</div>
+                  <div className="settings-row-desc">
+                    Enrich uploaded leads before they are sent. Can be turned
+                    off for a single import on the review step
+                  </div>
+                </div>
+                <button
+                  className={`toggle-btn ${enrichment.onImport ? "on" : "off"}`}
+                  onClick={() =>
+                    saveEnrichment({ ...enrichment, onImport: !enrichment.onImport })
+                  }
+                />
+              </div>
+            </div>
+
+            <div className="settings-group">
+              <div className="settings-group-title">Providers</div>
+              <p
+                style={{
+                  color: "var(--text-muted)",
+                  fontSize: "0.85rem",
+                  padding: "0 0 0.5rem",
+                }}
+              >
+                Providers run in this order - the first one to return a field
+                wins.
+              </p>
+              {getEnrichmentProviders().map((provider) => (
+                <div key={provider.id} className="settings-row">
+                  <div>
+                    <div className="settings-row-label">{provider.label}</div>
+                    <div className="settings-row-desc">
+                      {provider.description}
+                    </div>
+                  </div>
+                  <button
+                    className={`toggle-btn ${enrichment.providers.includes(provider.id) ? "on" : "off"}`}
+                    onClick={() => handleToggleEnrichmentProvider(provider.id)}
+                  />
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        {/* Custom Fields */}
+        {activeSection === "custom-fields" && (
+          <>
+            <div className="settings-section-header">
+              <div
+                className="settings-section-icon"
+                style={{ background: "rgba(20, 184, 166, 0.1)" }}
+              >
+                <Database size={24} color="#14b8a6" />
+              </div>
+              <div>
+                <h3 className="settings-section-title">Custom Fields</h3>
+              </div>
+            </div>
+            <p className="settings-section-desc">
+              Extra lead fields for your own data. They appear in the lead
+              profile, the import mapping, lead filters and export, and in
+              templates as {"{{key}}"} variables.
+            </p>
+
+            <div className="settings-group">
+              <div className="settings-group-title">Fields</div>
+              {customFields.length === 0 && (
+                <p
+                  style={{
+                    color: "var(--text-muted)",
+                    fontSize: "0.85rem",
+                    padding: "0.5rem 0",
+                  }}
+                >
+                  No custom fields yet.
+                </p>
+              )}
+              {customFields.map((field, idx) => (
+                <div
+                  key={field.isNew ? `new-${idx}` : field.key}
+                  className="settings-row"
+                  style={{ flexWrap: "wrap", gap: "10px" }}
+                >
+                  <div style={{ flex: "1 1 180px" }}>
+                    <input
+                      type="text"
+                      className="settings-input"
+                      placeholder="Label, e.g. Deal Size"
+                      value={field.label}
+                      onChange={(e) =>
+                        updateCustomField(idx, { label: e.target.value })
+                      }
+                      style={{ width: "100%" }}
+                    />
+                    <div
+                      className="settings-row-desc"
+                      style={{ fontFamily: "monospace" }}
+                    >
+                      {field.key ? `{{${field.key}}}` : "—"}
+                    </div>
+                  </div>
+                  <select
+                    className="settings-select"
+                    value={field.type}
+                    onChange={(e) =>
+                      updateCustomField(idx, { type: e.target.value })
+                    }
+                  >
+                    {CUSTOM_FIELD_TYPES.map((type) => (
+                      <option key={type.id} value={type.id}>
+                        {type.label}
+                      </option>
+                    ))}
+                  </select>
+                  {field.type === "picklist" && (
+                    <input
+                      type="text"
+                      className="settings-input"
+                      placeholder="Options, comma separated"
+                      value={(field.options || []).join(",")}
+                      onChange={(e) =>
+                        updateCustomField(idx, {
+                          options: e.target.value.split(","),
+                        })
+                      }
+                      style={{ flex: "1 1 200px" }}
+                    />
+                  )}
+                  <label
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      gap: "6px",
+                      fontSize: "0.85rem",
+                      color: "var(--text-secondary)",
+                    }}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={!!field.showInTable}
+                      onChange={(e) =>
+                        updateCustomField(idx, { showInTable: e.target.checked })
+                      }
+                    />
+                    Leads table column
+                  </label>
+                  <button
+                    onClick={() =>
+                      setCustomFields((fields) =>
+                        fields.filter((_, i) => i !== idx),
+                      )
+                    }
+                    title="Remove field"
+                    style={{
+                      background: "rgba(239, 68, 68, 0.1)",
+                      border: "none",
+                      borderRadius: "8px",
+                      padding: "8px",
+                      cursor: "pointer",
+                      color: "#ef4444",
+                      display: "flex",
+                    }}
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
+              <button
+                className="btn btn-secondary"
+                style={{ marginTop: "12px" }}
+                onClick={() =>
+                  setCustomFields((fields) => [
+                    ...fields,
+                    {
+                      key: "",
+                      label: "",
+                      type: "text",
+                      options: [],
+                      showInTable: false,
+                      isNew: true,
+                    },
+                  ])
+                }
+              >
+                <Plus size={16} /> Add Field
+              </button>
+            </div>
+
+            <button
+              className="btn btn-primary"
+              onClick={handleSaveCustomFields}
+              disabled={saving}
+            >
+              <Save size={16} /> {saving ? "Saving..." : "Save Changes"}
+            </button>
+          </>
+        )}
+
         {/* Weekly Reports */}
         {activeSection === "reports" && (
           <>
@@ -2806,6 +4011,16 @@ export default function Settings({ showToast }) {
           </>
         )}
 
+        {activeSection === "simulator" && (
+          <ScheduleSimulatorSection
+            settings={localSettings}
+            sequences={sequences}
+            templates={templates}
+            pausedDates={pausedDates}
+            weekendDays={weekendDays}
+          />
+        )}
+
         {activeSection === "rulebook" && (
           <RulebookSection showToast={showToast} />
         )}
@@ -0,0 +1,384 @@
+// pages/Suppression.jsx
+// Suppression list - emails and whole domains that are never imported or emailed,
+// including opt-outs collected outside this tool
+import { useState, useMemo, useRef } from 'react';
+import { Ban, RefreshCw, Search, Upload, Trash2, Eye, AlertTriangle, X, Globe, Mail } from 'lucide-react';
+import { useSuppressions, usePreviewSuppressions, useAddSuppressions, useDeleteSuppression } from '../hooks/useApi';
+import {
+  SUPPRESSION_TYPES, EXTERNAL_OPT_OUT, parseSuppressionText, parseSuppressionFile,
+  buildSuppressionIndex, findSuppression, describeSuppression,
+} from '../lib/suppression';
+import ConfirmModal from '../components/ConfirmModal';
+
+// Matched leads listed in the preview before "and N more"
+const MAX_PREVIEW_LEADS = 20;
+
+const SOURCE_LABELS = { manual: 'Manual', csv: 'File upload' };
+
+const actionBtnStyle = (color, bg) => ({
+  background: bg, border: 'none', borderRadius: '6px', padding: '6px 8px',
+  cursor: 'pointer', color, display: 'flex', alignItems: 'center'
+});
+
+export default function Suppression({ showToast }) {
+  const { data: suppressions = [], isLoading, isFetching, refetch } = useSuppressions();
+  const previewMutation = usePreviewSuppressions();
+  const addMutation = useAddSuppressions();
+  const deleteMutation = useDeleteSuppression();
+  const fileInputRef = useRef();
+
+  const [input, setInput] = useState('');
+  const [reason, setReason] = useState(EXTERNAL_OPT_OUT);
+  // { entries, invalid, skipped, source, fileName } waiting for confirmation, with the server's preview
+  const [pending, setPending] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [search, setSearch] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [confirmModal, setConfirmModal] = useState({ isOpen: false });
+
+  const counts = useMemo(() => ({
+    email: suppressions.filter(s => s.type !== 'domain').length,
+    domain: suppressions.filter(s => s.type === 'domain').length,
+  }), [suppressions]);
+
+  const visibleEntries = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return suppressions
+      .filter(s => !typeFilter || s.type === typeFilter)
+      .filter(s => !term || s.value.includes(term) || (s.reason || '').toLowerCase().includes(term))
+      .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+  }, [suppressions, search, typeFilter]);
+
+  // Entries already on the list are dropped so the preview only shows what changes
+  const startPreview = async ({ entries, invalid }, source, fileName) => {
+    const existing = new Set(suppressions.map(s => `${s.type}:${s.value}`));
+    const fresh = entries.filter(e => !existing.has(`${e.type}:${e.value}`));
+    if (fresh.length === 0) {
+      showToast?.(
+        entries.length ? 'Everything here is already suppressed' : 'No valid emails or domains found',
+        'error'
+      );
+      return;
+    }
+
+    const withReason = fresh.map(e => ({ ...e, reason: reason.trim() || EXTERNAL_OPT_OUT, source }));
+    setPending({ entries: withReason, invalid, skipped: entries.length - fresh.length, source, fileName });
+    setPreview(null);
+    try {
+      setPreview(await previewMutation.mutateAsync(withReason));
+    } catch (error) {
+      showToast?.('Failed to preview matching leads: ' + error.message, 'error');
+    }
+  };
+
+  const handlePreviewInput = () => startPreview(parseSuppressionText(input), 'manual');
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      await startPreview(await parseSuppressionFile(file), 'csv', file.name);
+    } catch (error) {
+      showToast?.('Failed to read file: ' + error.message, 'error');
+    }
+  };
+
+  const handleCancel = () => {
+    setPending(null);
+    setPreview(null);
+  };
+
+  const handleConfirm = async () => {
+    try {
+      await addMutation.mutateAsync(pending.entries);
+      const stopped = preview?.total ?? preview?.leads?.length ?? 0;
+      showToast?.(
+        `Suppressed ${pending.entries.length} ${pending.entries.length === 1 ? 'entry' : 'entries'}` +
+          (stopped ? `, stopped ${stopped} existing leads` : ''),
+        'success'
+      );
+      if (pending.source === 'manual') setInput('');
+      handleCancel();
+    } catch (error) {
+      showToast?.('Failed to update suppression list: ' + error.message, 'error');
+    }
+  };
+
+  const handleDelete = (entry) => {
+    setConfirmModal({
+      isOpen: true,
+      title: 'Remove from Suppression List',
+      message: `Remove ${entry.value}? Leads at this ${entry.type === 'domain' ? 'domain' : 'address'} can be imported and emailed again.`,
+      confirmText: 'Remove',
+      variant: 'warning',
+      onConfirm: async () => {
+        try {
+          await deleteMutation.mutateAsync(entry.id);
+        } catch (error) {
+          showToast?.('Failed to remove entry: ' + error.message, 'error');
+        }
+      },
+    });
+  };
+
+  const pendingIndex = useMemo(() => buildSuppressionIndex(pending?.entries), [pending]);
+  const matchedLeads = preview?.leads || [];
+  const matchedTotal = preview?.total ?? matchedLeads.length;
+
+  return (
+    <div>
+      <div className="header">
+        <div>
+          <h2 style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+            <Ban size={26} color="#dc2626" />
+            Suppression List
+          </h2>
+          <p style={{ color: 'var(--text-secondary)', marginTop: '4px' }}>
+            {counts.email} emails and {counts.domain} domains that are never imported or emailed
+          </p>
+        </div>
+        <div className="header-actions">
+          <button className="btn btn-secondary" onClick={() => refetch()} disabled={isFetching}>
+            <RefreshCw size={18} className={isFetching ? 'animate-spin' : ''} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Add entries */}
+      <div className="card" style={{ marginBottom: '1.5rem' }}>
+        <h3 style={{ margin: '0 0 0.5rem', fontSize: '1.1rem' }}>Add to List</h3>
+        <p style={{ margin: '0 0 1rem', color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+          One per line - <code>jane@acme.com</code> blocks an address, <code>acme.com</code> or <code>@acme.com</code> blocks
+          the whole domain and its subdomains. Upload a CSV or Excel export of opt-outs from other tools.
+        </p>
+        <textarea
+          className="input-field"
+          rows={4}
+          placeholder={'jane@acme.com\ncompetitor.com'}
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          disabled={!!pending}
+          style={{ width: '100%', fontFamily: 'monospace', resize: 'vertical', marginBottom: '0.75rem' }}
+        />
+        <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', flexWrap: 'wrap' }}>
+          <input
+            type="text"
+            className="input-field"
+            placeholder="Reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            disabled={!!pending}
+            style={{ flex: 1, minWidth: '200px' }}
+          />
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.xlsx"
+            onChange={handleFileSelect}
+            style={{ display: 'none' }}
+          />
+          <button className="btn btn-secondary" onClick={() => fileInputRef.current?.click()} disabled={!!pending}>
+            <Upload size={16} />
+            Upload File
+          </button>
+          <button className="btn btn-primary" onClick={handlePreviewInput} disabled={!input.trim() || !!pending}>
+            <Eye size={16} />
+            Preview
+          </button>
+        </div>
+      </div>
+
+      {/* Enforcement preview */}
+      {pending && (
+        <div className="card" style={{ marginBottom: '1.5rem', borderLeft: '4px solid #dc2626' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '1rem' }}>
+            <div>
+              <h3 style={{ margin: 0, fontSize: '1.1rem' }}>
+                Review {pending.entries.length} new {pending.entries.length === 1 ? 'entry' : 'entries'}
+                {pending.fileName && <span style={{ color: 'var(--text-muted)', fontWeight: 400 }}> from {pending.fileName}</span>}
+              </h3>
+              <p style={{ margin: '4px 0 0', color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                {pending.entries.filter(e => e.type === 'email').length} emails,{' '}
+                {pending.entries.filter(e => e.type === 'domain').length} domains
+                {pending.skipped > 0 && ` · ${pending.skipped} already on the list`}
+                {pending.invalid.length > 0 && ` · ${pending.invalid.length} not recognised`}
+              </p>
+            </div>
+            <button
+              onClick={handleCancel}
+              style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer', display: 'flex' }}
+            >
+              <X size={18} />
+            </button>
+          </div>
+
+          {pending.invalid.length > 0 && (
+            <p style={{ margin: '0 0 1rem', fontSize: '0.8rem', color: '#f59e0b' }}>
+              Ignored: {pending.invalid.slice(0, 10).join(', ')}
+              {pending.invalid.length > 10 && ` and ${pending.invalid.length - 10} more`}
+            </p>
+          )}
+
+          {previewMutation.isPending ? (
+            <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>Checking existing leads...</p>
+          ) : matchedTotal === 0 ? (
+            <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+              {preview ? 'No existing leads match. Future imports and scheduling will skip these addresses.' : 'Preview unavailable.'}
+            </p>
+          ) : (
+            <>
+              <div style={{
+                display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '0.75rem',
+                color: '#f59e0b', fontSize: '0.9rem'
+              }}>
+                <AlertTriangle size={16} />
+                {matchedTotal} existing {matchedTotal === 1 ? 'lead matches' : 'leads match'} - their pending emails will be cancelled
+              </div>
+              <div className="table-container" style={{ marginBottom: '0.5rem' }}>
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Lead</th>
+                      <th>Status</th>
+                      <th>Matched By</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {matchedLeads.slice(0, MAX_PREVIEW_LEADS).map(lead => {
+                      const entry = findSuppression(lead.email, pendingIndex);
+                      return (
+                        <tr key={lead.id || lead.email}>
+                          <td>
+                            <div style={{ fontWeight: 500 }}>{lead.name || lead.email}</div>
+                            <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>{lead.email}</div>
+                          </td>
+                          <td style={{ color: 'var(--text-secondary)' }}>{lead.status || '—'}</td>
+                          <td style={{ color: 'var(--text-secondary)' }}>{entry ? describeSuppression(entry) : '—'}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              {matchedTotal > MAX_PREVIEW_LEADS && (
+                <p style={{ margin: 0, fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                  and {matchedTotal - MAX_PREVIEW_LEADS} more
+                </p>
+              )}
+            </>
+          )}
+
+          <div style={{ display: 'flex', gap: '0.75rem', justifyContent: 'flex-end', marginTop: '1rem' }}>
+            <button className="btn btn-secondary" onClick={handleCancel}>Cancel</button>
+            <button
+              className="btn btn-primary"
+              onClick={handleConfirm}
+              disabled={previewMutation.isPending || addMutation.isPending}
+              style={{ background: '#dc2626' }}
+            >
+              <Ban size={16} />
+              {addMutation.isPending ? 'Adding...' : `Suppress ${pending.entries.length}`}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Entries */}
+      <div className="card">
+        <div style={{ display: 'flex', gap: '0.75rem', marginBottom: '1rem', flexWrap: 'wrap' }}>
+          <div style={{ position: 'relative', flex: 1, minWidth: '200px' }}>
+            <Search
+              size={18}
+              style={{ position: 'absolute', left: '12px', top: '50%', transform: 'translateY(-50%)', color: 'var(--text-muted)' }}
+            />
+            <input
+              type="text"
+              className="input-field"
+              placeholder="Search emails, domains or reasons..."
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              style={{ paddingLeft: '40px', width: '100%' }}
+            />
+          </div>
+          <select className="filter-select" value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+            <option value="">All Types</option>
+            {SUPPRESSION_TYPES.map(type => (
+              <option key={type.id} value={type.id}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {isLoading ? (
+          <div style={{ display: 'flex', justifyContent: 'center', padding: '3rem' }}>
+            <div className="loading-spinner"></div>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Email / Domain</th>
+                  <th>Reason</th>
+                  <th>Source</th>
+                  <th>Added</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleEntries.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" style={{ textAlign: 'center', padding: '2rem', color: 'var(--text-muted)' }}>
+                      {suppressions.length === 0 ? 'Nothing suppressed yet' : 'No matching entries'}
+                    </td>
+                  </tr>
+                ) : (
+                  visibleEntries.map(entry => (
+                    <tr key={entry.id || `${entry.type}:${entry.value}`}>
+                      <td>
+                        <span style={{ display: 'flex', alignItems: 'center', gap: '8px', fontWeight: 500 }}>
+                          {entry.type === 'domain'
+                            ? <Globe size={14} color="#dc2626" />
+                            : <Mail size={14} color="var(--text-muted)" />}
+                          {entry.type === 'domain' ? `*@${entry.value}` : entry.value}
+                        </span>
+                      </td>
+                      <td style={{ color: 'var(--text-secondary)' }}>{entry.reason || '—'}</td>
+                      <td style={{ color: 'var(--text-secondary)' }}>
+                        {SOURCE_LABELS[entry.source] || entry.source || '—'}
+                      </td>
+                      <td style={{ color: 'var(--text-secondary)' }}>
+                        {entry.createdAt ? new Date(entry.createdAt).toLocaleDateString() : '—'}
+                      </td>
+                      <td>
+                        <button
+                          onClick={() => handleDelete(entry)}
+                          disabled={deleteMutation.isPending}
+                          style={actionBtnStyle('#ef4444', 'rgba(239, 68, 68, 0.1)')}
+                          title="Remove"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <ConfirmModal
+        isOpen={confirmModal.isOpen}
+        onClose={() => setConfirmModal({ isOpen: false })}
+        onConfirm={confirmModal.onConfirm}
+        title={confirmModal.title}
+        message={confirmModal.message}
+        confirmText={confirmModal.confirmText}
+        variant={confirmModal.variant}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,238 @@
+// pages/Tasks.jsx
+// Lead tasks across all leads - overdue first, with quick complete and snooze
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ListChecks, RefreshCw, Eye, Check, AlarmClock, Trash2, AlertCircle } from 'lucide-react';
+import { useTasks, useSaveTask, useDeleteTask } from '../hooks/useApi';
+import { useOwners } from '../contexts/OwnerContext';
+import { findOwner } from '../lib/owners';
+import { isTaskOverdue, formatDueLabel } from '../lib/tasks';
+import OwnerFilterSelect from '../components/OwnerFilterSelect';
+
+const TABS = [
+  { id: 'overdue', label: 'Overdue' },
+  { id: 'upcoming', label: 'Upcoming' },
+  { id: 'done', label: 'Completed' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const actionBtnStyle = (color, bg) => ({
+  background: bg, border: 'none', borderRadius: '6px', padding: '6px 8px',
+  cursor: 'pointer', color, display: 'flex', alignItems: 'center'
+});
+
+export default function Tasks({ showToast }) {
+  const navigate = useNavigate();
+  const { team, currentOwner } = useOwners();
+  const [activeTab, setActiveTab] = useState('overdue');
+  // null until changed - follows "My tasks" once this browser knows who is using it
+  const [assigneeChoice, setAssigneeChoice] = useState(null);
+  const assigneeId = assigneeChoice ?? currentOwner?.id ?? '';
+
+  const filters = assigneeId ? { assigneeId } : {};
+  const { data: openTasks = [], isLoading, isFetching, refetch } = useTasks({ ...filters, status: 'open' });
+  const { data: doneTasks = [], isLoading: doneLoading } = useTasks(
+    { ...filters, status: 'done' },
+    { enabled: activeTab === 'done' }
+  );
+  const saveTaskMutation = useSaveTask();
+  const deleteTaskMutation = useDeleteTask();
+
+  const byDue = (a, b) => new Date(a.dueAt || 8.64e15) - new Date(b.dueAt || 8.64e15);
+  const overdue = openTasks.filter(t => isTaskOverdue(t)).sort(byDue);
+  const upcoming = openTasks.filter(t => !isTaskOverdue(t)).sort(byDue);
+  const completed = [...doneTasks].sort((a, b) => new Date(b.completedAt || 0) - new Date(a.completedAt || 0));
+
+  const tasks = { overdue, upcoming, done: completed }[activeTab];
+  const counts = { overdue: overdue.length, upcoming: upcoming.length, done: doneTasks.length };
+  const loading = activeTab === 'done' ? doneLoading : isLoading;
+
+  const handleComplete = async (task) => {
+    try {
+      await saveTaskMutation.mutateAsync({
+        id: task.id,
+        task: { status: 'done', completedAt: new Date().toISOString() },
+      });
+      showToast?.('Task completed', 'success');
+    } catch (error) {
+      showToast?.('Failed to update task: ' + error.message, 'error');
+    }
+  };
+
+  // Push the task a day past now (or past its due date if that is still ahead)
+  const handleSnooze = async (task) => {
+    const base = Math.max(Date.now(), new Date(task.dueAt || 0).getTime());
+    try {
+      await saveTaskMutation.mutateAsync({
+        id: task.id,
+        task: { dueAt: new Date(base + DAY_MS).toISOString() },
+      });
+      showToast?.('Snoozed for a day', 'success');
+    } catch (error) {
+      showToast?.('Failed to snooze task: ' + error.message, 'error');
+    }
+  };
+
+  const handleDelete = async (task) => {
+    try {
+      await deleteTaskMutation.mutateAsync(task.id);
+    } catch (error) {
+      showToast?.('Failed to delete task: ' + error.message, 'error');
+    }
+  };
+
+  return (
+    <div>
+      <div className="header">
+        <h2 style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <ListChecks size={26} color="#f97316" />
+          Tasks
+        </h2>
+        <div className="header-actions">
+          <OwnerFilterSelect
+            value={assigneeId}
+            onChange={setAssigneeChoice}
+            className="filter-select"
+            mineLabel="My Tasks"
+          />
+          <button className="btn btn-secondary" onClick={() => refetch()} disabled={isFetching}>
+            <RefreshCw size={18} className={isFetching ? 'animate-spin' : ''} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Tabs */}
+      <div className="card" style={{ marginBottom: '1.5rem', padding: '0.5rem' }}>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {TABS.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              style={{
+                padding: '10px 20px',
+                border: 'none',
+                borderRadius: '8px',
+                background: activeTab === tab.id ? 'var(--accent-primary)' : 'transparent',
+                color: activeTab === tab.id ? 'white' : 'var(--text-secondary)',
+                cursor: 'pointer',
+                fontSize: '0.9rem',
+                fontWeight: 500,
+                transition: 'all 0.2s',
+              }}
+            >
+              {tab.label}
+              {(tab.id !== 'done' || activeTab === 'done') && ` (${counts[tab.id]})`}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="card">
+        {loading ? (
+          <div style={{ display: 'flex', justifyContent: 'center', padding: '3rem' }}>
+            <div className="loading-spinner"></div>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Task</th>
+                  <th>Lead</th>
+                  <th>Assignee</th>
+                  <th>{activeTab === 'done' ? 'Completed' : 'Due'}</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {tasks.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" style={{ textAlign: 'center', padding: '2rem', color: 'var(--text-muted)' }}>
+                      {activeTab === 'overdue' ? 'Nothing overdue' : 'No tasks'}
+                    </td>
+                  </tr>
+                ) : (
+                  tasks.map(task => {
+                    const late = isTaskOverdue(task);
+                    return (
+                      <tr key={task.id}>
+                        <td style={{ fontWeight: 500 }}>{task.title}</td>
+                        <td>
+                          <span
+                            onClick={() => navigate(`/leads/${task.leadId}`)}
+                            style={{ color: 'var(--accent-primary)', cursor: 'pointer' }}
+                          >
+                            {task.leadName || task.leadEmail || 'View lead'}
+                          </span>
+                        </td>
+                        <td style={{ color: 'var(--text-secondary)' }}>
+                          {findOwner(team, task.assigneeId)?.name || '—'}
+                        </td>
+                        <td>
+                          {activeTab === 'done' ? (
+                            <span style={{ color: 'var(--text-secondary)' }}>
+                              {task.completedAt ? new Date(task.completedAt).toLocaleString() : '—'}
+                            </span>
+                          ) : (
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
+                              <span>{task.dueAt ? new Date(task.dueAt).toLocaleString() : '—'}</span>
+                              <span style={{ fontSize: '0.75rem', color: late ? '#ef4444' : 'var(--text-muted)', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                                {late && <AlertCircle size={12} />}
+                                {formatDueLabel(task.dueAt)}
+                              </span>
+                            </div>
+                          )}
+                        </td>
+                        <td>
+                          <div style={{ display: 'flex', gap: '6px' }}>
+                            <button
+                              onClick={() => navigate(`/leads/${task.leadId}`)}
+                              style={actionBtnStyle('#3b82f6', 'rgba(59, 130, 246, 0.1)')}
+                              title="View Lead"
+                            >
+                              <Eye size={14} />
+                            </button>
+                            {activeTab !== 'done' && (
+                              <>
+                                <button
+                                  onClick={() => handleComplete(task)}
+                                  disabled={saveTaskMutation.isPending}
+                                  style={actionBtnStyle('#22c55e', 'rgba(34, 197, 94, 0.1)')}
+                                  title="Mark Done"
+                                >
+                                  <Check size={14} />
+                                </button>
+                                <button
+                                  onClick={() => handleSnooze(task)}
+                                  disabled={saveTaskMutation.isPending}
+                                  style={actionBtnStyle('#f59e0b', 'rgba(245, 158, 11, 0.1)')}
+                                  title="Snooze 1 Day"
+                                >
+                                  <AlarmClock size={14} />
+                                </button>
+                              </>
+                            )}
+                            <button
+                              onClick={() => handleDelete(task)}
+                              disabled={deleteTaskMutation.isPending}
+                              style={actionBtnStyle('#ef4444', 'rgba(239, 68, 68, 0.1)')}
+                              title="Delete"
+                            >
+                              <Trash2 size={14} />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
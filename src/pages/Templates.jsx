@@ -2,6 +2,8 @@
 import { useState, useEffect, useRef } from 'react';
 import { Plus, Edit3, Trash2, Eye, Code, X, Save, Copy, Check } from 'lucide-react';
 import { getTemplates, createTemplate, updateTemplate, deleteTemplate } from '../services/api';
+import { useSettings } from '../hooks/useApi';
+import { resolveCustomFields } from '../lib/customFields';
 
 export default function Templates() {
   const [templates, setTemplates] = useState([]);
@@ -17,6 +19,8 @@ export default function Templates() {
   const [saving, setSaving] = useState(false);
   
   const previewRef = useRef(null);
+  const { data: settings } = useSettings();
+  const customFields = resolveCustomFields(settings);
 
   useEffect(() => {
     loadTemplates();
@@ -364,6 +368,16 @@ export default function Templates() {
                   <span style={{ color: 'var(--text-secondary)' }}>
                     Common: <code>name</code>, <code>company</code>, <code>email</code>
                   </span>
+                  {customFields.length > 0 && (
+                    <>
+                      <br/>
+                      <span style={{ color: 'var(--text-secondary)' }}>
+                        Custom fields: {customFields.map((f, i) => (
+                          <span key={f.key}>{i > 0 && ', '}<code title={f.label}>{f.key}</code></span>
+                        ))}
+                      </span>
+                    </>
+                  )}
                   {detectedVariables.length > 0 && (
                     <div style={{ marginTop: '0.5rem' }}>
                       <strong>Detected:</strong> {detectedVariables.map(v => `{{${v}}}`).join(', ')}
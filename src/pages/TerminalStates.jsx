@@ -1,10 +1,14 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { 
   Skull, UserX, Flag, RefreshCw, Search, ChevronLeft, ChevronRight,
-  AlertTriangle, Clock, Mail, ArrowLeft, RotateCcw
+  AlertTriangle, Clock, Mail, ArrowLeft, RotateCcw, History, X
 } from 'lucide-react';
-import api from '../services/api';
+import api, { resurrectLeads } from '../services/api';
+import { useSettings } from '../hooks/useApi';
+import { useOwners } from '../contexts/OwnerContext';
+import TerminalAuditLog from '../components/TerminalAuditLog';
+import { resolveSequences, leadSequence, sequenceSteps } from '../lib/sequences';
 
 const TABS = [
   { 
@@ -33,8 +37,13 @@ const TABS = [
   }
 ];
 
-export default function TerminalStates() {
+// Restart option that continues the sequence at the step the lead stopped on
+const RESUME = 'resume';
+
+export default function TerminalStates({ showToast }) {
   const navigate = useNavigate();
+  const { data: settings } = useSettings();
+  const { currentOwner } = useOwners();
   const [activeTab, setActiveTab] = useState('dead');
   const [leads, setLeads] = useState([]);
   const [stats, setStats] = useState({ dead: 0, unsubscribed: 0, complaint: 0 });
@@ -42,7 +51,22 @@ export default function TerminalStates() {
   const [page, setPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [search, setSearch] = useState('');
-  const [resurrecting, setResurrecting] = useState(null);
+  const [resurrecting, setResurrecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  // Lead ids waiting on the resurrect dialog
+  const [resurrectIds, setResurrectIds] = useState(null);
+  const [resurrectReason, setResurrectReason] = useState('');
+  const [restartFrom, setRestartFrom] = useState(RESUME);
+  const [acknowledged, setAcknowledged] = useState(false);
+  
+  const sequences = useMemo(() => resolveSequences(settings), [settings]);
+  // A fixed restart step only makes sense when every lead being resurrected runs the same sequence
+  const restartSequences = [...new Set(
+    leads.filter(lead => resurrectIds?.includes(lead.id)).map(lead => leadSequence(lead, sequences))
+  )];
+  const restartSequence = restartSequences.length === 1 ? restartSequences[0] : null;
+  const steps = restartSequence ? sequenceSteps(restartSequence) : [];
   
   // Fetch stats on mount
   useEffect(() => {
@@ -52,6 +76,7 @@ export default function TerminalStates() {
   // Fetch leads when tab or page changes
   useEffect(() => {
     fetchLeads();
+    setSelectedIds([]);
   }, [activeTab, page, search]);
   
   const fetchStats = async () => {
@@ -79,24 +104,48 @@ export default function TerminalStates() {
     }
   };
   
-  const handleResurrect = async (leadId) => {
-    if (!confirm('Are you sure you want to resurrect this lead? This will reset retry counts and allow scheduling new emails.')) {
-      return;
-    }
-    
-    setResurrecting(leadId);
+  const openResurrect = (leadIds) => {
+    setResurrectIds(leadIds);
+    setResurrectReason('');
+    setRestartFrom(RESUME);
+    setAcknowledged(false);
+  };
+  
+  // Resets retry counts and reschedules from the chosen step - the reason and actor go into each lead's audit log
+  const handleResurrect = async () => {
+    if (!resurrectReason.trim()) return;
+    setResurrecting(true);
     try {
-      await api.post(`/terminal-states/${leadId}/resurrect`);
+      const result = await resurrectLeads(resurrectIds, {
+        reason: resurrectReason.trim(),
+        restartFrom,
+        actor: currentOwner?.name || 'Admin',
+        acknowledgeComplaints: activeTab === 'complaint' && acknowledged
+      });
+      const revived = result.resurrected ?? resurrectIds.length;
+      const skipped = result.skipped?.length || 0;
+      showToast?.(
+        `Resurrected ${revived} lead${revived === 1 ? '' : 's'}` + (skipped ? `, ${skipped} skipped (suppressed)` : ''),
+        'success'
+      );
+      setResurrectIds(null);
+      setSelectedIds([]);
       fetchLeads();
       fetchStats();
     } catch (error) {
-      console.error('Failed to resurrect lead:', error);
-      alert('Failed to resurrect lead: ' + error.message);
+      console.error('Failed to resurrect leads:', error);
+      showToast?.('Failed to resurrect: ' + (error.response?.data?.error || error.message), 'error');
     } finally {
-      setResurrecting(null);
+      setResurrecting(false);
     }
   };
   
+  const toggleSelected = (leadId) => {
+    setSelectedIds(ids => ids.includes(leadId) ? ids.filter(id => id !== leadId) : [...ids, leadId]);
+  };
+  
+  const allSelected = leads.length > 0 && leads.every(lead => selectedIds.includes(lead.id));
+  
   const activeTabConfig = TABS.find(t => t.id === activeTab);
   const ActiveIcon = activeTabConfig?.icon;
   
@@ -216,6 +265,33 @@ export default function TerminalStates() {
         </div>
       </div>
       
+      {/* Bulk actions */}
+      {selectedIds.length > 0 && (
+        <div 
+          className="card"
+          style={{ 
+            marginBottom: '1rem', 
+            padding: '0.75rem 1rem', 
+            display: 'flex', 
+            alignItems: 'center', 
+            justifyContent: 'space-between' 
+          }}
+        >
+          <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+            {selectedIds.length} lead{selectedIds.length === 1 ? '' : 's'} selected
+          </span>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button className="btn btn-secondary" onClick={() => setSelectedIds([])}>
+              Clear
+            </button>
+            <button className="btn btn-primary" onClick={() => openResurrect(selectedIds)}>
+              <RotateCcw size={16} />
+              Resurrect Selected
+            </button>
+          </div>
+        </div>
+      )}
+      
       {/* Leads Table */}
       <div className="card" style={{ overflow: 'hidden' }}>
         {loading ? (
@@ -233,101 +309,125 @@ export default function TerminalStates() {
             <table className="data-table" style={{ width: '100%', borderCollapse: 'collapse' }}>
               <thead>
                 <tr style={{ background: 'var(--bg-glass)', borderBottom: '1px solid var(--border-color)' }}>
+                  <th style={{ padding: '12px 16px', width: '40px' }}>
+                    <input
+                      type="checkbox"
+                      checked={allSelected}
+                      onChange={() => setSelectedIds(allSelected ? [] : leads.map(lead => lead.id))}
+                    />
+                  </th>
                   <th style={{ padding: '12px 16px', textAlign: 'left', fontWeight: 600, color: 'var(--text-secondary)', fontSize: '0.85rem' }}>Lead</th>
                   <th style={{ padding: '12px 16px', textAlign: 'left', fontWeight: 600, color: 'var(--text-secondary)', fontSize: '0.85rem' }}>Reason</th>
                   <th style={{ padding: '12px 16px', textAlign: 'left', fontWeight: 600, color: 'var(--text-secondary)', fontSize: '0.85rem' }}>Date</th>
                   <th style={{ padding: '12px 16px', textAlign: 'left', fontWeight: 600, color: 'var(--text-secondary)', fontSize: '0.85rem' }}>Last Email</th>
-                  {activeTab === 'dead' && (
-                    <th style={{ padding: '12px 16px', textAlign: 'right', fontWeight: 600, color: 'var(--text-secondary)', fontSize: '0.85rem' }}>Actions</th>
-                  )}
+                  <th style={{ padding: '12px 16px', textAlign: 'right', fontWeight: 600, color: 'var(--text-secondary)', fontSize: '0.85rem' }}>Actions</th>
                 </tr>
               </thead>
               <tbody>
                 {leads.map(lead => (
-                  <tr 
-                    key={lead.id} 
-                    style={{ 
-                      borderBottom: '1px solid var(--border-color)',
-                      transition: 'background 0.2s'
-                    }}
-                    onMouseOver={(e) => e.currentTarget.style.background = 'var(--bg-glass)'}
-                    onMouseOut={(e) => e.currentTarget.style.background = 'transparent'}
-                  >
-                    <td style={{ padding: '14px 16px' }}>
-                      <div style={{ fontWeight: 500, color: 'var(--text-primary)' }}>{lead.name || 'Unknown'}</div>
-                      <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>{lead.email}</div>
-                    </td>
-                    <td style={{ padding: '14px 16px' }}>
-                      <div 
-                        style={{ 
-                          fontSize: '0.9rem', 
-                          color: 'var(--text-secondary)', 
-                          maxWidth: '200px', 
-                          overflow: 'hidden', 
-                          textOverflow: 'ellipsis', 
-                          whiteSpace: 'nowrap' 
-                        }} 
-                        title={lead.terminalReason}
-                      >
-                        {lead.terminalReason || 'No reason provided'}
-                      </div>
-                    </td>
-                    <td style={{ padding: '14px 16px' }}>
-                      <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.9rem', color: 'var(--text-secondary)' }}>
-                        <Clock size={14} />
-                        {lead.terminalStateAt 
-                          ? new Date(lead.terminalStateAt).toLocaleDateString()
-                          : 'Unknown'
-                        }
-                      </div>
-                    </td>
-                    <td style={{ padding: '14px 16px' }}>
-                      {lead.emailJobs?.[0] ? (
-                        <div style={{ fontSize: '0.9rem' }}>
-                          <div style={{ color: 'var(--text-primary)' }}>{lead.emailJobs[0].type}</div>
-                          <div style={{ 
-                            color: lead.emailJobs[0].status === 'delivered' ? '#22c55e' : 
-                                   lead.emailJobs[0].status === 'failed' ? '#ef4444' : 'var(--text-muted)',
-                            fontSize: '0.8rem'
-                          }}>
-                            {lead.emailJobs[0].status}
-                          </div>
+                  <React.Fragment key={lead.id}>
+                    <tr 
+                      style={{ 
+                        borderBottom: '1px solid var(--border-color)',
+                        transition: 'background 0.2s'
+                      }}
+                      onMouseOver={(e) => e.currentTarget.style.background = 'var(--bg-glass)'}
+                      onMouseOut={(e) => e.currentTarget.style.background = 'transparent'}
+                    >
+                      <td style={{ padding: '14px 16px' }}>
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(lead.id)}
+                          onChange={() => toggleSelected(lead.id)}
+                        />
+                      </td>
+                      <td style={{ padding: '14px 16px' }}>
+                        <div style={{ fontWeight: 500, color: 'var(--text-primary)' }}>{lead.name || 'Unknown'}</div>
+                        <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>{lead.email}</div>
+                      </td>
+                      <td style={{ padding: '14px 16px' }}>
+                        <div 
+                          style={{ 
+                            fontSize: '0.9rem', 
+                            color: 'var(--text-secondary)', 
+                            maxWidth: '200px', 
+                            overflow: 'hidden', 
+                            textOverflow: 'ellipsis', 
+                            whiteSpace: 'nowrap' 
+                          }} 
+                          title={lead.terminalReason}
+                        >
+                          {lead.terminalReason || 'No reason provided'}
+                        </div>
+                      </td>
+                      <td style={{ padding: '14px 16px' }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.9rem', color: 'var(--text-secondary)' }}>
+                          <Clock size={14} />
+                          {lead.terminalStateAt 
+                            ? new Date(lead.terminalStateAt).toLocaleDateString()
+                            : 'Unknown'
+                          }
                         </div>
-                      ) : (
-                        <span style={{ color: 'var(--text-muted)', fontSize: '0.9rem' }}>None</span>
-                      )}
-                    </td>
-                    {activeTab === 'dead' && (
+                      </td>
+                      <td style={{ padding: '14px 16px' }}>
+                        {lead.emailJobs?.[0] ? (
+                          <div style={{ fontSize: '0.9rem' }}>
+                            <div style={{ color: 'var(--text-primary)' }}>{lead.emailJobs[0].type}</div>
+                            <div style={{ 
+                              color: lead.emailJobs[0].status === 'delivered' ? '#22c55e' : 
+                                     lead.emailJobs[0].status === 'failed' ? '#ef4444' : 'var(--text-muted)',
+                              fontSize: '0.8rem'
+                            }}>
+                              {lead.emailJobs[0].status}
+                            </div>
+                          </div>
+                        ) : (
+                          <span style={{ color: 'var(--text-muted)', fontSize: '0.9rem' }}>None</span>
+                        )}
+                      </td>
                       <td style={{ padding: '14px 16px', textAlign: 'right' }}>
-                        <button
-                          onClick={() => handleResurrect(lead.id)}
-                          disabled={resurrecting === lead.id}
-                          className="btn"
-                          style={{
-                            padding: '8px 16px',
-                            background: 'linear-gradient(135deg, rgba(34, 197, 94, 0.15), rgba(34, 197, 94, 0.25))',
-                            color: '#22c55e',
-                            border: '1px solid rgba(34, 197, 94, 0.3)',
-                            borderRadius: '8px',
-                            fontSize: '0.85rem',
-                            fontWeight: 500,
-                            cursor: resurrecting === lead.id ? 'not-allowed' : 'pointer',
-                            opacity: resurrecting === lead.id ? 0.5 : 1,
-                            display: 'inline-flex',
-                            alignItems: 'center',
-                            gap: '6px'
-                          }}
-                        >
-                          {resurrecting === lead.id ? (
-                            <RefreshCw size={14} className="spin" />
-                          ) : (
+                        <div style={{ display: 'inline-flex', gap: '8px' }}>
+                          <button
+                            onClick={() => setExpandedId(expandedId === lead.id ? null : lead.id)}
+                            className="btn btn-secondary"
+                            title="Terminal state history"
+                            style={{ padding: '8px 10px', borderRadius: '8px' }}
+                          >
+                            <History size={14} />
+                          </button>
+                          <button
+                            onClick={() => openResurrect([lead.id])}
+                            disabled={resurrecting}
+                            className="btn"
+                            style={{
+                              padding: '8px 16px',
+                              background: 'linear-gradient(135deg, rgba(34, 197, 94, 0.15), rgba(34, 197, 94, 0.25))',
+                              color: '#22c55e',
+                              border: '1px solid rgba(34, 197, 94, 0.3)',
+                              borderRadius: '8px',
+                              fontSize: '0.85rem',
+                              fontWeight: 500,
+                              cursor: resurrecting ? 'not-allowed' : 'pointer',
+                              opacity: resurrecting ? 0.5 : 1,
+                              display: 'inline-flex',
+                              alignItems: 'center',
+                              gap: '6px'
+                            }}
+                          >
                             <RotateCcw size={14} />
-                          )}
-                          Resurrect
-                        </button>
+                            Resurrect
+                          </button>
+                        </div>
                       </td>
+                    </tr>
+                    {expandedId === lead.id && (
+                      <tr style={{ borderBottom: '1px solid var(--border-color)' }}>
+                        <td colSpan="6" style={{ padding: '12px 16px 16px 56px', background: 'var(--bg-glass)' }}>
+                          <TerminalAuditLog leadId={lead.id} />
+                        </td>
+                      </tr>
                     )}
-                  </tr>
+                  </React.Fragment>
                 ))}
               </tbody>
             </table>
@@ -368,6 +468,122 @@ export default function TerminalStates() {
           </>
         )}
       </div>
+
+      {/* Resurrect dialog */}
+      {resurrectIds && (
+        <div 
+          style={{
+            position: 'fixed', inset: 0, zIndex: 1000,
+            display: 'flex', alignItems: 'center', justifyContent: 'center',
+            background: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(4px)'
+          }}
+          onClick={() => !resurrecting && setResurrectIds(null)}
+        >
+          <div 
+            style={{
+              background: 'var(--bg-card)', borderRadius: '16px',
+              padding: '24px', width: '460px', maxWidth: '90%'
+            }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+              <h3 style={{ margin: 0 }}>
+                Resurrect {resurrectIds.length} {activeTabConfig?.label} Lead{resurrectIds.length === 1 ? '' : 's'}
+              </h3>
+              <button onClick={() => setResurrectIds(null)} style={{ background: 'none', border: 'none', cursor: 'pointer' }}>
+                <X size={20} color="var(--text-secondary)" />
+              </button>
+            </div>
+            
+            <p style={{ margin: '0 0 16px', color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+              Retry counts are reset and emails are scheduled again. The reason is recorded in each lead's history.
+            </p>
+            
+            <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 500, marginBottom: '6px' }}>
+              Reason (required)
+            </label>
+            <textarea
+              className="input-field"
+              rows={3}
+              value={resurrectReason}
+              onChange={(e) => setResurrectReason(e.target.value)}
+              placeholder="e.g. Mailbox was full, contact confirmed address by phone"
+              style={{ width: '100%', resize: 'vertical', marginBottom: '16px' }}
+            />
+            
+            <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 500, marginBottom: '6px' }}>
+              Restart from
+            </label>
+            <select
+              value={restartFrom}
+              onChange={(e) => setRestartFrom(e.target.value)}
+              style={{ width: '100%', marginBottom: '16px' }}
+            >
+              <option value={RESUME}>Where each lead stopped</option>
+              {steps.map((step, index) => (
+                <option key={step.id} value={step.name}>Step {index + 1}: {step.name}</option>
+              ))}
+            </select>
+            {restartSequences.length > 1 ? (
+              <p style={{ margin: '-8px 0 16px', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                These leads run {restartSequences.length} different sequences, so each can only resume where it stopped.
+              </p>
+            ) : restartSequence && sequences.length > 1 && (
+              <p style={{ margin: '-8px 0 16px', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                Steps of the {restartSequence.name} sequence.
+              </p>
+            )}
+            
+            {activeTab === 'unsubscribed' && (
+              <div style={{
+                padding: '12px', borderRadius: '8px', marginBottom: '16px', fontSize: '0.85rem',
+                background: 'rgba(147, 51, 234, 0.1)', border: '1px solid rgba(147, 51, 234, 0.3)', color: 'var(--text-secondary)'
+              }}>
+                Only resurrect unsubscribed leads who have opted back in. Addresses on the suppression list stay skipped.
+              </div>
+            )}
+            
+            {activeTab === 'complaint' && (
+              <div style={{
+                padding: '12px', borderRadius: '8px', marginBottom: '16px',
+                background: 'rgba(220, 38, 38, 0.1)', border: '1px solid rgba(220, 38, 38, 0.3)'
+              }}>
+                <div style={{ display: 'flex', gap: '8px', color: '#dc2626', fontWeight: 600, fontSize: '0.9rem', marginBottom: '6px' }}>
+                  <AlertTriangle size={18} style={{ flexShrink: 0 }} />
+                  These leads marked your email as spam
+                </div>
+                <p style={{ margin: '0 0 10px', color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                  Emailing them again can raise your complaint rate and hurt sender reputation for every campaign.
+                </p>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.85rem', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={acknowledged}
+                    onChange={(e) => setAcknowledged(e.target.checked)}
+                  />
+                  I understand the risk to sender reputation
+                </label>
+              </div>
+            )}
+            
+            <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+              <button className="btn btn-secondary" onClick={() => setResurrectIds(null)}>Cancel</button>
+              <button 
+                className="btn btn-primary" 
+                onClick={handleResurrect}
+                disabled={
+                  resurrecting ||
+                  !resurrectReason.trim() ||
+                  (activeTab === 'complaint' && !acknowledged)
+                }
+              >
+                {resurrecting ? <RefreshCw size={16} className="spin" /> : <RotateCcw size={16} />}
+                Resurrect
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
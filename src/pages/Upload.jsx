@@ -1,18 +1,88 @@
 // pages/Upload.jsx
-import { useState, useRef, useEffect } from 'react';
-import { Upload as UploadIcon, FileSpreadsheet, CheckCircle, AlertCircle, X, Sparkles } from 'lucide-react';
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Upload as UploadIcon, FileSpreadsheet, CheckCircle, AlertCircle, AlertTriangle, X, Sparkles, ArrowLeft, ArrowRight, Columns, Bookmark, Save, Trash2, History, RotateCcw, Play } from 'lucide-react';
 import gsap from 'gsap';
-import { uploadLeads } from '../services/api';
+import { useImportProfiles, useSaveImportProfile, useDeleteImportProfile, useSettings, useSuppressions } from '../hooks/useApi';
+import { useChunkedImport } from '../hooks/useChunkedImport';
+import { LEAD_FIELDS, customImportFields, parseLeadFile, guessMapping, applyMapping, validateLeads, detectProfile, mappingFromProfile } from '../lib/leadImport';
+import { CUSTOM_FIELD_PREFIX, resolveCustomFields } from '../lib/customFields';
+import { assignRoundRobin } from '../lib/owners';
+import { buildSuppressionIndex, findSuppression, describeSuppression } from '../lib/suppression';
+import { resolveEnrichment, enrichLeads } from '../lib/enrichment';
+import { resolveSequences, sequenceLabel, DEFAULT_SEQUENCE_ID } from '../lib/sequences';
+import { useOwners } from '../contexts/OwnerContext';
+import ConfirmModal from '../components/ConfirmModal';
+
+const WIZARD_STEPS = [
+  { id: 'select', label: 'Choose File' },
+  { id: 'map', label: 'Map Columns' },
+  { id: 'review', label: 'Review & Import' },
+];
+
+const PREVIEW_ROWS = 5;
+const MAX_FLAGGED_ROWS = 200;
+const TIMEZONES = Intl.supportedValuesOf?.('timeZone') || [];
+const EMPTY_PROFILE_FORM = { id: null, name: '', defaultTags: '', defaultTimezone: '' };
+
+// Owner assignment on import: round-robin, nobody, or one team member's id
+const ROUND_ROBIN = 'round-robin';
+// Where the rotation continues on the next import, so small imports don't all land on the same person
+const ROUND_ROBIN_KEY = 'leadflow-round-robin-next';
+
+const CHUNK_STATUS_COLORS = {
+  pending: 'var(--bg-hover)',
+  uploading: '#a855f7',
+  done: '#22c55e',
+  failed: '#ef4444',
+};
 
 export default function Upload({ showToast }) {
+  const navigate = useNavigate();
   const [isDragging, setIsDragging] = useState(false);
   const [file, setFile] = useState(null);
+  const [step, setStep] = useState('select');
+  const [parsing, setParsing] = useState(false);
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [ownerAssignment, setOwnerAssignment] = useState(ROUND_ROBIN);
+  // null until toggled - follows the "enrich on import" setting
+  const [enrichOnImport, setEnrichOnImport] = useState(null);
+  const [sequenceId, setSequenceId] = useState(DEFAULT_SEQUENCE_ID);
+  const [profileId, setProfileId] = useState('');
+  const [autoDetectedProfileId, setAutoDetectedProfileId] = useState(null);
+  const [profileForm, setProfileForm] = useState(null);
+  const [confirmModal, setConfirmModal] = useState({ isOpen: false, title: '', message: '', onConfirm: null, variant: 'danger' });
   const [uploading, setUploading] = useState(false);
   const [result, setResult] = useState(null);
   const fileInputRef = useRef();
   const uploadZoneRef = useRef();
   const resultRef = useRef();
 
+  const importer = useChunkedImport();
+  const isImporting = uploading || importer.isRunning;
+  const { data: profilesData } = useImportProfiles();
+  const saveProfileMutation = useSaveImportProfile();
+  const deleteProfileMutation = useDeleteImportProfile();
+  const { data: settings } = useSettings();
+  const { data: suppressions } = useSuppressions();
+  const { team } = useOwners();
+
+  // Built-in lead fields plus the custom fields defined in Settings
+  const customFields = useMemo(() => resolveCustomFields(settings), [settings]);
+  const importFields = useMemo(() => [...LEAD_FIELDS, ...customImportFields(customFields)], [customFields]);
+  const suppressionIndex = useMemo(() => buildSuppressionIndex(suppressions), [suppressions]);
+  const enrichment = resolveEnrichment(settings);
+  const shouldEnrich = (enrichOnImport ?? enrichment.onImport) && enrichment.providers.length > 0;
+  const sequences = useMemo(() => resolveSequences(settings), [settings]);
+
+  const profiles = useMemo(() => profilesData || [], [profilesData]);
+  const activeProfile = useMemo(
+    () => profiles.find(p => p.id === profileId) || null,
+    [profiles, profileId]
+  );
+
   useEffect(() => {
     // Animate upload zone on mount
     if (uploadZoneRef.current) {
@@ -33,6 +103,85 @@ export default function Upload({ showToast }) {
     }
   }, [result]);
 
+  // Mapped + validated rows, recomputed whenever the mapping changes
+  const validation = useMemo(() => {
+    if (!parsed) return { rows: [], summary: { total: 0, valid: 0, invalid: 0, duplicates: 0, suppressed: 0 } };
+    return validateLeads(applyMapping(parsed.rows, mapping, {
+      defaultTags: activeProfile?.defaultTags || [],
+      defaultTimezone: activeProfile?.defaultTimezone || '',
+      customFields,
+      rowNumbers: parsed.rowNumbers
+    }), {
+      suppressionReason: (email) => {
+        const entry = findSuppression(email, suppressionIndex);
+        return entry ? describeSuppression(entry) : null;
+      }
+    });
+  }, [parsed, mapping, activeProfile, customFields, suppressionIndex]);
+
+  const flaggedRows = useMemo(
+    () => validation.rows.filter(r => r.issues.length > 0),
+    [validation]
+  );
+
+  const leadsToImport = useMemo(
+    () => validation.rows
+      .filter(r => !r.issues.some(i => i.type === 'invalid' || i.type === 'suppressed'))
+      .filter(r => !skipDuplicates || !r.issues.some(i => i.type === 'duplicate'))
+      .map(r => r.lead),
+    [validation, skipDuplicates]
+  );
+
+  const isEmailMapped = Object.values(mapping).includes('email');
+
+  const resetWizard = () => {
+    setFile(null);
+    setParsed(null);
+    setMapping({});
+    setProfileId('');
+    setAutoDetectedProfileId(null);
+    setProfileForm(null);
+    setStep('select');
+  };
+
+  const loadFile = async (selectedFile) => {
+    const fileName = selectedFile.name.toLowerCase();
+    if (!fileName.endsWith('.csv') && !fileName.endsWith('.xlsx')) {
+      showToast?.('Please upload a CSV or XLSX file', 'error');
+      return;
+    }
+
+    setFile(selectedFile);
+    setResult(null);
+    setParsing(true);
+    try {
+      const data = await parseLeadFile(selectedFile);
+      if (data.rows.length === 0) {
+        showToast?.('No data rows found in this file', 'warning');
+        resetWizard();
+        return;
+      }
+      setParsed(data);
+
+      // Prefer a saved profile whose headers match this file
+      const match = detectProfile(profiles, data.headers);
+      if (match) {
+        setMapping(mappingFromProfile(match.profile, data.headers, importFields));
+        setProfileId(match.profile.id);
+        setAutoDetectedProfileId(match.profile.id);
+        showToast?.(`Using mapping profile "${match.profile.name}"`, 'info');
+      } else {
+        setMapping(guessMapping(data.headers, importFields));
+      }
+      setStep('map');
+    } catch (error) {
+      showToast?.('Could not read file: ' + error.message, 'error');
+      resetWizard();
+    } finally {
+      setParsing(false);
+    }
+  };
+
   const handleDragOver = (e) => {
     e.preventDefault();
     setIsDragging(true);
@@ -46,34 +195,126 @@ export default function Upload({ showToast }) {
     e.preventDefault();
     setIsDragging(false);
     const droppedFile = e.dataTransfer.files[0];
-    if (droppedFile && (droppedFile.name.endsWith('.csv') || droppedFile.name.endsWith('.xlsx'))) {
-      setFile(droppedFile);
-      setResult(null);
-    } else {
-      showToast?.('Please upload a CSV or XLSX file', 'error');
-    }
+    if (droppedFile) loadFile(droppedFile);
   };
 
   const handleFileSelect = (e) => {
     const selectedFile = e.target.files[0];
-    if (selectedFile) {
-      setFile(selectedFile);
-      setResult(null);
+    if (selectedFile) loadFile(selectedFile);
+    e.target.value = '';
+  };
+
+  const handleMappingChange = (header, field) => {
+    setMapping(prev => ({ ...prev, [header]: field }));
+  };
+
+  const handleProfileChange = (id) => {
+    const profile = profiles.find(p => p.id === id);
+    setProfileId(profile ? profile.id : '');
+    setMapping(profile ? mappingFromProfile(profile, parsed.headers, importFields) : guessMapping(parsed.headers, importFields));
+    setProfileForm(null);
+  };
+
+  const handleSaveProfile = async () => {
+    if (!profileForm?.name.trim()) {
+      showToast?.('Please enter a profile name', 'warning');
+      return;
+    }
+
+    const profile = {
+      name: profileForm.name.trim(),
+      mappings: Object.fromEntries(Object.entries(mapping).filter(([, field]) => field)),
+      defaultTags: profileForm.defaultTags.split(',').map(t => t.trim()).filter(Boolean),
+      defaultTimezone: profileForm.defaultTimezone.trim()
+    };
+
+    try {
+      const saved = await saveProfileMutation.mutateAsync({ id: profileForm.id, profile });
+      const savedId = saved?.profile?.id || saved?.id || profileForm.id;
+      if (savedId) setProfileId(savedId);
+      setProfileForm(null);
+      showToast?.(`Profile "${profile.name}" saved`, 'success');
+    } catch (error) {
+      showToast?.('Failed to save profile: ' + (error.response?.data?.error || error.message), 'error');
     }
   };
 
+  const handleDeleteProfile = () => {
+    if (!activeProfile) return;
+    setConfirmModal({
+      isOpen: true,
+      title: 'Delete Mapping Profile',
+      message: `Delete the "${activeProfile.name}" profile? Files from this source will need to be mapped by hand.`,
+      onConfirm: async () => {
+        try {
+          await deleteProfileMutation.mutateAsync(activeProfile.id);
+          setProfileId('');
+          setAutoDetectedProfileId(null);
+          showToast?.('Profile deleted', 'success');
+        } catch (error) {
+          showToast?.('Failed to delete profile: ' + error.message, 'error');
+        }
+      },
+      variant: 'danger'
+    });
+  };
+
+  // suppressed: rows left out before upload, added to what the server suppressed itself
+  const showImportResult = (data, { skipped = 0, suppressed = [], enriched = 0, nextRoundRobin = null } = {}) => {
+    // Only a finished import moves the rotation on, so a failed one hands out the same owners again
+    if (nextRoundRobin !== null) localStorage.setItem(ROUND_ROBIN_KEY, String(nextRoundRobin));
+    setResult({
+      success: true,
+      data: data,
+      skipped,
+      suppressed: [...suppressed, ...(data.import?.suppressed || [])],
+      enriched
+    });
+    resetWizard();
+    showToast?.(`Successfully imported ${data.import?.success || 0} leads!`, 'success');
+  };
+
   const handleUpload = async () => {
-    if (!file) return;
+    if (!file || leadsToImport.length === 0) return;
     
+    let leads = leadsToImport;
+    let nextRoundRobin = null;
+    if (team.length > 0 && ownerAssignment === ROUND_ROBIN) {
+      const assigned = assignRoundRobin(leads, team.map(m => m.id), Number(localStorage.getItem(ROUND_ROBIN_KEY)) || 0);
+      leads = assigned.leads;
+      nextRoundRobin = assigned.next;
+    } else if (ownerAssignment && ownerAssignment !== ROUND_ROBIN) {
+      leads = leads.map(lead => ({ ...lead, ownerId: ownerAssignment }));
+    }
+    // Leads without a sequenceId run the Default sequence
+    if (sequenceId !== DEFAULT_SEQUENCE_ID) {
+      leads = leads.map(lead => ({ ...lead, sequenceId }));
+    }
+
     setUploading(true);
     try {
-      const data = await uploadLeads(file);
-      setResult({
-        success: true,
-        data: data
-      });
-      setFile(null);
-      showToast?.(`Successfully imported ${data.import?.success || 0} leads!`, 'success');
+      let enrichedCount = 0;
+      if (shouldEnrich) {
+        const result = await enrichLeads(leads, enrichment.providers);
+        leads = result.leads;
+        enrichedCount = result.enrichedCount;
+      }
+      const suppressedRows = validation.rows
+        .map(r => ({ email: r.lead.email, issue: r.issues.find(i => i.type === 'suppressed') }))
+        .filter(r => r.issue)
+        .map(r => ({ email: r.email, reason: r.issue.message }));
+      const report = {
+        skipped: validation.summary.total - leadsToImport.length - suppressedRows.length,
+        suppressed: suppressedRows,
+        enriched: enrichedCount,
+        nextRoundRobin
+      };
+      const data = await importer.start(leads, file.name, report);
+      if (data) {
+        showImportResult(data, report);
+      } else {
+        showToast?.('Some chunks failed to upload. Retry them to finish the import.', 'warning');
+      }
     } catch (error) {
       setResult({
         success: false,
@@ -85,104 +326,569 @@ export default function Upload({ showToast }) {
     }
   };
 
+  // Resume an interrupted import or retry its failed chunks
+  const handleResumeImport = async () => {
+    const report = importer.session?.report;
+    const data = await importer.resume();
+    if (data) showImportResult(data, report);
+  };
+
+  const currentStepIndex = WIZARD_STEPS.findIndex(s => s.id === step);
+
   return (
     <div>
       <div className="header">
         <h2>Upload Leads</h2>
-      </div>
-
-      {/* Upload Zone */}
-      <div className="card" style={{ marginBottom: '1.5rem' }} ref={uploadZoneRef}>
-        <div
-          className={`upload-zone ${isDragging ? 'drag-over' : ''}`}
-          onDragOver={handleDragOver}
-          onDragLeave={handleDragLeave}
-          onDrop={handleDrop}
-          onClick={() => fileInputRef.current?.click()}
-        >
-          <input
-            ref={fileInputRef}
-            type="file"
-            accept=".csv,.xlsx"
-            onChange={handleFileSelect}
-            style={{ display: 'none' }}
-          />
-          <div style={{ 
-            width: 80, 
-            height: 80, 
-            borderRadius: '50%', 
-            background: 'rgba(124, 58, 237, 0.1)',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            margin: '0 auto 1.5rem'
-          }}>
-            <UploadIcon size={36} color="#a855f7" />
-          </div>
-          <h4 style={{ fontSize: '1.1rem' }}>Drag and drop your file here</h4>
-          <p style={{ marginTop: '0.5rem' }}>or click to browse • Supports CSV and XLSX</p>
+        <div className="header-actions">
+          <button className="btn btn-secondary" onClick={() => navigate('/imports')}>
+            <History size={18} />
+            Import History
+          </button>
         </div>
+      </div>
 
-        {/* Selected File */}
-        {file && (
-          <div style={{ 
-            marginTop: '1.5rem', 
-            padding: '1rem 1.25rem',
-            background: 'var(--bg-hover)',
-            borderRadius: '12px',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'space-between',
-            border: '1px solid var(--border-color)'
-          }}>
-            <div style={{ display: 'flex', alignItems: 'center', gap: '14px' }}>
-              <div style={{
-                width: 44,
-                height: 44,
+      {/* Wizard Steps */}
+      <div style={{ display: 'flex', gap: '0.75rem', marginBottom: '1.5rem', flexWrap: 'wrap' }}>
+        {WIZARD_STEPS.map((s, idx) => {
+          const isActive = idx === currentStepIndex;
+          const isDone = idx < currentStepIndex;
+          return (
+            <div
+              key={s.id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '10px',
+                padding: '10px 16px',
                 borderRadius: '10px',
-                background: 'rgba(124, 58, 237, 0.15)',
+                background: isActive ? 'rgba(124, 58, 237, 0.15)' : 'var(--bg-card)',
+                border: `1px solid ${isActive ? 'rgba(168, 85, 247, 0.4)' : 'var(--border-color)'}`,
+                color: isActive ? '#a855f7' : isDone ? '#22c55e' : 'var(--text-secondary)',
+                fontSize: '0.9rem',
+                fontWeight: 500
+              }}
+            >
+              <span style={{
+                width: 24,
+                height: 24,
+                borderRadius: '50%',
                 display: 'flex',
                 alignItems: 'center',
-                justifyContent: 'center'
+                justifyContent: 'center',
+                fontSize: '0.8rem',
+                background: isActive ? '#a855f7' : isDone ? 'rgba(34, 197, 94, 0.15)' : 'var(--bg-hover)',
+                color: isActive ? 'white' : 'inherit'
               }}>
-                <FileSpreadsheet size={22} color="#a855f7" />
+                {isDone ? <CheckCircle size={14} /> : idx + 1}
+              </span>
+              {s.label}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Chunked Import Progress */}
+      {importer.session && (
+        <div className="card" style={{ marginBottom: '1.5rem' }}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '1rem', marginBottom: '1rem' }}>
+            <div>
+              <h3 style={{ fontSize: '1rem' }}>
+                {importer.session.state === 'interrupted' ? 'Interrupted Import' : 'Importing'} • {importer.session.fileName}
+              </h3>
+              <p style={{ color: 'var(--text-muted)', fontSize: '0.85rem', marginTop: '2px' }}>
+                {importer.progress.rowsDone} of {importer.progress.totalRows} rows uploaded in {importer.session.chunks.length} chunks
+              </p>
+            </div>
+            {!importer.isRunning && (
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <button className="btn btn-secondary" onClick={importer.discard} title="Rows already uploaded stay imported">
+                  <X size={16} /> Discard
+                </button>
+                <button className="btn btn-primary" onClick={handleResumeImport}>
+                  {importer.session.state === 'interrupted' ? <><Play size={16} /> Resume</> : <><RotateCcw size={16} /> Retry Failed</>}
+                </button>
               </div>
-              <div>
-                <p style={{ fontWeight: 600, fontSize: '0.95rem' }}>{file.name}</p>
-                <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginTop: '2px' }}>
-                  {(file.size / 1024).toFixed(1)} KB
+            )}
+          </div>
+
+          <div style={{ height: 10, borderRadius: 5, background: 'var(--bg-hover)', overflow: 'hidden' }}>
+            <div style={{
+              width: `${importer.progress.percent}%`,
+              height: '100%',
+              background: 'linear-gradient(90deg, #7c3aed, #a855f7)',
+              transition: 'width 0.3s ease'
+            }} />
+          </div>
+          <p style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', marginTop: '6px' }}>{importer.progress.percent}%</p>
+
+          {/* Per-chunk status */}
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '1rem' }}>
+            {importer.session.chunks.map(chunk => (
+              <div
+                key={chunk.index}
+                title={`Chunk ${chunk.index + 1}: rows ${chunk.firstRow}–${chunk.firstRow + chunk.rowCount - 1} • ${chunk.status}${chunk.error ? ` (${chunk.error})` : ''}`}
+                style={{
+                  width: 14,
+                  height: 14,
+                  borderRadius: 3,
+                  background: CHUNK_STATUS_COLORS[chunk.status] || CHUNK_STATUS_COLORS.pending,
+                  border: '1px solid var(--border-color)'
+                }}
+              />
+            ))}
+          </div>
+
+          {(importer.session.error || importer.session.chunks.some(c => c.status === 'failed')) && (
+            <div style={{ 
+              marginTop: '1rem',
+              background: 'rgba(239, 68, 68, 0.08)', 
+              padding: '0.75rem 1rem', 
+              borderRadius: '10px',
+              maxHeight: '140px',
+              overflowY: 'auto',
+              border: '1px solid rgba(239, 68, 68, 0.15)'
+            }}>
+              {importer.session.error && (
+                <p style={{ fontSize: '0.8rem', color: '#f87171', marginBottom: '6px' }}>{importer.session.error}</p>
+              )}
+              {importer.session.chunks.filter(c => c.status === 'failed').map(chunk => (
+                <p key={chunk.index} style={{ fontSize: '0.8rem', color: '#f87171', marginBottom: '6px' }}>
+                  Chunk {chunk.index + 1} (rows {chunk.firstRow}–{chunk.firstRow + chunk.rowCount - 1}): {chunk.error}
                 </p>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Upload Zone */}
+      {!importer.session && (
+        <div className="card" style={{ marginBottom: '1.5rem' }} ref={uploadZoneRef}>
+          {step === 'select' && (
+            <div
+              className={`upload-zone ${isDragging ? 'drag-over' : ''}`}
+              onDragOver={handleDragOver}
+              onDragLeave={handleDragLeave}
+              onDrop={handleDrop}
+              onClick={() => fileInputRef.current?.click()}
+            >
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.xlsx"
+                onChange={handleFileSelect}
+                style={{ display: 'none' }}
+              />
+              <div style={{ 
+                width: 80, 
+                height: 80, 
+                borderRadius: '50%', 
+                background: 'rgba(124, 58, 237, 0.1)',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                margin: '0 auto 1.5rem'
+              }}>
+                {parsing ? <div className="loading-spinner"></div> : <UploadIcon size={36} color="#a855f7" />}
               </div>
+              <h4 style={{ fontSize: '1.1rem' }}>{parsing ? 'Reading file...' : 'Drag and drop your file here'}</h4>
+              <p style={{ marginTop: '0.5rem' }}>or click to browse • Supports CSV and XLSX</p>
             </div>
-            <div style={{ display: 'flex', gap: '0.5rem' }}>
+          )}
+
+          {/* Selected File */}
+          {file && parsed && (
+            <div style={{ 
+              padding: '1rem 1.25rem',
+              background: 'var(--bg-hover)',
+              borderRadius: '12px',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              border: '1px solid var(--border-color)'
+            }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '14px' }}>
+                <div style={{
+                  width: 44,
+                  height: 44,
+                  borderRadius: '10px',
+                  background: 'rgba(124, 58, 237, 0.15)',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center'
+                }}>
+                  <FileSpreadsheet size={22} color="#a855f7" />
+                </div>
+                <div>
+                  <p style={{ fontWeight: 600, fontSize: '0.95rem' }}>{file.name}</p>
+                  <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginTop: '2px' }}>
+                    {(file.size / 1024).toFixed(1)} KB • {parsed.rows.length} rows • {parsed.headers.length} columns
+                  </p>
+                </div>
+              </div>
               <button 
                 className="btn btn-secondary"
-                onClick={(e) => { e.stopPropagation(); setFile(null); }}
+                onClick={resetWizard}
+                disabled={isImporting}
                 style={{ padding: '10px' }}
+                title="Choose a different file"
               >
                 <X size={18} />
               </button>
-              <button 
-                className="btn btn-primary"
-                onClick={(e) => { e.stopPropagation(); handleUpload(); }}
-                disabled={uploading}
-              >
-                {uploading ? (
-                  <>
-                    <div className="loading-spinner" style={{ width: 18, height: 18, borderWidth: 2 }}></div>
-                    Processing...
-                  </>
-                ) : (
-                  <>
-                    <Sparkles size={18} />
-                    Upload & Schedule
-                  </>
+            </div>
+          )}
+
+          {/* Column Mapping */}
+          {step === 'map' && parsed && (
+            <div style={{ marginTop: '1.5rem' }}>
+              <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '1rem', marginBottom: '0.5rem' }}>
+                <Columns size={18} color="#a855f7" /> Map Columns
+              </h3>
+              <p style={{ color: 'var(--text-muted)', fontSize: '0.85rem', marginBottom: '1rem' }}>
+                Match each column in your file to a lead field. Several columns can feed Name (first + last) or Tags.
+              </p>
+
+              {/* Mapping Profile */}
+              <div style={{ 
+                display: 'flex', 
+                alignItems: 'center', 
+                gap: '10px', 
+                flexWrap: 'wrap',
+                padding: '0.75rem 1rem',
+                marginBottom: '1rem',
+                borderRadius: '10px',
+                background: 'var(--bg-hover)',
+                border: '1px solid var(--border-color)'
+              }}>
+                <Bookmark size={18} color="var(--text-muted)" />
+                <select value={profileId} onChange={(e) => handleProfileChange(e.target.value)}>
+                  <option value="">No profile</option>
+                  {profiles.map(p => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                  ))}
+                </select>
+                {activeProfile && activeProfile.id === autoDetectedProfileId && (
+                  <span style={{
+                    padding: '3px 10px',
+                    borderRadius: '12px',
+                    fontSize: '0.75rem',
+                    background: 'rgba(34, 197, 94, 0.15)',
+                    color: '#22c55e'
+                  }}>
+                    Auto-detected
+                  </span>
                 )}
-              </button>
+                {activeProfile && (activeProfile.defaultTags?.length > 0 || activeProfile.defaultTimezone) && (
+                  <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                    {activeProfile.defaultTags?.length > 0 && `Tags: ${activeProfile.defaultTags.join(', ')}`}
+                    {activeProfile.defaultTags?.length > 0 && activeProfile.defaultTimezone && ' • '}
+                    {activeProfile.defaultTimezone && `Timezone: ${activeProfile.defaultTimezone}`}
+                  </span>
+                )}
+                <div style={{ display: 'flex', gap: '0.5rem', marginLeft: 'auto' }}>
+                  {activeProfile && (
+                    <>
+                      <button
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => setProfileForm({
+                          id: activeProfile.id,
+                          name: activeProfile.name,
+                          defaultTags: (activeProfile.defaultTags || []).join(', '),
+                          defaultTimezone: activeProfile.defaultTimezone || ''
+                        })}
+                      >
+                        <Save size={14} /> Update Profile
+                      </button>
+                      <button
+                        className="btn btn-secondary btn-sm"
+                        onClick={handleDeleteProfile}
+                        style={{ color: '#ef4444' }}
+                        title="Delete profile"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </>
+                  )}
+                  <button className="btn btn-secondary btn-sm" onClick={() => setProfileForm(EMPTY_PROFILE_FORM)}>
+                    <Bookmark size={14} /> Save as Profile
+                  </button>
+                </div>
+              </div>
+
+              {profileForm && (
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: '1fr 1fr 1fr auto',
+                  gap: '0.75rem',
+                  alignItems: 'end',
+                  padding: '1rem',
+                  marginBottom: '1rem',
+                  borderRadius: '10px',
+                  background: 'rgba(124, 58, 237, 0.05)',
+                  border: '1px solid rgba(168, 85, 247, 0.2)'
+                }}>
+                  <label style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                    Profile Name
+                    <input
+                      type="text"
+                      placeholder="e.g. Apollo export"
+                      value={profileForm.name}
+                      onChange={(e) => setProfileForm(prev => ({ ...prev, name: e.target.value }))}
+                      style={{ width: '100%', marginTop: '6px' }}
+                      autoFocus
+                    />
+                  </label>
+                  <label style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                    Default Tags
+                    <input
+                      type="text"
+                      placeholder="comma separated"
+                      value={profileForm.defaultTags}
+                      onChange={(e) => setProfileForm(prev => ({ ...prev, defaultTags: e.target.value }))}
+                      style={{ width: '100%', marginTop: '6px' }}
+                    />
+                  </label>
+                  <label style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                    Default Timezone
+                    <input
+                      type="text"
+                      list="import-profile-timezones"
+                      placeholder="e.g. Europe/Berlin"
+                      value={profileForm.defaultTimezone}
+                      onChange={(e) => setProfileForm(prev => ({ ...prev, defaultTimezone: e.target.value }))}
+                      style={{ width: '100%', marginTop: '6px' }}
+                    />
+                    <datalist id="import-profile-timezones">
+                      {TIMEZONES.map(tz => <option key={tz} value={tz} />)}
+                    </datalist>
+                  </label>
+                  <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button className="btn btn-secondary" onClick={() => setProfileForm(null)}>Cancel</button>
+                    <button className="btn btn-primary" onClick={handleSaveProfile} disabled={saveProfileMutation.isPending}>
+                      <Save size={16} /> Save
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <div className="table-container">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>File Column</th>
+                      <th>Sample Values</th>
+                      <th style={{ width: '220px' }}>Maps To</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {parsed.headers.map(header => (
+                      <tr key={header}>
+                        <td style={{ fontWeight: 500 }}>{header}</td>
+                        <td style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                          {parsed.rows.map(r => r[header]).filter(Boolean).slice(0, 2).join(' • ') || '—'}
+                        </td>
+                        <td>
+                          <select
+                            value={mapping[header] || ''}
+                            onChange={(e) => handleMappingChange(header, e.target.value)}
+                            style={{ width: '100%' }}
+                          >
+                            <option value="">Don't import</option>
+                            {importFields.map(f => (
+                              <option key={f.key} value={f.key}>{f.label}{f.required ? ' *' : ''}</option>
+                            ))}
+                          </select>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Mapped Preview */}
+              <h4 style={{ fontSize: '0.95rem', margin: '1.5rem 0 0.75rem' }}>
+                Preview (first {Math.min(PREVIEW_ROWS, validation.rows.length)} rows)
+              </h4>
+              <div className="table-container">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th style={{ width: '60px' }}>Row</th>
+                      {importFields.map(f => <th key={f.key}>{f.label}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {validation.rows.slice(0, PREVIEW_ROWS).map(({ rowNumber, lead, issues }) => (
+                      <tr key={rowNumber} style={issues.length > 0 ? { background: 'rgba(239, 68, 68, 0.06)' } : undefined}>
+                        <td style={{ color: 'var(--text-muted)' }}>{rowNumber}</td>
+                        {importFields.map(f => (
+                          <td key={f.key} style={{ fontSize: '0.85rem' }}>
+                            {f.key === 'tags'
+                              ? lead.tags.join(', ')
+                              : f.key.startsWith(CUSTOM_FIELD_PREFIX)
+                                ? lead.customFields?.[f.key.slice(CUSTOM_FIELD_PREFIX.length)] ?? ''
+                                : lead[f.key] || ''}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {!isEmailMapped && (
+                <div style={{
+                  marginTop: '1rem',
+                  padding: '0.75rem 1rem',
+                  borderRadius: '10px',
+                  background: 'rgba(239, 68, 68, 0.1)',
+                  color: '#f87171',
+                  fontSize: '0.85rem',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px'
+                }}>
+                  <AlertCircle size={16} /> Map a column to Email to continue.
+                </div>
+              )}
+
+              <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1.5rem' }}>
+                <button className="btn btn-secondary" onClick={resetWizard}>
+                  <ArrowLeft size={16} /> Back
+                </button>
+                <button className="btn btn-primary" onClick={() => setStep('review')} disabled={!isEmailMapped}>
+                  Continue <ArrowRight size={16} />
+                </button>
+              </div>
             </div>
-          </div>
-        )}
-      </div>
+          )}
+
+          {/* Review */}
+          {step === 'review' && parsed && (
+            <div style={{ marginTop: '1.5rem' }}>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '1rem', marginBottom: '1.5rem' }}>
+                {[
+                  { label: 'Rows in File', value: validation.summary.total, color: '#a855f7' },
+                  { label: 'Ready to Import', value: validation.summary.valid, color: '#22c55e' },
+                  { label: 'Invalid Email', value: validation.summary.invalid, color: '#ef4444' },
+                  { label: 'Suppressed', value: validation.summary.suppressed, color: '#dc2626' },
+                  { label: 'Duplicates in File', value: validation.summary.duplicates, color: '#f59e0b' },
+                ].map(stat => (
+                  <div key={stat.label} style={{
+                    padding: '1rem',
+                    borderRadius: '12px',
+                    textAlign: 'center',
+                    background: 'var(--bg-hover)',
+                    border: '1px solid var(--border-color)'
+                  }}>
+                    <h4 style={{ fontSize: '1.6rem', color: stat.color, fontWeight: 700 }}>{stat.value}</h4>
+                    <p style={{ color: 'var(--text-secondary)', fontSize: '0.8rem', marginTop: '4px' }}>{stat.label}</p>
+                  </div>
+                ))}
+              </div>
+
+              {flaggedRows.length > 0 && (
+                <div style={{ marginBottom: '1.5rem' }}>
+                  <h4 style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '0.75rem', fontSize: '0.95rem' }}>
+                    <AlertTriangle size={16} color="#f59e0b" /> Flagged Rows
+                  </h4>
+                  <div style={{ 
+                    background: 'rgba(239, 68, 68, 0.05)', 
+                    padding: '1rem', 
+                    borderRadius: '10px',
+                    maxHeight: '220px',
+                    overflowY: 'auto',
+                    border: '1px solid rgba(239, 68, 68, 0.15)'
+                  }}>
+                    {flaggedRows.slice(0, MAX_FLAGGED_ROWS).map(({ rowNumber, lead, issues }) => (
+                      <p key={rowNumber} style={{ 
+                        fontSize: '0.8rem', 
+                        color: issues.some(i => i.type === 'invalid' || i.type === 'suppressed') ? '#f87171' : '#fbbf24', 
+                        marginBottom: '6px' 
+                      }}>
+                        Row {rowNumber}: {lead.email || lead.name || '(empty)'} - {issues.map(i => i.message).join(', ')}
+                      </p>
+                    ))}
+                    {flaggedRows.length > MAX_FLAGGED_ROWS && (
+                      <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                        ...and {flaggedRows.length - MAX_FLAGGED_ROWS} more
+                      </p>
+                    )}
+                  </div>
+                  <p style={{ marginTop: '0.75rem', color: 'var(--text-muted)', fontSize: '0.8rem' }}>
+                    Rows with a missing or invalid email, or on the Suppression List, are never sent.
+                  </p>
+                </div>
+              )}
+
+              {validation.summary.duplicates > 0 && (
+                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.9rem', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={skipDuplicates}
+                    onChange={(e) => setSkipDuplicates(e.target.checked)}
+                  />
+                  Skip duplicate rows (keep the first occurrence of each email)
+                </label>
+              )}
+
+              {enrichment.providers.length > 0 && (
+                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.9rem', marginTop: '0.75rem', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={enrichOnImport ?? enrichment.onImport}
+                    onChange={(e) => setEnrichOnImport(e.target.checked)}
+                  />
+                  Enrich leads (company from domain, country and timezone, tidied names)
+                </label>
+              )}
+
+              {team.length > 0 && (
+                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.9rem', marginTop: '0.75rem' }}>
+                  Assign owners
+                  <select value={ownerAssignment} onChange={(e) => setOwnerAssignment(e.target.value)}>
+                    <option value={ROUND_ROBIN}>Round-robin across {team.length} team members</option>
+                    {team.map(member => <option key={member.id} value={member.id}>All to {member.name}</option>)}
+                    <option value="">Leave unassigned</option>
+                  </select>
+                </label>
+              )}
+
+              {sequences.length > 1 && (
+                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.9rem', marginTop: '0.75rem' }}>
+                  Email sequence
+                  <select value={sequenceId} onChange={(e) => setSequenceId(e.target.value)}>
+                    {sequences.map(sequence => <option key={sequence.id} value={sequence.id}>{sequenceLabel(sequence)}</option>)}
+                  </select>
+                </label>
+              )}
+
+              <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1.5rem' }}>
+                <button className="btn btn-secondary" onClick={() => setStep('map')} disabled={isImporting}>
+                  <ArrowLeft size={16} /> Back to Mapping
+                </button>
+                <button 
+                  className="btn btn-primary"
+                  onClick={handleUpload}
+                  disabled={isImporting || leadsToImport.length === 0}
+                >
+                  {isImporting ? (
+                    <>
+                      <div className="loading-spinner" style={{ width: 18, height: 18, borderWidth: 2 }}></div>
+                      Processing...
+                    </>
+                  ) : (
+                    <>
+                      <Sparkles size={18} />
+                      Import & Schedule {leadsToImport.length} Leads
+                    </>
+                  )}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
 
       {/* Result */}
       {result && (
@@ -248,6 +954,46 @@ export default function Upload({ showToast }) {
                 </div>
               </div>
 
+              {result.enriched > 0 && (
+                <p style={{ marginTop: '1rem', color: 'var(--text-muted)', fontSize: '0.85rem', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  <Sparkles size={14} color="#a855f7" />
+                  {result.enriched} lead{result.enriched > 1 ? 's were' : ' was'} enriched before upload.
+                </p>
+              )}
+
+              {result.skipped > 0 && (
+                <p style={{ marginTop: '1rem', color: 'var(--text-muted)', fontSize: '0.85rem' }}>
+                  {result.skipped} flagged row{result.skipped > 1 ? 's were' : ' was'} skipped before upload.
+                </p>
+              )}
+
+              {result.suppressed?.length > 0 && (
+                <div style={{ marginTop: '1.5rem' }}>
+                  <h4 style={{ marginBottom: '0.75rem', fontSize: '0.95rem' }}>
+                    Suppressed ({result.suppressed.length}) - not imported:
+                  </h4>
+                  <div style={{ 
+                    background: 'rgba(220, 38, 38, 0.08)', 
+                    padding: '1rem', 
+                    borderRadius: '10px',
+                    maxHeight: '180px',
+                    overflowY: 'auto',
+                    border: '1px solid rgba(220, 38, 38, 0.15)'
+                  }}>
+                    {result.suppressed.slice(0, MAX_FLAGGED_ROWS).map((row, idx) => (
+                      <p key={idx} style={{ fontSize: '0.8rem', color: '#f87171', marginBottom: '6px' }}>
+                        {row.email} - {row.reason}
+                      </p>
+                    ))}
+                    {result.suppressed.length > MAX_FLAGGED_ROWS && (
+                      <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                        ...and {result.suppressed.length - MAX_FLAGGED_ROWS} more
+                      </p>
+                    )}
+                  </div>
+                </div>
+              )}
+
               {result.data.import?.errors?.length > 0 && (
                 <div style={{ marginTop: '1.5rem' }}>
                   <h4 style={{ marginBottom: '0.75rem', fontSize: '0.95rem' }}>Import Errors:</h4>
@@ -290,9 +1036,18 @@ export default function Upload({ showToast }) {
         </div>
       )}
 
+      <ConfirmModal
+        isOpen={confirmModal.isOpen}
+        onClose={() => setConfirmModal({ ...confirmModal, isOpen: false })}
+        onConfirm={confirmModal.onConfirm}
+        title={confirmModal.title}
+        message={confirmModal.message}
+        variant={confirmModal.variant}
+      />
+
       {/* Format Guide */}
       <div className="card" style={{ marginTop: '1.5rem' }}>
-        <h3 style={{ marginBottom: '1rem', fontSize: '1rem' }}>📋 Required CSV Format</h3>
+        <h3 style={{ marginBottom: '1rem', fontSize: '1rem' }}>📋 Recommended CSV Format</h3>
         <div style={{ 
           background: 'var(--bg-glass)', 
           padding: '1rem 1.25rem', 
@@ -309,6 +1064,9 @@ export default function Upload({ showToast }) {
         <p style={{ marginTop: '1rem', color: 'var(--text-muted)', fontSize: '0.85rem' }}>
           <strong style={{ color: 'var(--text-secondary)' }}>Note:</strong> Use ISO 2-letter country codes (US, GB, IN, AU, etc.)
         </p>
+        <p style={{ marginTop: '0.5rem', color: 'var(--text-muted)', fontSize: '0.85rem' }}>
+          Other headers work too — you can map them to lead fields after choosing the file.
+        </p>
       </div>
     </div>
   );
@@ -91,8 +91,84 @@ export const uploadLeads = async (file) => {
   return response.data;
 };
 
-export const getLeads = async (page = 1, limit = 50, status, tags, sortBy) => {
-  const params = { page, limit };
+// Chunked imports - large files are sent as several smaller requests.
+// Starting one returns { importId }, the id the chunks are uploaded to
+export const startImport = async (fileName, totalRows, totalChunks) => {
+  const response = await api.post('/imports', { fileName, totalRows, totalChunks });
+  return response.data;
+};
+
+// Chunk results list leads the server suppressed in suppressed: [{ email, reason }]
+export const uploadImportChunk = async (importId, chunkIndex, leads) => {
+  const response = await api.post(`/imports/${importId}/chunks`, { chunkIndex, leads });
+  return response.data;
+};
+
+export const completeImport = async (importId) => {
+  const response = await api.post(`/imports/${importId}/complete`);
+  return response.data;
+};
+
+// Import history
+export const getImportBatches = async (page = 1, limit = 20) => {
+  const response = await api.get('/imports', { params: { page, limit } });
+  return response.data;
+};
+
+export const getImportBatch = async (id) => {
+  const response = await api.get(`/imports/${id}`);
+  return response.data;
+};
+
+// Suppression list - entries are { type: 'email' | 'domain', value, reason, source }.
+// Suppressed addresses are never imported or scheduled; domain entries cover subdomains
+export const getSuppressions = async () => {
+  const response = await api.get('/suppressions');
+  return response.data;
+};
+
+export const addSuppressions = async (entries) => {
+  const response = await api.post('/suppressions', { entries });
+  return response.data;
+};
+
+export const deleteSuppression = async (id) => {
+  const response = await api.delete(`/suppressions/${id}`);
+  return response.data;
+};
+
+// Existing leads the entries would stop, without saving anything
+export const previewSuppressions = async (entries) => {
+  const response = await api.post('/suppressions/preview', { entries });
+  return response.data;
+};
+
+// Import mapping profiles
+export const getImportProfiles = async () => {
+  const response = await api.get('/import-profiles');
+  return response.data;
+};
+
+export const createImportProfile = async (profile) => {
+  const response = await api.post('/import-profiles', profile);
+  return response.data;
+};
+
+export const updateImportProfile = async (id, profile) => {
+  const response = await api.put(`/import-profiles/${id}`, profile);
+  return response.data;
+};
+
+export const deleteImportProfile = async (id) => {
+  const response = await api.delete(`/import-profiles/${id}`);
+  return response.data;
+};
+
+// filters: extra server-side filters (search, country, timezone, scoreMin/Max, createdFrom/To, hasOpened, hasClicked)
+// plus ids (comma-separated), account (an account key from getAccounts), stage (a pipeline stage id) and include: 'engagement' to add eventHistory and emailSchedule.
+// Custom fields filter as cf.<key>: contains for text, exact for picklists, "min..max" for numbers and dates
+export const getLeads = async (page = 1, limit = 50, status, tags, sortBy, filters = {}) => {
+  const params = { page, limit, ...filters };
   if (status) params.status = status;
   if (tags) params.tags = tags;
   if (sortBy) params.sortBy = sortBy;
@@ -110,6 +186,15 @@ export const deleteLead = async (id) => {
   return response.data;
 };
 
+// Merge duplicates into the surviving lead: fields are the chosen values,
+// the server combines tags and eventHistory, cancels the duplicates' pending email jobs
+// (reported as cancelledJobs) and removes the duplicates
+export const mergeLeads = async (id, duplicateIds, fields) => {
+  const response = await api.post(`/leads/${id}/merge`, { duplicateIds, fields });
+  return response.data;
+};
+
+// Suppressed leads are skipped and listed in results.suppressed as [{ leadId, email, reason }]
 export const scheduleEmails = async (leadIds, filter) => {
   const response = await api.post('/schedule-emails', { leadIds, filter });
   return response.data;
@@ -165,13 +250,114 @@ export const scheduleManually = async (id, time, emailType = null, title = null,
   return response.data;
 };
 
+// Accounts - leads rolled up by company on the server:
+// { accounts: [{ key, domain, name, stats: { contacts, active, opened, clicked, replied, converted, lastActivity } }] }
+export const getAccounts = async () => {
+  const response = await api.get('/accounts');
+  return response.data;
+};
+
+// Lead segments - saved filter combinations
+export const getSegments = async () => {
+  const response = await api.get('/segments', { params: { withCounts: true } });
+  return response.data;
+};
+
+export const createSegment = async (segment) => {
+  const response = await api.post('/segments', segment);
+  return response.data;
+};
+
+export const updateSegment = async (id, segment) => {
+  const response = await api.put(`/segments/${id}`, segment);
+  return response.data;
+};
+
+export const deleteSegment = async (id) => {
+  const response = await api.delete(`/segments/${id}`);
+  return response.data;
+};
+
+// Terminal states - bring dead/unsubscribed/complaint leads back into the sequence.
+// restartFrom is a step name, or 'resume' to continue where the lead stopped.
+// Every transition into or out of a terminal state is kept in the lead's audit log
+export const resurrectLeads = async (leadIds, { reason, restartFrom, actor, acknowledgeComplaints }) => {
+  const response = await api.post('/terminal-states/resurrect', { leadIds, reason, restartFrom, actor, acknowledgeComplaints });
+  return response.data;
+};
+
+export const getTerminalAudit = async (leadId) => {
+  const response = await api.get(`/terminal-states/${leadId}/audit`);
+  return response.data;
+};
+
+// Lead notes - a thread of human context on a lead, newest first
+export const getLeadNotes = async (leadId) => {
+  const response = await api.get(`/leads/${leadId}/notes`);
+  return response.data;
+};
+
+export const addLeadNote = async (leadId, note) => {
+  const response = await api.post(`/leads/${leadId}/notes`, note);
+  return response.data;
+};
+
+export const deleteLeadNote = async (leadId, noteId) => {
+  const response = await api.delete(`/leads/${leadId}/notes/${noteId}`);
+  return response.data;
+};
+
+// Tasks - follow-up reminders on a lead. When dueAt passes the server raises a
+// notification (type 'task_due', link to the lead) and an FCM push to the assignee.
+// filters: leadId, status ('open' | 'done'), assigneeId (team member id or 'unassigned'), overdue
+export const getTasks = async (filters = {}) => {
+  const response = await api.get('/tasks', { params: filters });
+  return response.data;
+};
+
+export const createTask = async (task) => {
+  const response = await api.post('/tasks', task);
+  return response.data;
+};
+
+export const updateTask = async (id, task) => {
+  const response = await api.put(`/tasks/${id}`, task);
+  return response.data;
+};
+
+export const deleteTask = async (id) => {
+  const response = await api.delete(`/tasks/${id}`);
+  return response.data;
+};
+
+// Bulk lead jobs - one server-side job per action, progress arrives over the socket.
+// action: delete, freeze, unfreeze, tag, assign, sequence, pause (followups), convert or
+// rollback (deletes an import batch's leads, cancels their emails and marks the batch rolled back)
+// target is { leadIds }, { filter } or { segmentId }; rollback takes { importBatchId }
+export const startBulkJob = async (action, target, params = {}) => {
+  const response = await api.post('/bulk-jobs', { action, ...target, params });
+  return response.data;
+};
+
+export const getBulkJob = async (id) => {
+  const response = await api.get(`/bulk-jobs/${id}`);
+  return response.data;
+};
+
+export const undoBulkJob = async (id) => {
+  const response = await api.post(`/bulk-jobs/${id}/undo`);
+  return response.data;
+};
+
 // Email Job endpoints
-export const getEmailJobs = (page = 1, limit = 20, status = '', view = '', startDate = '', endDate = '') => {
+// ownerId: jobs of leads owned by this team member, or 'unassigned'
+export const getEmailJobs = (page = 1, limit = 20, status = '', view = '', startDate = '', endDate = '', ownerId = '') => {
   const params = { page, limit };
   if (status) params.status = status;
   if (view) params.view = view;
   if (startDate) params.startDate = startDate;
   if (endDate) params.endDate = endDate;
+  if (ownerId) params.ownerId = ownerId;
   return api.get('/email-jobs', { params }).then(res => res.data);
 };
 
@@ -278,6 +464,28 @@ export const reorderFollowups = async (followupIds) => {
   return response.data;
 };
 
+// Sequence versions. Leads run the version they started on (lead.sequenceVersion), so
+// followup edits only change the working copy until it is published as a new version.
+// Returns { versions: [{ version, snapshot, note, publishedAt, migration }], inFlight }
+export const getSequenceVersions = async (sequenceId) => {
+  const response = await api.get(`/settings/sequences/${sequenceId}/versions`);
+  return response.data;
+};
+
+// migration: stay, move (stepMap: { [old step name]: new step name | null }) or restart
+export const publishSequenceVersion = async (sequenceId, { snapshot, migration, stepMap, note }) => {
+  const response = await api.post(`/settings/sequences/${sequenceId}/versions`, { snapshot, migration, stepMap, note });
+  return response.data;
+};
+
+// Sends every lead a step's winning variant from now on. Only the split changes, so it applies
+// to the working copy and the published versions alike; the server does the same by itself
+// for tests with variantTest.autoPromote once they have a winner.
+export const promoteStepVariant = async (sequenceId, stepId, variantId) => {
+  const response = await api.post(`/settings/sequences/${sequenceId}/steps/${stepId}/promote`, { variantId });
+  return response.data;
+};
+
 export const clearBrevoLogs = async () => {
   const response = await api.post('/settings/clear-logs');
   return response.data;
@@ -326,6 +534,27 @@ export const syncAnalytics = async () => {
   return response.data;
 };
 
+// Per-owner lead and engagement counts: { owners: [{ ownerId, leads, sent, opened, clicked, replied, converted }] }
+export const getOwnerAnalytics = async (startDate, endDate, period) => {
+  const params = {};
+  if (period) params.period = period;
+  if (startDate) params.startDate = startDate;
+  if (endDate) params.endDate = endDate;
+  const response = await api.get('/analytics/owners', { params });
+  return response.data;
+};
+
+// Results of A/B tested sequence steps, per variant:
+// { steps: [{ sequenceId, stepId, variants: [{ variantId, delivered, opened, clicked }] }] }
+export const getVariantAnalytics = async (startDate, endDate, period) => {
+  const params = {};
+  if (period) params.period = period;
+  if (startDate) params.startDate = startDate;
+  if (endDate) params.endDate = endDate;
+  const response = await api.get('/analytics/variants', { params });
+  return response.data;
+};
+
 // Get detailed analytics breakdown
 export const getAnalyticsBreakdown = async (period) => {
   const params = {};